@@ -2,12 +2,73 @@ import express from "express";
 import pkg from "pg";
 import dotenv from "dotenv";
 import path from "path";
-import fs from "fs";
 import { fileURLToPath } from "url";
-import { hashPassword, comparePassword, generateToken } from "./utils/auth.js";
-import { authenticateToken } from "./middleware/auth.js";
+import { hashPassword, comparePassword, generateToken, verifyToken } from "./utils/auth.js";
+import { authenticateToken, authenticateStream } from "./middleware/auth.js";
 import { authenticateAdmin } from "./middleware/adminAuth.js";
-import { uploadIssueFiles, uploadProfilePicture } from "./middleware/upload.js";
+import { uploadIssueFiles, uploadIssueImage, uploadProfilePicture, discardUploads } from "./middleware/upload.js";
+import { isValidStatus, canTransition, allowedTransitions, parseStatusFilter } from "./utils/issueStatus.js";
+import {
+  parseCoordinates,
+  parseBoundingBox,
+  boundingBoxAround,
+  boundingBoxCondition,
+  DEFAULT_NEARBY_RADIUS_M,
+  MAX_NEARBY_RADIUS_M,
+  MAX_SAVED_LOCATIONS
+} from "./utils/geo.js";
+import { slugify, parseTags, parseTagFilter } from "./utils/taxonomy.js";
+import { findSimilarIssues } from "./utils/duplicates.js";
+import { originalFilename, parseCaptions, normalizeCaption } from "./utils/attachments.js";
+import { processImage } from "./utils/images.js";
+import { storeFile, storeUpload, removeStoredFile, removeStoredFiles, storageForUrl } from "./utils/storage.js";
+import {
+  viewerFromToken, verifyAttachmentSignature, canViewAttachment, withDownloadUrls, contentDisposition
+} from "./utils/fileAccess.js";
+import { pictureUrls, collectGarbage, gcGraceHours } from "./utils/uploadGc.js";
+import {
+  UploadError, uploadErrorBody, checkStorageQuota, getStorageUsage, storageQuotaBytes, setUploadHeaders, uploadHeaders,
+  FILE_EXTENSIONS
+} from "./utils/uploadPolicy.js";
+import {
+  MAX_CHUNK_BYTES, RESUMABLE_UPLOAD_COLUMNS, resumablePath, createResumableUpload, appendChunk,
+  completeResumableUpload, discardResumableUpload
+} from "./utils/resumableUploads.js";
+import { NOTIFICATION_TYPES, isValidNotificationType, notify, notifyUpvoteMilestone } from "./utils/notifications.js";
+import { DIGEST_FREQUENCIES, getEmailRecipient } from "./utils/email.js";
+import { escapeHtml } from "./utils/emailTemplates.js";
+import { sendDigests } from "./utils/digest.js";
+import {
+  WEBHOOK_EVENT_TYPES, generateWebhookSecret, validateWebhookUrl, parseEventTypes,
+  emitEvent, redeliver, pingWebhook, startWebhookWorker
+} from "./utils/webhooks.js";
+import {
+  MAX_STREAM_SUBSCRIPTIONS, parseIdList, subscribe, writeEvent, startRealtimeListener
+} from "./utils/realtime.js";
+import {
+  MAX_PAGE_SIZE, keyset, keysetOrderBy, keysetSelect, keysetCondition, compareKeys, parsePageQuery, pageOf
+} from "./utils/pagination.js";
+import { parseSort, parseTopWindow, sortKeys, topWindowCondition, startRankingWorker } from "./utils/ranking.js";
+import { SEARCH_TYPES, SEARCH_KEYS, parseSearchType, parseDateRange, searchPage, searchFacets } from "./utils/search.js";
+import {
+  DEFAULT_SUGGEST_LIMIT,
+  MAX_SUGGEST_LIMIT,
+  SUGGEST_CACHE_TTL_MS,
+  normalizeSuggestQuery,
+  parseSuggestTypes,
+  suggest
+} from "./utils/searchSuggest.js";
+import {
+  MAX_SAVED_SEARCHES,
+  DEFAULT_NEW_MATCHES_LIMIT,
+  MAX_NEW_MATCHES_LIMIT,
+  SAVED_SEARCH_COLUMNS,
+  parseSavedSearch,
+  fetchNewMatches,
+  startSavedSearchWorker
+} from "./utils/savedSearches.js";
+import { GROUP_ROLES, ASSIGNABLE_GROUP_ROLES, getMembership, isOwner, canModerate, canChangeRole, canRemoveMember } from "./utils/groupMembership.js";
+import { groupIdsSelect, inGroupCondition, notInGroupCondition } from "./utils/groupIssues.js";
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -29,16 +90,26 @@ app.use((req, res, next) => {
 });
 
 // Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Attachments are private; they are fetched through signed download URLs (see GET /issues/:id)
+app.use('/uploads/attachments', (req, res) => res.status(404).json({ error: "Not found" }));
+
+// Pictures are public and never change under the same name, so they can be cached for long.
+// Images are shown inline; any other upload is sent as a download (see utils/uploadPolicy.js)
+app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
+  setHeaders: setUploadHeaders,
+  maxAge: '30d',
+  immutable: true
+}));
 
 // Create a connection pool to Postgres
-const pool = new Pool({
+const dbConfig = {
   host: process.env.DB_HOST,
   port: process.env.DB_PORT,
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
   database: process.env.DB_NAME,
-});
+};
+const pool = new Pool(dbConfig);
 
 // Test route
 app.get("/", (req, res) => {
@@ -200,7 +271,7 @@ app.post("/auth/login", async (req, res) => {
 app.get("/auth/me", authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT user_id, email, username, full_name, role_id, created_at, profile_picture_url 
+      `SELECT user_id, email, username, full_name, role_id, created_at, profile_picture_url, profile_picture_variants
        FROM users WHERE user_id = $1`,
       [req.user.userId]
     );
@@ -218,7 +289,8 @@ app.get("/auth/me", authenticateToken, async (req, res) => {
         full_name: user.full_name,
         role_id: user.role_id,
         created_at: user.created_at,
-        profile_picture_url: user.profile_picture_url
+        profile_picture_url: user.profile_picture_url,
+        profile_picture_variants: user.profile_picture_variants
       }
     });
   } catch (err) {
@@ -227,6 +299,23 @@ app.get("/auth/me", authenticateToken, async (req, res) => {
   }
 });
 
+// Get the current user's attachment storage usage and quota
+app.get("/users/storage", authenticateToken, async (req, res) => {
+  try {
+    const quota = storageQuotaBytes();
+    const used = await getStorageUsage(pool, req.user.userId);
+
+    res.json({
+      used_bytes: used,
+      quota_bytes: quota || null,
+      remaining_bytes: quota ? Math.max(quota - used, 0) : null
+    });
+  } catch (error) {
+    console.error("Error fetching storage usage:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Upload profile picture
 app.post("/users/profile-picture", authenticateToken, (req, res) => {
   // Use dedicated profile-picture uploader. Keep backward compatibility with
@@ -234,7 +323,7 @@ app.post("/users/profile-picture", authenticateToken, (req, res) => {
   uploadProfilePicture(req, res, async (err) => {
     if (err) {
       console.error("Upload error:", err);
-      return res.status(400).json({ error: err.message });
+      return res.status(err.status || 400).json(uploadErrorBody(err));
     }
 
     try {
@@ -255,26 +344,36 @@ app.post("/users/profile-picture", authenticateToken, (req, res) => {
         return res.status(400).json({ error: "No profile picture uploaded" });
       }
 
-      // Determine URL based on storage folder
-      let profilePictureUrl;
-      if (file.path && file.path.includes('/uploads/issues/')) {
-        // older uploads that wound up in issues folder
-        profilePictureUrl = `/uploads/issues/${file.filename}`;
-      } else {
-        profilePictureUrl = `/uploads/profile_pictures/${file.filename}`;
+      // Normalise the picture (orientation, EXIF stripped, size variants)
+      let profilePictureVariants;
+      try {
+        profilePictureVariants = await processImage(file, 'profile_pictures');
+      } catch (imageError) {
+        if (!(imageError instanceof UploadError)) throw imageError;
+        return res.status(imageError.status).json(uploadErrorBody(imageError));
       }
 
+      const previous = await pool.query(
+        "SELECT profile_picture_url, profile_picture_variants FROM users WHERE user_id = $1",
+        [userId]
+      );
+
       // Update user's profile picture
       const result = await pool.query(
-        `UPDATE users SET profile_picture_url = $1 WHERE user_id = $2
-         RETURNING user_id, email, username, full_name, role_id, created_at, profile_picture_url`,
-        [profilePictureUrl, userId]
+        `UPDATE users SET profile_picture_url = $1, profile_picture_variants = $2 WHERE user_id = $3
+         RETURNING user_id, email, username, full_name, role_id, created_at, profile_picture_url, profile_picture_variants`,
+        [profilePictureVariants.full, profilePictureVariants, userId]
       );
 
       if (result.rows.length === 0) {
+        await removeStoredFiles(Object.values(profilePictureVariants));
         return res.status(404).json({ error: "User not found" });
       }
 
+      // The replaced picture is no longer referenced
+      const old = previous.rows[0];
+      await removeStoredFiles(pictureUrls(old.profile_picture_url, old.profile_picture_variants));
+
       const user = result.rows[0];
       res.json({
         user: {
@@ -284,7 +383,8 @@ app.post("/users/profile-picture", authenticateToken, (req, res) => {
           full_name: user.full_name,
           role_id: user.role_id,
           created_at: user.created_at,
-          profile_picture_url: user.profile_picture_url
+          profile_picture_url: user.profile_picture_url,
+          profile_picture_variants: user.profile_picture_variants
         }
       });
     } catch (error) {
@@ -344,7 +444,7 @@ app.post("/admin/auth/login", async (req, res) => {
 
 // Create a new role (admin only)
 app.post("/admin/roles", authenticateAdmin, async (req, res) => {
-  const { title, description, upvote_weight } = req.body;
+  const { title, description, upvote_weight, is_official } = req.body;
 
   if (!title || upvote_weight === undefined) {
     return res.status(400).json({ error: "Title and upvote_weight are required" });
@@ -366,8 +466,8 @@ app.post("/admin/roles", authenticateAdmin, async (req, res) => {
     }
 
     const result = await pool.query(
-      'INSERT INTO roles (title, description, upvote_weight) VALUES ($1, $2, $3) RETURNING role_id, title, description, upvote_weight',
-      [title, description || null, upvote_weight]
+      'INSERT INTO roles (title, description, upvote_weight, is_official) VALUES ($1, $2, $3, $4) RETURNING role_id, title, description, upvote_weight, is_official',
+      [title, description || null, upvote_weight, is_official === true]
     );
 
     res.status(201).json(result.rows[0]);
@@ -381,7 +481,7 @@ app.post("/admin/roles", authenticateAdmin, async (req, res) => {
 app.get("/admin/roles", authenticateAdmin, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT role_id, title, description, upvote_weight FROM roles ORDER BY upvote_weight ASC'
+      'SELECT role_id, title, description, upvote_weight, is_official FROM roles ORDER BY upvote_weight ASC'
     );
 
     res.json({ roles: result.rows });
@@ -394,9 +494,9 @@ app.get("/admin/roles", authenticateAdmin, async (req, res) => {
 // Update a role (admin only)
 app.put("/admin/roles/:id", authenticateAdmin, async (req, res) => {
   const { id } = req.params;
-  const { title, description, upvote_weight } = req.body;
+  const { title, description, upvote_weight, is_official } = req.body;
 
-  if (!title && !description && upvote_weight === undefined) {
+  if (!title && !description && upvote_weight === undefined && is_official === undefined) {
     return res.status(400).json({ error: "At least one field to update is required" });
   }
 
@@ -404,6 +504,10 @@ app.put("/admin/roles/:id", authenticateAdmin, async (req, res) => {
     return res.status(400).json({ error: "Upvote weight must be a positive integer" });
   }
 
+  if (is_official !== undefined && typeof is_official !== 'boolean') {
+    return res.status(400).json({ error: "is_official must be a boolean" });
+  }
+
   try {
     // Build dynamic update query
     const updates = [];
@@ -422,11 +526,15 @@ app.put("/admin/roles/:id", authenticateAdmin, async (req, res) => {
       updates.push(`upvote_weight = $${paramCount++}`);
       values.push(upvote_weight);
     }
+    if (is_official !== undefined) {
+      updates.push(`is_official = $${paramCount++}`);
+      values.push(is_official);
+    }
 
     values.push(id);
 
     const result = await pool.query(
-      `UPDATE roles SET ${updates.join(', ')} WHERE role_id = $${paramCount} RETURNING role_id, title, description, upvote_weight`,
+      `UPDATE roles SET ${updates.join(', ')} WHERE role_id = $${paramCount} RETURNING role_id, title, description, upvote_weight, is_official`,
       values
     );
 
@@ -620,7 +728,7 @@ app.post("/admin/auth/login", async (req, res) => {
 
 // Create a new role (admin only)
 app.post("/admin/roles", authenticateAdmin, async (req, res) => {
-  const { title, description, upvote_weight } = req.body;
+  const { title, description, upvote_weight, is_official } = req.body;
 
   if (!title || upvote_weight === undefined) {
     return res.status(400).json({ error: "Title and upvote_weight are required" });
@@ -642,8 +750,8 @@ app.post("/admin/roles", authenticateAdmin, async (req, res) => {
     }
 
     const result = await pool.query(
-      'INSERT INTO roles (title, description, upvote_weight) VALUES ($1, $2, $3) RETURNING role_id, title, description, upvote_weight',
-      [title, description || null, upvote_weight]
+      'INSERT INTO roles (title, description, upvote_weight, is_official) VALUES ($1, $2, $3, $4) RETURNING role_id, title, description, upvote_weight, is_official',
+      [title, description || null, upvote_weight, is_official === true]
     );
 
     res.status(201).json(result.rows[0]);
@@ -657,7 +765,7 @@ app.post("/admin/roles", authenticateAdmin, async (req, res) => {
 app.get("/admin/roles", authenticateAdmin, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT role_id, title, description, upvote_weight FROM roles ORDER BY upvote_weight ASC'
+      'SELECT role_id, title, description, upvote_weight, is_official FROM roles ORDER BY upvote_weight ASC'
     );
 
     res.json({ roles: result.rows });
@@ -670,9 +778,9 @@ app.get("/admin/roles", authenticateAdmin, async (req, res) => {
 // Update a role (admin only)
 app.put("/admin/roles/:id", authenticateAdmin, async (req, res) => {
   const { id } = req.params;
-  const { title, description, upvote_weight } = req.body;
+  const { title, description, upvote_weight, is_official } = req.body;
 
-  if (!title && !description && upvote_weight === undefined) {
+  if (!title && !description && upvote_weight === undefined && is_official === undefined) {
     return res.status(400).json({ error: "At least one field to update is required" });
   }
 
@@ -680,6 +788,10 @@ app.put("/admin/roles/:id", authenticateAdmin, async (req, res) => {
     return res.status(400).json({ error: "Upvote weight must be a positive integer" });
   }
 
+  if (is_official !== undefined && typeof is_official !== 'boolean') {
+    return res.status(400).json({ error: "is_official must be a boolean" });
+  }
+
   try {
     // Build dynamic update query
     const updates = [];
@@ -698,11 +810,15 @@ app.put("/admin/roles/:id", authenticateAdmin, async (req, res) => {
       updates.push(`upvote_weight = $${paramCount++}`);
       values.push(upvote_weight);
     }
+    if (is_official !== undefined) {
+      updates.push(`is_official = $${paramCount++}`);
+      values.push(is_official);
+    }
 
     values.push(id);
 
     const result = await pool.query(
-      `UPDATE roles SET ${updates.join(', ')} WHERE role_id = $${paramCount} RETURNING role_id, title, description, upvote_weight`,
+      `UPDATE roles SET ${updates.join(', ')} WHERE role_id = $${paramCount} RETURNING role_id, title, description, upvote_weight, is_official`,
       values
     );
 
@@ -858,90 +974,169 @@ app.post("/issues", authenticateToken, (req, res) => {
   uploadIssueFiles(req, res, async (err) => {
     if (err) {
       console.error("Upload error:", err);
-      return res.status(400).json({ error: err.message });
+      return res.status(err.status || 400).json(uploadErrorBody(err));
     }
 
-    const uploadedFiles = [];
-    const trackUpload = (filePath) => {
-      if (filePath) {
-        uploadedFiles.push(filePath);
-      }
-    };
-
+    // Files already moved into storage, removed again if creating the issue fails
+    const storedUrls = [];
     const cleanupUploads = async () => {
-      await Promise.all(
-        uploadedFiles.map((filePath) => {
-          return new Promise((resolve) => {
-            fs.unlink(filePath, (err) => {
-              if (err) console.error(`Error deleting file ${filePath}:`, err);
-              resolve();
-            });
-          });
-        })
-      );
+      await discardUploads(req);
+      await Promise.all(storedUrls.map(url => removeStoredFile(url)));
     };
 
     let issue = null;
 
     try {
-      const { title, description, group_id } = req.body;
+      const { title, description, group_id, latitude, longitude, address, category_id } = req.body;
       const userId = req.user.userId;
 
       if (!title || !description) {
+        await cleanupUploads();
         return res.status(400).json({ error: "Title and description are required" });
       }
 
+      let location;
+      let tags;
+      let captions;
+      try {
+        location = parseCoordinates(latitude, longitude);
+        tags = parseTags(req.body.tags);
+        captions = parseCaptions(req.body.attachment_captions);
+      } catch (validationError) {
+        await cleanupUploads();
+        return res.status(400).json({ error: validationError.message });
+      }
+
+      if (category_id) {
+        const categoryCheck = await pool.query(
+          "SELECT category_id FROM categories WHERE category_id = $1",
+          [category_id]
+        );
+        if (categoryCheck.rows.length === 0) {
+          await cleanupUploads();
+          return res.status(400).json({ error: "Category not found" });
+        }
+      }
+
+      // New attachments count towards the uploader's storage quota
+      const attachmentBytes = (req.files?.['attachments'] || []).reduce((sum, file) => sum + file.size, 0);
+      try {
+        await checkStorageQuota(pool, userId, attachmentBytes);
+      } catch (quotaError) {
+        if (!(quotaError instanceof UploadError)) throw quotaError;
+        await cleanupUploads();
+        return res.status(quotaError.status).json(uploadErrorBody(quotaError));
+      }
+
+      // Check for likely duplicates unless the client explicitly overrides with force=true
+      const force = req.body.force === true || req.body.force === 'true';
+      if (!force) {
+        const duplicates = await findSimilarIssues(pool, {
+          title,
+          description,
+          latitude: location?.latitude ?? null,
+          longitude: location?.longitude ?? null,
+          categoryId: category_id || null
+        });
+
+        if (duplicates.length > 0) {
+          // Nothing is created, so discard the files multer already saved
+          await cleanupUploads();
+
+          return res.status(409).json({
+            error: "Possible duplicate issues found",
+            code: "POSSIBLE_DUPLICATES",
+            message: "Upvote an existing issue or resubmit with force=true to create it anyway",
+            duplicates
+          });
+        }
+      }
+
+      // Normalise the display picture (orientation, EXIF stripped, size variants)
+      let displayPictureVariants = null;
+      const displayPictures = req.files?.['display_picture'];
+      if (displayPictures && displayPictures[0]) {
+        try {
+          displayPictureVariants = await processImage(displayPictures[0], 'issues');
+        } catch (imageError) {
+          await cleanupUploads();
+          if (!(imageError instanceof UploadError)) throw imageError;
+          return res.status(imageError.status).json(uploadErrorBody(imageError));
+        }
+        storedUrls.push(...Object.values(displayPictureVariants));
+      }
+
+      // The issue and the group it was posted in (if any) are added in one statement
       const issueResult = await pool.query(
-        `INSERT INTO issues (title, description, user_id, group_id, display_picture_url, upvote_count, comment_count)
-         VALUES ($1, $2, $3, $4, $5, 0, 0)
-         RETURNING issue_id, title, description, user_id, group_id, display_picture_url, upvote_count, comment_count, posted_at`,
-        [title, description, userId, group_id || null, null]
+        `WITH new_issue AS (
+           INSERT INTO issues (title, description, user_id, display_picture_url, display_picture_variants, upvote_count, comment_count, latitude, longitude, address, category_id)
+           VALUES ($1, $2, $3, $5, $6, 0, 0, $7, $8, $9, $10)
+           RETURNING issue_id, title, description, user_id, display_picture_url, display_picture_variants, upvote_count, comment_count, posted_at, status,
+                     latitude, longitude, address, category_id
+         ), added AS (
+           INSERT INTO group_issues (group_id, issue_id)
+           SELECT $4::uuid, issue_id FROM new_issue WHERE $4::uuid IS NOT NULL
+         )
+         SELECT new_issue.*,
+                CASE WHEN $4::uuid IS NULL THEN '{}'::uuid[] ELSE ARRAY[$4::uuid] END as group_ids
+         FROM new_issue`,
+        [title, description, userId, group_id || null, displayPictureVariants?.full ?? null, displayPictureVariants,
+          location?.latitude ?? null, location?.longitude ?? null, address || null, category_id || null]
       );
 
       issue = issueResult.rows[0];
 
-      let displayPictureUrl = null;
-      const displayPictures = req.files?.['display_picture'];
-      if (displayPictures && displayPictures[0]) {
-        const file = displayPictures[0];
-        // Multer already saved the file, use the path it provides
-        displayPictureUrl = `/uploads/issues/${file.filename}`;
-        trackUpload(file.path);
-
-        await pool.query(
-          `UPDATE issues SET display_picture_url = $1 WHERE issue_id = $2`,
-          [displayPictureUrl, issue.issue_id]
+      issue.tags = [];
+      if (tags && tags.length > 0) {
+        const tagsResult = await pool.query(
+          `SELECT set_issue_tags($1, $2) as tags`,
+          [issue.issue_id, tags]
         );
-        issue.display_picture_url = displayPictureUrl;
+        issue.tags = tagsResult.rows[0].tags;
       }
 
       const attachments = [];
       const attachmentFiles = req.files?.['attachments'] || [];
-      for (const file of attachmentFiles) {
-        // Multer already saved the file, use the path it provides
-        const publicUrl = `/uploads/attachments/${file.filename}`;
-        trackUpload(file.path);
+      for (const [index, file] of attachmentFiles.entries()) {
+        const publicUrl = await storeUpload(file, 'attachments');
+        storedUrls.push(publicUrl);
 
         const attachmentResult = await pool.query(
-          `INSERT INTO post_attachments (issue_id, uploaded_by, file_path)
-           VALUES ($1, $2, $3)
-           RETURNING attachment_id, file_path, created_at`,
-          [issue.issue_id, userId, publicUrl]
+          `INSERT INTO post_attachments (issue_id, uploaded_by, file_path, original_filename, mime_type, size_bytes, caption, sort_order)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING attachment_id, original_filename, mime_type, size_bytes, caption, sort_order, created_at`,
+          [issue.issue_id, userId, publicUrl, originalFilename(file), file.mimetype, file.size,
+            captions[index] ?? null, index]
         );
         attachments.push(attachmentResult.rows[0]);
       }
 
-      res.status(201).json({
+      const createdIssue = {
         issue_id: issue.issue_id,
         title: issue.title,
         description: issue.description,
         user_id: issue.user_id,
-        group_id: issue.group_id,
+        group_ids: issue.group_ids,
         display_picture_url: issue.display_picture_url,
+        display_picture_variants: issue.display_picture_variants,
         upvote_count: issue.upvote_count,
         comment_count: issue.comment_count,
         posted_at: issue.posted_at,
+        status: issue.status,
+        latitude: issue.latitude,
+        longitude: issue.longitude,
+        address: issue.address,
+        category_id: issue.category_id,
+        tags: issue.tags,
         attachments
+      };
+
+      await emitEvent(pool, 'issue.created', { issue: createdIssue });
+
+      // Download links are signed for the caller, so they are not part of the webhook payload
+      res.status(201).json({
+        ...createdIssue,
+        attachments: withDownloadUrls(attachments, issue, viewerFromToken(req.user))
       });
     } catch (error) {
       console.error("Error creating issue:", error);
@@ -964,21 +1159,42 @@ app.put("/issues/:id", authenticateToken, (req, res) => {
   uploadIssueFiles(req, res, async (err) => {
     if (err) {
       console.error("Upload error:", err);
-      return res.status(400).json({ error: err.message });
+      return res.status(err.status || 400).json(uploadErrorBody(err));
     }
 
     try {
       const issueId = req.params.id;
-      const { title, description } = req.body;
+      const { title, description, latitude, longitude, address, category_id } = req.body;
       const userId = req.user.userId;
 
       if (!title || !description) {
         return res.status(400).json({ error: "Title and description are required" });
       }
 
+      let location;
+      let tags;
+      let captions;
+      try {
+        location = parseCoordinates(latitude, longitude);
+        tags = parseTags(req.body.tags);
+        captions = parseCaptions(req.body.attachment_captions);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+
+      if (category_id) {
+        const categoryCheck = await pool.query(
+          "SELECT category_id FROM categories WHERE category_id = $1",
+          [category_id]
+        );
+        if (categoryCheck.rows.length === 0) {
+          return res.status(400).json({ error: "Category not found" });
+        }
+      }
+
       // Check if user owns the issue
       const ownerCheck = await pool.query(
-        "SELECT user_id FROM issues WHERE issue_id = $1",
+        "SELECT user_id, display_picture_url, display_picture_variants FROM issues WHERE issue_id = $1",
         [issueId]
       );
 
@@ -990,96 +1206,224 @@ app.put("/issues/:id", authenticateToken, (req, res) => {
         return res.status(403).json({ error: "You can only edit your own issues" });
       }
 
-      // Get new display picture path if uploaded
-      let displayPictureUrl = undefined;
+      // New attachments count towards the uploader's storage quota
+      const attachmentBytes = (req.files?.['attachments'] || []).reduce((sum, file) => sum + file.size, 0);
+      try {
+        await checkStorageQuota(pool, userId, attachmentBytes);
+      } catch (quotaError) {
+        if (!(quotaError instanceof UploadError)) throw quotaError;
+        return res.status(quotaError.status).json(uploadErrorBody(quotaError));
+      }
+
+      // Normalise the new display picture if uploaded
+      let displayPictureVariants = null;
       if (req.files && req.files['display_picture'] && req.files['display_picture'][0]) {
-        const file = req.files['display_picture'][0];
-        displayPictureUrl = `/uploads/issues/${file.filename}`;
+        try {
+          displayPictureVariants = await processImage(req.files['display_picture'][0], 'issues');
+        } catch (imageError) {
+          if (!(imageError instanceof UploadError)) throw imageError;
+          return res.status(imageError.status).json(uploadErrorBody(imageError));
+        }
       }
 
-      // Update issue
-      const updateQuery = displayPictureUrl
-        ? `UPDATE issues SET title = $1, description = $2, display_picture_url = $3 WHERE issue_id = $4 
-           RETURNING issue_id, title, description, user_id, group_id, display_picture_url, upvote_count, comment_count, posted_at`
-        : `UPDATE issues SET title = $1, description = $2 WHERE issue_id = $3 
-           RETURNING issue_id, title, description, user_id, group_id, display_picture_url, upvote_count, comment_count, posted_at`;
+      // Build dynamic update query
+      const updates = ['title = $1', 'description = $2'];
+      const params = [title, description];
+
+      if (displayPictureVariants) {
+        params.push(displayPictureVariants.full);
+        updates.push(`display_picture_url = $${params.length}`);
+        params.push(displayPictureVariants);
+        updates.push(`display_picture_variants = $${params.length}`);
+      }
+      // Location is only changed when sent; an empty latitude and longitude clears it
+      if (latitude !== undefined || longitude !== undefined) {
+        params.push(location?.latitude ?? null);
+        updates.push(`latitude = $${params.length}`);
+        params.push(location?.longitude ?? null);
+        updates.push(`longitude = $${params.length}`);
+      }
+      if (address !== undefined) {
+        params.push(address || null);
+        updates.push(`address = $${params.length}`);
+      }
+      // An empty category_id clears the category
+      if (category_id !== undefined) {
+        params.push(category_id || null);
+        updates.push(`category_id = $${params.length}`);
+      }
 
-      const params = displayPictureUrl ? [title, description, displayPictureUrl, issueId] : [title, description, issueId];
-      const issueResult = await pool.query(updateQuery, params);
+      params.push(issueId);
+      const issueResult = await pool.query(
+        `UPDATE issues SET ${updates.join(', ')} WHERE issue_id = $${params.length}
+         RETURNING issue_id, title, description, user_id, display_picture_url, display_picture_variants, upvote_count, comment_count, posted_at, status,
+                   latitude, longitude, address, category_id, ${groupIdsSelect('issues')}`,
+        params
+      );
       const issue = issueResult.rows[0];
 
-      // Handle new attachments
+      // The replaced picture is no longer referenced
+      if (displayPictureVariants) {
+        const previous = ownerCheck.rows[0];
+        await removeStoredFiles(pictureUrls(previous.display_picture_url, previous.display_picture_variants));
+      }
+
+      // Tags are only replaced when sent
+      const tagsResult = tags !== undefined
+        ? await pool.query(`SELECT set_issue_tags($1, $2) as tags`, [issueId, tags])
+        : await pool.query(
+          `SELECT COALESCE(array_agg(t.name ORDER BY t.name), '{}') as tags
+           FROM issue_tags it JOIN tags t ON it.tag_id = t.tag_id
+           WHERE it.issue_id = $1`,
+          [issueId]
+        );
+      issue.tags = tagsResult.rows[0].tags;
+
+      // Handle new attachments (added after the existing ones)
       const attachments = [];
       if (req.files && req.files['attachments']) {
-        for (const file of req.files['attachments']) {
-          const filePath = `/uploads/attachments/${file.filename}`;
+        for (const [index, file] of req.files['attachments'].entries()) {
+          const filePath = await storeUpload(file, 'attachments');
           const attachmentResult = await pool.query(
-            `INSERT INTO post_attachments (issue_id, uploaded_by, file_path)
-             VALUES ($1, $2, $3)
-             RETURNING attachment_id, file_path, created_at`,
-            [issueId, userId, filePath]
+            `INSERT INTO post_attachments (issue_id, uploaded_by, file_path, original_filename, mime_type, size_bytes, caption, sort_order)
+             VALUES ($1, $2, $3, $4, $5, $6, $7,
+               (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM post_attachments WHERE issue_id = $1))
+             RETURNING attachment_id, original_filename, mime_type, size_bytes, caption, sort_order, created_at`,
+            [issueId, userId, filePath, originalFilename(file), file.mimetype, file.size, captions[index] ?? null]
           );
           attachments.push(attachmentResult.rows[0]);
         }
       }
 
-      res.json({
+      const updatedIssue = {
         issue_id: issue.issue_id,
         title: issue.title,
         description: issue.description,
         user_id: issue.user_id,
-        group_id: issue.group_id,
+        group_ids: issue.group_ids,
         display_picture_url: issue.display_picture_url,
+        display_picture_variants: issue.display_picture_variants,
         upvote_count: issue.upvote_count,
         comment_count: issue.comment_count,
         posted_at: issue.posted_at,
+        status: issue.status,
+        latitude: issue.latitude,
+        longitude: issue.longitude,
+        address: issue.address,
+        category_id: issue.category_id,
+        tags: issue.tags,
         attachments: attachments
+      };
+
+      await emitEvent(pool, 'issue.updated', { issue: updatedIssue });
+
+      res.json({
+        ...updatedIssue,
+        attachments: withDownloadUrls(attachments, issue, viewerFromToken(req.user))
       });
     } catch (error) {
       console.error("Error updating issue:", error);
       res.status(500).json({ error: "Internal server error" });
+    } finally {
+      // Staged files that were not moved into storage (early returns, errors)
+      await discardUploads(req);
     }
   });
 });
 
-// Get recent feed (issues without group_id, limited data for feed)
-app.get("/issues/feed", authenticateToken, async (req, res) => {
+// Feed of issues (not in groups) and groups, ranked by `sort` (see utils/ranking.js).
+// Both sides are paged on the same cursor key, then merged. `extra` is added to the response.
+const ISSUE_SORT_COLUMNS = { alias: 'i', id: 'issue_id', time: 'posted_at' };
+const GROUP_SORT_COLUMNS = { alias: 'g', id: 'group_id', time: 'created_at' };
+
+const sendFeed = async (req, res, defaultSort, extra = {}) => {
+  let statusFilter;
+  let tagFilter;
+  let sort;
+  let topWindow;
+  let page;
   try {
-    const limit = 20; // Fixed limit for feed
+    statusFilter = parseStatusFilter(req.query.status);
+    tagFilter = parseTagFilter(req.query.tag);
+    sort = parseSort(req.query.sort, defaultSort);
+    topWindow = parseTopWindow(req.query.window);
+    page = parsePageQuery(req.query, sortKeys(sort, ISSUE_SORT_COLUMNS));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const { limit, after } = page;
+    const issueKeyset = sortKeys(sort, ISSUE_SORT_COLUMNS);
+    const groupKeyset = sortKeys(sort, GROUP_SORT_COLUMNS);
+
+    // Fetch issues (not in groups), optionally filtered by status
+    const issueParams = [limit + 1, statusFilter, req.query.category_id || null, tagFilter];
+    const issueConditions = [
+      notInGroupCondition('i'),
+      'i.merged_into IS NULL',
+      '($2::text[] IS NULL OR i.status = ANY($2::text[]))',
+      '($3::uuid IS NULL OR i.category_id IN (SELECT category_descendants($3::uuid)))',
+      `($4::text[] IS NULL OR EXISTS (
+          SELECT 1 FROM issue_tags it JOIN tags t ON it.tag_id = t.tag_id
+          WHERE it.issue_id = i.issue_id AND t.name = ANY($4::text[])
+        ))`
+    ];
+    const issueWindow = topWindowCondition(sort, topWindow, 'i.posted_at');
+    if (issueWindow) {
+      issueConditions.push(issueWindow);
+    }
+    if (after) {
+      issueConditions.push(keysetCondition(issueKeyset, after, issueParams));
+    }
 
-    // Fetch recent issues (not in groups)
     const issuesQuery = `
       SELECT 
         i.issue_id as id, i.title, i.description, i.user_id, 
-        i.display_picture_url, i.upvote_count, i.comment_count, i.posted_at,
+        i.display_picture_url, i.display_picture_variants, i.upvote_count, i.comment_count, i.posted_at, i.status, i.category_id,
+        i.hot_score, i.rising_score,
         u.username, u.full_name,
-        'issue' as item_type
+        'issue' as item_type,
+        ${keysetSelect(issueKeyset)}
       FROM issues i
       JOIN users u ON i.user_id = u.user_id
-      WHERE i.group_id IS NULL
-      ORDER BY i.posted_at DESC 
+      WHERE ${issueConditions.join(' AND ')}
+      ORDER BY ${keysetOrderBy(issueKeyset)}
       LIMIT $1
     `;
 
-    // Fetch recent groups
+    // Fetch groups
+    const groupParams = [limit + 1];
+    const groupConditions = [];
+    const groupWindow = topWindowCondition(sort, topWindow, 'g.created_at');
+    if (groupWindow) {
+      groupConditions.push(groupWindow);
+    }
+    if (after) {
+      groupConditions.push(keysetCondition(groupKeyset, after, groupParams));
+    }
+
     const groupsQuery = `
       SELECT 
         g.group_id as id, g.name as title, g.description, g.owner_id as user_id,
-        g.display_picture_url, g.upvote_count, g.comment_count, g.created_at as posted_at,
+        g.display_picture_url, g.display_picture_variants, g.upvote_count, g.comment_count, g.created_at as posted_at,
+        g.hot_score, g.rising_score,
         u.username, u.full_name,
-        'group' as item_type
+        'group' as item_type,
+        ${keysetSelect(groupKeyset)}
       FROM groups g
-      JOIN users u ON g.owner_id = u.user_id
-      ORDER BY g.created_at DESC 
+      LEFT JOIN users u ON g.owner_id = u.user_id
+      ${groupConditions.length ? `WHERE ${groupConditions.join(' AND ')}` : ''}
+      ORDER BY ${keysetOrderBy(groupKeyset)}
       LIMIT $1
     `;
 
     const [issuesResult, groupsResult] = await Promise.all([
-      pool.query(issuesQuery, [limit]),
-      pool.query(groupsQuery, [limit])
+      pool.query(issuesQuery, issueParams),
+      pool.query(groupsQuery, groupParams)
     ]);
 
-    // Combine and sort by recency
+    // Combine and sort on the shared key
     const combined = [
       ...issuesResult.rows.map(row => ({
         id: row.id,
@@ -1089,10 +1433,16 @@ app.get("/issues/feed", authenticateToken, async (req, res) => {
         username: row.username,
         full_name: row.full_name,
         display_picture_url: row.display_picture_url,
+        display_picture_variants: row.display_picture_variants,
         upvote_count: row.upvote_count,
         comment_count: row.comment_count,
         posted_at: row.posted_at,
-        item_type: 'issue'
+        status: row.status,
+        category_id: row.category_id,
+        hot_score: row.hot_score,
+        rising_score: row.rising_score,
+        item_type: 'issue',
+        page_key: row.page_key
       })),
       ...groupsResult.rows.map(row => ({
         id: row.id,
@@ -1102,142 +1452,330 @@ app.get("/issues/feed", authenticateToken, async (req, res) => {
         username: row.username,
         full_name: row.full_name,
         display_picture_url: row.display_picture_url,
+        display_picture_variants: row.display_picture_variants,
         upvote_count: row.upvote_count,
         comment_count: row.comment_count,
         posted_at: row.posted_at,
-        item_type: 'group'
+        hot_score: row.hot_score,
+        rising_score: row.rising_score,
+        item_type: 'group',
+        page_key: row.page_key
       }))
-    ].sort((a, b) => new Date(b.posted_at) - new Date(a.posted_at))
-      .slice(0, limit);
+    ].sort((a, b) => compareKeys(issueKeyset, a.page_key, b.page_key));
+
+    const { items, next_cursor } = pageOf(combined, limit);
 
     res.json({
-      items: combined,
-      count: combined.length
+      ...extra,
+      items,
+      sort,
+      window: sort === 'top' ? topWindow : undefined,
+      count: items.length,
+      next_cursor
     });
   } catch (error) {
     console.error("Error fetching feed:", error);
     res.status(500).json({ error: "Internal server error" });
   }
+};
+
+// Get recent feed (issues not in any group, limited data for feed); ?sort= defaults to new
+app.get("/issues/feed", authenticateToken, (req, res) => sendFeed(req, res, 'new'));
+
+// Get popular feed; ?sort= defaults to hot (time-decayed, weighted upvotes and comments)
+app.get("/issues/feed/popular", authenticateToken, (req, res) => sendFeed(req, res, 'hot'));
+
+// Preview likely duplicates before posting a new issue
+app.get("/issues/similar", authenticateToken, async (req, res) => {
+  const { title, description, category_id } = req.query;
+
+  if (!title || !title.trim()) {
+    return res.status(400).json({ error: "title is required" });
+  }
+
+  let location;
+  try {
+    location = parseCoordinates(req.query.lat, req.query.lng);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+
+    const similar = await findSimilarIssues(pool, {
+      title: title.trim(),
+      description: description ? description.trim() : null,
+      latitude: location?.latitude ?? null,
+      longitude: location?.longitude ?? null,
+      categoryId: category_id || null,
+      limit
+    });
+
+    res.json({
+      issues: similar,
+      count: similar.length
+    });
+  } catch (error) {
+    console.error("Error finding similar issues:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
 });
 
-// Get popular feed (sorted by upvotes)
-app.get("/issues/feed/popular", authenticateToken, async (req, res) => {
+const NEARBY_KEYS = keyset([['distance_m', 'float8'], ['issue_id', 'uuid']], 'ASC');
+
+// Get issues near a point, ordered by distance
+app.get("/issues/nearby", authenticateToken, async (req, res) => {
+  let location;
+  let statusFilter;
+  let page;
   try {
-    const limit = 20; // Fixed limit for feed
+    location = parseCoordinates(req.query.lat, req.query.lng);
+    statusFilter = parseStatusFilter(req.query.status);
+    page = parsePageQuery(req.query, NEARBY_KEYS, { defaultLimit: 50, maxLimit: 200 });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    // Fetch popular issues (not in groups) sorted by upvote_count
-    const issuesQuery = `
-      SELECT 
-        i.issue_id as id, i.title, i.description, i.user_id, 
-        i.display_picture_url, i.upvote_count, i.comment_count, i.posted_at,
-        u.username, u.full_name,
-        'issue' as item_type
-      FROM issues i
-      JOIN users u ON i.user_id = u.user_id
-      WHERE i.group_id IS NULL
-      ORDER BY i.upvote_count DESC, i.posted_at DESC 
-      LIMIT $1
-    `;
+  if (!location) {
+    return res.status(400).json({ error: "lat and lng are required" });
+  }
 
-    // Fetch popular groups sorted by upvote_count
-    const groupsQuery = `
-      SELECT 
-        g.group_id as id, g.name as title, g.description, g.owner_id as user_id,
-        g.display_picture_url, g.upvote_count, g.comment_count, g.created_at as posted_at,
-        u.username, u.full_name,
-        'group' as item_type
-      FROM groups g
-      JOIN users u ON g.owner_id = u.user_id
-      ORDER BY g.upvote_count DESC, g.created_at DESC 
-      LIMIT $1
-    `;
+  const radius = req.query.radius_m === undefined ? DEFAULT_NEARBY_RADIUS_M : Number(req.query.radius_m);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_M) {
+    return res.status(400).json({ error: `radius_m must be between 0 and ${MAX_NEARBY_RADIUS_M}` });
+  }
 
-    const [issuesResult, groupsResult] = await Promise.all([
-      pool.query(issuesQuery, [limit]),
-      pool.query(groupsQuery, [limit])
-    ]);
+  try {
+    const { limit, after } = page;
+    const { latitude, longitude } = location;
+
+    // Pre-filter with the enclosing bounding box so the location index is used
+    const params = [latitude, longitude, radius];
+    const conditions = [
+      'i.merged_into IS NULL',
+      boundingBoxCondition('i', boundingBoxAround(latitude, longitude, radius), params)
+    ];
+    if (statusFilter) {
+      params.push(statusFilter);
+      conditions.push(`i.status = ANY($${params.length})`);
+    }
+    const outerConditions = ['distance_m <= $3'];
+    if (after) {
+      outerConditions.push(keysetCondition(NEARBY_KEYS, after, params));
+    }
+    params.push(limit + 1);
 
-    // Combine and sort by popularity (upvote_count)
-    const combined = [
-      ...issuesResult.rows.map(row => ({
-        id: row.id,
-        title: row.title,
-        description: row.description,
-        user_id: row.user_id,
-        username: row.username,
-        full_name: row.full_name,
-        display_picture_url: row.display_picture_url,
-        upvote_count: row.upvote_count,
-        comment_count: row.comment_count,
-        posted_at: row.posted_at,
-        item_type: 'issue'
-      })),
-      ...groupsResult.rows.map(row => ({
-        id: row.id,
-        title: row.title,
-        description: row.description,
-        user_id: row.user_id,
-        username: row.username,
-        full_name: row.full_name,
-        display_picture_url: row.display_picture_url,
-        upvote_count: row.upvote_count,
-        comment_count: row.comment_count,
-        posted_at: row.posted_at,
-        item_type: 'group'
-      }))
-    ].sort((a, b) => {
-      // Primary sort: upvote_count (descending)
-      if (b.upvote_count !== a.upvote_count) {
-        return b.upvote_count - a.upvote_count;
-      }
-      // Secondary sort: posted_at (descending) for tie-breaking
-      return new Date(b.posted_at) - new Date(a.posted_at);
-    })
-      .slice(0, limit);
+    const result = await pool.query(
+      `SELECT *, ${keysetSelect(NEARBY_KEYS)} FROM (
+         SELECT 
+           i.issue_id, i.title, i.description, i.user_id, ${groupIdsSelect('i')},
+           i.display_picture_url, i.display_picture_variants, i.upvote_count, i.comment_count, i.posted_at, i.status,
+           i.latitude, i.longitude, i.address,
+           u.username, u.full_name,
+           distance_meters($1, $2, i.latitude, i.longitude) as distance_m
+         FROM issues i
+         JOIN users u ON i.user_id = u.user_id
+         WHERE ${conditions.join(' AND ')}
+       ) nearby
+       WHERE ${outerConditions.join(' AND ')}
+       ORDER BY ${keysetOrderBy(NEARBY_KEYS)}
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const { items, next_cursor } = pageOf(result.rows, limit);
 
     res.json({
-      items: combined,
-      count: combined.length
+      issues: items,
+      center: { latitude, longitude },
+      radius_m: radius,
+      count: items.length,
+      next_cursor
+    });
+  } catch (error) {
+    console.error("Error fetching nearby issues:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Issue lists are newest first; issue_id breaks ties between issues posted at the same time
+const ISSUE_KEYS = keyset([['i.posted_at', 'timestamptz'], ['i.issue_id', 'uuid']]);
+
+// Export geolocated issues as a GeoJSON FeatureCollection for map clients
+app.get("/issues.geojson", authenticateToken, async (req, res) => {
+  let statusFilter;
+  let bbox;
+  let page;
+  try {
+    statusFilter = parseStatusFilter(req.query.status);
+    bbox = parseBoundingBox(req.query.bbox);
+    page = parsePageQuery(req.query, ISSUE_KEYS, { defaultLimit: 500, maxLimit: 2000 });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const { limit, after } = page;
+
+    const params = [];
+    const conditions = ['i.latitude IS NOT NULL', 'i.merged_into IS NULL'];
+    if (req.query.group_id) {
+      params.push(req.query.group_id);
+      conditions.push(inGroupCondition('i', `$${params.length}`));
+    }
+    if (statusFilter) {
+      params.push(statusFilter);
+      conditions.push(`i.status = ANY($${params.length})`);
+    }
+    if (bbox) {
+      conditions.push(boundingBoxCondition('i', bbox, params));
+    }
+    if (after) {
+      conditions.push(keysetCondition(ISSUE_KEYS, after, params));
+    }
+    params.push(limit + 1);
+
+    const result = await pool.query(
+      `SELECT 
+        i.issue_id, i.title, i.user_id, ${groupIdsSelect('i')}, i.display_picture_url, i.display_picture_variants,
+        i.upvote_count, i.comment_count, i.posted_at, i.status,
+        i.latitude, i.longitude, i.address,
+        ${keysetSelect(ISSUE_KEYS)}
+      FROM issues i
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${keysetOrderBy(ISSUE_KEYS)}
+      LIMIT $${params.length}`,
+      params
+    );
+
+    const { items, next_cursor } = pageOf(result.rows, limit);
+
+    res.type('application/geo+json').json({
+      type: 'FeatureCollection',
+      // Foreign member: cursor for the next batch of features
+      next_cursor,
+      features: items.map(row => ({
+        type: 'Feature',
+        id: row.issue_id,
+        // GeoJSON positions are [longitude, latitude]
+        geometry: {
+          type: 'Point',
+          coordinates: [row.longitude, row.latitude]
+        },
+        properties: {
+          issue_id: row.issue_id,
+          title: row.title,
+          user_id: row.user_id,
+          group_ids: row.group_ids,
+          display_picture_url: row.display_picture_url,
+          display_picture_variants: row.display_picture_variants,
+          upvote_count: row.upvote_count,
+          comment_count: row.comment_count,
+          posted_at: row.posted_at,
+          status: row.status,
+          address: row.address
+        }
+      }))
     });
   } catch (error) {
-    console.error("Error fetching popular feed:", error);
+    console.error("Error exporting issues as GeoJSON:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all issues with pagination
+// Get all issues with cursor pagination (?cursor=&limit=), ranked by ?sort= (default new)
 app.get("/issues", authenticateToken, async (req, res) => {
+  let statusFilter;
+  let bbox;
+  let tagFilter;
+  let sort;
+  let topWindow;
+  let issueKeys;
+  let page;
+  try {
+    statusFilter = parseStatusFilter(req.query.status);
+    bbox = parseBoundingBox(req.query.bbox);
+    tagFilter = parseTagFilter(req.query.tag);
+    sort = parseSort(req.query.sort);
+    topWindow = parseTopWindow(req.query.window);
+    issueKeys = sortKeys(sort, ISSUE_SORT_COLUMNS);
+    page = parsePageQuery(req.query, issueKeys);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
   try {
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = parseInt(req.query.offset) || 0;
+    const { limit, after } = page;
     const groupId = req.query.group_id;
 
     let query = `
       SELECT 
-        i.issue_id, i.title, i.description, i.user_id, i.group_id,
-        i.display_picture_url, i.upvote_count, i.comment_count, i.posted_at,
+        i.issue_id, i.title, i.description, i.user_id, ${groupIdsSelect('i')},
+        i.display_picture_url, i.display_picture_variants, i.upvote_count, i.comment_count, i.posted_at, i.status,
+        i.latitude, i.longitude, i.address,
+        i.category_id, c.name as category_name,
+        i.hot_score, i.rising_score,
         u.username, u.full_name,
-        (SELECT COUNT(*) FROM post_attachments WHERE issue_id = i.issue_id) as attachment_count
+        (SELECT COUNT(*) FROM post_attachments WHERE issue_id = i.issue_id) as attachment_count,
+        ARRAY(SELECT t.name FROM issue_tags it JOIN tags t ON it.tag_id = t.tag_id
+              WHERE it.issue_id = i.issue_id ORDER BY t.name) as tags,
+        ${keysetSelect(issueKeys)}
       FROM issues i
       JOIN users u ON i.user_id = u.user_id
+      LEFT JOIN categories c ON i.category_id = c.category_id
     `;
 
+    // Build dynamic filters (merged issues are tombstones and never listed)
+    const conditions = ['i.merged_into IS NULL'];
     const params = [];
     if (groupId) {
-      query += ` WHERE i.group_id = $1`;
       params.push(groupId);
+      conditions.push(inGroupCondition('i', `$${params.length}`));
+    }
+    if (statusFilter) {
+      params.push(statusFilter);
+      conditions.push(`i.status = ANY($${params.length})`);
+    }
+    if (bbox) {
+      conditions.push(boundingBoxCondition('i', bbox, params));
+    }
+    if (req.query.category_id) {
+      // Filtering by a parent category includes its subcategories
+      params.push(req.query.category_id);
+      conditions.push(`i.category_id IN (SELECT category_descendants($${params.length}))`);
+    }
+    if (tagFilter) {
+      params.push(tagFilter);
+      conditions.push(`EXISTS (
+        SELECT 1 FROM issue_tags it JOIN tags t ON it.tag_id = t.tag_id
+        WHERE it.issue_id = i.issue_id AND t.name = ANY($${params.length})
+      )`);
+    }
+
+    const windowCondition = topWindowCondition(sort, topWindow, 'i.posted_at');
+    if (windowCondition) {
+      conditions.push(windowCondition);
+    }
+    if (after) {
+      conditions.push(keysetCondition(issueKeys, after, params));
     }
 
-    query += ` ORDER BY i.posted_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(limit, offset);
+    query += ` WHERE ${conditions.join(' AND ')}`;
+
+    params.push(limit + 1);
+    query += ` ORDER BY ${keysetOrderBy(issueKeys)} LIMIT $${params.length}`;
 
     const result = await pool.query(query, params);
+    const { items, next_cursor } = pageOf(result.rows, limit);
 
     res.json({
-      issues: result.rows,
+      issues: items,
+      sort,
+      window: sort === 'top' ? topWindow : undefined,
       limit,
-      offset,
-      count: result.rows.length
+      count: items.length,
+      next_cursor
     });
   } catch (error) {
     console.error("Error fetching issues:", error);
@@ -1253,11 +1791,16 @@ app.get("/issues/:id", authenticateToken, async (req, res) => {
     // Get issue details
     const issueResult = await pool.query(
       `SELECT 
-        i.issue_id, i.title, i.description, i.user_id, i.group_id,
-        i.display_picture_url, i.upvote_count, i.comment_count, i.posted_at,
-        u.username, u.full_name, u.profile_picture_url
+        i.issue_id, i.title, i.description, i.user_id,
+        i.display_picture_url, i.display_picture_variants, i.upvote_count, i.comment_count, i.posted_at,
+        i.status, i.status_updated_at, i.latitude, i.longitude, i.address,
+        i.category_id, c.name as category_name, i.merged_into,
+        ARRAY(SELECT t.name FROM issue_tags it JOIN tags t ON it.tag_id = t.tag_id
+              WHERE it.issue_id = i.issue_id ORDER BY t.name) as tags,
+        u.username, u.full_name, u.profile_picture_url, u.profile_picture_variants
       FROM issues i
       JOIN users u ON i.user_id = u.user_id
+      LEFT JOIN categories c ON i.category_id = c.category_id
       WHERE i.issue_id = $1`,
       [id]
     );
@@ -1268,12 +1811,25 @@ app.get("/issues/:id", authenticateToken, async (req, res) => {
 
     const issue = issueResult.rows[0];
 
+    // Merged issues are tombstones; send clients to the canonical issue
+    if (issue.merged_into) {
+      return res
+        .status(301)
+        .location(`/issues/${issue.merged_into}`)
+        .json({
+          issue_id: issue.issue_id,
+          merged_into: issue.merged_into,
+          message: "This issue was merged into another issue"
+        });
+    }
+
     // Get attachments
     const attachmentsResult = await pool.query(
-      `SELECT attachment_id, file_path, created_at, uploaded_by
+      `SELECT attachment_id, original_filename, mime_type, size_bytes, caption, sort_order,
+              created_at, uploaded_by
        FROM post_attachments
        WHERE issue_id = $1
-       ORDER BY created_at ASC`,
+       ORDER BY sort_order ASC, created_at ASC`,
       [id]
     );
 
@@ -1283,6 +1839,16 @@ app.get("/issues/:id", authenticateToken, async (req, res) => {
       [id]
     );
 
+    // Groups the issue is in, in the order it joined them
+    const groupsResult = await pool.query(
+      `SELECT g.group_id, g.name
+       FROM group_issues gi
+       JOIN groups g ON gi.group_id = g.group_id
+       WHERE gi.issue_id = $1
+       ORDER BY gi.added_at, g.group_id`,
+      [id]
+    );
+
     res.json({
       issue_id: issue.issue_id,
       title: issue.title,
@@ -1291,12 +1857,22 @@ app.get("/issues/:id", authenticateToken, async (req, res) => {
       username: issue.username,
       full_name: issue.full_name,
       profile_picture_url: issue.profile_picture_url,
-      group_id: issue.group_id,
+      profile_picture_variants: issue.profile_picture_variants,
+      groups: groupsResult.rows,
       display_picture_url: issue.display_picture_url,
+      display_picture_variants: issue.display_picture_variants,
       upvote_count: issue.upvote_count,
       comment_count: parseInt(commentsResult.rows[0].count),
       posted_at: issue.posted_at,
-      attachments: attachmentsResult.rows
+      status: issue.status,
+      status_updated_at: issue.status_updated_at,
+      latitude: issue.latitude,
+      longitude: issue.longitude,
+      address: issue.address,
+      category_id: issue.category_id,
+      category_name: issue.category_name,
+      tags: issue.tags,
+      attachments: withDownloadUrls(attachmentsResult.rows, issue, viewerFromToken(req.user))
     });
   } catch (error) {
     console.error("Error fetching issue:", error);
@@ -1304,408 +1880,603 @@ app.get("/issues/:id", authenticateToken, async (req, res) => {
   }
 });
 
-// Update issue upvote count (toggle upvote)
-app.post("/issues/:id/upvote", authenticateToken, async (req, res) => {
+// Change an issue's status (issue owner, group owner, official roles, or admins)
+app.put("/issues/:id/status", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.userId;
+    const { status, note } = req.body;
+    const userId = req.user.userId || null;
+    const adminId = req.user.adminId || null;
 
-    // Use stored procedure to toggle upvote atomically
-    const result = await pool.query(
-      `SELECT * FROM toggle_issue_upvote($1, $2)`,
+    if (!status || !isValidStatus(status)) {
+      return res.status(400).json({ error: "A valid status is required" });
+    }
+
+    // Get the issue, whether the caller owns one of its groups and the caller's role flag
+    const issueResult = await pool.query(
+      `SELECT i.issue_id, i.user_id, i.status, i.merged_into,
+              EXISTS (SELECT 1 FROM group_issues gi JOIN groups g ON gi.group_id = g.group_id
+                      WHERE gi.issue_id = i.issue_id AND g.owner_id = $2) as owns_group,
+              (SELECT r.is_official FROM users u JOIN roles r ON u.role_id = r.role_id
+               WHERE u.user_id = $2) as is_official
+       FROM issues i
+       WHERE i.issue_id = $1`,
       [id, userId]
     );
 
-    if (result.rows.length > 0) {
-      const { upvoted, upvote_count } = result.rows[0];
-      res.json({ upvoted, upvote_count });
-    } else {
-      res.status(404).json({ error: "Issue not found" });
+    if (issueResult.rows.length === 0) {
+      return res.status(404).json({ error: "Issue not found" });
     }
-  } catch (error) {
-    console.error("Error toggling upvote:", error);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
 
-// Get users who upvoted an issue
-app.get("/issues/:id/upvotes", authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
+    const issue = issueResult.rows[0];
+
+    // Check authorization
+    const canChange = Boolean(adminId)
+      || (userId && issue.user_id === userId)
+      || (userId && issue.owns_group)
+      || issue.is_official === true;
+
+    if (!canChange) {
+      return res.status(403).json({ error: "Not authorized to change this issue's status" });
+    }
+
+    if (issue.merged_into) {
+      return res.status(409).json({ error: "Issue has been merged", merged_into: issue.merged_into });
+    }
+
+    if (issue.status === status) {
+      return res.status(400).json({ error: `Issue is already ${status}` });
+    }
 
+    if (!canTransition(issue.status, status)) {
+      return res.status(400).json({
+        error: `Cannot change status from '${issue.status}' to '${status}'`,
+        allowed: allowedTransitions(issue.status)
+      });
+    }
+
+    // Use stored procedure to update the status and record history atomically
     const result = await pool.query(
-      `SELECT u.user_id, u.username, u.full_name, u.email, iu.made_at
-       FROM issue_upvotes iu
-       JOIN users u ON iu.user_id = u.user_id
-       WHERE iu.issue_id = $1
-       ORDER BY iu.made_at DESC`,
-      [id]
+      `SELECT * FROM change_issue_status($1, $2, $3, $4, $5)`,
+      [id, status, userId, adminId, note ? String(note).trim() : null]
     );
 
+    const history = result.rows[0];
+
+    await emitEvent(pool, 'issue.status_changed', {
+      issue_id: history.issue_id,
+      status: history.new_status,
+      previous_status: history.old_status,
+      note: history.note,
+      changed_at: history.changed_at
+    });
+
     res.json({
-      upvotes: result.rows.map(row => ({
-        user_id: row.user_id,
-        username: row.username,
-        full_name: row.full_name,
-        email: row.email,
-        upvoted_at: row.made_at
-      }))
+      issue_id: history.issue_id,
+      status: history.new_status,
+      previous_status: history.old_status,
+      history
     });
   } catch (error) {
-    console.error("Error fetching upvotes:", error);
+    // change_issue_status re-checks the transition under a row lock (IS409): the status
+    // changed since it was read above
+    if (error.code === 'IS409') {
+      return res.status(409).json({ error: "The issue's status has changed, reload it and try again" });
+    }
+    console.error("Error changing issue status:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// ============ COMMENT ROUTES ============
+// Merge a duplicate issue into a canonical issue (admins, or the owner of the issues' groups)
+app.post("/issues/:id/merge", authenticateToken, async (req, res) => {
+  try {
+    const sourceId = req.params.id;
+    const { into_issue_id: targetId } = req.body;
+    const userId = req.user.userId || null;
+    const adminId = req.user.adminId || null;
 
-// Get comments for an issue
-app.get("/issues/:id/comments", authenticateToken, async (req, res) => {
+    if (!targetId) {
+      return res.status(400).json({ error: "into_issue_id is required" });
+    }
+
+    if (targetId === sourceId) {
+      return res.status(400).json({ error: "An issue cannot be merged into itself" });
+    }
+
+    const issuesResult = await pool.query(
+      `SELECT i.issue_id, i.merged_into,
+              EXISTS (SELECT 1 FROM group_issues gi JOIN groups g ON gi.group_id = g.group_id
+                      WHERE gi.issue_id = i.issue_id AND g.owner_id = $2) as owns_group
+       FROM issues i
+       WHERE i.issue_id = ANY($1)`,
+      [[sourceId, targetId], userId]
+    );
+
+    const source = issuesResult.rows.find(row => row.issue_id === sourceId);
+    const target = issuesResult.rows.find(row => row.issue_id === targetId);
+
+    if (!source || !target) {
+      return res.status(404).json({ error: "Issue not found" });
+    }
+
+    if (source.merged_into || target.merged_into) {
+      return res.status(400).json({ error: "Issues that were already merged cannot be merged again" });
+    }
+
+    // Check authorization: admins, or a user who owns a group of each issue
+    const ownsBothGroups = Boolean(userId) && source.owns_group && target.owns_group;
+
+    if (!adminId && !ownsBothGroups) {
+      return res.status(403).json({ error: "Only admins or the owner of both issues' groups can merge issues" });
+    }
+
+    // Use stored procedure to move everything over in one transaction
+    const result = await pool.query(
+      `SELECT * FROM merge_issues($1, $2, $3, $4)`,
+      [sourceId, targetId, userId, adminId]
+    );
+
+    await emitEvent(pool, 'issue.merged', { issue_id: sourceId, merged_into: targetId });
+
+    res.json({
+      message: "Issues merged successfully",
+      ...result.rows[0]
+    });
+  } catch (error) {
+    console.error("Error merging issues:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the status history of an issue
+app.get("/issues/:id/status-history", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
+    const issueCheck = await pool.query(
+      "SELECT status FROM issues WHERE issue_id = $1",
+      [id]
+    );
+
+    if (issueCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Issue not found" });
+    }
+
     const result = await pool.query(
-      `SELECT c.comment_id, c.issue_id, c.user_id, c.content, c.posted_at,
-              u.username, u.full_name
-       FROM comments c
-       JOIN users u ON c.user_id = u.user_id
-       WHERE c.issue_id = $1
-       ORDER BY c.posted_at ASC`,
+      `SELECT h.history_id, h.old_status, h.new_status, h.note, h.changed_at,
+              h.changed_by, u.username, u.full_name, h.changed_by_admin
+       FROM issue_status_history h
+       LEFT JOIN users u ON h.changed_by = u.user_id
+       WHERE h.issue_id = $1
+       ORDER BY h.changed_at ASC`,
       [id]
     );
 
     res.json({
-      comments: result.rows.map(row => ({
-        comment_id: row.comment_id,
-        issue_id: row.issue_id,
-        user_id: row.user_id,
-        username: row.username,
-        full_name: row.full_name,
-        content: row.content,
-        posted_at: row.posted_at
-      }))
+      issue_id: id,
+      status: issueCheck.rows[0].status,
+      history: result.rows
     });
   } catch (error) {
-    console.error("Error fetching comments:", error);
+    console.error("Error fetching issue status history:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Add a comment to an issue
-app.post("/issues/:id/comments", authenticateToken, async (req, res) => {
+// Get an issue's attachments
+app.get("/issues/:id/attachments", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { content } = req.body;
-    const userId = req.user.userId;
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: "Comment content is required" });
+    const issueCheck = await pool.query("SELECT issue_id, user_id, status FROM issues WHERE issue_id = $1", [id]);
+    if (issueCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Issue not found" });
     }
 
-    // Insert comment (trigger will automatically update comment_count)
     const result = await pool.query(
-      `INSERT INTO comments (issue_id, user_id, content)
-       VALUES ($1, $2, $3)
-       RETURNING comment_id, issue_id, user_id, content, posted_at`,
-      [id, userId, content.trim()]
-    );
-
-    // Get user info
-    const userResult = await pool.query(
-      `SELECT username, full_name FROM users WHERE user_id = $1`,
-      [userId]
+      `SELECT attachment_id, original_filename, mime_type, size_bytes, caption, sort_order,
+              created_at, uploaded_by
+       FROM post_attachments
+       WHERE issue_id = $1
+       ORDER BY sort_order ASC, created_at ASC`,
+      [id]
     );
 
-    const comment = result.rows[0];
-    const user = userResult.rows[0];
-
-    res.status(201).json({
-      comment_id: comment.comment_id,
-      issue_id: comment.issue_id,
-      user_id: comment.user_id,
-      username: user.username,
-      full_name: user.full_name,
-      content: comment.content,
-      posted_at: comment.posted_at
-    });
+    res.json({ attachments: withDownloadUrls(result.rows, issueCheck.rows[0], viewerFromToken(req.user)) });
   } catch (error) {
-    console.error("Error adding comment:", error);
+    console.error("Error fetching attachments:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Delete an issue
-app.delete("/issues/:id", authenticateToken, async (req, res) => {
+// Attach a completed resumable upload to an issue (issue owner)
+// Body: { upload_id, caption }
+app.post("/issues/:id/attachments", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
+    const { upload_id } = req.body;
     const userId = req.user.userId;
 
-    // Check if issue exists and verify ownership
-    const ownerCheck = await pool.query(
-      "SELECT user_id FROM issues WHERE issue_id = $1",
+    if (!upload_id) {
+      return res.status(400).json({ error: "upload_id is required" });
+    }
+
+    let caption;
+    try {
+      caption = normalizeCaption(req.body.caption);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const issueCheck = await pool.query(
+      "SELECT issue_id, user_id, status, merged_into FROM issues WHERE issue_id = $1",
       [id]
     );
-
-    if (ownerCheck.rows.length === 0) {
+    if (issueCheck.rows.length === 0) {
       return res.status(404).json({ error: "Issue not found" });
     }
 
-    if (ownerCheck.rows[0].user_id !== userId) {
-      return res.status(403).json({ error: "You can only delete your own issues" });
+    const issue = issueCheck.rows[0];
+    if (issue.user_id !== userId) {
+      return res.status(403).json({ error: "Only the issue owner can add attachments" });
+    }
+    if (issue.merged_into) {
+      return res.status(409).json({ error: "Issue has been merged", merged_into: issue.merged_into });
     }
 
-    // Delete the issue (cascade will handle comments, upvotes, attachments)
-    await pool.query("DELETE FROM issues WHERE issue_id = $1", [id]);
+    // Claim the upload so a retried request cannot attach it twice
+    const claimed = await pool.query(
+      `UPDATE resumable_uploads SET status = 'attached', updated_at = NOW()
+       WHERE upload_id = $1 AND user_id = $2 AND status = 'completed'
+       RETURNING upload_id, original_filename, size_bytes, mime_type`,
+      [upload_id, userId]
+    );
 
-    res.json({ message: "Issue deleted successfully" });
+    if (claimed.rows.length === 0) {
+      const uploadCheck = await getOwnResumableUpload(upload_id, userId);
+      if (!uploadCheck) {
+        return res.status(404).json({ error: "Upload not found" });
+      }
+      return res.status(409).json(uploadCheck.status === 'attached'
+        ? { error: "Upload is already attached", code: "UPLOAD_ALREADY_ATTACHED", attachment_id: uploadCheck.attachment_id }
+        : { error: "Upload is not complete", code: "UPLOAD_INCOMPLETE", received_bytes: Number(uploadCheck.received_bytes) });
+    }
+
+    const upload = claimed.rows[0];
+    const filename = `attachment-${Date.now()}-${Math.round(Math.random() * 1E9)}${FILE_EXTENSIONS[upload.mime_type] || ''}`;
+
+    let publicUrl = null;
+    try {
+      publicUrl = await storeFile(resumablePath(upload.upload_id), `attachments/${filename}`);
+
+      const attachmentResult = await pool.query(
+        `INSERT INTO post_attachments (issue_id, uploaded_by, file_path, original_filename, mime_type, size_bytes, caption, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7,
+           (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM post_attachments WHERE issue_id = $1))
+         RETURNING attachment_id, original_filename, mime_type, size_bytes, caption, sort_order, created_at, uploaded_by`,
+        [id, userId, publicUrl, upload.original_filename, upload.mime_type, upload.size_bytes, caption]
+      );
+      const attachment = attachmentResult.rows[0];
+
+      await pool.query(
+        "UPDATE resumable_uploads SET attachment_id = $2 WHERE upload_id = $1",
+        [upload.upload_id, attachment.attachment_id]
+      );
+
+      res.status(201).json(withDownloadUrls([attachment], issue, viewerFromToken(req.user))[0]);
+    } catch (attachError) {
+      // The partial file may already have moved into storage, so the upload cannot be retried
+      if (publicUrl) await removeStoredFile(publicUrl);
+      await discardResumableUpload(pool, upload.upload_id);
+      throw attachError;
+    }
   } catch (error) {
-    console.error("Error deleting issue:", error);
+    console.error("Error attaching upload:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Reorder an issue's attachments (issue owner or admins)
+// Body: { order: [attachment_id, ...] } listing every attachment of the issue
+app.patch("/issues/:id/attachments", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { order } = req.body;
+    const userId = req.user.userId || null;
+    const adminId = req.user.adminId || null;
 
+    if (!Array.isArray(order) || order.length === 0) {
+      return res.status(400).json({ error: "order must be a non-empty array of attachment ids" });
+    }
 
-// ============ GROUP ROUTES ============
+    const issueCheck = await pool.query("SELECT user_id FROM issues WHERE issue_id = $1", [id]);
+    if (issueCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Issue not found" });
+    }
 
-// Create a new group with optional display picture
-app.post("/groups", authenticateToken, (req, res) => {
-  uploadIssueFiles(req, res, async (err) => {
-    if (err) {
-      console.error("Upload error:", err);
-      return res.status(400).json({ error: err.message });
+    if (!adminId && issueCheck.rows[0].user_id !== userId) {
+      return res.status(403).json({ error: "Only the issue owner can reorder attachments" });
     }
 
-    try {
-      const { name, description } = req.body;
-      const userId = req.user.userId;
+    const existing = await pool.query(
+      "SELECT attachment_id FROM post_attachments WHERE issue_id = $1",
+      [id]
+    );
+    const existingIds = existing.rows.map(row => row.attachment_id);
 
-      if (!name) {
-        return res.status(400).json({ error: "Name is required" });
-      }
+    const sameSet = order.length === existingIds.length
+      && new Set(order).size === order.length
+      && order.every(attachmentId => existingIds.includes(attachmentId));
+    if (!sameSet) {
+      return res.status(400).json({ error: "order must list each of the issue's attachments exactly once" });
+    }
 
-      // Get display picture path if uploaded
-      let displayPictureUrl = null;
-      if (req.files && req.files['display_picture'] && req.files['display_picture'][0]) {
-        const file = req.files['display_picture'][0];
-        displayPictureUrl = `/uploads/issues/${file.filename}`;
-      }
+    const result = await pool.query(
+      `UPDATE post_attachments pa
+       SET sort_order = ordered.position - 1
+       FROM unnest($2::uuid[]) WITH ORDINALITY as ordered(attachment_id, position)
+       WHERE pa.attachment_id = ordered.attachment_id AND pa.issue_id = $1
+       RETURNING pa.attachment_id, pa.original_filename, pa.mime_type, pa.size_bytes,
+                 pa.caption, pa.sort_order, pa.created_at, pa.uploaded_by`,
+      [id, order]
+    );
 
-      // Insert group
-      const result = await pool.query(
-        `INSERT INTO groups (name, description, owner_id, display_picture_url, upvote_count, comment_count)
-         VALUES ($1, $2, $3, $4, 0, 0)
-         RETURNING group_id, name, description, owner_id, display_picture_url, upvote_count, comment_count, created_at`,
-        [name, description || null, userId, displayPictureUrl]
-      );
+    res.json({ attachments: result.rows.sort((a, b) => a.sort_order - b.sort_order) });
+  } catch (error) {
+    console.error("Error reordering attachments:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-      const group = result.rows[0];
+// Update an attachment's caption and/or position (issue owner, the uploader, or admins)
+app.patch("/issues/:id/attachments/:attachmentId", authenticateToken, async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+    const { caption, sort_order } = req.body;
+    const userId = req.user.userId || null;
+    const adminId = req.user.adminId || null;
+
+    const attachmentResult = await pool.query(
+      `SELECT pa.uploaded_by, i.user_id as issue_owner_id
+       FROM post_attachments pa
+       JOIN issues i ON pa.issue_id = i.issue_id
+       WHERE pa.attachment_id = $1 AND pa.issue_id = $2`,
+      [attachmentId, id]
+    );
 
-      res.status(201).json({
-        group_id: group.group_id,
-        name: group.name,
-        description: group.description,
-        owner_id: group.owner_id,
-        display_picture_url: group.display_picture_url,
-        upvote_count: group.upvote_count,
-        comment_count: group.comment_count,
-        created_at: group.created_at
-      });
-    } catch (error) {
-      console.error("Error creating group:", error);
-      res.status(500).json({ error: "Internal server error" });
+    if (attachmentResult.rows.length === 0) {
+      return res.status(404).json({ error: "Attachment not found" });
     }
-  });
-});
 
-// Edit a group
-app.put("/groups/:id", authenticateToken, (req, res) => {
-  uploadIssueFiles(req, res, async (err) => {
-    if (err) {
-      console.error("Upload error:", err);
-      return res.status(400).json({ error: err.message });
+    const attachment = attachmentResult.rows[0];
+    if (!adminId && attachment.issue_owner_id !== userId && attachment.uploaded_by !== userId) {
+      return res.status(403).json({ error: "Not authorized to edit this attachment" });
     }
 
-    try {
-      const groupId = req.params.id;
-      const { name, description } = req.body;
-      const userId = req.user.userId;
+    const updates = [];
+    const params = [];
 
-      if (!name) {
-        return res.status(400).json({ error: "Name is required" });
+    if (caption !== undefined) {
+      try {
+        params.push(normalizeCaption(caption));
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
       }
+      updates.push(`caption = $${params.length}`);
+    }
 
-      // Check if user owns the group
-      const ownerCheck = await pool.query(
-        "SELECT owner_id FROM groups WHERE group_id = $1",
-        [groupId]
-      );
-
-      if (ownerCheck.rows.length === 0) {
-        return res.status(404).json({ error: "Group not found" });
+    if (sort_order !== undefined) {
+      if (!Number.isInteger(sort_order) || sort_order < 0) {
+        return res.status(400).json({ error: "sort_order must be a non-negative integer" });
       }
+      params.push(sort_order);
+      updates.push(`sort_order = $${params.length}`);
+    }
 
-      if (ownerCheck.rows[0].owner_id !== userId) {
-        return res.status(403).json({ error: "You can only edit your own groups" });
-      }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
 
-      // Get new display picture path if uploaded
-      let displayPictureUrl = undefined;
-      if (req.files && req.files['display_picture'] && req.files['display_picture'][0]) {
-        const file = req.files['display_picture'][0];
-        displayPictureUrl = `/uploads/issues/${file.filename}`;
-      }
+    params.push(attachmentId);
+    const result = await pool.query(
+      `UPDATE post_attachments SET ${updates.join(', ')}
+       WHERE attachment_id = $${params.length}
+       RETURNING attachment_id, original_filename, mime_type, size_bytes, caption, sort_order,
+                 created_at, uploaded_by`,
+      params
+    );
 
-      // Update group
-      const updateQuery = displayPictureUrl
-        ? `UPDATE groups SET name = $1, description = $2, display_picture_url = $3 WHERE group_id = $4 
-           RETURNING group_id, name, description, owner_id, display_picture_url, upvote_count, comment_count, created_at`
-        : `UPDATE groups SET name = $1, description = $2 WHERE group_id = $3 
-           RETURNING group_id, name, description, owner_id, display_picture_url, upvote_count, comment_count, created_at`;
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Error updating attachment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-      const params = displayPictureUrl ? [name, description, displayPictureUrl, groupId] : [name, description, groupId];
-      const result = await pool.query(updateQuery, params);
-      const group = result.rows[0];
+// Delete a single attachment and its file (issue owner, the uploader, or admins)
+app.delete("/issues/:id/attachments/:attachmentId", authenticateToken, async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+    const userId = req.user.userId || null;
+    const adminId = req.user.adminId || null;
+
+    const attachmentResult = await pool.query(
+      `SELECT pa.uploaded_by, i.user_id as issue_owner_id
+       FROM post_attachments pa
+       JOIN issues i ON pa.issue_id = i.issue_id
+       WHERE pa.attachment_id = $1 AND pa.issue_id = $2`,
+      [attachmentId, id]
+    );
 
-      res.json({
-        group_id: group.group_id,
-        name: group.name,
-        description: group.description,
-        owner_id: group.owner_id,
-        display_picture_url: group.display_picture_url,
-        upvote_count: group.upvote_count,
-        comment_count: group.comment_count,
-        created_at: group.created_at
-      });
-    } catch (error) {
-      console.error("Error updating group:", error);
-      res.status(500).json({ error: "Internal server error" });
+    if (attachmentResult.rows.length === 0) {
+      return res.status(404).json({ error: "Attachment not found" });
     }
-  });
-});
 
-// Get all groups with pagination
-app.get("/groups", authenticateToken, async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = parseInt(req.query.offset) || 0;
+    const attachment = attachmentResult.rows[0];
+    if (!adminId && attachment.issue_owner_id !== userId && attachment.uploaded_by !== userId) {
+      return res.status(403).json({ error: "Not authorized to delete this attachment" });
+    }
 
-    const result = await pool.query(
-      `SELECT 
-        g.group_id, g.name, g.description, g.owner_id, g.display_picture_url,
-        g.upvote_count, g.comment_count, g.created_at, g.issue_count,
-        u.username, u.full_name
-       FROM groups g
-       JOIN users u ON g.owner_id = u.user_id
-       ORDER BY g.created_at DESC 
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
-    );
+    // Use stored function; it returns the file path so the file can be removed
+    const result = await pool.query("SELECT delete_attachment($1) as file_path", [attachmentId]);
+    await removeStoredFile(result.rows[0].file_path);
 
-    res.json({
-      groups: result.rows,
-      limit,
-      offset,
-      count: result.rows.length
-    });
+    res.json({ message: "Attachment deleted successfully", attachment_id: attachmentId });
   } catch (error) {
-    console.error("Error fetching groups:", error);
+    console.error("Error deleting attachment:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get a single group by ID with issues
-app.get("/groups/:id", authenticateToken, async (req, res) => {
+// Download an attachment. Accepts a signed URL (from an attachment's download_url) or an
+// Authorization header, and checks the attachment is still visible to that viewer.
+app.get("/issues/:id/attachments/:attachmentId/download", async (req, res) => {
   try {
-    const { id } = req.params;
+    const { id, attachmentId } = req.params;
 
-    // Get group details
-    const groupResult = await pool.query(
-      `SELECT 
-        g.group_id, g.name, g.description, g.owner_id, g.display_picture_url,
-        g.upvote_count, g.comment_count, g.created_at,
-        u.username, u.full_name, u.profile_picture_url
-       FROM groups g
-       JOIN users u ON g.owner_id = u.user_id
-       WHERE g.group_id = $1`,
-      [id]
+    let viewer;
+    if (req.query.signature) {
+      viewer = verifyAttachmentSignature(id, attachmentId, req.query);
+      if (!viewer) {
+        return res.status(403).json({ error: "Invalid or expired download link" });
+      }
+    } else {
+      const token = req.headers['authorization']?.split(' ')[1];
+      viewer = viewerFromToken(token ? verifyToken(token) : null);
+      if (!viewer) {
+        return res.status(401).json({ error: "Access token or signed download link required" });
+      }
+    }
+
+    const result = await pool.query(
+      `SELECT pa.file_path, pa.original_filename, pa.size_bytes, pa.uploaded_by,
+              i.user_id as issue_owner_id, i.status as issue_status
+       FROM post_attachments pa
+       JOIN issues i ON pa.issue_id = i.issue_id
+       WHERE pa.attachment_id = $1 AND pa.issue_id = $2`,
+      [attachmentId, id]
     );
 
-    if (groupResult.rows.length === 0) {
-      return res.status(404).json({ error: "Group not found" });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Attachment not found" });
     }
 
-    const group = groupResult.rows[0];
+    const attachment = result.rows[0];
+    if (!canViewAttachment(viewer, attachment)) {
+      return res.status(403).json({ error: "Not authorized to view this attachment" });
+    }
 
-    // Get issues in this group
-    const issuesResult = await pool.query(
-      `SELECT issue_id, title, description, user_id, display_picture_url, upvote_count, comment_count, posted_at
-       FROM issues
-       WHERE group_id = $1
-       ORDER BY posted_at DESC`,
-      [id]
-    );
+    const target = storageForUrl(attachment.file_path);
+    let stream;
+    try {
+      stream = target && await target.storage.read(target.key);
+    } catch (err) {
+      stream = null;
+    }
+    if (!stream) {
+      return res.status(404).json({ error: "Attachment file not found" });
+    }
 
-    res.json({
-      group_id: group.group_id,
-      name: group.name,
-      description: group.description,
-      owner_id: group.owner_id,
-      username: group.username,
-      full_name: group.full_name,
-      profile_picture_url: group.profile_picture_url,
-      display_picture_url: group.display_picture_url,
-      upvote_count: group.upvote_count,
-      comment_count: group.comment_count,
-      created_at: group.created_at,
-      issues: issuesResult.rows
+    const { contentType, contentDisposition: disposition } = uploadHeaders(target.key);
+    const maxAge = req.query.expires ? Math.max(Number(req.query.expires) - Math.floor(Date.now() / 1000), 0) : 0;
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': contentDisposition(disposition || 'inline', attachment.original_filename),
+      'Cache-Control': `private, max-age=${maxAge}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox"
+    });
+    if (attachment.size_bytes) {
+      res.set('Content-Length', String(attachment.size_bytes));
+    }
+
+    stream.on('error', (err) => {
+      console.error("Error streaming attachment:", err);
+      res.destroy(err);
     });
+    stream.pipe(res);
   } catch (error) {
-    console.error("Error fetching group:", error);
+    console.error("Error downloading attachment:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Toggle upvote for a group
-app.post("/groups/:id/upvote", authenticateToken, async (req, res) => {
+// Update issue upvote count (toggle upvote)
+app.post("/issues/:id/upvote", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
 
+    // Merged issues no longer take upvotes
+    const mergedCheck = await pool.query(
+      "SELECT merged_into FROM issues WHERE issue_id = $1",
+      [id]
+    );
+    if (mergedCheck.rows[0]?.merged_into) {
+      return res.status(409).json({ error: "Issue has been merged", merged_into: mergedCheck.rows[0].merged_into });
+    }
+
     // Use stored procedure to toggle upvote atomically
     const result = await pool.query(
-      `SELECT * FROM toggle_group_upvote($1, $2)`,
+      `SELECT * FROM toggle_issue_upvote($1, $2)`,
       [id, userId]
     );
 
     if (result.rows.length > 0) {
       const { upvoted, upvote_count } = result.rows[0];
+
+      if (upvoted) {
+        await notifyUpvoteMilestone(pool, { targetType: 'issue', targetId: id, upvoteCount: upvote_count });
+      }
+
       res.json({ upvoted, upvote_count });
     } else {
-      res.status(404).json({ error: "Group not found" });
+      res.status(404).json({ error: "Issue not found" });
     }
   } catch (error) {
-    console.error("Error toggling group upvote:", error);
+    console.error("Error toggling upvote:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get users who upvoted a group
-app.get("/groups/:id/upvotes", authenticateToken, async (req, res) => {
+const ISSUE_UPVOTE_KEYS = keyset([['iu.made_at', 'timestamptz'], ['iu.user_id', 'uuid']]);
+
+// Get users who upvoted an issue
+app.get("/issues/:id/upvotes", authenticateToken, async (req, res) => {
+  let page;
+  try {
+    page = parsePageQuery(req.query, ISSUE_UPVOTE_KEYS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
   try {
     const { id } = req.params;
+    const { limit, after } = page;
+
+    const params = [id];
+    const conditions = ['iu.issue_id = $1'];
+    if (after) {
+      conditions.push(keysetCondition(ISSUE_UPVOTE_KEYS, after, params));
+    }
+    params.push(limit + 1);
 
     const result = await pool.query(
-      `SELECT u.user_id, u.username, u.full_name, u.email, gu.made_at
-       FROM group_upvotes gu
-       JOIN users u ON gu.user_id = u.user_id
-       WHERE gu.group_id = $1
-       ORDER BY gu.made_at DESC`,
-      [id]
+      `SELECT u.user_id, u.username, u.full_name, u.email, iu.made_at,
+              ${keysetSelect(ISSUE_UPVOTE_KEYS)}
+       FROM issue_upvotes iu
+       JOIN users u ON iu.user_id = u.user_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${keysetOrderBy(ISSUE_UPVOTE_KEYS)}
+       LIMIT $${params.length}`,
+      params
     );
+    const { items, next_cursor } = pageOf(result.rows, limit);
 
     res.json({
-      upvotes: result.rows.map(row => ({
+      next_cursor,
+      upvotes: items.map(row => ({
         user_id: row.user_id,
         username: row.username,
         full_name: row.full_name,
@@ -1714,60 +2485,55 @@ app.get("/groups/:id/upvotes", authenticateToken, async (req, res) => {
       }))
     });
   } catch (error) {
-    console.error("Error fetching group upvotes:", error);
+    console.error("Error fetching upvotes:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Delete a group
-app.delete("/groups/:id", authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user.userId;
-
-    // Check if group exists and verify ownership
-    const ownerCheck = await pool.query(
-      "SELECT owner_id FROM groups WHERE group_id = $1",
-      [id]
-    );
-
-    if (ownerCheck.rows.length === 0) {
-      return res.status(404).json({ error: "Group not found" });
-    }
-
-    if (ownerCheck.rows[0].owner_id !== userId) {
-      return res.status(403).json({ error: "You can only delete your own groups" });
-    }
+// ============ COMMENT ROUTES ============
 
-    // Delete the group (cascade will handle upvotes, join requests; issues will have group_id set to NULL)
-    await pool.query("DELETE FROM groups WHERE group_id = $1", [id]);
+// Comments are oldest first
+const ISSUE_COMMENT_KEYS = keyset([['c.posted_at', 'timestamptz'], ['c.comment_id', 'uuid']], 'ASC');
+const GROUP_COMMENT_KEYS = keyset([['c.posted_at', 'timestamptz'], ['c.comment_id', 'uuid']], 'ASC');
 
-    res.json({ message: "Group deleted successfully" });
-  } catch (error) {
-    console.error("Error deleting group:", error);
-    res.status(500).json({ error: "Internal server error" });
+// Get comments for an issue
+app.get("/issues/:id/comments", authenticateToken, async (req, res) => {
+  let page;
+  try {
+    page = parsePageQuery(req.query, ISSUE_COMMENT_KEYS, { defaultLimit: 50 });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
-});
 
-// Get comments for a group
-app.get("/groups/:id/comments", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
+    const { limit, after } = page;
+
+    const params = [id];
+    const conditions = ['c.issue_id = $1'];
+    if (after) {
+      conditions.push(keysetCondition(ISSUE_COMMENT_KEYS, after, params));
+    }
+    params.push(limit + 1);
 
     const result = await pool.query(
-      `SELECT c.comment_id, c.group_id, c.user_id, c.content, c.posted_at,
-              u.username, u.full_name
-       FROM group_comments c
+      `SELECT c.comment_id, c.issue_id, c.user_id, c.content, c.posted_at,
+              u.username, u.full_name,
+              ${keysetSelect(ISSUE_COMMENT_KEYS)}
+       FROM comments c
        JOIN users u ON c.user_id = u.user_id
-       WHERE c.group_id = $1
-       ORDER BY c.posted_at ASC`,
-      [id]
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${keysetOrderBy(ISSUE_COMMENT_KEYS)}
+       LIMIT $${params.length}`,
+      params
     );
+    const { items, next_cursor } = pageOf(result.rows, limit);
 
     res.json({
-      comments: result.rows.map(row => ({
+      next_cursor,
+      comments: items.map(row => ({
         comment_id: row.comment_id,
-        group_id: row.group_id,
+        issue_id: row.issue_id,
         user_id: row.user_id,
         username: row.username,
         full_name: row.full_name,
@@ -1776,13 +2542,13 @@ app.get("/groups/:id/comments", authenticateToken, async (req, res) => {
       }))
     });
   } catch (error) {
-    console.error("Error fetching group comments:", error);
+    console.error("Error fetching comments:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Add a comment to a group
-app.post("/groups/:id/comments", authenticateToken, async (req, res) => {
+// Add a comment to an issue
+app.post("/issues/:id/comments", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const { content } = req.body;
@@ -1792,11 +2558,24 @@ app.post("/groups/:id/comments", authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "Comment content is required" });
     }
 
+    const issueCheck = await pool.query(
+      "SELECT user_id, title, merged_into FROM issues WHERE issue_id = $1",
+      [id]
+    );
+    if (issueCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Issue not found" });
+    }
+
+    // Merged issues no longer take comments
+    if (issueCheck.rows[0].merged_into) {
+      return res.status(409).json({ error: "Issue has been merged", merged_into: issueCheck.rows[0].merged_into });
+    }
+
     // Insert comment (trigger will automatically update comment_count)
     const result = await pool.query(
-      `INSERT INTO group_comments (group_id, user_id, content)
+      `INSERT INTO comments (issue_id, user_id, content)
        VALUES ($1, $2, $3)
-       RETURNING comment_id, group_id, user_id, content, posted_at`,
+       RETURNING comment_id, issue_id, user_id, content, posted_at`,
       [id, userId, content.trim()]
     );
 
@@ -1809,9 +2588,31 @@ app.post("/groups/:id/comments", authenticateToken, async (req, res) => {
     const comment = result.rows[0];
     const user = userResult.rows[0];
 
+    // Let the issue owner know
+    await notify(pool, {
+      userId: issueCheck.rows[0].user_id,
+      type: 'issue_comment',
+      title: `${user.username} commented on your issue`,
+      body: issueCheck.rows[0].title,
+      actorId: userId,
+      issueId: comment.issue_id,
+      data: { comment_id: comment.comment_id }
+    });
+
+    await emitEvent(pool, 'comment.created', {
+      comment: {
+        comment_id: comment.comment_id,
+        issue_id: comment.issue_id,
+        user_id: comment.user_id,
+        username: user.username,
+        content: comment.content,
+        posted_at: comment.posted_at
+      }
+    });
+
     res.status(201).json({
       comment_id: comment.comment_id,
-      group_id: comment.group_id,
+      issue_id: comment.issue_id,
       user_id: comment.user_id,
       username: user.username,
       full_name: user.full_name,
@@ -1819,1085 +2620,3804 @@ app.post("/groups/:id/comments", authenticateToken, async (req, res) => {
       posted_at: comment.posted_at
     });
   } catch (error) {
-    console.error("Error adding group comment:", error);
+    console.error("Error adding comment:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// ============ USER ROUTES ============
+// Delete an issue
+// Remove the stored files of a deleted issue row (display picture, variants, attachments)
+const removeIssueFiles = async (row) => {
+  if (!row) return;
+  await removeStoredFiles([
+    ...pictureUrls(row.display_picture_url, row.display_picture_variants),
+    ...(row.attachment_paths || [])
+  ]);
+};
 
-// Get user by ID
-app.get("/users/:id", authenticateToken, async (req, res) => {
+app.delete("/issues/:id", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
+    const userId = req.user.userId;
 
-    const result = await pool.query(
-      `SELECT u.user_id, u.username, u.email, u.full_name, u.role_id, u.created_at, u.profile_picture_url,
-              r.title as role_title, r.description as role_description
-       FROM users u
-       LEFT JOIN roles r ON u.role_id = r.role_id
-       WHERE u.user_id = $1`,
+    // Check if issue exists and verify ownership
+    const ownerCheck = await pool.query(
+      "SELECT user_id FROM issues WHERE issue_id = $1",
       [id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+    if (ownerCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Issue not found" });
     }
 
-    const user = result.rows[0];
-    res.json({
-      user_id: user.user_id,
-      username: user.username,
-      email: user.email,
-      full_name: user.full_name,
-      role_id: user.role_id,
-      role_title: user.role_title,
-      role_description: user.role_description,
-      created_at: user.created_at,
-      profile_picture_url: user.profile_picture_url
-    });
+    if (ownerCheck.rows[0].user_id !== userId) {
+      return res.status(403).json({ error: "You can only delete your own issues" });
+    }
+
+    // Delete the issue (cascade will handle comments, upvotes, attachments), then its files
+    const deleted = await pool.query(
+      `WITH attachments AS (SELECT file_path FROM post_attachments WHERE issue_id = $1)
+       DELETE FROM issues WHERE issue_id = $1
+       RETURNING display_picture_url, display_picture_variants,
+                 ARRAY(SELECT file_path FROM attachments) as attachment_paths`,
+      [id]
+    );
+    await removeIssueFiles(deleted.rows[0]);
+
+    await emitEvent(pool, 'issue.deleted', { issue_id: id });
+
+    res.json({ message: "Issue deleted successfully" });
   } catch (error) {
-    console.error("Error fetching user:", error);
+    console.error("Error deleting issue:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get multiple users by IDs (batch fetch)
-app.post("/users/batch", authenticateToken, async (req, res) => {
-  try {
-    const { user_ids } = req.body;
 
-    if (!user_ids || !Array.isArray(user_ids) || user_ids.length === 0) {
-      return res.status(400).json({ error: "user_ids array is required" });
-    }
 
-    // Limit batch size to prevent abuse
-    if (user_ids.length > 100) {
-      return res.status(400).json({ error: "Maximum 100 user IDs per request" });
-    }
+// ============ RESUMABLE UPLOAD ROUTES ============
 
-    const result = await pool.query(
-      `SELECT u.user_id, u.username, u.email, u.full_name, u.role_id, u.created_at,
-              r.title as role_title, r.description as role_description
-       FROM users u
-       LEFT JOIN roles r ON u.role_id = r.role_id
-       WHERE u.user_id = ANY($1)`,
-      [user_ids]
-    );
+// Large files (e.g. video) are sent in chunks: create the upload, PATCH chunks at the
+// current offset (resuming after a dropped connection with GET), complete it to verify the
+// checksum, then attach it with POST /issues/:id/attachments
 
-    const users = result.rows.map(user => ({
-      user_id: user.user_id,
-      username: user.username,
-      email: user.email,
-      full_name: user.full_name,
-      role_id: user.role_id,
-      role_title: user.role_title,
-      role_description: user.role_description,
-      created_at: user.created_at
-    }));
+// Get a resumable upload owned by a user, or null
+const getOwnResumableUpload = async (uploadId, userId) => {
+  const result = await pool.query(
+    `SELECT ${RESUMABLE_UPLOAD_COLUMNS} FROM resumable_uploads WHERE upload_id = $1 AND user_id = $2`,
+    [uploadId, userId]
+  );
+  return result.rows[0] || null;
+};
 
-    res.json({ users });
+// Offset headers so tus-style clients can resume without parsing the body
+const setUploadOffsetHeaders = (res, upload) => {
+  res.set({
+    'Upload-Offset': String(upload.received_bytes),
+    'Upload-Length': String(upload.size_bytes),
+    'Cache-Control': 'no-store'
+  });
+};
+
+// Start a resumable upload
+// Body: { filename, size_bytes, checksum_sha256 }
+app.post("/resumable-uploads", authenticateToken, async (req, res) => {
+  try {
+    const upload = await createResumableUpload(pool, req.user.userId, req.body);
+
+    setUploadOffsetHeaders(res, upload);
+    res.status(201).location(`/resumable-uploads/${upload.upload_id}`).json({
+      ...upload,
+      max_chunk_bytes: MAX_CHUNK_BYTES
+    });
   } catch (error) {
-    console.error("Error fetching users:", error);
+    if (error instanceof UploadError) {
+      return res.status(error.status).json(uploadErrorBody(error));
+    }
+    console.error("Error creating resumable upload:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Example route: get all users (protected)
-app.get("/users", authenticateToken, async (req, res) => {
+// Get an upload's progress (also answers HEAD with the Upload-Offset header)
+app.get("/resumable-uploads/:id", authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query(
-      "SELECT user_id, username, email, full_name, role_id FROM users ORDER BY created_at DESC"
-    );
-    res.json(result.rows);
-  } catch (err) {
-    console.error("Error querying users:", err);
+    const upload = await getOwnResumableUpload(req.params.id, req.user.userId);
+    if (!upload) {
+      return res.status(404).json({ error: "Upload not found" });
+    }
+
+    setUploadOffsetHeaders(res, upload);
+    res.json(upload);
+  } catch (error) {
+    console.error("Error fetching resumable upload:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Example route: create a user (protected) - Use /auth/register instead for new users
-app.post("/users", authenticateToken, async (req, res) => {
-  const { username, email, full_name, password, role_id } = req.body;
+// Send the next chunk. Headers: Upload-Offset (bytes already received),
+// Content-Type: application/offset+octet-stream; body: the raw bytes
+app.patch(
+  "/resumable-uploads/:id",
+  authenticateToken,
+  express.raw({ type: ['application/offset+octet-stream', 'application/octet-stream'], limit: MAX_CHUNK_BYTES }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(415).json({
+          error: "Send the chunk as application/offset+octet-stream",
+          code: "INVALID_CHUNK"
+        });
+      }
 
-  if (!username || !email || !full_name || !password) {
-    return res.status(400).json({ error: "username, email, full_name and password are required" });
+      const offset = Number(req.headers['upload-offset']);
+      if (!Number.isSafeInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: "Upload-Offset header is required", code: "INVALID_CHUNK" });
+      }
+
+      const upload = await getOwnResumableUpload(req.params.id, req.user.userId);
+      if (!upload) {
+        return res.status(404).json({ error: "Upload not found" });
+      }
+
+      const updated = await appendChunk(pool, upload, offset, req.body);
+
+      setUploadOffsetHeaders(res, updated);
+      res.json(updated);
+    } catch (error) {
+      if (error instanceof UploadError) {
+        return res.status(error.status).json(uploadErrorBody(error));
+      }
+      console.error("Error writing upload chunk:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
+);
 
+// Finish an upload: verifies size, checksum and file type
+app.post("/resumable-uploads/:id/complete", authenticateToken, async (req, res) => {
   try {
-    // Hash password
-    const password_hash = await hashPassword(password);
-
-    // Use Citizen role if not specified
-    let finalRoleId = role_id;
-    if (!finalRoleId) {
-      const roleResult = await pool.query(
-        "SELECT role_id FROM roles WHERE title = $1",
-        ['Citizen']
-      );
-      finalRoleId = roleResult.rows[0]?.role_id;
+    const upload = await getOwnResumableUpload(req.params.id, req.user.userId);
+    if (!upload) {
+      return res.status(404).json({ error: "Upload not found" });
     }
 
-    const result = await pool.query(
-      `INSERT INTO users (user_id, username, email, full_name, password_hash, role_id) 
-       VALUES (gen_random_uuid(), $1, $2, $3, $4, $5) 
-       RETURNING user_id, username, email, full_name, role_id, created_at`,
-      [username, email, full_name, password_hash, finalRoleId]
-    );
+    const completed = await completeResumableUpload(pool, upload);
 
-    res.status(201).json(result.rows[0]);
-  } catch (err) {
-    console.error("Error inserting user:", err);
+    setUploadOffsetHeaders(res, completed);
+    res.json(completed);
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.status).json(uploadErrorBody(error));
+    }
+    console.error("Error completing resumable upload:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// ============ GROUP JOIN REQUEST ROUTES ============
-
+// Cancel an upload that is not attached yet
+app.delete("/resumable-uploads/:id", authenticateToken, async (req, res) => {
+  try {
+    const upload = await getOwnResumableUpload(req.params.id, req.user.userId);
+    if (!upload) {
+      return res.status(404).json({ error: "Upload not found" });
+    }
+
+    if (upload.status === 'attached') {
+      return res.status(409).json({ error: "Upload is already attached; delete the attachment instead" });
+    }
+
+    await discardResumableUpload(pool, upload.upload_id);
+
+    res.json({ message: "Upload cancelled", upload_id: upload.upload_id });
+  } catch (error) {
+    console.error("Error cancelling resumable upload:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ GROUP ROUTES ============
+
+// Create a new group with optional display picture
+app.post("/groups", authenticateToken, (req, res) => {
+  uploadIssueImage(req, res, async (err) => {
+    if (err) {
+      console.error("Upload error:", err);
+      return res.status(err.status || 400).json(uploadErrorBody(err));
+    }
+
+    try {
+      const { name, description } = req.body;
+      const userId = req.user.userId;
+
+      if (!name) {
+        return res.status(400).json({ error: "Name is required" });
+      }
+
+      // Normalise the display picture if uploaded
+      let displayPictureVariants = null;
+      if (req.file) {
+        try {
+          displayPictureVariants = await processImage(req.file, 'groups');
+        } catch (imageError) {
+          if (!(imageError instanceof UploadError)) throw imageError;
+          return res.status(imageError.status).json(uploadErrorBody(imageError));
+        }
+      }
+
+      // Insert group
+      const result = await pool.query(
+        `INSERT INTO groups (name, description, owner_id, display_picture_url, display_picture_variants, upvote_count, comment_count)
+         VALUES ($1, $2, $3, $4, $5, 0, 0)
+         RETURNING group_id, name, description, owner_id, display_picture_url, display_picture_variants, upvote_count, comment_count, created_at`,
+        [name, description || null, userId, displayPictureVariants?.full ?? null, displayPictureVariants]
+      );
+
+      const group = result.rows[0];
+
+      await emitEvent(pool, 'group.created', { group });
+
+      res.status(201).json({
+        group_id: group.group_id,
+        name: group.name,
+        description: group.description,
+        owner_id: group.owner_id,
+        display_picture_url: group.display_picture_url,
+        display_picture_variants: group.display_picture_variants,
+        upvote_count: group.upvote_count,
+        comment_count: group.comment_count,
+        created_at: group.created_at
+      });
+    } catch (error) {
+      console.error("Error creating group:", error);
+      res.status(500).json({ error: "Internal server error" });
+    } finally {
+      // The staged picture, unless it was moved into storage
+      await discardUploads(req);
+    }
+  });
+});
+
+// Edit a group
+app.put("/groups/:id", authenticateToken, (req, res) => {
+  uploadIssueImage(req, res, async (err) => {
+    if (err) {
+      console.error("Upload error:", err);
+      return res.status(err.status || 400).json(uploadErrorBody(err));
+    }
+
+    try {
+      const groupId = req.params.id;
+      const { name, description } = req.body;
+      const userId = req.user.userId;
+
+      if (!name) {
+        return res.status(400).json({ error: "Name is required" });
+      }
+
+      // Check if user owns the group
+      const ownerCheck = await pool.query(
+        "SELECT owner_id, display_picture_url, display_picture_variants FROM groups WHERE group_id = $1",
+        [groupId]
+      );
+
+      if (ownerCheck.rows.length === 0) {
+        return res.status(404).json({ error: "Group not found" });
+      }
+
+      if (!isOwner(await getMembership(pool, groupId, userId))) {
+        return res.status(403).json({ error: "Only the group's owners can edit it" });
+      }
+
+      // Normalise the new display picture if uploaded
+      let displayPictureVariants = null;
+      if (req.file) {
+        try {
+          displayPictureVariants = await processImage(req.file, 'groups');
+        } catch (imageError) {
+          if (!(imageError instanceof UploadError)) throw imageError;
+          return res.status(imageError.status).json(uploadErrorBody(imageError));
+        }
+      }
+
+      // Update group
+      const updateQuery = displayPictureVariants
+        ? `UPDATE groups SET name = $1, description = $2, display_picture_url = $3, display_picture_variants = $4 WHERE group_id = $5 
+           RETURNING group_id, name, description, owner_id, display_picture_url, display_picture_variants, upvote_count, comment_count, created_at`
+        : `UPDATE groups SET name = $1, description = $2 WHERE group_id = $3 
+           RETURNING group_id, name, description, owner_id, display_picture_url, display_picture_variants, upvote_count, comment_count, created_at`;
+
+      const params = displayPictureVariants
+        ? [name, description, displayPictureVariants.full, displayPictureVariants, groupId]
+        : [name, description, groupId];
+      const result = await pool.query(updateQuery, params);
+      const group = result.rows[0];
+
+      // The replaced picture is no longer referenced
+      if (displayPictureVariants) {
+        const previous = ownerCheck.rows[0];
+        await removeStoredFiles(pictureUrls(previous.display_picture_url, previous.display_picture_variants));
+      }
+
+      await emitEvent(pool, 'group.updated', { group });
+
+      res.json({
+        group_id: group.group_id,
+        name: group.name,
+        description: group.description,
+        owner_id: group.owner_id,
+        display_picture_url: group.display_picture_url,
+        display_picture_variants: group.display_picture_variants,
+        upvote_count: group.upvote_count,
+        comment_count: group.comment_count,
+        created_at: group.created_at
+      });
+    } catch (error) {
+      console.error("Error updating group:", error);
+      res.status(500).json({ error: "Internal server error" });
+    } finally {
+      // The staged picture, unless it was moved into storage
+      await discardUploads(req);
+    }
+  });
+});
+
+const GROUP_KEYS = keyset([['g.created_at', 'timestamptz'], ['g.group_id', 'uuid']]);
+
+// Get all groups with cursor pagination (?cursor=&limit=)
+app.get("/groups", authenticateToken, async (req, res) => {
+  let page;
+  try {
+    page = parsePageQuery(req.query, GROUP_KEYS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const { limit, after } = page;
+
+    const params = [];
+    const condition = after ? `WHERE ${keysetCondition(GROUP_KEYS, after, params)}` : '';
+    params.push(limit + 1);
+
+    const result = await pool.query(
+      `SELECT 
+        g.group_id, g.name, g.description, g.owner_id, g.display_picture_url, g.display_picture_variants,
+        g.upvote_count, g.comment_count, g.created_at, g.issue_count, g.member_count,
+        u.username, u.full_name,
+        ${keysetSelect(GROUP_KEYS)}
+       FROM groups g
+       LEFT JOIN users u ON g.owner_id = u.user_id
+       ${condition}
+       ORDER BY ${keysetOrderBy(GROUP_KEYS)}
+       LIMIT $${params.length}`,
+      params
+    );
+    const { items, next_cursor } = pageOf(result.rows, limit);
+
+    res.json({
+      groups: items,
+      limit,
+      count: items.length,
+      next_cursor
+    });
+  } catch (error) {
+    console.error("Error fetching groups:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get a single group by ID with issues, and the current user's membership
+app.get("/groups/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Get group details
+    const groupResult = await pool.query(
+      `SELECT 
+        g.group_id, g.name, g.description, g.owner_id, g.display_picture_url, g.display_picture_variants,
+        g.upvote_count, g.comment_count, g.created_at, g.member_count,
+        u.username, u.full_name, u.profile_picture_url, u.profile_picture_variants
+       FROM groups g
+       LEFT JOIN users u ON g.owner_id = u.user_id
+       WHERE g.group_id = $1`,
+      [id]
+    );
+
+    if (groupResult.rows.length === 0) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const group = groupResult.rows[0];
+
+    // Get issues in this group (an issue can be in several groups)
+    const issuesResult = await pool.query(
+      `SELECT i.issue_id, i.title, i.description, i.user_id, i.display_picture_url, i.display_picture_variants,
+              i.upvote_count, i.comment_count, i.posted_at, gi.added_at
+       FROM group_issues gi
+       JOIN issues i ON gi.issue_id = i.issue_id
+       WHERE gi.group_id = $1
+       ORDER BY i.posted_at DESC`,
+      [id]
+    );
+
+    const membership = await getMembership(pool, id, req.user.userId);
+
+    res.json({
+      group_id: group.group_id,
+      name: group.name,
+      description: group.description,
+      owner_id: group.owner_id,
+      username: group.username,
+      full_name: group.full_name,
+      profile_picture_url: group.profile_picture_url,
+      profile_picture_variants: group.profile_picture_variants,
+      display_picture_url: group.display_picture_url,
+      display_picture_variants: group.display_picture_variants,
+      upvote_count: group.upvote_count,
+      comment_count: group.comment_count,
+      created_at: group.created_at,
+      member_count: group.member_count,
+      membership: membership && { ...membership, can_moderate: canModerate(membership) },
+      issues: issuesResult.rows
+    });
+  } catch (error) {
+    console.error("Error fetching group:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Toggle upvote for a group
+app.post("/groups/:id/upvote", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    // Use stored procedure to toggle upvote atomically
+    const result = await pool.query(
+      `SELECT * FROM toggle_group_upvote($1, $2)`,
+      [id, userId]
+    );
+
+    if (result.rows.length > 0) {
+      const { upvoted, upvote_count } = result.rows[0];
+
+      if (upvoted) {
+        await notifyUpvoteMilestone(pool, { targetType: 'group', targetId: id, upvoteCount: upvote_count });
+      }
+
+      res.json({ upvoted, upvote_count });
+    } else {
+      res.status(404).json({ error: "Group not found" });
+    }
+  } catch (error) {
+    console.error("Error toggling group upvote:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+const GROUP_UPVOTE_KEYS = keyset([['gu.made_at', 'timestamptz'], ['gu.user_id', 'uuid']]);
+
+// Get users who upvoted a group
+app.get("/groups/:id/upvotes", authenticateToken, async (req, res) => {
+  let page;
+  try {
+    page = parsePageQuery(req.query, GROUP_UPVOTE_KEYS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const { id } = req.params;
+    const { limit, after } = page;
+
+    const params = [id];
+    const conditions = ['gu.group_id = $1'];
+    if (after) {
+      conditions.push(keysetCondition(GROUP_UPVOTE_KEYS, after, params));
+    }
+    params.push(limit + 1);
+
+    const result = await pool.query(
+      `SELECT u.user_id, u.username, u.full_name, u.email, gu.made_at,
+              ${keysetSelect(GROUP_UPVOTE_KEYS)}
+       FROM group_upvotes gu
+       JOIN users u ON gu.user_id = u.user_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${keysetOrderBy(GROUP_UPVOTE_KEYS)}
+       LIMIT $${params.length}`,
+      params
+    );
+    const { items, next_cursor } = pageOf(result.rows, limit);
+
+    res.json({
+      next_cursor,
+      upvotes: items.map(row => ({
+        user_id: row.user_id,
+        username: row.username,
+        full_name: row.full_name,
+        email: row.email,
+        upvoted_at: row.made_at
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching group upvotes:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete a group
+app.delete("/groups/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    // Check if group exists and verify ownership
+    const ownerCheck = await pool.query(
+      "SELECT owner_id FROM groups WHERE group_id = $1",
+      [id]
+    );
+
+    if (ownerCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    if (!isOwner(await getMembership(pool, id, userId))) {
+      return res.status(403).json({ error: "Only the group's owners can delete it" });
+    }
+
+    // Delete the group (cascade will handle upvotes, join requests and its issue links; the issues stay)
+    const deleted = await pool.query(
+      "DELETE FROM groups WHERE group_id = $1 RETURNING display_picture_url, display_picture_variants",
+      [id]
+    );
+    if (deleted.rows[0]) {
+      await removeStoredFiles(pictureUrls(deleted.rows[0].display_picture_url, deleted.rows[0].display_picture_variants));
+    }
+
+    await emitEvent(pool, 'group.deleted', { group_id: id });
+
+    res.json({ message: "Group deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting group:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get comments for a group
+app.get("/groups/:id/comments", authenticateToken, async (req, res) => {
+  let page;
+  try {
+    page = parsePageQuery(req.query, GROUP_COMMENT_KEYS, { defaultLimit: 50 });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const { id } = req.params;
+    const { limit, after } = page;
+
+    const params = [id];
+    const conditions = ['c.group_id = $1'];
+    if (after) {
+      conditions.push(keysetCondition(GROUP_COMMENT_KEYS, after, params));
+    }
+    params.push(limit + 1);
+
+    const result = await pool.query(
+      `SELECT c.comment_id, c.group_id, c.user_id, c.content, c.posted_at,
+              u.username, u.full_name,
+              ${keysetSelect(GROUP_COMMENT_KEYS)}
+       FROM group_comments c
+       JOIN users u ON c.user_id = u.user_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${keysetOrderBy(GROUP_COMMENT_KEYS)}
+       LIMIT $${params.length}`,
+      params
+    );
+    const { items, next_cursor } = pageOf(result.rows, limit);
+
+    res.json({
+      next_cursor,
+      comments: items.map(row => ({
+        comment_id: row.comment_id,
+        group_id: row.group_id,
+        user_id: row.user_id,
+        username: row.username,
+        full_name: row.full_name,
+        content: row.content,
+        posted_at: row.posted_at
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching group comments:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Add a comment to a group
+app.post("/groups/:id/comments", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body;
+    const userId = req.user.userId;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: "Comment content is required" });
+    }
+
+    const groupCheck = await pool.query(
+      "SELECT owner_id, name FROM groups WHERE group_id = $1",
+      [id]
+    );
+    if (groupCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    // Insert comment (trigger will automatically update comment_count)
+    const result = await pool.query(
+      `INSERT INTO group_comments (group_id, user_id, content)
+       VALUES ($1, $2, $3)
+       RETURNING comment_id, group_id, user_id, content, posted_at`,
+      [id, userId, content.trim()]
+    );
+
+    // Get user info
+    const userResult = await pool.query(
+      `SELECT username, full_name FROM users WHERE user_id = $1`,
+      [userId]
+    );
+
+    const comment = result.rows[0];
+    const user = userResult.rows[0];
+
+    // Let the group owner know
+    await notify(pool, {
+      userId: groupCheck.rows[0].owner_id,
+      type: 'group_comment',
+      title: `${user.username} commented on your group`,
+      body: groupCheck.rows[0].name,
+      actorId: userId,
+      groupId: comment.group_id,
+      data: { comment_id: comment.comment_id }
+    });
+
+    res.status(201).json({
+      comment_id: comment.comment_id,
+      group_id: comment.group_id,
+      user_id: comment.user_id,
+      username: user.username,
+      full_name: user.full_name,
+      content: comment.content,
+      posted_at: comment.posted_at
+    });
+  } catch (error) {
+    console.error("Error adding group comment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Remove an issue from a group (the group's owners or the issue's owner). The issue itself
+// and its other groups are not affected.
+app.delete("/groups/:id/issues/:issueId", authenticateToken, async (req, res) => {
+  try {
+    const { id, issueId } = req.params;
+    const userId = req.user.userId;
+
+    const linkResult = await pool.query(
+      `SELECT i.user_id as issue_owner_id
+       FROM group_issues gi
+       JOIN issues i ON gi.issue_id = i.issue_id
+       WHERE gi.group_id = $1 AND gi.issue_id = $2`,
+      [id, issueId]
+    );
+    if (linkResult.rows.length === 0) {
+      return res.status(404).json({ error: "Issue is not in this group" });
+    }
+
+    const canRemove = linkResult.rows[0].issue_owner_id === userId
+      || isOwner(await getMembership(pool, id, userId));
+    if (!canRemove) {
+      return res.status(403).json({ error: "Only the group owner or the issue owner can remove this issue from the group" });
+    }
+
+    // Trigger keeps issue_count in step
+    await pool.query(
+      "DELETE FROM group_issues WHERE group_id = $1 AND issue_id = $2",
+      [id, issueId]
+    );
+
+    res.json({ message: "Issue removed from group", group_id: id, issue_id: issueId });
+  } catch (error) {
+    console.error("Error removing issue from group:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete a group comment (its author, or a moderator or the owner of the group)
+app.delete("/groups/:id/comments/:commentId", authenticateToken, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const userId = req.user.userId;
+
+    const commentResult = await pool.query(
+      "SELECT user_id FROM group_comments WHERE comment_id = $1 AND group_id = $2",
+      [commentId, id]
+    );
+    if (commentResult.rows.length === 0) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    if (commentResult.rows[0].user_id !== userId && !canModerate(await getMembership(pool, id, userId))) {
+      return res.status(403).json({ error: "Only the author or a group moderator can delete this comment" });
+    }
+
+    // Trigger keeps comment_count in step
+    await pool.query("DELETE FROM group_comments WHERE comment_id = $1", [commentId]);
+
+    res.json({ message: "Comment deleted", comment_id: commentId });
+  } catch (error) {
+    console.error("Error deleting group comment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ GROUP MEMBERSHIP ROUTES ============
+
+// Join a group as a member
+app.post("/groups/:id/join", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const groupCheck = await pool.query("SELECT group_id FROM groups WHERE group_id = $1", [id]);
+    if (groupCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    // Trigger keeps member_count in step; joining twice keeps the existing role
+    await pool.query(
+      "INSERT INTO group_members (group_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+      [id, userId]
+    );
+
+    const result = await pool.query(
+      `SELECT gm.role, gm.joined_at, g.member_count
+       FROM group_members gm
+       JOIN groups g ON gm.group_id = g.group_id
+       WHERE gm.group_id = $1 AND gm.user_id = $2`,
+      [id, userId]
+    );
+
+    res.json({ group_id: id, is_member: true, ...result.rows[0] });
+  } catch (error) {
+    console.error("Error joining group:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Leave a group. Co-owners can leave; the primary owner has to transfer ownership first.
+app.post("/groups/:id/leave", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const membership = await getMembership(pool, id, userId);
+    if (membership?.is_primary_owner) {
+      return res.status(400).json({ error: "The owner cannot leave the group; transfer ownership first" });
+    }
+
+    await pool.query(
+      `DELETE FROM group_members gm
+       WHERE gm.group_id = $1 AND gm.user_id = $2
+         AND NOT EXISTS (SELECT 1 FROM groups g WHERE g.group_id = gm.group_id AND g.owner_id = gm.user_id)`,
+      [id, userId]
+    );
+
+    res.json({ group_id: id, is_member: false });
+  } catch (error) {
+    console.error("Error leaving group:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+const GROUP_MEMBER_KEYS = keyset([['gm.joined_at', 'timestamptz'], ['gm.user_id', 'uuid']], 'ASC');
+
+// Get the members of a group, longest-standing first (?role=owner|moderator|member to filter)
+app.get("/groups/:id/members", authenticateToken, async (req, res) => {
+  const { role } = req.query;
+  if (role !== undefined && !GROUP_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${GROUP_ROLES.join(', ')}` });
+  }
+
+  let page;
+  try {
+    page = parsePageQuery(req.query, GROUP_MEMBER_KEYS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const { id } = req.params;
+    const { limit, after } = page;
+
+    const groupCheck = await pool.query("SELECT member_count FROM groups WHERE group_id = $1", [id]);
+    if (groupCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const params = [id];
+    const conditions = ['gm.group_id = $1'];
+    if (role) {
+      params.push(role);
+      conditions.push(`gm.role = $${params.length}`);
+    }
+    if (after) {
+      conditions.push(keysetCondition(GROUP_MEMBER_KEYS, after, params));
+    }
+    params.push(limit + 1);
+
+    const result = await pool.query(
+      `SELECT u.user_id, u.username, u.full_name, u.profile_picture_url, u.profile_picture_variants,
+              gm.role, gm.joined_at,
+              ${keysetSelect(GROUP_MEMBER_KEYS)}
+       FROM group_members gm
+       JOIN users u ON gm.user_id = u.user_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${keysetOrderBy(GROUP_MEMBER_KEYS)}
+       LIMIT $${params.length}`,
+      params
+    );
+    const { items, next_cursor } = pageOf(result.rows, limit);
+
+    res.json({
+      members: items,
+      member_count: groupCheck.rows[0].member_count,
+      next_cursor
+    });
+  } catch (error) {
+    console.error("Error fetching group members:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Change a member's role (owners; co-owners only by the primary owner)
+// Body: { role: 'owner' | 'moderator' | 'member' }
+app.put("/groups/:id/members/:userId", authenticateToken, async (req, res) => {
+  const { role } = req.body;
+  if (!ASSIGNABLE_GROUP_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ASSIGNABLE_GROUP_ROLES.join(', ')}` });
+  }
+
+  try {
+    const { id, userId: memberId } = req.params;
+
+    const actor = await getMembership(pool, id, req.user.userId);
+    if (!isOwner(actor)) {
+      return res.status(403).json({ error: "Only the group's owners can change member roles" });
+    }
+
+    const target = await getMembership(pool, id, memberId);
+    if (!target) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    if (target.is_primary_owner) {
+      return res.status(400).json({ error: "The owner's role cannot be changed; transfer ownership instead" });
+    }
+    if (!canChangeRole(actor, target)) {
+      return res.status(403).json({ error: "Only the primary owner can change a co-owner's role" });
+    }
+
+    const result = await pool.query(
+      `UPDATE group_members SET role = $3
+       WHERE group_id = $1 AND user_id = $2
+       RETURNING group_id, user_id, role, joined_at`,
+      [id, memberId, role]
+    );
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Error changing group member role:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Remove a member from a group (owners, or a moderator removing a member)
+app.delete("/groups/:id/members/:userId", authenticateToken, async (req, res) => {
+  try {
+    const { id, userId: memberId } = req.params;
+
+    const target = await getMembership(pool, id, memberId);
+    if (!target) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+
+    const actor = await getMembership(pool, id, req.user.userId);
+    if (!canRemoveMember(actor, target)) {
+      return res.status(403).json({ error: "Not allowed to remove this member" });
+    }
+
+    await pool.query(
+      "DELETE FROM group_members WHERE group_id = $1 AND user_id = $2",
+      [id, memberId]
+    );
+
+    res.json({ message: "Member removed", group_id: id, user_id: memberId });
+  } catch (error) {
+    console.error("Error removing group member:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ GROUP OWNERSHIP TRANSFER ROUTES ============
+
+const OWNERSHIP_TRANSFER_COLUMNS = `transfer_id, group_id, from_user_id, to_user_id, status, requested_at, responded_at`;
+
+// Offer ownership of a group to another user (primary owner only). Nothing changes until
+// they accept; the previous owner then stays on as a co-owner.
+// Body: { user_id }
+app.post("/groups/:id/transfer-ownership", authenticateToken, async (req, res) => {
+  const { user_id: toUserId } = req.body;
+  if (!toUserId) {
+    return res.status(400).json({ error: "user_id is required" });
+  }
+
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const groupCheck = await pool.query("SELECT owner_id, name FROM groups WHERE group_id = $1", [id]);
+    if (groupCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const group = groupCheck.rows[0];
+    if (group.owner_id !== userId) {
+      return res.status(403).json({ error: "Only the group owner can transfer ownership" });
+    }
+    if (toUserId === userId) {
+      return res.status(400).json({ error: "You already own this group" });
+    }
+
+    const userCheck = await pool.query("SELECT user_id FROM users WHERE user_id = $1", [toUserId]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const existingTransfer = await pool.query(
+      "SELECT transfer_id FROM group_ownership_transfers WHERE group_id = $1 AND status = 'pending'",
+      [id]
+    );
+    if (existingTransfer.rows.length > 0) {
+      return res.status(400).json({ error: "A pending ownership transfer already exists" });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO group_ownership_transfers (group_id, from_user_id, to_user_id)
+       VALUES ($1, $2, $3)
+       RETURNING ${OWNERSHIP_TRANSFER_COLUMNS}`,
+      [id, userId, toUserId]
+    );
+    const transfer = result.rows[0];
+
+    await notify(pool, {
+      userId: toUserId,
+      type: 'ownership_transfer_requested',
+      title: `You have been offered ownership of "${group.name}"`,
+      actorId: userId,
+      groupId: id,
+      data: { transfer_id: transfer.transfer_id }
+    });
+
+    res.status(201).json({ transfer });
+  } catch (error) {
+    // Another offer for the group was made since the check above
+    if (error.code === '23505' && error.constraint === 'idx_group_ownership_transfers_pending') {
+      return res.status(409).json({ error: "A pending ownership transfer already exists" });
+    }
+    console.error("Error creating ownership transfer:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get ownership transfers offered to (incoming) or by (outgoing) the current user
+app.get("/group-ownership-transfers", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const direction = req.query.direction; // 'incoming' or 'outgoing'
+
+    const condition = direction === 'incoming'
+      ? 't.to_user_id = $1'
+      : direction === 'outgoing'
+        ? 't.from_user_id = $1'
+        : '(t.to_user_id = $1 OR t.from_user_id = $1)';
+
+    const result = await pool.query(
+      `SELECT t.transfer_id, t.group_id, t.status, t.requested_at, t.responded_at,
+              g.name as group_name,
+              t.from_user_id, fu.username as from_username,
+              t.to_user_id, tu.username as to_username
+       FROM group_ownership_transfers t
+       JOIN groups g ON t.group_id = g.group_id
+       JOIN users fu ON t.from_user_id = fu.user_id
+       JOIN users tu ON t.to_user_id = tu.user_id
+       WHERE ${condition}
+       ORDER BY t.requested_at DESC`,
+      [userId]
+    );
+
+    res.json({
+      transfers: result.rows
+    });
+  } catch (error) {
+    console.error("Error fetching ownership transfers:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Accept or decline an ownership transfer (its recipient only)
+// Body: { status: 'accepted' | 'declined' }
+app.put("/group-ownership-transfers/:id", authenticateToken, async (req, res) => {
+  try {
+    const transferId = req.params.id;
+    const { status } = req.body;
+    const userId = req.user.userId;
+
+    if (!status || !['accepted', 'declined'].includes(status)) {
+      return res.status(400).json({ error: "Status must be 'accepted' or 'declined'" });
+    }
+
+    const transferQuery = await pool.query(
+      `SELECT t.*, g.owner_id as group_owner_id, g.name as group_name
+       FROM group_ownership_transfers t
+       JOIN groups g ON t.group_id = g.group_id
+       WHERE t.transfer_id = $1`,
+      [transferId]
+    );
+
+    if (transferQuery.rows.length === 0) {
+      return res.status(404).json({ error: "Transfer not found" });
+    }
+
+    const transfer = transferQuery.rows[0];
+
+    if (transfer.to_user_id !== userId) {
+      return res.status(403).json({ error: "Not authorized to act on this transfer" });
+    }
+    if (transfer.status !== 'pending') {
+      return res.status(400).json({ error: "Transfer is not pending" });
+    }
+
+    if (status === 'accepted') {
+      if (transfer.group_owner_id !== transfer.from_user_id) {
+        return res.status(400).json({ error: "The group's owner has changed since this transfer was offered" });
+      }
+
+      // Stored procedure swaps the owner and closes the transfer in one transaction
+      await pool.query(
+        "SELECT transfer_group_ownership($1, $2, $3)",
+        [transfer.group_id, userId, transferId]
+      );
+
+      const groupResult = await pool.query(
+        `SELECT group_id, name, description, owner_id, display_picture_url, display_picture_variants, upvote_count, comment_count, created_at
+         FROM groups WHERE group_id = $1`,
+        [transfer.group_id]
+      );
+      await emitEvent(pool, 'group.updated', { group: groupResult.rows[0] });
+    } else {
+      const declined = await pool.query(
+        `UPDATE group_ownership_transfers
+         SET status = 'declined', responded_at = NOW()
+         WHERE transfer_id = $1 AND status = 'pending'`,
+        [transferId]
+      );
+      if (declined.rowCount === 0) {
+        return res.status(409).json({ error: "Transfer is no longer pending" });
+      }
+    }
+
+    await notify(pool, {
+      userId: transfer.from_user_id,
+      type: 'ownership_transfer_decided',
+      title: `Your offer of ownership of "${transfer.group_name}" was ${status}`,
+      actorId: userId,
+      groupId: transfer.group_id,
+      data: { transfer_id: transferId, status }
+    });
+
+    res.json({
+      message: `Transfer ${status}`,
+      transfer_id: transferId
+    });
+  } catch (error) {
+    // transfer_group_ownership re-checks the transfer under a row lock (GO409): it was
+    // cancelled, answered or the owner changed since it was read above
+    if (error.code === 'GO409') {
+      return res.status(409).json({ error: "This transfer can no longer be accepted" });
+    }
+    if (error.code === 'P0002') {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    console.error("Error processing ownership transfer:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Cancel an ownership transfer (the owner who offered it)
+app.delete("/group-ownership-transfers/:id", authenticateToken, async (req, res) => {
+  try {
+    const transferId = req.params.id;
+    const userId = req.user.userId;
+
+    const transferQuery = await pool.query(
+      "SELECT from_user_id, status FROM group_ownership_transfers WHERE transfer_id = $1",
+      [transferId]
+    );
+
+    if (transferQuery.rows.length === 0) {
+      return res.status(404).json({ error: "Transfer not found" });
+    }
+
+    const transfer = transferQuery.rows[0];
+
+    if (transfer.from_user_id !== userId) {
+      return res.status(403).json({ error: "Not authorized to cancel this transfer" });
+    }
+    if (transfer.status !== 'pending') {
+      return res.status(400).json({ error: "Transfer is not pending" });
+    }
+
+    await pool.query(
+      `UPDATE group_ownership_transfers
+       SET status = 'cancelled', responded_at = NOW()
+       WHERE transfer_id = $1`,
+      [transferId]
+    );
+
+    res.json({
+      message: "Transfer cancelled",
+      transfer_id: transferId
+    });
+  } catch (error) {
+    console.error("Error cancelling ownership transfer:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ USER ROUTES ============
+
+// Get user by ID
+app.get("/users/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `SELECT u.user_id, u.username, u.email, u.full_name, u.role_id, u.created_at, u.profile_picture_url, u.profile_picture_variants,
+              r.title as role_title, r.description as role_description
+       FROM users u
+       LEFT JOIN roles r ON u.role_id = r.role_id
+       WHERE u.user_id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const user = result.rows[0];
+    res.json({
+      user_id: user.user_id,
+      username: user.username,
+      email: user.email,
+      full_name: user.full_name,
+      role_id: user.role_id,
+      role_title: user.role_title,
+      role_description: user.role_description,
+      created_at: user.created_at,
+      profile_picture_url: user.profile_picture_url,
+      profile_picture_variants: user.profile_picture_variants
+    });
+  } catch (error) {
+    console.error("Error fetching user:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get multiple users by IDs (batch fetch)
+app.post("/users/batch", authenticateToken, async (req, res) => {
+  try {
+    const { user_ids } = req.body;
+
+    if (!user_ids || !Array.isArray(user_ids) || user_ids.length === 0) {
+      return res.status(400).json({ error: "user_ids array is required" });
+    }
+
+    // Limit batch size to prevent abuse
+    if (user_ids.length > 100) {
+      return res.status(400).json({ error: "Maximum 100 user IDs per request" });
+    }
+
+    const result = await pool.query(
+      `SELECT u.user_id, u.username, u.email, u.full_name, u.role_id, u.created_at,
+              r.title as role_title, r.description as role_description
+       FROM users u
+       LEFT JOIN roles r ON u.role_id = r.role_id
+       WHERE u.user_id = ANY($1)`,
+      [user_ids]
+    );
+
+    const users = result.rows.map(user => ({
+      user_id: user.user_id,
+      username: user.username,
+      email: user.email,
+      full_name: user.full_name,
+      role_id: user.role_id,
+      role_title: user.role_title,
+      role_description: user.role_description,
+      created_at: user.created_at
+    }));
+
+    res.json({ users });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Example route: get all users (protected)
+app.get("/users", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT user_id, username, email, full_name, role_id FROM users ORDER BY created_at DESC"
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error querying users:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Example route: create a user (protected) - Use /auth/register instead for new users
+app.post("/users", authenticateToken, async (req, res) => {
+  const { username, email, full_name, password, role_id } = req.body;
+
+  if (!username || !email || !full_name || !password) {
+    return res.status(400).json({ error: "username, email, full_name and password are required" });
+  }
+
+  try {
+    // Hash password
+    const password_hash = await hashPassword(password);
+
+    // Use Citizen role if not specified
+    let finalRoleId = role_id;
+    if (!finalRoleId) {
+      const roleResult = await pool.query(
+        "SELECT role_id FROM roles WHERE title = $1",
+        ['Citizen']
+      );
+      finalRoleId = roleResult.rows[0]?.role_id;
+    }
+
+    const result = await pool.query(
+      `INSERT INTO users (user_id, username, email, full_name, password_hash, role_id) 
+       VALUES (gen_random_uuid(), $1, $2, $3, $4, $5) 
+       RETURNING user_id, username, email, full_name, role_id, created_at`,
+      [username, email, full_name, password_hash, finalRoleId]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error("Error inserting user:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ GROUP JOIN REQUEST ROUTES ============
+
 // Create a group join request
 app.post("/group-join-requests", authenticateToken, async (req, res) => {
   try {
-    const { issue_id, group_id, requested_by_group } = req.body;
-    const userId = req.user.userId;
+    const { issue_id, group_id, requested_by_group } = req.body;
+    const userId = req.user.userId;
+
+    if (!issue_id || !group_id || typeof requested_by_group !== 'boolean') {
+      return res.status(400).json({
+        error: "issue_id, group_id, and requested_by_group are required"
+      });
+    }
+
+    // Fetch issue and group info for authorization and auto-accept check
+    const issueCheck = await pool.query(
+      "SELECT user_id FROM issues WHERE issue_id = $1",
+      [issue_id]
+    );
+    if (issueCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Issue not found" });
+    }
+
+    const groupCheck = await pool.query(
+      "SELECT group_id FROM groups WHERE group_id = $1",
+      [group_id]
+    );
+    if (groupCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const issueOwnerId = issueCheck.rows[0].user_id;
+    const ownsGroup = isOwner(await getMembership(pool, group_id, userId));
+
+    // Check authorization: either issue owner or a group owner
+    if (requested_by_group) {
+      // A group owner is requesting to include an issue
+      if (!ownsGroup) {
+        return res.status(403).json({ error: "Only group owner can make this request" });
+      }
+    } else {
+      // Issue owner is requesting to join a group
+      if (issueOwnerId !== userId) {
+        return res.status(403).json({ error: "Only issue owner can make this request" });
+      }
+    }
+
+    // Check if issue is already in the group
+    const existingLink = await pool.query(
+      "SELECT 1 FROM group_issues WHERE issue_id = $1 AND group_id = $2",
+      [issue_id, group_id]
+    );
+    if (existingLink.rows.length > 0) {
+      return res.status(400).json({ error: "Issue is already in this group" });
+    }
+
+    // Check if there's already a pending request
+    const existingRequest = await pool.query(
+      `SELECT req_id FROM group_join_request 
+       WHERE issue_id = $1 AND group_id = $2 AND status = 'pending'`,
+      [issue_id, group_id]
+    );
+    if (existingRequest.rows.length > 0) {
+      return res.status(400).json({ error: "A pending request already exists" });
+    }
+
+    // AUTO-ACCEPT: If a group owner is adding their own issue, auto-approve
+    const isOwnerAddingOwnIssue = ownsGroup && issueOwnerId === userId;
+
+    if (isOwnerAddingOwnIssue) {
+      // Directly add issue to group without creating a request
+      await pool.query(
+        "INSERT INTO group_issues (group_id, issue_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+        [group_id, issue_id]
+      );
+
+      // Create an approved request record for history
+      const result = await pool.query(
+        `INSERT INTO group_join_request (issue_id, group_id, requested_by_group, status, requested_at, handled_at)
+         VALUES ($1, $2, $3, 'approved', NOW(), NOW())
+         RETURNING req_id, issue_id, group_id, requested_by_group, status, requested_at, handled_at`,
+        [issue_id, group_id, requested_by_group]
+      );
+
+      return res.status(201).json({
+        request: result.rows[0],
+        auto_accepted: true,
+        message: "Issue automatically added to your group"
+      });
+    }
+
+    // Create pending request (normal flow for other cases)
+    const result = await pool.query(
+      `INSERT INTO group_join_request (issue_id, group_id, requested_by_group, status, requested_at)
+       VALUES ($1, $2, $3, 'pending', NOW())
+       RETURNING req_id, issue_id, group_id, requested_by_group, status, requested_at, handled_at`,
+      [issue_id, group_id, requested_by_group]
+    );
+
+    await emitEvent(pool, 'join_request.created', { request: result.rows[0] });
+
+    res.status(201).json({
+      request: result.rows[0]
+    });
+  } catch (error) {
+    console.error("Error creating group join request:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get group join requests
+app.get("/group-join-requests", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const direction = req.query.direction; // 'incoming' or 'outgoing'
+
+    let query;
+    if (direction === 'incoming') {
+      // Requests where the current user can act
+      query = `
+        SELECT 
+          gjr.req_id, gjr.issue_id, gjr.group_id, gjr.requested_by_group, 
+          gjr.status, gjr.requested_at, gjr.handled_at,
+          i.title as issue_title, i.description as issue_description,
+          i.user_id as issue_owner_id, iu.username as issue_owner_username,
+          g.name as group_name, g.description as group_description,
+          g.owner_id as group_owner_id, gu.username as group_owner_username
+        FROM group_join_request gjr
+        JOIN issues i ON gjr.issue_id = i.issue_id
+        JOIN users iu ON i.user_id = iu.user_id
+        JOIN groups g ON gjr.group_id = g.group_id
+        LEFT JOIN users gu ON g.owner_id = gu.user_id
+        WHERE 
+          (gjr.requested_by_group = true AND i.user_id = $1) OR
+          (gjr.requested_by_group = false AND EXISTS (
+            SELECT 1 FROM group_members gm
+            WHERE gm.group_id = g.group_id AND gm.user_id = $1 AND gm.role IN ('owner', 'moderator')
+          ))
+        ORDER BY gjr.requested_at DESC
+      `;
+    } else if (direction === 'outgoing') {
+      // Requests initiated by the current user
+      query = `
+        SELECT 
+          gjr.req_id, gjr.issue_id, gjr.group_id, gjr.requested_by_group, 
+          gjr.status, gjr.requested_at, gjr.handled_at,
+          i.title as issue_title, i.description as issue_description,
+          i.user_id as issue_owner_id, iu.username as issue_owner_username,
+          g.name as group_name, g.description as group_description,
+          g.owner_id as group_owner_id, gu.username as group_owner_username
+        FROM group_join_request gjr
+        JOIN issues i ON gjr.issue_id = i.issue_id
+        JOIN users iu ON i.user_id = iu.user_id
+        JOIN groups g ON gjr.group_id = g.group_id
+        LEFT JOIN users gu ON g.owner_id = gu.user_id
+        WHERE 
+          (gjr.requested_by_group = true AND EXISTS (
+            SELECT 1 FROM group_members gm
+            WHERE gm.group_id = g.group_id AND gm.user_id = $1 AND gm.role = 'owner'
+          )) OR
+          (gjr.requested_by_group = false AND i.user_id = $1)
+        ORDER BY gjr.requested_at DESC
+      `;
+    } else {
+      // All requests involving the user
+      query = `
+        SELECT 
+          gjr.req_id, gjr.issue_id, gjr.group_id, gjr.requested_by_group, 
+          gjr.status, gjr.requested_at, gjr.handled_at,
+          i.title as issue_title, i.description as issue_description,
+          i.user_id as issue_owner_id, iu.username as issue_owner_username,
+          g.name as group_name, g.description as group_description,
+          g.owner_id as group_owner_id, gu.username as group_owner_username
+        FROM group_join_request gjr
+        JOIN issues i ON gjr.issue_id = i.issue_id
+        JOIN users iu ON i.user_id = iu.user_id
+        JOIN groups g ON gjr.group_id = g.group_id
+        LEFT JOIN users gu ON g.owner_id = gu.user_id
+        WHERE i.user_id = $1 OR EXISTS (
+          SELECT 1 FROM group_members gm
+          WHERE gm.group_id = g.group_id AND gm.user_id = $1 AND gm.role IN ('owner', 'moderator')
+        )
+        ORDER BY gjr.requested_at DESC
+      `;
+    }
+
+    const result = await pool.query(query, [userId]);
+
+    res.json({
+      requests: result.rows
+    });
+  } catch (error) {
+    console.error("Error fetching group join requests:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Accept or decline a group join request
+app.put("/group-join-requests/:id", authenticateToken, async (req, res) => {
+  try {
+    const requestId = req.params.id;
+    const { status } = req.body;
+    const userId = req.user.userId;
+
+    if (!status || !['accepted', 'declined'].includes(status)) {
+      return res.status(400).json({ error: "Status must be 'accepted' or 'declined'" });
+    }
+
+    // Get the request details
+    const requestQuery = await pool.query(
+      `SELECT gjr.*, i.user_id as issue_owner_id, g.owner_id as group_owner_id,
+              i.title as issue_title, g.name as group_name
+       FROM group_join_request gjr
+       JOIN issues i ON gjr.issue_id = i.issue_id
+       JOIN groups g ON gjr.group_id = g.group_id
+       WHERE gjr.req_id = $1`,
+      [requestId]
+    );
+
+    if (requestQuery.rows.length === 0) {
+      return res.status(404).json({ error: "Request not found" });
+    }
+
+    const request = requestQuery.rows[0];
+
+    // Check if request is still pending
+    if (request.status !== 'pending') {
+      return res.status(400).json({ error: "Request is not pending" });
+    }
+
+    // Check authorization
+    let canAct = false;
+    if (request.requested_by_group) {
+      // Group requested to include issue; issue owner can act
+      canAct = request.issue_owner_id === userId;
+    } else {
+      // Issue requested to join group; group owner or a moderator can act
+      canAct = canModerate(await getMembership(pool, request.group_id, userId));
+    }
+
+    if (!canAct) {
+      return res.status(403).json({ error: "Not authorized to act on this request" });
+    }
+
+    // Update the request
+    await pool.query(
+      `UPDATE group_join_request 
+       SET status = $1, handled_at = NOW()
+       WHERE req_id = $2`,
+      [status, requestId]
+    );
+
+    // If accepted, add issue to group (alongside any groups it is already in)
+    if (status === 'accepted') {
+      await pool.query(
+        "INSERT INTO group_issues (group_id, issue_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+        [request.group_id, request.issue_id]
+      );
+    }
+
+    // Let whoever made the request know the outcome
+    await notify(pool, {
+      userId: request.requested_by_group ? request.group_owner_id : request.issue_owner_id,
+      type: 'join_request_decided',
+      title: `Your request to add "${request.issue_title}" to "${request.group_name}" was ${status}`,
+      actorId: userId,
+      issueId: request.issue_id,
+      groupId: request.group_id,
+      data: { request_id: requestId, status }
+    });
+
+    await emitEvent(pool, 'join_request.decided', {
+      request_id: requestId,
+      issue_id: request.issue_id,
+      group_id: request.group_id,
+      requested_by_group: request.requested_by_group,
+      status
+    });
+
+    res.json({
+      message: `Request ${status}`,
+      request_id: requestId
+    });
+  } catch (error) {
+    console.error("Error processing group join request:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Cancel a group join request
+app.delete("/group-join-requests/:id", authenticateToken, async (req, res) => {
+  try {
+    const requestId = req.params.id;
+    const userId = req.user.userId;
+
+    // Get the request details
+    const requestQuery = await pool.query(
+      `SELECT gjr.*, i.user_id as issue_owner_id, g.owner_id as group_owner_id
+       FROM group_join_request gjr
+       JOIN issues i ON gjr.issue_id = i.issue_id
+       JOIN groups g ON gjr.group_id = g.group_id
+       WHERE gjr.req_id = $1`,
+      [requestId]
+    );
+
+    if (requestQuery.rows.length === 0) {
+      return res.status(404).json({ error: "Request not found" });
+    }
+
+    const request = requestQuery.rows[0];
+
+    // Check if request is still pending
+    if (request.status !== 'pending') {
+      return res.status(400).json({ error: "Request is not pending" });
+    }
+
+    // Check authorization - requester can cancel
+    let canCancel = false;
+    if (request.requested_by_group) {
+      // Group owners can cancel their outgoing request
+      canCancel = isOwner(await getMembership(pool, request.group_id, userId));
+    } else {
+      // Issue owner can cancel their outgoing request
+      canCancel = request.issue_owner_id === userId;
+    }
+
+    if (!canCancel) {
+      return res.status(403).json({ error: "Not authorized to cancel this request" });
+    }
+
+    // Update the request to cancelled
+    await pool.query(
+      `UPDATE group_join_request 
+       SET status = 'cancelled', handled_at = NOW()
+       WHERE req_id = $1`,
+      [requestId]
+    );
+
+    res.json({
+      message: "Request cancelled",
+      request_id: requestId
+    });
+  } catch (error) {
+    console.error("Error cancelling group join request:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ FOLLOW ROUTES ============
+
+// Follow a user
+app.post("/users/:id/follow", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    if (id === userId) {
+      return res.status(400).json({ error: "You cannot follow yourself" });
+    }
+
+    const userCheck = await pool.query("SELECT user_id FROM users WHERE user_id = $1", [id]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await pool.query(
+      "INSERT INTO user_follows (follower_id, followed_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+      [userId, id]
+    );
+
+    res.json({ following: true, user_id: id });
+  } catch (error) {
+    console.error("Error following user:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Unfollow a user
+app.delete("/users/:id/follow", authenticateToken, async (req, res) => {
+  try {
+    await pool.query(
+      "DELETE FROM user_follows WHERE follower_id = $1 AND followed_id = $2",
+      [req.user.userId, req.params.id]
+    );
+
+    res.json({ following: false, user_id: req.params.id });
+  } catch (error) {
+    console.error("Error unfollowing user:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Follow a group
+app.post("/groups/:id/follow", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const groupCheck = await pool.query("SELECT group_id FROM groups WHERE group_id = $1", [id]);
+    if (groupCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    await pool.query(
+      "INSERT INTO group_follows (user_id, group_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+      [req.user.userId, id]
+    );
+
+    res.json({ following: true, group_id: id });
+  } catch (error) {
+    console.error("Error following group:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Unfollow a group
+app.delete("/groups/:id/follow", authenticateToken, async (req, res) => {
+  try {
+    await pool.query(
+      "DELETE FROM group_follows WHERE user_id = $1 AND group_id = $2",
+      [req.user.userId, req.params.id]
+    );
+
+    res.json({ following: false, group_id: req.params.id });
+  } catch (error) {
+    console.error("Error unfollowing group:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the users and groups the current user follows
+app.get("/users/me/following", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const [usersResult, groupsResult] = await Promise.all([
+      pool.query(
+        `SELECT u.user_id, u.username, u.full_name, u.profile_picture_url, u.profile_picture_variants,
+                uf.created_at as followed_at
+         FROM user_follows uf
+         JOIN users u ON uf.followed_id = u.user_id
+         WHERE uf.follower_id = $1
+         ORDER BY uf.created_at DESC`,
+        [userId]
+      ),
+      pool.query(
+        `SELECT g.group_id, g.name, g.display_picture_url, g.display_picture_variants,
+                gf.created_at as followed_at
+         FROM group_follows gf
+         JOIN groups g ON gf.group_id = g.group_id
+         WHERE gf.user_id = $1
+         ORDER BY gf.created_at DESC`,
+        [userId]
+      )
+    ]);
+
+    res.json({ users: usersResult.rows, groups: groupsResult.rows });
+  } catch (error) {
+    console.error("Error fetching follows:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the current user's saved locations
+app.get("/users/me/locations", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT location_id, label, latitude, longitude, radius_m, created_at
+       FROM saved_locations
+       WHERE user_id = $1
+       ORDER BY created_at`,
+      [req.user.userId]
+    );
+
+    res.json({ locations: result.rows });
+  } catch (error) {
+    console.error("Error fetching saved locations:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Save a location to see nearby issues in the home feed
+// Body: { label, latitude, longitude, radius_m }
+app.post("/users/me/locations", authenticateToken, async (req, res) => {
+  const { label } = req.body;
+
+  if (!label || !String(label).trim()) {
+    return res.status(400).json({ error: "label is required" });
+  }
+
+  let location;
+  try {
+    location = parseCoordinates(req.body.latitude, req.body.longitude);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (!location) {
+    return res.status(400).json({ error: "latitude and longitude are required" });
+  }
+
+  const radius = req.body.radius_m === undefined ? DEFAULT_NEARBY_RADIUS_M : Number(req.body.radius_m);
+  if (!Number.isInteger(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_M) {
+    return res.status(400).json({ error: `radius_m must be a whole number between 1 and ${MAX_NEARBY_RADIUS_M}` });
+  }
+
+  try {
+    const userId = req.user.userId;
+
+    const countResult = await pool.query(
+      "SELECT COUNT(*)::int as count FROM saved_locations WHERE user_id = $1",
+      [userId]
+    );
+    if (countResult.rows[0].count >= MAX_SAVED_LOCATIONS) {
+      return res.status(400).json({ error: `You can save at most ${MAX_SAVED_LOCATIONS} locations` });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO saved_locations (user_id, label, latitude, longitude, radius_m)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING location_id, label, latitude, longitude, radius_m, created_at`,
+      [userId, String(label).trim(), location.latitude, location.longitude, radius]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error("Error saving location:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete a saved location
+app.delete("/users/me/locations/:locationId", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM saved_locations WHERE location_id = $1 AND user_id = $2 RETURNING location_id",
+      [req.params.locationId, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Location not found" });
+    }
+
+    res.json({ message: "Location deleted", location_id: result.rows[0].location_id });
+  } catch (error) {
+    console.error("Error deleting saved location:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ HOME FEED ROUTE ============
+
+// Home feed items are ordered by posting time, which never changes, so pages cannot shift
+// while the user scrolls. Activity on the user's own issues is reported in last_activity_at.
+const HOME_FEED_KEYS = keyset([['f.posted_at', 'timestamptz'], ['f.id', 'uuid']]);
+
+// Personalised feed: issues in followed and joined groups, by followed users, near saved locations and
+// the user's own issues, plus groups created by followed users. Each item appears once with
+// every `reasons` it matched. Users with nothing to personalise on get the global hot feed.
+app.get("/feed/home", authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const [sourcesResult, locationsResult] = await Promise.all([
+      pool.query(
+        `SELECT EXISTS (SELECT 1 FROM group_follows WHERE user_id = $1)
+             OR EXISTS (SELECT 1 FROM group_members WHERE user_id = $1)
+             OR EXISTS (SELECT 1 FROM user_follows WHERE follower_id = $1)
+             OR EXISTS (SELECT 1 FROM issues WHERE user_id = $1) as has_sources`,
+        [userId]
+      ),
+      pool.query(
+        "SELECT latitude, longitude, radius_m FROM saved_locations WHERE user_id = $1",
+        [userId]
+      )
+    ]);
+
+    // Decided from the user's follows alone, so every page of a scroll uses the same feed
+    if (!sourcesResult.rows[0].has_sources && locationsResult.rows.length === 0) {
+      return sendFeed(req, res, 'hot', { feed: 'global' });
+    }
+
+    let page;
+    try {
+      page = parsePageQuery(req.query, HOME_FEED_KEYS);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const { limit, after } = page;
+
+    // Every way an issue can reach the feed; one row per (issue, reason)
+    const issueParams = [userId];
+    const sources = [
+      `SELECT gi.issue_id, 'followed_group' as reason
+       FROM group_follows gf JOIN group_issues gi ON gi.group_id = gf.group_id
+       WHERE gf.user_id = $1`,
+      `SELECT gi.issue_id, 'member_group' as reason
+       FROM group_members gm JOIN group_issues gi ON gi.group_id = gm.group_id
+       WHERE gm.user_id = $1`,
+      `SELECT i.issue_id, 'followed_user' as reason
+       FROM user_follows uf JOIN issues i ON i.user_id = uf.followed_id
+       WHERE uf.follower_id = $1`,
+      `SELECT i.issue_id, 'own' as reason FROM issues i WHERE i.user_id = $1`
+    ];
+    for (const location of locationsResult.rows) {
+      const bbox = boundingBoxAround(location.latitude, location.longitude, location.radius_m);
+      const condition = boundingBoxCondition('i', bbox, issueParams);
+      issueParams.push(location.latitude, location.longitude, location.radius_m);
+      const n = issueParams.length;
+      sources.push(
+        `SELECT i.issue_id, 'nearby' as reason FROM issues i
+         WHERE ${condition} AND distance_meters($${n - 2}, $${n - 1}, i.latitude, i.longitude) <= $${n}`
+      );
+    }
+
+    const issueConditions = [];
+    if (after) {
+      issueConditions.push(keysetCondition(HOME_FEED_KEYS, after, issueParams));
+    }
+    issueParams.push(limit + 1);
+
+    const issuesQuery = `
+      SELECT f.*, ${keysetSelect(HOME_FEED_KEYS)}
+      FROM (
+        SELECT 
+          i.issue_id as id, i.title, i.description, i.user_id, ${groupIdsSelect('i')},
+          i.display_picture_url, i.display_picture_variants, i.upvote_count, i.comment_count, i.posted_at, i.status, i.category_id,
+          u.username, u.full_name,
+          'issue' as item_type,
+          matched.reasons,
+          CASE WHEN i.user_id = $1
+            THEN GREATEST(i.posted_at, i.status_updated_at,
+                          (SELECT MAX(c.posted_at) FROM comments c WHERE c.issue_id = i.issue_id))
+          END as last_activity_at
+        FROM (
+          SELECT issue_id, array_agg(DISTINCT reason ORDER BY reason) as reasons
+          FROM (${sources.join(' UNION ALL ')}) sources
+          GROUP BY issue_id
+        ) matched
+        JOIN issues i ON i.issue_id = matched.issue_id
+        JOIN users u ON i.user_id = u.user_id
+        WHERE i.merged_into IS NULL
+      ) f
+      ${issueConditions.length ? `WHERE ${issueConditions.join(' AND ')}` : ''}
+      ORDER BY ${keysetOrderBy(HOME_FEED_KEYS)}
+      LIMIT $${issueParams.length}
+    `;
+
+    const groupParams = [userId];
+    const groupConditions = [];
+    if (after) {
+      groupConditions.push(keysetCondition(HOME_FEED_KEYS, after, groupParams));
+    }
+    groupParams.push(limit + 1);
+
+    const groupsQuery = `
+      SELECT f.*, ${keysetSelect(HOME_FEED_KEYS)}
+      FROM (
+        SELECT 
+          g.group_id as id, g.name as title, g.description, g.owner_id as user_id,
+          g.display_picture_url, g.display_picture_variants, g.upvote_count, g.comment_count, g.created_at as posted_at,
+          u.username, u.full_name,
+          'group' as item_type,
+          ARRAY['followed_user'] as reasons,
+          NULL::timestamptz as last_activity_at
+        FROM user_follows uf
+        JOIN groups g ON g.owner_id = uf.followed_id
+        JOIN users u ON g.owner_id = u.user_id
+        WHERE uf.follower_id = $1
+      ) f
+      ${groupConditions.length ? `WHERE ${groupConditions.join(' AND ')}` : ''}
+      ORDER BY ${keysetOrderBy(HOME_FEED_KEYS)}
+      LIMIT $${groupParams.length}
+    `;
+
+    const [issuesResult, groupsResult] = await Promise.all([
+      pool.query(issuesQuery, issueParams),
+      pool.query(groupsQuery, groupParams)
+    ]);
+
+    const combined = [...issuesResult.rows, ...groupsResult.rows]
+      .sort((a, b) => compareKeys(HOME_FEED_KEYS, a.page_key, b.page_key));
+    const { items, next_cursor } = pageOf(combined, limit);
+
+    res.json({
+      feed: 'home',
+      items,
+      count: items.length,
+      next_cursor
+    });
+  } catch (error) {
+    console.error("Error fetching home feed:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ NOTIFICATION ROUTES ============
+
+const NOTIFICATION_KEYS = keyset([['n.created_at', 'timestamptz'], ['n.notification_id', 'uuid']]);
+
+// Get current user's notifications (newest first, optionally ?read=true|false)
+app.get("/notifications", authenticateToken, async (req, res) => {
+  let page;
+  try {
+    page = parsePageQuery(req.query, NOTIFICATION_KEYS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const userId = req.user.userId;
+    const { limit, after } = page;
+
+    const params = [userId];
+    const conditions = ["n.user_id = $1"];
+
+    if (req.query.read !== undefined) {
+      if (!['true', 'false'].includes(req.query.read)) {
+        return res.status(400).json({ error: "read must be 'true' or 'false'" });
+      }
+      params.push(req.query.read === 'true');
+      conditions.push(`n.is_read = $${params.length}`);
+    }
+
+    if (after) {
+      conditions.push(keysetCondition(NOTIFICATION_KEYS, after, params));
+    }
+    params.push(limit + 1);
+
+    const result = await pool.query(
+      `SELECT n.notification_id, n.type, n.title, n.body, n.issue_id, n.group_id, n.data,
+              n.is_read, n.read_at, n.created_at,
+              n.actor_id, u.username as actor_username, u.profile_picture_url as actor_profile_picture_url,
+              ${keysetSelect(NOTIFICATION_KEYS)}
+       FROM notifications n
+       LEFT JOIN users u ON n.actor_id = u.user_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${keysetOrderBy(NOTIFICATION_KEYS)}
+       LIMIT $${params.length}`,
+      params
+    );
+    const { items, next_cursor } = pageOf(result.rows, limit);
+
+    const unreadResult = await pool.query(
+      "SELECT COUNT(*)::int as unread_count FROM notifications WHERE user_id = $1 AND is_read = false",
+      [userId]
+    );
+
+    res.json({
+      notifications: items,
+      unread_count: unreadResult.rows[0].unread_count,
+      limit,
+      count: items.length,
+      next_cursor
+    });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get current user's unread notification count
+app.get("/notifications/unread-count", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT COUNT(*)::int as unread_count FROM notifications WHERE user_id = $1 AND is_read = false",
+      [req.user.userId]
+    );
+
+    res.json({ unread_count: result.rows[0].unread_count });
+  } catch (error) {
+    console.error("Error fetching unread notification count:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get current user's notification preferences (every type, enabled unless turned off)
+app.get("/notifications/preferences", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT event_type, in_app FROM notification_preferences WHERE user_id = $1",
+      [req.user.userId]
+    );
+
+    const stored = Object.fromEntries(result.rows.map(row => [row.event_type, row.in_app]));
+
+    res.json({
+      preferences: NOTIFICATION_TYPES.map(type => ({
+        event_type: type,
+        in_app: stored[type] ?? true
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Update current user's notification preferences
+// Body: { preferences: [{ event_type, in_app }] }
+app.put("/notifications/preferences", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { preferences } = req.body;
+
+    if (!Array.isArray(preferences) || preferences.length === 0) {
+      return res.status(400).json({ error: "preferences must be a non-empty array" });
+    }
+
+    for (const pref of preferences) {
+      if (!isValidNotificationType(pref?.event_type)) {
+        return res.status(400).json({
+          error: `Invalid event_type: ${pref?.event_type}`,
+          allowed: NOTIFICATION_TYPES
+        });
+      }
+      if (typeof pref.in_app !== 'boolean') {
+        return res.status(400).json({ error: "in_app must be a boolean" });
+      }
+    }
+
+    for (const pref of preferences) {
+      await pool.query(
+        `INSERT INTO notification_preferences (user_id, event_type, in_app)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, event_type)
+         DO UPDATE SET in_app = EXCLUDED.in_app, updated_at = NOW()`,
+        [userId, pref.event_type, pref.in_app]
+      );
+    }
+
+    res.json({ message: "Notification preferences updated" });
+  } catch (error) {
+    console.error("Error updating notification preferences:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Mark all of current user's notifications as read
+app.post("/notifications/read-all", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE notifications SET is_read = true, read_at = NOW()
+       WHERE user_id = $1 AND is_read = false`,
+      [req.user.userId]
+    );
+
+    res.json({ message: "All notifications marked as read", updated: result.rowCount });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Mark a single notification as read
+app.post("/notifications/:id/read", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `UPDATE notifications SET is_read = true, read_at = COALESCE(read_at, NOW())
+       WHERE notification_id = $1 AND user_id = $2
+       RETURNING notification_id, is_read, read_at`,
+      [id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ EMAIL ROUTES ============
+
+// Get current user's email preferences
+app.get("/email/preferences", authenticateToken, async (req, res) => {
+  try {
+    const recipient = await getEmailRecipient(pool, req.user.userId);
+    if (!recipient) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({
+      immediate_enabled: recipient.immediate_enabled,
+      digest_frequency: recipient.digest_frequency,
+      last_digest_sent_at: recipient.last_digest_sent_at
+    });
+  } catch (error) {
+    console.error("Error fetching email preferences:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Update current user's email preferences
+app.put("/email/preferences", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { immediate_enabled, digest_frequency } = req.body;
+
+    if (immediate_enabled !== undefined && typeof immediate_enabled !== 'boolean') {
+      return res.status(400).json({ error: "immediate_enabled must be a boolean" });
+    }
+
+    if (digest_frequency !== undefined && !DIGEST_FREQUENCIES.includes(digest_frequency)) {
+      return res.status(400).json({
+        error: "Invalid digest_frequency",
+        allowed: DIGEST_FREQUENCIES
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO email_preferences (user_id, immediate_enabled, digest_frequency)
+       VALUES ($1, COALESCE($2, true), COALESCE($3, 'weekly'))
+       ON CONFLICT (user_id) DO UPDATE SET
+         immediate_enabled = COALESCE($2, email_preferences.immediate_enabled),
+         digest_frequency = COALESCE($3, email_preferences.digest_frequency),
+         updated_at = NOW()
+       RETURNING immediate_enabled, digest_frequency, last_digest_sent_at`,
+      [userId, immediate_enabled ?? null, digest_frequency ?? null]
+    );
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Error updating email preferences:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Unsubscribe using the token from an email link (no login needed)
+// ?scope=digest only stops digests; anything else stops all emails.
+// Tokens are uuids; a malformed one matches nobody (22P02 is Postgres' invalid input error).
+const unsubscribeByToken = async (token, scope) => {
+  try {
+    const result = await pool.query(
+      `UPDATE email_preferences SET
+         immediate_enabled = CASE WHEN $2 = 'digest' THEN immediate_enabled ELSE false END,
+         digest_frequency = 'never',
+         updated_at = NOW()
+       WHERE unsubscribe_token = $1::uuid
+       RETURNING user_id`,
+      [token, scope]
+    );
+
+    return result.rows.length > 0;
+  } catch (error) {
+    if (error.code === '22P02') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const unsubscribeTokenExists = async (token) => {
+  try {
+    const result = await pool.query(
+      "SELECT 1 FROM email_preferences WHERE unsubscribe_token = $1::uuid",
+      [token]
+    );
+    return result.rows.length > 0;
+  } catch (error) {
+    if (error.code === '22P02') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// The link in emails only shows a confirmation form, so link scanners and mail prefetchers
+// that open it do not unsubscribe anyone. The form POSTs below.
+app.get("/email/unsubscribe", async (req, res) => {
+  try {
+    const { token } = req.query;
+    const scope = req.query.scope === 'digest' ? 'digest' : 'all';
+
+    if (!token) {
+      return res.status(400).send("<p>Missing unsubscribe token.</p>");
+    }
+
+    if (!(await unsubscribeTokenExists(String(token)))) {
+      return res.status(404).send("<p>This unsubscribe link is invalid or has expired.</p>");
+    }
+
+    const action = `/email/unsubscribe?token=${encodeURIComponent(token)}&scope=${scope}`;
+    res.send(`<form method="post" action="${escapeHtml(action)}">
+  <p>${scope === 'digest' ? "Stop receiving Idraak digests?" : "Stop receiving all Idraak emails?"}</p>
+  <button type="submit">Unsubscribe</button>
+</form>`);
+  } catch (error) {
+    console.error("Error showing unsubscribe page:", error);
+    res.status(500).send("<p>Something went wrong. Please try again later.</p>");
+  }
+});
+
+// Unsubscribe: the confirmation form, and one-click unsubscribe (RFC 8058) posted by mail
+// clients that saw the List-Unsubscribe-Post header
+app.post("/email/unsubscribe", async (req, res) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+  try {
+    const token = req.query.token || req.body?.token;
+    const scope = req.query.scope || req.body?.scope;
+
+    if (!token) {
+      return wantsHtml
+        ? res.status(400).send("<p>Missing unsubscribe token.</p>")
+        : res.status(400).json({ error: "token is required" });
+    }
+
+    const found = await unsubscribeByToken(String(token), scope);
+    if (!found) {
+      return wantsHtml
+        ? res.status(404).send("<p>This unsubscribe link is invalid or has expired.</p>")
+        : res.status(404).json({ error: "Invalid unsubscribe token" });
+    }
+
+    if (wantsHtml) {
+      return res.send(scope === 'digest'
+        ? "<p>You have been unsubscribed from Idraak digests.</p>"
+        : "<p>You have been unsubscribed from all Idraak emails.</p>");
+    }
+    res.json({ message: "Unsubscribed" });
+  } catch (error) {
+    console.error("Error unsubscribing:", error);
+    if (wantsHtml) {
+      return res.status(500).send("<p>Something went wrong. Please try again later.</p>");
+    }
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ REALTIME ROUTES ============
+
+// Server-Sent Events stream.
+// ?issues=<id,id>  upvote counts, new comments and join request decisions for those issues
+// ?groups=<id,id>  the same for groups
+// ?notifications=true  the caller's own notifications
+// EventSource clients can pass the JWT as ?access_token=...
+app.get("/realtime/events", authenticateStream, async (req, res) => {
+  try {
+    const issueIds = parseIdList(req.query.issues);
+    const groupIds = parseIdList(req.query.groups);
+    const wantsNotifications = req.query.notifications === 'true';
+
+    if (issueIds.length + groupIds.length > MAX_STREAM_SUBSCRIPTIONS) {
+      return res.status(400).json({ error: `A stream can follow at most ${MAX_STREAM_SUBSCRIPTIONS} issues and groups` });
+    }
+
+    if (wantsNotifications && !req.user.userId) {
+      return res.status(400).json({ error: "Only users have a notification stream" });
+    }
+
+    if (issueIds.length === 0 && groupIds.length === 0 && !wantsNotifications) {
+      return res.status(400).json({ error: "Subscribe to at least one of issues, groups or notifications" });
+    }
+
+    if (issueIds.length > 0) {
+      const issuesResult = await pool.query(
+        "SELECT issue_id::text FROM issues WHERE issue_id::text = ANY($1)",
+        [issueIds]
+      );
+      const found = new Set(issuesResult.rows.map(row => row.issue_id));
+      const missing = issueIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        return res.status(404).json({ error: "Issue not found", issue_ids: missing });
+      }
+    }
+
+    if (groupIds.length > 0) {
+      const groupsResult = await pool.query(
+        "SELECT group_id::text FROM groups WHERE group_id::text = ANY($1)",
+        [groupIds]
+      );
+      const found = new Set(groupsResult.rows.map(row => row.group_id));
+      const missing = groupIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        return res.status(404).json({ error: "Group not found", group_ids: missing });
+      }
+    }
+
+    const channels = [
+      ...issueIds.map(id => `issue:${id}`),
+      ...groupIds.map(id => `group:${id}`),
+      ...(wantsNotifications ? [`user:${req.user.userId}`] : [])
+    ];
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    subscribe(res, channels);
+    writeEvent(res, 'ready', { channels });
+  } catch (error) {
+    console.error("Error opening realtime stream:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+});
+
+// ============ CATEGORY ROUTES ============
+
+// Get all issue categories (flat list; use parent_id to build the tree)
+app.get("/categories", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT category_id, name, slug, description, parent_id
+       FROM categories
+       ORDER BY name ASC`
+    );
+
+    res.json({ categories: result.rows });
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ SEARCH ROUTE ============
+
+// Full-text search across users, issues, groups and comments (see utils/search.js).
+// Each type is paged on its own; the first page also carries facet counts.
+app.get("/search", authenticateToken, async (req, res) => {
+  let type;
+  let filters;
+  let page;
+  try {
+    type = parseSearchType(req.query.type);
+    filters = {
+      status: parseStatusFilter(req.query.status),
+      categoryId: req.query.category_id || null,
+      tags: parseTagFilter(req.query.tag),
+      groupId: req.query.group_id || null,
+      ...parseDateRange(req.query.from, req.query.to)
+    };
+
+    if (type === 'all' && req.query.cursor) {
+      throw new Error("cursor can only be used with a single type");
+    }
+    page = parsePageQuery(req.query, SEARCH_KEYS[type === 'all' ? 'issues' : type]);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const query = String(req.query.q || '').trim();
+    const types = type === 'all' ? SEARCH_TYPES : [type];
+
+    const results = {
+      query,
+      users: [],
+      issues: [],
+      groups: [],
+      comments: [],
+      next_cursor: Object.fromEntries(SEARCH_TYPES.map(searchType => [searchType, null])),
+      total: 0
+    };
+
+    if (!query) {
+      return res.json(results);
+    }
+
+    const [pages, facets] = await Promise.all([
+      Promise.all(types.map(searchType => searchPage(pool, searchType, query, filters, page))),
+      page.after ? null : searchFacets(pool, query, filters)
+    ]);
+
+    types.forEach((searchType, index) => {
+      const { items, next_cursor } = pageOf(pages[index], page.limit);
+      results[searchType] = items;
+      results.next_cursor[searchType] = next_cursor;
+      results.total += items.length;
+    });
+    if (facets) {
+      results.facets = facets;
+    }
+
+    res.json(results);
+  } catch (error) {
+    console.error("Error searching:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Typeahead suggestions: prefix matches of usernames, group names, issue titles, categories
+// and tags. Cheap enough to call on every keystroke; hot prefixes are served from a cache.
+app.get("/search/suggest", authenticateToken, async (req, res) => {
+  let types;
+  try {
+    types = parseSuggestTypes(req.query.types);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const query = normalizeSuggestQuery(req.query.q);
+  const requested = parseInt(req.query.limit);
+  const limit = Math.min(requested > 0 ? requested : DEFAULT_SUGGEST_LIMIT, MAX_SUGGEST_LIMIT);
+
+  if (!query) {
+    return res.json({ q: query, suggestions: [] });
+  }
+
+  try {
+    const suggestions = await suggest(pool, query, types, limit);
+
+    res.set('Cache-Control', `private, max-age=${SUGGEST_CACHE_TTL_MS / 1000}`);
+    res.json({ q: query, suggestions });
+  } catch (error) {
+    console.error("Error fetching search suggestions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ SAVED SEARCH ROUTES ============
+
+// Get the current user's saved searches
+app.get("/saved-searches", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${SAVED_SEARCH_COLUMNS}
+       FROM saved_searches
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [req.user.userId]
+    );
+
+    res.json({ saved_searches: result.rows });
+  } catch (error) {
+    console.error("Error fetching saved searches:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Save a search to repeat it and be alerted about new matching issues and groups
+// Body: { name, q, type, status, category_id, tag, group_id, notify_in_app, notify_email }
+app.post("/saved-searches", authenticateToken, async (req, res) => {
+  let savedSearch;
+  try {
+    savedSearch = parseSavedSearch(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const userId = req.user.userId;
+
+    const countResult = await pool.query(
+      "SELECT COUNT(*)::int as count FROM saved_searches WHERE user_id = $1",
+      [userId]
+    );
+    if (countResult.rows[0].count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save at most ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO saved_searches (user_id, name, query, search_type, filters, notify_in_app, notify_email)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${SAVED_SEARCH_COLUMNS}`,
+      [userId, savedSearch.name, savedSearch.query, savedSearch.searchType, savedSearch.filters,
+        savedSearch.notifyInApp, savedSearch.notifyEmail]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error("Error saving search:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete a saved search
+app.delete("/saved-searches/:id", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM saved_searches WHERE saved_search_id = $1 AND user_id = $2 RETURNING saved_search_id",
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+
+    res.json({ message: "Saved search deleted", saved_search_id: result.rows[0].saved_search_id });
+  } catch (error) {
+    console.error("Error deleting saved search:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the issues and groups that matched a saved search since it was last checked, oldest
+// first. They are marked as seen, so the next call only returns newer matches.
+app.get("/saved-searches/:id/new", authenticateToken, async (req, res) => {
+  const requested = parseInt(req.query.limit);
+  const limit = Math.min(requested > 0 ? requested : DEFAULT_NEW_MATCHES_LIMIT, MAX_NEW_MATCHES_LIMIT);
+
+  try {
+    const result = await pool.query(
+      `SELECT saved_search_id, user_id, name, query, search_type, filters,
+              last_checked_at, last_checked_key
+       FROM saved_searches
+       WHERE saved_search_id = $1 AND user_id = $2`,
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+
+    const matches = await fetchNewMatches(pool, result.rows[0], limit);
+
+    res.json({ saved_search_id: result.rows[0].saved_search_id, ...matches });
+  } catch (error) {
+    console.error("Error fetching new saved search matches:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ ROLES ROUTES ============
+
+// Get all available roles
+app.get("/roles", async (req, res) => {
+  try {
+    console.log('[GET /roles] Fetching roles from database');
+    const result = await pool.query(
+      `SELECT role_id, title, description, upvote_weight 
+       FROM roles 
+       ORDER BY upvote_weight ASC, title ASC`
+    );
+
+    console.log('[GET /roles] Found', result.rows.length, 'roles');
+    const response = { roles: result.rows };
+    console.log('[GET /roles] Sending response:', JSON.stringify(response));
+    res.json(response);
+  } catch (error) {
+    console.error("Error fetching roles:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ ROLE CHANGE REQUEST ROUTES ============
+
+// Submit a role change request
+app.post("/role-change-requests", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { requested_role_id } = req.body;
+
+    if (!requested_role_id) {
+      return res.status(400).json({ error: "requested_role_id is required" });
+    }
+
+    // Check if user already has a pending request
+    const existingRequest = await pool.query(
+      `SELECT req_id FROM role_change_request 
+       WHERE user_id = $1 AND status = 'pending'`,
+      [userId]
+    );
+
+    if (existingRequest.rows.length > 0) {
+      return res.status(400).json({
+        error: "You already have a pending role change request"
+      });
+    }
+
+    // Check if requested role exists
+    const roleCheck = await pool.query(
+      `SELECT role_id FROM roles WHERE role_id = $1`,
+      [requested_role_id]
+    );
+
+    if (roleCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Requested role not found" });
+    }
+
+    // Create the request
+    const result = await pool.query(
+      `INSERT INTO role_change_request (user_id, requested_role_id, status)
+       VALUES ($1, $2, 'pending')
+       RETURNING req_id, user_id, requested_role_id, status, submitted_at`,
+      [userId, requested_role_id]
+    );
+
+    res.status(201).json({
+      request: result.rows[0]
+    });
+  } catch (error) {
+    console.error("Error creating role change request:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get current user's role change requests
+app.get("/role-change-requests/my", authenticateToken, async (req, res) => {
+  try {
+    console.log('[GET /role-change-requests/my] User ID:', req.user.userId);
+    const userId = req.user.userId;
+
+    const result = await pool.query(
+      `SELECT rcr.req_id, rcr.submitted_at, rcr.reviewed_at, rcr.status,
+              r_current.title as current_role,
+              r_requested.title as requested_role,
+              rcr.requested_role_id
+       FROM role_change_request rcr
+       JOIN users u ON rcr.user_id = u.user_id
+       JOIN roles r_current ON u.role_id = r_current.role_id
+       JOIN roles r_requested ON rcr.requested_role_id = r_requested.role_id
+       WHERE rcr.user_id = $1
+       ORDER BY rcr.submitted_at DESC
+       LIMIT 10`,
+      [userId]
+    );
+
+    res.json({
+      requests: result.rows
+    });
+  } catch (error) {
+    console.error("Error fetching user role requests:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ ADMIN AUTH ROUTES ============
+
+// Admin registration
+app.post("/admin/register", async (req, res) => {
+  const { email, password, first_name, last_name } = req.body;
+
+  if (!email || !password || !first_name || !last_name) {
+    return res.status(400).json({
+      error: "Email, password, first_name, and last_name are required"
+    });
+  }
+
+  // Basic email validation
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    return res.status(400).json({ error: "Invalid email format" });
+  }
+
+  // Basic password validation
+  if (password.length < 6) {
+    return res.status(400).json({ error: "Password must be at least 6 characters" });
+  }
+
+  try {
+    // Check if email already exists
+    const existingAdmin = await pool.query(
+      'SELECT admin_id FROM admin WHERE email = $1',
+      [email]
+    );
 
-    if (!issue_id || !group_id || typeof requested_by_group !== 'boolean') {
+    if (existingAdmin.rows.length > 0) {
       return res.status(400).json({
-        error: "issue_id, group_id, and requested_by_group are required"
+        error: "Email already exists"
       });
     }
 
-    // Fetch issue and group info for authorization and auto-accept check
-    const issueCheck = await pool.query(
-      "SELECT user_id FROM issues WHERE issue_id = $1",
-      [issue_id]
+    // Hash the password
+    const password_hash = await hashPassword(password);
+
+    // Insert new admin
+    const result = await pool.query(
+      `INSERT INTO admin (email, password_hash, first_name, last_name) 
+       VALUES ($1, $2, $3, $4)
+       RETURNING admin_id, email, first_name, last_name, created_at`,
+      [email, password_hash, first_name, last_name]
     );
-    if (issueCheck.rows.length === 0) {
-      return res.status(404).json({ error: "Issue not found" });
-    }
 
-    const groupCheck = await pool.query(
-      "SELECT owner_id FROM groups WHERE group_id = $1",
-      [group_id]
+    const admin = result.rows[0];
+
+    // Generate JWT token
+    const token = generateToken({
+      adminId: admin.admin_id,
+      email: admin.email,
+      type: 'admin'
+    });
+
+    res.status(201).json({
+      token,
+      admin: {
+        admin_id: admin.admin_id,
+        email: admin.email,
+        first_name: admin.first_name,
+        last_name: admin.last_name,
+        created_at: admin.created_at
+      }
+    });
+  } catch (err) {
+    console.error("Error registering admin:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Admin login
+app.post("/admin/login", async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({
+      error: "Email and password are required"
+    });
+  }
+
+  try {
+    // Get admin by email
+    const result = await pool.query(
+      `SELECT admin_id, email, first_name, last_name, password_hash, created_at 
+       FROM admin 
+       WHERE email = $1`,
+      [email]
     );
-    if (groupCheck.rows.length === 0) {
-      return res.status(404).json({ error: "Group not found" });
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const issueOwnerId = issueCheck.rows[0].user_id;
-    const groupOwnerId = groupCheck.rows[0].owner_id;
+    const admin = result.rows[0];
 
-    // Check authorization: either issue owner or group owner
-    if (requested_by_group) {
-      // Group owner is requesting to include an issue
-      if (groupOwnerId !== userId) {
-        return res.status(403).json({ error: "Only group owner can make this request" });
-      }
-    } else {
-      // Issue owner is requesting to join a group
-      if (issueOwnerId !== userId) {
-        return res.status(403).json({ error: "Only issue owner can make this request" });
-      }
+    // Verify password
+    const isValidPassword = await comparePassword(password, admin.password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    // Check if issue is already in the group
-    const existingLink = await pool.query(
-      "SELECT 1 FROM issues WHERE issue_id = $1 AND group_id = $2",
-      [issue_id, group_id]
-    );
-    if (existingLink.rows.length > 0) {
-      return res.status(400).json({ error: "Issue is already in this group" });
+    // Generate JWT token
+    const token = generateToken({
+      adminId: admin.admin_id,
+      email: admin.email,
+      type: 'admin'
+    });
+
+    res.json({
+      token,
+      admin: {
+        admin_id: admin.admin_id,
+        email: admin.email,
+        first_name: admin.first_name,
+        last_name: admin.last_name,
+        created_at: admin.created_at
+      }
+    });
+  } catch (err) {
+    console.error("Error logging in admin:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get current admin info
+app.get("/admin/me", authenticateToken, async (req, res) => {
+  try {
+    // Check if the authenticated user is an admin
+    if (req.user.type !== 'admin') {
+      return res.status(403).json({ error: "Access denied. Admin only." });
     }
 
-    // Check if there's already a pending request
-    const existingRequest = await pool.query(
-      `SELECT req_id FROM group_join_request 
-       WHERE issue_id = $1 AND group_id = $2 AND status = 'pending'`,
-      [issue_id, group_id]
+    const adminId = req.user.adminId;
+
+    const result = await pool.query(
+      `SELECT admin_id, email, first_name, last_name, created_at 
+       FROM admin 
+       WHERE admin_id = $1`,
+      [adminId]
     );
-    if (existingRequest.rows.length > 0) {
-      return res.status(400).json({ error: "A pending request already exists" });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Admin not found" });
     }
 
-    // AUTO-ACCEPT: If group owner is adding their own issue, auto-approve
-    const isOwnerAddingOwnIssue = (groupOwnerId === issueOwnerId && groupOwnerId === userId);
+    res.json({
+      admin: result.rows[0]
+    });
+  } catch (err) {
+    console.error("Error fetching admin info:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ============ ADMIN MANAGEMENT ENDPOINTS ============
 
-    if (isOwnerAddingOwnIssue) {
-      // Directly add issue to group without creating a request
-      await pool.query(
-        "UPDATE issues SET group_id = $1 WHERE issue_id = $2",
-        [group_id, issue_id]
-      );
+// Middleware to check if user is admin
+const requireAdmin = (req, res, next) => {
+  console.log('requireAdmin middleware - req.user:', req.user);
+  if (!req.user || req.user.type !== 'admin') {
+    return res.status(403).json({ error: "Access denied. Admin only.", user: req.user });
+  }
+  next();
+};
 
-      // Create an approved request record for history
-      const result = await pool.query(
-        `INSERT INTO group_join_request (issue_id, group_id, requested_by_group, status, requested_at, handled_at)
-         VALUES ($1, $2, $3, 'approved', NOW(), NOW())
-         RETURNING req_id, issue_id, group_id, requested_by_group, status, requested_at, handled_at`,
-        [issue_id, group_id, requested_by_group]
-      );
+const ADMIN_USER_KEYS = keyset([['u.created_at', 'timestamptz'], ['u.user_id', 'uuid']]);
 
-      return res.status(201).json({
-        request: result.rows[0],
-        auto_accepted: true,
-        message: "Issue automatically added to your group"
-      });
-    }
+// Get all users with cursor pagination (?cursor=&limit=&search=)
+app.get("/admin/users", authenticateToken, requireAdmin, async (req, res) => {
+  let page;
+  try {
+    page = parsePageQuery(req.query, ADMIN_USER_KEYS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    // Create pending request (normal flow for other cases)
-    const result = await pool.query(
-      `INSERT INTO group_join_request (issue_id, group_id, requested_by_group, status, requested_at)
-       VALUES ($1, $2, $3, 'pending', NOW())
-       RETURNING req_id, issue_id, group_id, requested_by_group, status, requested_at, handled_at`,
-      [issue_id, group_id, requested_by_group]
+  try {
+    const { limit, after } = page;
+    const search = req.query.search || '';
+
+    const params = search ? [`%${search}%`] : [];
+    const conditions = search ? ['(u.username ILIKE $1 OR u.full_name ILIKE $1 OR u.email ILIKE $1)'] : [];
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM users u ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+      [...params]
     );
+    const total = parseInt(countResult.rows[0].count);
 
-    res.status(201).json({
-      request: result.rows[0]
+    if (after) {
+      conditions.push(keysetCondition(ADMIN_USER_KEYS, after, params));
+    }
+    params.push(limit + 1);
+
+    const usersQuery = `
+      SELECT u.user_id, u.email, u.username, u.full_name, u.created_at,
+             r.title as role_title, r.role_id,
+             ${keysetSelect(ADMIN_USER_KEYS)}
+      FROM users u
+      LEFT JOIN roles r ON u.role_id = r.role_id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${keysetOrderBy(ADMIN_USER_KEYS)}
+      LIMIT $${params.length}
+    `;
+
+    const result = await pool.query(usersQuery, params);
+    const { items, next_cursor } = pageOf(result.rows, limit);
+
+    res.json({
+      users: items,
+      pagination: {
+        limit,
+        total,
+        next_cursor
+      }
     });
   } catch (error) {
-    console.error("Error creating group join request:", error);
+    console.error("Error fetching users:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get group join requests
-app.get("/group-join-requests", authenticateToken, async (req, res) => {
+// Get all issues with cursor pagination (?cursor=&limit=&search=)
+app.get("/admin/issues", authenticateToken, requireAdmin, async (req, res) => {
+  let page;
   try {
-    const userId = req.user.userId;
-    const direction = req.query.direction; // 'incoming' or 'outgoing'
+    page = parsePageQuery(req.query, ISSUE_KEYS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    let query;
-    if (direction === 'incoming') {
-      // Requests where the current user can act
-      query = `
-        SELECT 
-          gjr.req_id, gjr.issue_id, gjr.group_id, gjr.requested_by_group, 
-          gjr.status, gjr.requested_at, gjr.handled_at,
-          i.title as issue_title, i.description as issue_description,
-          i.user_id as issue_owner_id, iu.username as issue_owner_username,
-          g.name as group_name, g.description as group_description,
-          g.owner_id as group_owner_id, gu.username as group_owner_username
-        FROM group_join_request gjr
-        JOIN issues i ON gjr.issue_id = i.issue_id
-        JOIN users iu ON i.user_id = iu.user_id
-        JOIN groups g ON gjr.group_id = g.group_id
-        JOIN users gu ON g.owner_id = gu.user_id
-        WHERE 
-          (gjr.requested_by_group = true AND i.user_id = $1) OR
-          (gjr.requested_by_group = false AND g.owner_id = $1)
-        ORDER BY gjr.requested_at DESC
-      `;
-    } else if (direction === 'outgoing') {
-      // Requests initiated by the current user
-      query = `
-        SELECT 
-          gjr.req_id, gjr.issue_id, gjr.group_id, gjr.requested_by_group, 
-          gjr.status, gjr.requested_at, gjr.handled_at,
-          i.title as issue_title, i.description as issue_description,
-          i.user_id as issue_owner_id, iu.username as issue_owner_username,
-          g.name as group_name, g.description as group_description,
-          g.owner_id as group_owner_id, gu.username as group_owner_username
-        FROM group_join_request gjr
-        JOIN issues i ON gjr.issue_id = i.issue_id
-        JOIN users iu ON i.user_id = iu.user_id
-        JOIN groups g ON gjr.group_id = g.group_id
-        JOIN users gu ON g.owner_id = gu.user_id
-        WHERE 
-          (gjr.requested_by_group = true AND g.owner_id = $1) OR
-          (gjr.requested_by_group = false AND i.user_id = $1)
-        ORDER BY gjr.requested_at DESC
-      `;
-    } else {
-      // All requests involving the user
-      query = `
-        SELECT 
-          gjr.req_id, gjr.issue_id, gjr.group_id, gjr.requested_by_group, 
-          gjr.status, gjr.requested_at, gjr.handled_at,
-          i.title as issue_title, i.description as issue_description,
-          i.user_id as issue_owner_id, iu.username as issue_owner_username,
-          g.name as group_name, g.description as group_description,
-          g.owner_id as group_owner_id, gu.username as group_owner_username
-        FROM group_join_request gjr
-        JOIN issues i ON gjr.issue_id = i.issue_id
-        JOIN users iu ON i.user_id = iu.user_id
-        JOIN groups g ON gjr.group_id = g.group_id
-        JOIN users gu ON g.owner_id = gu.user_id
-        WHERE i.user_id = $1 OR g.owner_id = $1
-        ORDER BY gjr.requested_at DESC
-      `;
+  try {
+    const { limit, after } = page;
+    const search = req.query.search || '';
+
+    const params = search ? [`%${search}%`] : [];
+    const conditions = search ? ['(i.title ILIKE $1 OR i.description ILIKE $1)'] : [];
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM issues i ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+      [...params]
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    if (after) {
+      conditions.push(keysetCondition(ISSUE_KEYS, after, params));
     }
+    params.push(limit + 1);
 
-    const result = await pool.query(query, [userId]);
+    const issuesQuery = `
+      SELECT i.issue_id, i.title, i.description, i.posted_at, i.status,
+             i.upvote_count, i.comment_count, i.display_picture_url, i.display_picture_variants,
+             u.username, u.full_name, u.user_id,
+             ARRAY(SELECT g.name FROM group_issues gi JOIN groups g ON gi.group_id = g.group_id
+                   WHERE gi.issue_id = i.issue_id ORDER BY gi.added_at, g.group_id) as group_names,
+             ${groupIdsSelect('i')},
+             ${keysetSelect(ISSUE_KEYS)}
+      FROM issues i
+      JOIN users u ON i.user_id = u.user_id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${keysetOrderBy(ISSUE_KEYS)}
+      LIMIT $${params.length}
+    `;
+
+    const result = await pool.query(issuesQuery, params);
+    const { items, next_cursor } = pageOf(result.rows, limit);
 
     res.json({
-      requests: result.rows
+      issues: items,
+      pagination: {
+        limit,
+        total,
+        next_cursor
+      }
     });
   } catch (error) {
-    console.error("Error fetching group join requests:", error);
+    console.error("Error fetching issues:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Accept or decline a group join request
-app.put("/group-join-requests/:id", authenticateToken, async (req, res) => {
+// Delete an issue
+app.delete("/admin/issues/:id", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const requestId = req.params.id;
-    const { status } = req.body;
-    const userId = req.user.userId;
-
-    if (!status || !['accepted', 'declined'].includes(status)) {
-      return res.status(400).json({ error: "Status must be 'accepted' or 'declined'" });
-    }
+    const issueId = req.params.id;
 
-    // Get the request details
-    const requestQuery = await pool.query(
-      `SELECT gjr.*, i.user_id as issue_owner_id, g.owner_id as group_owner_id
-       FROM group_join_request gjr
-       JOIN issues i ON gjr.issue_id = i.issue_id
-       JOIN groups g ON gjr.group_id = g.group_id
-       WHERE gjr.req_id = $1`,
-      [requestId]
+    const result = await pool.query(
+      `WITH attachments AS (SELECT file_path FROM post_attachments WHERE issue_id = $1)
+       DELETE FROM issues WHERE issue_id = $1
+       RETURNING display_picture_url, display_picture_variants,
+                 ARRAY(SELECT file_path FROM attachments) as attachment_paths`,
+      [issueId]
     );
 
-    if (requestQuery.rows.length === 0) {
-      return res.status(404).json({ error: "Request not found" });
+    if (result.rowCount > 0) {
+      await removeIssueFiles(result.rows[0]);
+      await emitEvent(pool, 'issue.deleted', { issue_id: issueId });
     }
 
-    const request = requestQuery.rows[0];
+    res.json({ message: "Issue deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting issue:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    // Check if request is still pending
-    if (request.status !== 'pending') {
-      return res.status(400).json({ error: "Request is not pending" });
-    }
+// Get all groups with cursor pagination (?cursor=&limit=&search=&orphaned=true)
+app.get("/admin/groups", authenticateToken, requireAdmin, async (req, res) => {
+  let page;
+  try {
+    page = parsePageQuery(req.query, GROUP_KEYS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    // Check authorization
-    let canAct = false;
-    if (request.requested_by_group) {
-      // Group requested to include issue; issue owner can act
-      canAct = request.issue_owner_id === userId;
-    } else {
-      // Issue requested to join group; group owner can act
-      canAct = request.group_owner_id === userId;
-    }
+  try {
+    const { limit, after } = page;
+    const search = req.query.search || '';
 
-    if (!canAct) {
-      return res.status(403).json({ error: "Not authorized to act on this request" });
+    const params = search ? [`%${search}%`] : [];
+    const conditions = search ? ['(g.name ILIKE $1 OR g.description ILIKE $1)'] : [];
+    if (req.query.orphaned === 'true') {
+      // Groups whose owner deleted their account and had no co-owner to take over
+      conditions.push('g.owner_id IS NULL');
     }
 
-    // Update the request
-    await pool.query(
-      `UPDATE group_join_request 
-       SET status = $1, handled_at = NOW()
-       WHERE req_id = $2`,
-      [status, requestId]
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM groups g ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+      [...params]
     );
+    const total = parseInt(countResult.rows[0].count);
 
-    // If accepted, add issue to group
-    if (status === 'accepted') {
-      await pool.query(
-        `UPDATE issues SET group_id = $1 WHERE issue_id = $2`,
-        [request.group_id, request.issue_id]
-      );
+    if (after) {
+      conditions.push(keysetCondition(GROUP_KEYS, after, params));
     }
+    params.push(limit + 1);
+
+    const groupsQuery = `
+      SELECT g.group_id, g.name, g.description, g.created_at,
+             g.upvote_count, g.comment_count, g.display_picture_url, g.display_picture_variants,
+             u.username, u.full_name, g.owner_id, g.issue_count,
+             ${keysetSelect(GROUP_KEYS)}
+      FROM groups g
+      LEFT JOIN users u ON g.owner_id = u.user_id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${keysetOrderBy(GROUP_KEYS)}
+      LIMIT $${params.length}
+    `;
+
+    const result = await pool.query(groupsQuery, params);
+    const { items, next_cursor } = pageOf(result.rows, limit);
 
     res.json({
-      message: `Request ${status}`,
-      request_id: requestId
+      groups: items,
+      pagination: {
+        limit,
+        total,
+        next_cursor
+      }
     });
   } catch (error) {
-    console.error("Error processing group join request:", error);
+    console.error("Error fetching groups:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Cancel a group join request
-app.delete("/group-join-requests/:id", authenticateToken, async (req, res) => {
+// Delete a group
+app.delete("/admin/groups/:id", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const requestId = req.params.id;
-    const userId = req.user.userId;
+    const groupId = req.params.id;
 
-    // Get the request details
-    const requestQuery = await pool.query(
-      `SELECT gjr.*, i.user_id as issue_owner_id, g.owner_id as group_owner_id
-       FROM group_join_request gjr
-       JOIN issues i ON gjr.issue_id = i.issue_id
-       JOIN groups g ON gjr.group_id = g.group_id
-       WHERE gjr.req_id = $1`,
-      [requestId]
+    const result = await pool.query(
+      "DELETE FROM groups WHERE group_id = $1 RETURNING display_picture_url, display_picture_variants",
+      [groupId]
     );
 
-    if (requestQuery.rows.length === 0) {
-      return res.status(404).json({ error: "Request not found" });
+    if (result.rowCount > 0) {
+      await removeStoredFiles(pictureUrls(result.rows[0].display_picture_url, result.rows[0].display_picture_variants));
+      await emitEvent(pool, 'group.deleted', { group_id: groupId });
     }
 
-    const request = requestQuery.rows[0];
+    res.json({ message: "Group deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting group:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    // Check if request is still pending
-    if (request.status !== 'pending') {
-      return res.status(400).json({ error: "Request is not pending" });
-    }
+// Reassign ownership of a group, e.g. an orphaned one. The previous owner, if any, stays on
+// as a co-owner.
+// Body: { user_id }
+app.put("/admin/groups/:id/owner", authenticateToken, requireAdmin, async (req, res) => {
+  const { user_id: ownerId } = req.body;
+  if (!ownerId) {
+    return res.status(400).json({ error: "user_id is required" });
+  }
 
-    // Check authorization - requester can cancel
-    let canCancel = false;
-    if (request.requested_by_group) {
-      // Group owner can cancel their outgoing request
-      canCancel = request.group_owner_id === userId;
-    } else {
-      // Issue owner can cancel their outgoing request
-      canCancel = request.issue_owner_id === userId;
+  try {
+    const groupId = req.params.id;
+
+    const groupCheck = await pool.query("SELECT owner_id, name FROM groups WHERE group_id = $1", [groupId]);
+    if (groupCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    if (groupCheck.rows[0].owner_id === ownerId) {
+      return res.status(400).json({ error: "User already owns this group" });
     }
 
-    if (!canCancel) {
-      return res.status(403).json({ error: "Not authorized to cancel this request" });
+    const userCheck = await pool.query("SELECT user_id FROM users WHERE user_id = $1", [ownerId]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
     }
 
-    // Update the request to cancelled
-    await pool.query(
-      `UPDATE group_join_request 
-       SET status = 'cancelled', handled_at = NOW()
-       WHERE req_id = $1`,
-      [requestId]
+    const result = await pool.query(
+      "SELECT transfer_group_ownership($1, $2, NULL) as previous_owner_id",
+      [groupId, ownerId]
+    );
+
+    const groupResult = await pool.query(
+      `SELECT group_id, name, description, owner_id, display_picture_url, display_picture_variants, upvote_count, comment_count, created_at
+       FROM groups WHERE group_id = $1`,
+      [groupId]
     );
+    await emitEvent(pool, 'group.updated', { group: groupResult.rows[0] });
+
+    await notify(pool, {
+      userId: ownerId,
+      type: 'group_ownership_assigned',
+      title: `You are now the owner of "${groupCheck.rows[0].name}"`,
+      groupId
+    });
 
     res.json({
-      message: "Request cancelled",
-      request_id: requestId
+      message: "Group owner reassigned",
+      group_id: groupId,
+      owner_id: ownerId,
+      previous_owner_id: result.rows[0].previous_owner_id
     });
   } catch (error) {
-    console.error("Error cancelling group join request:", error);
+    // The group was deleted since the check above
+    if (error.code === 'P0002') {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    console.error("Error reassigning group owner:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// ============ SEARCH ROUTE ============
+// Get all role change requests
+app.get("/admin/role-requests", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    const requestsQuery = `
+      SELECT rcr.req_id, rcr.submitted_at, rcr.reviewed_at, rcr.status,
+             u.user_id, u.username, u.full_name, u.email,
+             r_current.title as current_role,
+             r_requested.title as requested_role,
+             r_requested.role_id as requested_role_id
+      FROM role_change_request rcr
+      JOIN users u ON rcr.user_id = u.user_id
+      JOIN roles r_current ON u.role_id = r_current.role_id
+      JOIN roles r_requested ON rcr.requested_role_id = r_requested.role_id
+      WHERE rcr.status = $1
+      ORDER BY rcr.submitted_at DESC
+    `;
+
+    console.log('Executing query:', requestsQuery);
+    console.log('With params:', [status]);
+    const result = await pool.query(requestsQuery, [status]);
+
+    res.json({
+      requests: result.rows
+    });
+  } catch (error) {
+    console.error("Error fetching role requests:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-// Search across users, issues, and groups
-app.get("/search", authenticateToken, async (req, res) => {
+// Approve/reject role change request
+app.put("/admin/role-requests/:id", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const query = req.query.q || '';
-    const type = req.query.type || 'all'; // all, users, issues, groups
-    const limit = parseInt(req.query.limit) || 50;
-
-    if (!query.trim()) {
-      return res.json({
-        users: [],
-        issues: [],
-        groups: [],
-        total: 0
-      });
-    }
-
-    const searchTerm = `%${query}%`;
-    const results = {
-      users: [],
-      issues: [],
-      groups: [],
-      total: 0
-    };
+    const requestId = req.params.id;
+    const { status } = req.body; // 'approved' or 'rejected'
 
-    // Search users
-    if (type === 'all' || type === 'users') {
-      const usersQuery = `
-        SELECT user_id, username, full_name, email
-        FROM users
-        WHERE username ILIKE $1 OR full_name ILIKE $1 OR email ILIKE $1
-        ORDER BY 
-          CASE 
-            WHEN username ILIKE $2 THEN 1
-            WHEN full_name ILIKE $2 THEN 2
-            ELSE 3
-          END,
-          created_at DESC
-        LIMIT $3
-      `;
-      const usersResult = await pool.query(usersQuery, [searchTerm, query, limit]);
-      results.users = usersResult.rows;
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: "Status must be 'approved' or 'rejected'" });
     }
 
-    // Search issues
-    if (type === 'all' || type === 'issues') {
-      const issuesQuery = `
-        SELECT 
-          i.issue_id, i.title, i.description, i.user_id,
-          i.display_picture_url, i.upvote_count, i.comment_count, i.posted_at,
-          u.username, u.full_name
-        FROM issues i
-        JOIN users u ON i.user_id = u.user_id
-        WHERE i.title ILIKE $1 OR i.description ILIKE $1
-        ORDER BY 
-          CASE 
-            WHEN i.title ILIKE $2 THEN 1
-            WHEN i.description ILIKE $2 THEN 2
-            ELSE 3
-          END,
-          i.posted_at DESC
-        LIMIT $3
-      `;
-      const issuesResult = await pool.query(issuesQuery, [searchTerm, query, limit]);
-      results.issues = issuesResult.rows;
-    }
+    // Use the stored procedure
+    await pool.query(
+      "SELECT process_role_change_request($1, $2)",
+      [requestId, status]
+    );
 
-    // Search groups
-    if (type === 'all' || type === 'groups') {
-      const groupsQuery = `
-        SELECT 
-          g.group_id, g.name as title, g.description, g.owner_id as user_id,
-          g.display_picture_url, g.upvote_count, g.comment_count, g.created_at as posted_at,
-          u.username, u.full_name, g.issue_count
-        FROM groups g
-        JOIN users u ON g.owner_id = u.user_id
-        WHERE g.name ILIKE $1 OR g.description ILIKE $1
-        ORDER BY 
-          CASE 
-            WHEN g.name ILIKE $2 THEN 1
-            WHEN g.description ILIKE $2 THEN 2
-            ELSE 3
-          END,
-          g.created_at DESC
-        LIMIT $3
-      `;
-      const groupsResult = await pool.query(groupsQuery, [searchTerm, query, limit]);
-      results.groups = groupsResult.rows;
+    // Let the user know the outcome
+    const requestResult = await pool.query(
+      `SELECT rcr.user_id, r.title as requested_role
+       FROM role_change_request rcr
+       JOIN roles r ON rcr.requested_role_id = r.role_id
+       WHERE rcr.req_id = $1`,
+      [requestId]
+    );
+    if (requestResult.rows.length > 0) {
+      const { user_id, requested_role } = requestResult.rows[0];
+      await notify(pool, {
+        userId: user_id,
+        type: 'role_request_decided',
+        title: `Your request for the ${requested_role} role was ${status}`,
+        data: { request_id: requestId, status, requested_role }
+      });
     }
 
-    results.total = results.users.length + results.issues.length + results.groups.length;
-
-    res.json(results);
+    res.json({ message: `Request ${status}` });
   } catch (error) {
-    console.error("Error searching:", error);
+    console.error("Error processing role request:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// ============ ROLES ROUTES ============
-
-// Get all available roles
-app.get("/roles", async (req, res) => {
+// Get all categories with issue counts
+app.get("/admin/categories", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    console.log('[GET /roles] Fetching roles from database');
     const result = await pool.query(
-      `SELECT role_id, title, description, upvote_weight 
-       FROM roles 
-       ORDER BY upvote_weight ASC, title ASC`
+      `SELECT c.category_id, c.name, c.slug, c.description, c.parent_id, c.created_at,
+              (SELECT COUNT(*) FROM issues WHERE category_id = c.category_id) as issue_count
+       FROM categories c
+       ORDER BY c.name ASC`
     );
 
-    console.log('[GET /roles] Found', result.rows.length, 'roles');
-    const response = { roles: result.rows };
-    console.log('[GET /roles] Sending response:', JSON.stringify(response));
-    res.json(response);
+    res.json({ categories: result.rows });
   } catch (error) {
-    console.error("Error fetching roles:", error);
+    console.error("Error fetching categories:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// ============ ROLE CHANGE REQUEST ROUTES ============
-
-// Submit a role change request
-app.post("/role-change-requests", authenticateToken, async (req, res) => {
+// Create a category
+app.post("/admin/categories", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const { requested_role_id } = req.body;
+    const { name, description, parent_id } = req.body;
 
-    if (!requested_role_id) {
-      return res.status(400).json({ error: "requested_role_id is required" });
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: "Name is required" });
     }
 
-    // Check if user already has a pending request
-    const existingRequest = await pool.query(
-      `SELECT req_id FROM role_change_request 
-       WHERE user_id = $1 AND status = 'pending'`,
-      [userId]
-    );
-
-    if (existingRequest.rows.length > 0) {
-      return res.status(400).json({
-        error: "You already have a pending role change request"
-      });
+    const slug = slugify(req.body.slug || name);
+    if (!slug) {
+      return res.status(400).json({ error: "A valid slug is required" });
     }
 
-    // Check if requested role exists
-    const roleCheck = await pool.query(
-      `SELECT role_id FROM roles WHERE role_id = $1`,
-      [requested_role_id]
+    const existing = await pool.query(
+      "SELECT category_id FROM categories WHERE slug = $1",
+      [slug]
     );
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: "Category with this slug already exists" });
+    }
 
-    if (roleCheck.rows.length === 0) {
-      return res.status(404).json({ error: "Requested role not found" });
+    if (parent_id) {
+      const parentCheck = await pool.query(
+        "SELECT category_id FROM categories WHERE category_id = $1",
+        [parent_id]
+      );
+      if (parentCheck.rows.length === 0) {
+        return res.status(400).json({ error: "Parent category not found" });
+      }
     }
 
-    // Create the request
     const result = await pool.query(
-      `INSERT INTO role_change_request (user_id, requested_role_id, status)
-       VALUES ($1, $2, 'pending')
-       RETURNING req_id, user_id, requested_role_id, status, submitted_at`,
-      [userId, requested_role_id]
+      `INSERT INTO categories (name, slug, description, parent_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING category_id, name, slug, description, parent_id, created_at`,
+      [name.trim(), slug, description || null, parent_id || null]
     );
 
-    res.status(201).json({
-      request: result.rows[0]
-    });
+    res.status(201).json(result.rows[0]);
   } catch (error) {
-    console.error("Error creating role change request:", error);
+    console.error("Error creating category:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get current user's role change requests
-app.get("/role-change-requests/my", authenticateToken, async (req, res) => {
+// Update a category
+app.put("/admin/categories/:id", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    console.log('[GET /role-change-requests/my] User ID:', req.user.userId);
-    const userId = req.user.userId;
+    const categoryId = req.params.id;
+    const { name, slug, description, parent_id } = req.body;
 
-    const result = await pool.query(
-      `SELECT rcr.req_id, rcr.submitted_at, rcr.reviewed_at, rcr.status,
-              r_current.title as current_role,
-              r_requested.title as requested_role,
-              rcr.requested_role_id
-       FROM role_change_request rcr
-       JOIN users u ON rcr.user_id = u.user_id
-       JOIN roles r_current ON u.role_id = r_current.role_id
-       JOIN roles r_requested ON rcr.requested_role_id = r_requested.role_id
-       WHERE rcr.user_id = $1
-       ORDER BY rcr.submitted_at DESC
-       LIMIT 10`,
-      [userId]
+    if (name === undefined && slug === undefined && description === undefined && parent_id === undefined) {
+      return res.status(400).json({ error: "At least one field to update is required" });
+    }
+
+    const categoryCheck = await pool.query(
+      "SELECT category_id FROM categories WHERE category_id = $1",
+      [categoryId]
     );
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Category not found" });
+    }
 
-    res.json({
-      requests: result.rows
-    });
-  } catch (error) {
-    console.error("Error fetching user role requests:", error);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
+    // Build dynamic update query
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
 
-// ============ ADMIN AUTH ROUTES ============
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ error: "Name cannot be empty" });
+      }
+      updates.push(`name = $${paramCount++}`);
+      values.push(name.trim());
+    }
+    if (slug !== undefined) {
+      const newSlug = slugify(slug);
+      if (!newSlug) {
+        return res.status(400).json({ error: "A valid slug is required" });
+      }
+      const existing = await pool.query(
+        "SELECT category_id FROM categories WHERE slug = $1 AND category_id <> $2",
+        [newSlug, categoryId]
+      );
+      if (existing.rows.length > 0) {
+        return res.status(400).json({ error: "Category with this slug already exists" });
+      }
+      updates.push(`slug = $${paramCount++}`);
+      values.push(newSlug);
+    }
+    if (description !== undefined) {
+      updates.push(`description = $${paramCount++}`);
+      values.push(description || null);
+    }
+    if (parent_id !== undefined) {
+      if (parent_id) {
+        // Prevent cycles: the new parent cannot be this category or one of its descendants
+        const cycleCheck = await pool.query(
+          "SELECT 1 FROM category_descendants($1) AS d(category_id) WHERE d.category_id = $2",
+          [categoryId, parent_id]
+        );
+        if (cycleCheck.rows.length > 0) {
+          return res.status(400).json({ error: "A category cannot be moved under itself or its subcategories" });
+        }
 
-// Admin registration
-app.post("/admin/register", async (req, res) => {
-  const { email, password, first_name, last_name } = req.body;
+        const parentCheck = await pool.query(
+          "SELECT category_id FROM categories WHERE category_id = $1",
+          [parent_id]
+        );
+        if (parentCheck.rows.length === 0) {
+          return res.status(400).json({ error: "Parent category not found" });
+        }
+      }
+      updates.push(`parent_id = $${paramCount++}`);
+      values.push(parent_id || null);
+    }
 
-  if (!email || !password || !first_name || !last_name) {
-    return res.status(400).json({
-      error: "Email, password, first_name, and last_name are required"
-    });
-  }
+    values.push(categoryId);
 
-  // Basic email validation
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({ error: "Invalid email format" });
-  }
+    const result = await pool.query(
+      `UPDATE categories SET ${updates.join(', ')} WHERE category_id = $${paramCount}
+       RETURNING category_id, name, slug, description, parent_id, created_at`,
+      values
+    );
 
-  // Basic password validation
-  if (password.length < 6) {
-    return res.status(400).json({ error: "Password must be at least 6 characters" });
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Error updating category:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
+});
 
+// Delete a category (subcategories move up to its parent; issues become uncategorized)
+app.delete("/admin/categories/:id", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    // Check if email already exists
-    const existingAdmin = await pool.query(
-      'SELECT admin_id FROM admin WHERE email = $1',
-      [email]
-    );
+    const categoryId = req.params.id;
 
-    if (existingAdmin.rows.length > 0) {
-      return res.status(400).json({
-        error: "Email already exists"
-      });
+    const categoryCheck = await pool.query(
+      "SELECT parent_id FROM categories WHERE category_id = $1",
+      [categoryId]
+    );
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Category not found" });
     }
 
-    // Hash the password
-    const password_hash = await hashPassword(password);
-
-    // Insert new admin
-    const result = await pool.query(
-      `INSERT INTO admin (email, password_hash, first_name, last_name) 
-       VALUES ($1, $2, $3, $4)
-       RETURNING admin_id, email, first_name, last_name, created_at`,
-      [email, password_hash, first_name, last_name]
+    await pool.query(
+      "UPDATE categories SET parent_id = $1 WHERE parent_id = $2",
+      [categoryCheck.rows[0].parent_id, categoryId]
     );
 
-    const admin = result.rows[0];
-
-    // Generate JWT token
-    const token = generateToken({
-      adminId: admin.admin_id,
-      email: admin.email,
-      type: 'admin'
-    });
+    await pool.query("DELETE FROM categories WHERE category_id = $1", [categoryId]);
 
-    res.status(201).json({
-      token,
-      admin: {
-        admin_id: admin.admin_id,
-        email: admin.email,
-        first_name: admin.first_name,
-        last_name: admin.last_name,
-        created_at: admin.created_at
-      }
-    });
-  } catch (err) {
-    console.error("Error registering admin:", err);
+    res.json({ message: "Category deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting category:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Admin login
-app.post("/admin/login", async (req, res) => {
-  const { email, password } = req.body;
-
-  if (!email || !password) {
-    return res.status(400).json({
-      error: "Email and password are required"
-    });
-  }
-
+// Get dashboard statistics
+app.get("/admin/stats", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    // Get admin by email
-    const result = await pool.query(
-      `SELECT admin_id, email, first_name, last_name, password_hash, created_at 
-       FROM admin 
-       WHERE email = $1`,
-      [email]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: "Invalid credentials" });
-    }
-
-    const admin = result.rows[0];
+    const stats = await pool.query(`
+      SELECT 
+        (SELECT COUNT(*) FROM users) as total_users,
+        (SELECT COUNT(*) FROM issues) as total_issues,
+        (SELECT COUNT(*) FROM groups) as total_groups,
+        (SELECT COUNT(*) FROM role_change_request WHERE status = 'pending') as pending_role_requests,
+        (SELECT COUNT(*) FROM group_join_request WHERE status = 'pending') as pending_join_requests,
+        (SELECT COUNT(*) FROM comments) as total_comments
+    `);
 
-    // Verify password
-    const isValidPassword = await comparePassword(password, admin.password_hash);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: "Invalid credentials" });
-    }
+    // Issue counts per category, including uncategorized issues
+    const categoryCounts = await pool.query(`
+      SELECT c.category_id, c.name, c.slug, c.parent_id, COUNT(i.issue_id) as issue_count
+      FROM categories c
+      LEFT JOIN issues i ON i.category_id = c.category_id
+      GROUP BY c.category_id, c.name, c.slug, c.parent_id
+      UNION ALL
+      SELECT NULL, 'Uncategorized', NULL, NULL, COUNT(*)
+      FROM issues
+      WHERE category_id IS NULL
+      ORDER BY issue_count DESC
+    `);
 
-    // Generate JWT token
-    const token = generateToken({
-      adminId: admin.admin_id,
-      email: admin.email,
-      type: 'admin'
-    });
+    const recentActivity = await pool.query(`
+      (SELECT 'issue' as type, issue_id as id, title as name, posted_at as created_at 
+       FROM issues ORDER BY posted_at DESC LIMIT 5)
+      UNION ALL
+      (SELECT 'group' as type, group_id as id, name, created_at 
+       FROM groups ORDER BY created_at DESC LIMIT 5)
+      ORDER BY created_at DESC
+      LIMIT 10
+    `);
 
     res.json({
-      token,
-      admin: {
-        admin_id: admin.admin_id,
-        email: admin.email,
-        first_name: admin.first_name,
-        last_name: admin.last_name,
-        created_at: admin.created_at
-      }
+      stats: stats.rows[0],
+      categoryCounts: categoryCounts.rows,
+      recentActivity: recentActivity.rows
     });
-  } catch (err) {
-    console.error("Error logging in admin:", err);
+  } catch (error) {
+    console.error("Error fetching stats:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get current admin info
-app.get("/admin/me", authenticateToken, async (req, res) => {
+// Send the daily or weekly digest now (normally run from cron with `npm run digest -- daily`)
+app.post("/admin/digests/send", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    // Check if the authenticated user is an admin
-    if (req.user.type !== 'admin') {
-      return res.status(403).json({ error: "Access denied. Admin only." });
+    const { frequency } = req.body;
+
+    if (!['daily', 'weekly'].includes(frequency)) {
+      return res.status(400).json({ error: "frequency must be 'daily' or 'weekly'" });
     }
 
-    const adminId = req.user.adminId;
+    const summary = await sendDigests(pool, frequency);
 
-    const result = await pool.query(
-      `SELECT admin_id, email, first_name, last_name, created_at 
-       FROM admin 
-       WHERE admin_id = $1`,
-      [adminId]
-    );
+    res.json({ message: `${frequency} digest sent`, ...summary });
+  } catch (error) {
+    console.error("Error sending digests:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Admin not found" });
+// Find (and optionally delete) uploaded files nothing refers to any more
+app.post("/admin/uploads/gc", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    // Reporting is the default; files are only deleted with dry_run: false
+    const dryRun = req.body.dry_run !== false && req.body.dry_run !== 'false';
+
+    let graceHours = gcGraceHours();
+    if (req.body.grace_hours !== undefined) {
+      graceHours = Number(req.body.grace_hours);
+      if (!Number.isFinite(graceHours) || graceHours < 0) {
+        return res.status(400).json({ error: "grace_hours must be a non-negative number" });
+      }
     }
 
-    res.json({
-      admin: result.rows[0]
-    });
-  } catch (err) {
-    console.error("Error fetching admin info:", err);
+    const summary = await collectGarbage(pool, { dryRun, graceHours });
+
+    res.json(summary);
+  } catch (error) {
+    console.error("Error collecting orphaned uploads:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// ============ ADMIN MANAGEMENT ENDPOINTS ============
+// ============ WEBHOOK ROUTES (ADMIN) ============
 
-// Middleware to check if user is admin
-const requireAdmin = (req, res, next) => {
-  console.log('requireAdmin middleware - req.user:', req.user);
-  if (!req.user || req.user.type !== 'admin') {
-    return res.status(403).json({ error: "Access denied. Admin only.", user: req.user });
-  }
-  next();
-};
+// Columns returned for a webhook; the secret is only shown on create and rotate
+const WEBHOOK_COLUMNS = `webhook_id, url, description, event_types, is_active, consecutive_failures,
+  disabled_at, disabled_reason, created_by_admin, created_at, updated_at`;
 
-// Get all users with pagination
-app.get("/admin/users", authenticateToken, requireAdmin, async (req, res) => {
+// Get all webhooks
+app.get("/admin/webhooks", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
-    const search = req.query.search || '';
+    const result = await pool.query(
+      `SELECT ${WEBHOOK_COLUMNS},
+         (SELECT MAX(d.last_attempt_at) FROM webhook_deliveries d WHERE d.webhook_id = w.webhook_id) as last_delivery_at
+       FROM webhooks w
+       ORDER BY created_at DESC`
+    );
+
+    res.json({ webhooks: result.rows, event_types: WEBHOOK_EVENT_TYPES });
+  } catch (error) {
+    console.error("Error fetching webhooks:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    const searchCondition = search ?
-      `WHERE username ILIKE $3 OR full_name ILIKE $3 OR email ILIKE $3` : '';
+// Register a webhook
+app.post("/admin/webhooks", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { url, description, event_types } = req.body;
 
-    const params = search ? [limit, offset, `%${search}%`] : [limit, offset];
+    let webhookUrl;
+    let eventTypes;
+    try {
+      webhookUrl = validateWebhookUrl(url);
+      eventTypes = parseEventTypes(event_types);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message, allowed: WEBHOOK_EVENT_TYPES });
+    }
 
-    const countQuery = `SELECT COUNT(*) FROM users ${searchCondition}`;
-    const countResult = await pool.query(
-      countQuery,
-      search ? [`%${search}%`] : []
+    const result = await pool.query(
+      `INSERT INTO webhooks (url, description, secret, event_types, created_by_admin)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${WEBHOOK_COLUMNS}, secret`,
+      [webhookUrl, description || null, generateWebhookSecret(), eventTypes, req.user.adminId]
     );
-    const total = parseInt(countResult.rows[0].count);
 
-    const usersQuery = `
-      SELECT u.user_id, u.email, u.username, u.full_name, u.created_at,
-             r.title as role_title, r.role_id
-      FROM users u
-      LEFT JOIN roles r ON u.role_id = r.role_id
-      ${searchCondition}
-      ORDER BY u.created_at DESC
-      LIMIT $1 OFFSET $2
-    `;
+    res.status(201).json({ webhook: result.rows[0] });
+  } catch (error) {
+    console.error("Error creating webhook:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    const result = await pool.query(usersQuery, params);
+// Get a single webhook
+app.get("/admin/webhooks/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE webhook_id = $1`,
+      [req.params.id]
+    );
 
-    res.json({
-      users: result.rows,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
-    });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json({ webhook: result.rows[0] });
   } catch (error) {
-    console.error("Error fetching users:", error);
+    console.error("Error fetching webhook:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all issues with pagination
-app.get("/admin/issues", authenticateToken, requireAdmin, async (req, res) => {
+// Update a webhook; setting is_active to true re-enables a disabled webhook
+app.put("/admin/webhooks/:id", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
-    const search = req.query.search || '';
+    const { url, description, event_types, is_active } = req.body;
 
-    const searchCondition = search ?
-      `WHERE i.title ILIKE $3 OR i.description ILIKE $3` : '';
+    const updates = [];
+    const params = [];
 
-    const params = search ? [limit, offset, `%${search}%`] : [limit, offset];
+    try {
+      if (url !== undefined) {
+        params.push(validateWebhookUrl(url));
+        updates.push(`url = $${params.length}`);
+      }
+      if (event_types !== undefined) {
+        params.push(parseEventTypes(event_types));
+        updates.push(`event_types = $${params.length}`);
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message, allowed: WEBHOOK_EVENT_TYPES });
+    }
 
-    const countQuery = `SELECT COUNT(*) FROM issues i ${searchCondition}`;
-    const countResult = await pool.query(
-      countQuery,
-      search ? [`%${search}%`] : []
-    );
-    const total = parseInt(countResult.rows[0].count);
+    if (description !== undefined) {
+      params.push(description || null);
+      updates.push(`description = $${params.length}`);
+    }
 
-    const issuesQuery = `
-      SELECT i.issue_id, i.title, i.description, i.posted_at,
-             i.upvote_count, i.comment_count, i.display_picture_url,
-             u.username, u.full_name, u.user_id,
-             g.name as group_name, g.group_id
-      FROM issues i
-      JOIN users u ON i.user_id = u.user_id
-      LEFT JOIN groups g ON i.group_id = g.group_id
-      ${searchCondition}
-      ORDER BY i.posted_at DESC
-      LIMIT $1 OFFSET $2
-    `;
+    if (is_active !== undefined) {
+      if (typeof is_active !== 'boolean') {
+        return res.status(400).json({ error: "is_active must be a boolean" });
+      }
+      params.push(is_active);
+      updates.push(`is_active = $${params.length}`);
+      if (is_active) {
+        updates.push('consecutive_failures = 0', 'disabled_at = NULL', 'disabled_reason = NULL');
+      } else {
+        updates.push('disabled_at = NOW()', "disabled_reason = 'Disabled by admin'");
+      }
+    }
 
-    const result = await pool.query(issuesQuery, params);
+    if (updates.length === 0) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
 
-    res.json({
-      issues: result.rows,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
-    });
+    params.push(req.params.id);
+    const result = await pool.query(
+      `UPDATE webhooks SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE webhook_id = $${params.length}
+       RETURNING ${WEBHOOK_COLUMNS}`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json({ webhook: result.rows[0] });
   } catch (error) {
-    console.error("Error fetching issues:", error);
+    console.error("Error updating webhook:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Delete an issue
-app.delete("/admin/issues/:id", authenticateToken, requireAdmin, async (req, res) => {
+// Generate a new signing secret
+app.post("/admin/webhooks/:id/rotate-secret", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const issueId = req.params.id;
+    const result = await pool.query(
+      `UPDATE webhooks SET secret = $1, updated_at = NOW()
+       WHERE webhook_id = $2
+       RETURNING ${WEBHOOK_COLUMNS}, secret`,
+      [generateWebhookSecret(), req.params.id]
+    );
 
-    await pool.query("DELETE FROM issues WHERE issue_id = $1", [issueId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
 
-    res.json({ message: "Issue deleted successfully" });
+    res.json({ webhook: result.rows[0] });
   } catch (error) {
-    console.error("Error deleting issue:", error);
+    console.error("Error rotating webhook secret:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all groups with pagination
-app.get("/admin/groups", authenticateToken, requireAdmin, async (req, res) => {
+// Delete a webhook (cascade removes its delivery log)
+app.delete("/admin/webhooks/:id", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
-    const search = req.query.search || '';
-
-    const searchCondition = search ?
-      `WHERE g.name ILIKE $3 OR g.description ILIKE $3` : '';
-
-    const params = search ? [limit, offset, `%${search}%`] : [limit, offset];
-
-    const countQuery = `SELECT COUNT(*) FROM groups g ${searchCondition}`;
-    const countResult = await pool.query(
-      countQuery,
-      search ? [`%${search}%`] : []
+    const result = await pool.query(
+      "DELETE FROM webhooks WHERE webhook_id = $1",
+      [req.params.id]
     );
-    const total = parseInt(countResult.rows[0].count);
-
-    const groupsQuery = `
-      SELECT g.group_id, g.name, g.description, g.created_at,
-             g.upvote_count, g.comment_count, g.display_picture_url,
-             u.username, u.full_name, u.user_id as owner_id,
-             (SELECT COUNT(*) FROM issues WHERE group_id = g.group_id) as issue_count
-      FROM groups g
-      JOIN users u ON g.owner_id = u.user_id
-      ${searchCondition}
-      ORDER BY g.created_at DESC
-      LIMIT $1 OFFSET $2
-    `;
 
-    const result = await pool.query(groupsQuery, params);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
 
-    res.json({
-      groups: result.rows,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
-    });
+    res.json({ message: "Webhook deleted successfully" });
   } catch (error) {
-    console.error("Error fetching groups:", error);
+    console.error("Error deleting webhook:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Delete a group
-app.delete("/admin/groups/:id", authenticateToken, requireAdmin, async (req, res) => {
+// Send a test ping to a webhook
+app.post("/admin/webhooks/:id/ping", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const groupId = req.params.id;
+    const webhookCheck = await pool.query(
+      "SELECT is_active FROM webhooks WHERE webhook_id = $1",
+      [req.params.id]
+    );
 
-    await pool.query("DELETE FROM groups WHERE group_id = $1", [groupId]);
+    if (webhookCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
 
-    res.json({ message: "Group deleted successfully" });
+    if (!webhookCheck.rows[0].is_active) {
+      return res.status(409).json({ error: "Webhook is disabled" });
+    }
+
+    const delivery = await pingWebhook(pool, req.params.id);
+
+    res.json({ delivery });
   } catch (error) {
-    console.error("Error deleting group:", error);
+    console.error("Error pinging webhook:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all role change requests
-app.get("/admin/role-requests", authenticateToken, requireAdmin, async (req, res) => {
+const DELIVERY_KEYS = keyset([['created_at', 'timestamptz'], ['delivery_id', 'uuid']]);
+
+// Get a webhook's delivery log (?status=pending|succeeded|failed)
+app.get("/admin/webhooks/:id/deliveries", authenticateToken, requireAdmin, async (req, res) => {
+  let page;
   try {
-    const status = req.query.status || 'pending';
+    page = parsePageQuery(req.query, DELIVERY_KEYS);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    const requestsQuery = `
-      SELECT rcr.req_id, rcr.submitted_at, rcr.reviewed_at, rcr.status,
-             u.user_id, u.username, u.full_name, u.email,
-             r_current.title as current_role,
-             r_requested.title as requested_role,
-             r_requested.role_id as requested_role_id
-      FROM role_change_request rcr
-      JOIN users u ON rcr.user_id = u.user_id
-      JOIN roles r_current ON u.role_id = r_current.role_id
-      JOIN roles r_requested ON rcr.requested_role_id = r_requested.role_id
-      WHERE rcr.status = $1
-      ORDER BY rcr.submitted_at DESC
-    `;
+  try {
+    const { limit, after } = page;
+    const { status } = req.query;
 
-    console.log('Executing query:', requestsQuery);
-    console.log('With params:', [status]);
-    const result = await pool.query(requestsQuery, [status]);
+    if (status && !['pending', 'succeeded', 'failed'].includes(status)) {
+      return res.status(400).json({ error: "status must be 'pending', 'succeeded' or 'failed'" });
+    }
+
+    const params = [req.params.id, status || null];
+    const conditions = ['webhook_id = $1', '($2::text IS NULL OR status = $2)'];
+    if (after) {
+      conditions.push(keysetCondition(DELIVERY_KEYS, after, params));
+    }
+    params.push(limit + 1);
+
+    const result = await pool.query(
+      `SELECT delivery_id, event_type, status, attempt_count, next_attempt_at, last_attempt_at,
+              response_status, error, redelivery_of, created_at, delivered_at,
+              ${keysetSelect(DELIVERY_KEYS)}
+       FROM webhook_deliveries
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${keysetOrderBy(DELIVERY_KEYS)}
+       LIMIT $${params.length}`,
+      params
+    );
+    const { items, next_cursor } = pageOf(result.rows, limit);
 
     res.json({
-      requests: result.rows
+      deliveries: items,
+      limit,
+      count: items.length,
+      next_cursor
     });
   } catch (error) {
-    console.error("Error fetching role requests:", error);
+    console.error("Error fetching webhook deliveries:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Approve/reject role change request
-app.put("/admin/role-requests/:id", authenticateToken, requireAdmin, async (req, res) => {
+// Get a single delivery with its payload and receiver response
+app.get("/admin/webhooks/deliveries/:deliveryId", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const requestId = req.params.id;
-    const { status } = req.body; // 'approved' or 'rejected'
+    const result = await pool.query(
+      "SELECT * FROM webhook_deliveries WHERE delivery_id = $1",
+      [req.params.deliveryId]
+    );
 
-    if (!['approved', 'rejected'].includes(status)) {
-      return res.status(400).json({ error: "Status must be 'approved' or 'rejected'" });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Delivery not found" });
     }
 
-    // Use the stored procedure
-    await pool.query(
-      "SELECT process_role_change_request($1, $2)",
-      [requestId, status]
-    );
-
-    res.json({ message: `Request ${status}` });
+    res.json({ delivery: result.rows[0] });
   } catch (error) {
-    console.error("Error processing role request:", error);
+    console.error("Error fetching webhook delivery:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get dashboard statistics
-app.get("/admin/stats", authenticateToken, requireAdmin, async (req, res) => {
+// Manually redeliver an earlier delivery (sent as a new delivery linked via redelivery_of)
+app.post("/admin/webhooks/deliveries/:deliveryId/redeliver", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const stats = await pool.query(`
-      SELECT 
-        (SELECT COUNT(*) FROM users) as total_users,
-        (SELECT COUNT(*) FROM issues) as total_issues,
-        (SELECT COUNT(*) FROM groups) as total_groups,
-        (SELECT COUNT(*) FROM role_change_request WHERE status = 'pending') as pending_role_requests,
-        (SELECT COUNT(*) FROM group_join_request WHERE status = 'pending') as pending_join_requests,
-        (SELECT COUNT(*) FROM comments) as total_comments
-    `);
+    const webhookCheck = await pool.query(
+      `SELECT w.is_active
+       FROM webhook_deliveries d
+       JOIN webhooks w ON d.webhook_id = w.webhook_id
+       WHERE d.delivery_id = $1`,
+      [req.params.deliveryId]
+    );
 
-    const recentActivity = await pool.query(`
-      (SELECT 'issue' as type, issue_id as id, title as name, posted_at as created_at 
-       FROM issues ORDER BY posted_at DESC LIMIT 5)
-      UNION ALL
-      (SELECT 'group' as type, group_id as id, name, created_at 
-       FROM groups ORDER BY created_at DESC LIMIT 5)
-      ORDER BY created_at DESC
-      LIMIT 10
-    `);
+    if (webhookCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
 
-    res.json({
-      stats: stats.rows[0],
-      recentActivity: recentActivity.rows
-    });
+    if (!webhookCheck.rows[0].is_active) {
+      return res.status(409).json({ error: "Webhook is disabled" });
+    }
+
+    const delivery = await redeliver(pool, req.params.deliveryId);
+
+    res.status(201).json({ delivery });
   } catch (error) {
-    console.error("Error fetching stats:", error);
+    console.error("Error redelivering webhook:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
@@ -2905,4 +6425,14 @@ app.get("/admin/stats", authenticateToken, requireAdmin, async (req, res) => {
 // Start the server
 app.listen(port, () => {
   console.log(`Server listening on http://localhost:${port}`);
+
+  // Retry failed webhook deliveries in the background
+  startWebhookWorker(pool);
+
+  // Keep rising scores of recent issues and groups current
+  startRankingWorker(pool);
+  startSavedSearchWorker(pool);
+
+  // Forward database change events to realtime streams
+  startRealtimeListener(dbConfig);
 });
@@ -21,3 +21,25 @@ export function authenticateToken(req, res, next) {
   req.user = decoded;
   next();
 }
+
+/**
+ * Like authenticateToken, but also accepts the token as ?access_token=...
+ * because browser EventSource cannot send an Authorization header
+ */
+export function authenticateStream(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.query.access_token;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  const decoded = verifyToken(token);
+
+  if (!decoded) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  req.user = decoded;
+  next();
+}
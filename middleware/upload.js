@@ -1,27 +1,19 @@
 import multer from 'multer';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { UploadError, applyUploadPolicy, fromMulterError } from '../utils/uploadPolicy.js';
+import { UPLOAD_STAGING_DIR as stagingDir } from '../utils/storage.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../uploads');
-const issuesDir = path.join(uploadsDir, 'issues');
-const attachmentsDir = path.join(uploadsDir, 'attachments');
-const profileDir = path.join(uploadsDir, 'profile_pictures');
-
-[uploadsDir, issuesDir, attachmentsDir, profileDir].forEach(dir => {
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-    }
-});
+// Multer stages uploads in stagingDir; routes then move them into the storage backend
+// (see utils/storage.js), so nothing unchecked is ever served from /uploads
+if (!fs.existsSync(stagingDir)) {
+    fs.mkdirSync(stagingDir, { recursive: true });
+}
 
 // Configure storage for issue display pictures
 const issueStorage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, issuesDir);
+        cb(null, stagingDir);
     },
     filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -29,77 +21,70 @@ const issueStorage = multer.diskStorage({
     }
 });
 
-// Configure storage for attachments
-const attachmentStorage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, attachmentsDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'attachment-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
-// File filter to accept images
-const imageFilter = (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-        return cb(null, true);
-    } else {
-        cb(new Error('Only image files are allowed for display pictures'));
-    }
+/**
+ * Delete the staged files of a request. Files already moved into storage are skipped.
+ */
+export const discardUploads = async (req) => {
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => { })));
 };
 
-// File filter for attachments (images, PDFs, documents)
-const attachmentFilter = (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp|pdf|doc|docx|txt/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+/**
+ * Run a multer upload, then check every saved file's real content against the
+ * allowlist for its kind (see utils/uploadPolicy.js). `fieldKinds` maps form field
+ * names to upload kinds. On rejection all files of the request are deleted and the
+ * callback receives an UploadError with a `code` and `status`.
+ */
+const withUploadPolicy = (upload, fieldKinds) => (req, res, cb) => {
+    upload(req, res, async (err) => {
+        // Multer removes the files it already stored when it fails
+        if (err) {
+            return cb(err instanceof UploadError ? err : fromMulterError(err));
+        }
 
-    if (extname) {
-        return cb(null, true);
-    } else {
-        cb(new Error('File type not allowed'));
-    }
+        const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+        try {
+            for (const file of files) {
+                await applyUploadPolicy(file, fieldKinds[file.fieldname]);
+            }
+            cb();
+        } catch (policyError) {
+            await discardUploads(req);
+            cb(policyError instanceof UploadError
+                ? policyError
+                : new UploadError('UPLOAD_FAILED', "Could not process the uploaded files", 500));
+        }
+    });
 };
 
 // Multer upload configurations
-export const uploadIssueImage = multer({
+export const uploadIssueImage = withUploadPolicy(multer({
     storage: issueStorage,
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-    // fileFilter: imageFilter
-}).single('display_picture');
+    limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+}).single('display_picture'), { display_picture: 'display_picture' });
 
-// Multer config for profile pictures (separate folder)
-export const uploadProfilePicture = multer({
+// Multer config for profile pictures
+export const uploadProfilePicture = withUploadPolicy(multer({
     storage: multer.diskStorage({
         destination: (req, file, cb) => {
-            cb(null, profileDir);
+            cb(null, stagingDir);
         },
         filename: (req, file, cb) => {
             const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
             cb(null, 'profile-' + uniqueSuffix + path.extname(file.originalname));
         }
     }),
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-    // fileFilter: imageFilter
+    limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 }).fields([
     { name: 'profile_picture', maxCount: 1 },
     { name: 'display_picture', maxCount: 1 }
-]);
+]), { profile_picture: 'profile_picture', display_picture: 'profile_picture' });
 
 // Combined upload with custom storage per field
-export const uploadIssueFiles = multer({
+export const uploadIssueFiles = withUploadPolicy(multer({
     storage: multer.diskStorage({
         destination: (req, file, cb) => {
-            // Display picture goes to issues folder, attachments go to attachments folder
-            if (file.fieldname === 'display_picture') {
-                cb(null, issuesDir);
-            } else {
-                cb(null, attachmentsDir);
-            }
+            cb(null, stagingDir);
         },
         filename: (req, file, cb) => {
             const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -110,12 +95,9 @@ export const uploadIssueFiles = multer({
             }
         }
     }),
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit per file
-    fileFilter: (req, file, cb) => {
-        // No file type restrictions - accept all file types
-        cb(null, true);
-    }
+    // Types are checked from the file contents once saved, see withUploadPolicy
+    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit per file
 }).fields([
     { name: 'display_picture', maxCount: 1 },
     { name: 'attachments', maxCount: 5 }
-]);
+]), { display_picture: 'display_picture', attachments: 'attachment' });
@@ -0,0 +1,37 @@
+-- Attachment metadata: original filename, MIME type, size, caption and display order
+
+ALTER TABLE public.post_attachments
+ADD COLUMN IF NOT EXISTS original_filename text NULL,
+ADD COLUMN IF NOT EXISTS mime_type text NULL,
+ADD COLUMN IF NOT EXISTS size_bytes int8 NULL,
+ADD COLUMN IF NOT EXISTS caption text NULL,
+ADD COLUMN IF NOT EXISTS sort_order int4 DEFAULT 0 NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_post_attachments_issue_id ON public.post_attachments(issue_id, sort_order);
+
+-- Existing attachments keep their upload order
+UPDATE post_attachments pa
+SET sort_order = ordered.position
+FROM (
+  SELECT attachment_id, ROW_NUMBER() OVER (PARTITION BY issue_id ORDER BY created_at, attachment_id) - 1 as position
+  FROM post_attachments
+) ordered
+WHERE pa.attachment_id = ordered.attachment_id;
+
+-- get_attachment() returns the new columns too
+DROP FUNCTION IF EXISTS public.get_attachment(uuid);
+
+CREATE OR REPLACE FUNCTION public.get_attachment(p_attachment_id uuid)
+ RETURNS TABLE(attachment_id uuid, issue_id uuid, uploaded_by uuid, file_path text, created_at timestamp with time zone,
+               original_filename text, mime_type text, size_bytes bigint, caption text, sort_order integer)
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  RETURN QUERY
+    SELECT pa.attachment_id, pa.issue_id, pa.uploaded_by, pa.file_path, pa.created_at,
+           pa.original_filename, pa.mime_type, pa.size_bytes, pa.caption, pa.sort_order
+    FROM post_attachments pa
+    WHERE pa.attachment_id = p_attachment_id;
+END;
+$function$
+;
@@ -0,0 +1,133 @@
+-- Admin-managed issue categories (hierarchical) and free-form issue tags
+
+-- Create categories table
+CREATE TABLE IF NOT EXISTS public.categories (
+    category_id uuid DEFAULT gen_random_uuid() NOT NULL,
+    "name" text NOT NULL,
+    slug text NOT NULL,
+    description text NULL,
+    parent_id uuid NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT categories_pkey PRIMARY KEY (category_id),
+    CONSTRAINT categories_slug_key UNIQUE (slug),
+    CONSTRAINT categories_parent_id_fkey FOREIGN KEY (parent_id) REFERENCES public.categories(category_id) ON DELETE SET NULL,
+    CONSTRAINT categories_parent_check CHECK (parent_id IS NULL OR parent_id <> category_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON public.categories(parent_id);
+
+-- Add category to issues table
+ALTER TABLE public.issues
+ADD COLUMN IF NOT EXISTS category_id uuid NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'issues_category_id_fkey'
+    ) THEN
+        ALTER TABLE public.issues ADD CONSTRAINT issues_category_id_fkey
+            FOREIGN KEY (category_id) REFERENCES public.categories(category_id) ON DELETE SET NULL;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_issues_category_id ON public.issues(category_id);
+
+-- Create tags table (names are stored lowercase)
+CREATE TABLE IF NOT EXISTS public.tags (
+    tag_id uuid DEFAULT gen_random_uuid() NOT NULL,
+    "name" text NOT NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT tags_pkey PRIMARY KEY (tag_id),
+    CONSTRAINT tags_name_key UNIQUE ("name")
+);
+
+-- Create issue_tags join table
+CREATE TABLE IF NOT EXISTS public.issue_tags (
+    issue_id uuid NOT NULL,
+    tag_id uuid NOT NULL,
+    CONSTRAINT issue_tags_pkey PRIMARY KEY (issue_id, tag_id),
+    CONSTRAINT issue_tags_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE,
+    CONSTRAINT issue_tags_tag_id_fkey FOREIGN KEY (tag_id) REFERENCES public.tags(tag_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_issue_tags_tag_id ON public.issue_tags(tag_id);
+
+-- A category and all of its descendants (used for filtering by parent category)
+CREATE OR REPLACE FUNCTION public.category_descendants(p_category_id uuid)
+ RETURNS SETOF uuid
+ LANGUAGE sql
+ STABLE
+AS $function$
+  WITH RECURSIVE tree AS (
+    SELECT category_id FROM categories WHERE category_id = p_category_id
+    UNION
+    SELECT c.category_id FROM categories c JOIN tree t ON c.parent_id = t.category_id
+  )
+  SELECT category_id FROM tree;
+$function$
+;
+
+-- Replace an issue's tags, creating any tags that do not exist yet
+CREATE OR REPLACE FUNCTION public.set_issue_tags(p_issue_id uuid, p_tags text[])
+ RETURNS text[]
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_tags text[];
+BEGIN
+  INSERT INTO tags ("name")
+  SELECT DISTINCT unnest(p_tags)
+  ON CONFLICT ("name") DO NOTHING;
+
+  DELETE FROM issue_tags WHERE issue_id = p_issue_id;
+
+  INSERT INTO issue_tags (issue_id, tag_id)
+  SELECT p_issue_id, t.tag_id
+  FROM tags t
+  WHERE t."name" = ANY(p_tags);
+
+  SELECT COALESCE(array_agg(t."name" ORDER BY t."name"), '{}') INTO v_tags
+  FROM issue_tags it
+  JOIN tags t ON it.tag_id = t.tag_id
+  WHERE it.issue_id = p_issue_id;
+
+  RETURN v_tags;
+END;
+$function$
+;
+
+-- Expose category on the detailed issues view
+CREATE OR REPLACE VIEW v_issues_detailed AS
+SELECT 
+    i.issue_id,
+    i.title,
+    i.description,
+    i.posted_at,
+    i.upvote_count,
+    i.comment_count,
+    i.display_picture_url,
+    i.user_id,
+    u.username,
+    u.full_name,
+    u.profile_picture_url AS user_profile_picture,
+    i.group_id,
+    g.name AS group_name,
+    g.owner_id AS group_owner_id,
+    (SELECT COUNT(*) FROM post_attachments pa WHERE pa.issue_id = i.issue_id) AS attachment_count,
+    i.status,
+    i.latitude,
+    i.longitude,
+    i.address,
+    i.category_id
+FROM issues i
+JOIN users u ON i.user_id = u.user_id
+LEFT JOIN groups g ON i.group_id = g.group_id;
+
+-- Seed a few top-level categories
+INSERT INTO public.categories ("name", slug, description) VALUES
+    ('Roads', 'roads', 'Potholes, road damage, traffic signals'),
+    ('Water', 'water', 'Water supply, leaks and shortages'),
+    ('Electricity', 'electricity', 'Power outages and street lights'),
+    ('Sanitation', 'sanitation', 'Garbage collection and drainage')
+ON CONFLICT (slug) DO NOTHING;
@@ -0,0 +1,10 @@
+-- Indexes matching the cursor pagination sort keys: newest first, with the id breaking ties
+
+DROP INDEX IF EXISTS public.idx_issues_posted_at;
+CREATE INDEX IF NOT EXISTS idx_issues_posted_at ON public.issues(posted_at DESC, issue_id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_groups_created_at ON public."groups"(created_at DESC, group_id DESC);
+
+-- Comments are listed oldest first per issue/group
+CREATE INDEX IF NOT EXISTS idx_comments_issue_id ON public."comments"(issue_id, posted_at, comment_id);
+CREATE INDEX IF NOT EXISTS idx_group_comments_group_id ON public.group_comments(group_id, posted_at, comment_id);
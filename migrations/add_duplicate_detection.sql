@@ -0,0 +1,7 @@
+-- Duplicate issue detection using trigram similarity
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Trigram indexes so `title % $1` / `description % $1` candidate lookups stay fast
+CREATE INDEX IF NOT EXISTS idx_issues_title_trgm ON public.issues USING gin (title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_issues_description_trgm ON public.issues USING gin (description gin_trgm_ops);
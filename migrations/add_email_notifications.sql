@@ -0,0 +1,15 @@
+-- Email notifications and activity digests
+
+-- Create email_preferences table (no row means immediate emails on and a weekly digest)
+CREATE TABLE IF NOT EXISTS public.email_preferences (
+    user_id uuid NOT NULL,
+    unsubscribe_token uuid DEFAULT gen_random_uuid() NOT NULL,
+    immediate_enabled bool DEFAULT true NOT NULL,
+    digest_frequency text DEFAULT 'weekly' NOT NULL,
+    last_digest_sent_at timestamptz NULL,
+    updated_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT email_preferences_pkey PRIMARY KEY (user_id),
+    CONSTRAINT email_preferences_unsubscribe_token_key UNIQUE (unsubscribe_token),
+    CONSTRAINT email_preferences_digest_frequency_check CHECK (digest_frequency IN ('daily', 'weekly', 'never')),
+    CONSTRAINT email_preferences_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,87 @@
+-- Feed ranking: precomputed scores for ?sort=hot|top|new|rising on the feeds and GET /issues
+--
+-- hot:    log10(weighted upvotes + comments / 2) plus a recency bonus, so a post needs ten
+--         times the engagement to outrank one posted 12.5 hours (45000 s) later. It only
+--         changes when votes or comments do, so it is a stored generated column with an index.
+-- rising: weighted upvotes + comments received in the last 6 hours, damped by age, for posts
+--         under 48 hours old. It depends on the clock, so refresh_rising_scores() is run
+--         every few minutes by the server.
+-- upvote_count already holds the role-weighted sum of upvote_weight.
+
+-- Declared IMMUTABLE for the generated columns: the epoch of a timestamptz does not
+-- depend on the session time zone
+CREATE OR REPLACE FUNCTION public.feed_hot_score(p_upvotes integer, p_comments integer, p_posted_at timestamp with time zone)
+ RETURNS double precision
+ LANGUAGE sql
+ IMMUTABLE
+AS $function$
+  SELECT log(GREATEST(COALESCE(p_upvotes, 0) + COALESCE(p_comments, 0) / 2.0, 1))::float8
+    + extract(epoch FROM p_posted_at)::float8 / 45000
+$function$
+;
+
+ALTER TABLE public.issues
+ADD COLUMN IF NOT EXISTS hot_score float8 GENERATED ALWAYS AS (feed_hot_score(upvote_count, comment_count, posted_at)) STORED,
+ADD COLUMN IF NOT EXISTS rising_score float8 DEFAULT 0 NOT NULL;
+
+ALTER TABLE public."groups"
+ADD COLUMN IF NOT EXISTS hot_score float8 GENERATED ALWAYS AS (feed_hot_score(upvote_count, comment_count, created_at)) STORED,
+ADD COLUMN IF NOT EXISTS rising_score float8 DEFAULT 0 NOT NULL;
+
+-- One index per sort, matching the cursor keys
+CREATE INDEX IF NOT EXISTS idx_issues_hot_score ON public.issues(hot_score DESC, issue_id DESC);
+CREATE INDEX IF NOT EXISTS idx_issues_top ON public.issues(upvote_count DESC, posted_at DESC, issue_id DESC);
+CREATE INDEX IF NOT EXISTS idx_issues_rising_score ON public.issues(rising_score DESC, posted_at DESC, issue_id DESC);
+CREATE INDEX IF NOT EXISTS idx_groups_hot_score ON public."groups"(hot_score DESC, group_id DESC);
+CREATE INDEX IF NOT EXISTS idx_groups_top ON public."groups"(upvote_count DESC, created_at DESC, group_id DESC);
+CREATE INDEX IF NOT EXISTS idx_groups_rising_score ON public."groups"(rising_score DESC, created_at DESC, group_id DESC);
+
+-- Recompute rising scores; posts that aged out are reset to 0. Returns the rows changed.
+CREATE OR REPLACE FUNCTION public.refresh_rising_scores()
+ RETURNS integer
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  issues_updated integer;
+  groups_updated integer;
+BEGIN
+  UPDATE issues i
+  SET rising_score = scores.score
+  FROM (
+    SELECT ri.issue_id,
+      CASE WHEN ri.posted_at > now() - interval '48 hours' THEN (
+        (SELECT COALESCE(SUM(COALESCE(iu.upvote_weight, 1)), 0) FROM issue_upvotes iu
+         WHERE iu.issue_id = ri.issue_id AND iu.made_at > now() - interval '6 hours')
+        + (SELECT COUNT(*) FROM "comments" c
+           WHERE c.issue_id = ri.issue_id AND c.posted_at > now() - interval '6 hours')
+      )::float8 / power(extract(epoch FROM now() - ri.posted_at)::float8 / 3600 + 2, 1.5)
+      ELSE 0 END as score
+    FROM issues ri
+    WHERE ri.posted_at > now() - interval '48 hours' OR ri.rising_score <> 0
+  ) scores
+  WHERE i.issue_id = scores.issue_id AND i.rising_score <> scores.score;
+  GET DIAGNOSTICS issues_updated = ROW_COUNT;
+
+  UPDATE "groups" g
+  SET rising_score = scores.score
+  FROM (
+    SELECT rg.group_id,
+      CASE WHEN rg.created_at > now() - interval '48 hours' THEN (
+        (SELECT COALESCE(SUM(COALESCE(gu.upvote_weight, 1)), 0) FROM group_upvotes gu
+         WHERE gu.group_id = rg.group_id AND gu.made_at > now() - interval '6 hours')
+        + (SELECT COUNT(*) FROM group_comments gc
+           WHERE gc.group_id = rg.group_id AND gc.posted_at > now() - interval '6 hours')
+      )::float8 / power(extract(epoch FROM now() - rg.created_at)::float8 / 3600 + 2, 1.5)
+      ELSE 0 END as score
+    FROM "groups" rg
+    WHERE rg.created_at > now() - interval '48 hours' OR rg.rising_score <> 0
+  ) scores
+  WHERE g.group_id = scores.group_id AND g.rising_score <> scores.score;
+  GET DIAGNOSTICS groups_updated = ROW_COUNT;
+
+  RETURN issues_updated + groups_updated;
+END;
+$function$
+;
+
+SELECT refresh_rising_scores();
@@ -0,0 +1,43 @@
+-- Follows and saved locations, used by the personalised home feed (GET /feed/home)
+
+-- Users following other users
+CREATE TABLE IF NOT EXISTS public.user_follows (
+    follower_id uuid NOT NULL,
+    followed_id uuid NOT NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT user_follows_pkey PRIMARY KEY (follower_id, followed_id),
+    CONSTRAINT user_follows_not_self CHECK (follower_id <> followed_id),
+    CONSTRAINT user_follows_follower_id_fkey FOREIGN KEY (follower_id) REFERENCES public.users(user_id) ON DELETE CASCADE,
+    CONSTRAINT user_follows_followed_id_fkey FOREIGN KEY (followed_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_follows_followed_id ON public.user_follows(followed_id);
+
+-- Users following groups
+CREATE TABLE IF NOT EXISTS public.group_follows (
+    user_id uuid NOT NULL,
+    group_id uuid NOT NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT group_follows_pkey PRIMARY KEY (user_id, group_id),
+    CONSTRAINT group_follows_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE,
+    CONSTRAINT group_follows_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_follows_group_id ON public.group_follows(group_id);
+
+-- Places a user wants to see issues around (home, work, ...)
+CREATE TABLE IF NOT EXISTS public.saved_locations (
+    location_id uuid DEFAULT gen_random_uuid() NOT NULL,
+    user_id uuid NOT NULL,
+    label text NOT NULL,
+    latitude float8 NOT NULL,
+    longitude float8 NOT NULL,
+    radius_m int4 DEFAULT 1000 NOT NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT saved_locations_pkey PRIMARY KEY (location_id),
+    CONSTRAINT saved_locations_coordinates_check CHECK (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180),
+    CONSTRAINT saved_locations_radius_check CHECK (radius_m > 0 AND radius_m <= 50000),
+    CONSTRAINT saved_locations_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_locations_user_id ON public.saved_locations(user_id);
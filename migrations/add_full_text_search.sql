@@ -0,0 +1,103 @@
+-- Full-text search for GET /search
+--
+-- Each searchable table gets a search_vector column kept up to date by a BEFORE trigger and
+-- indexed with GIN. Titles and names are weighted A, longer text B, so ts_rank prefers
+-- matches in the title. Issues, groups and comments use the english configuration (word
+-- stems, stop words); users use simple, since names and usernames should not be stemmed.
+-- utils/search.js parses queries with the same configurations.
+
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS search_vector tsvector;
+ALTER TABLE public.issues ADD COLUMN IF NOT EXISTS search_vector tsvector;
+ALTER TABLE public."groups" ADD COLUMN IF NOT EXISTS search_vector tsvector;
+ALTER TABLE public."comments" ADD COLUMN IF NOT EXISTS search_vector tsvector;
+ALTER TABLE public.group_comments ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+CREATE OR REPLACE FUNCTION public.trg_search_vector_users()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('simple', coalesce(NEW.username, '')), 'A')
+    || setweight(to_tsvector('simple', coalesce(NEW.full_name, '')), 'A')
+    || setweight(to_tsvector('simple', coalesce(NEW.email, '')), 'B');
+  RETURN NEW;
+END;
+$function$
+;
+
+CREATE OR REPLACE FUNCTION public.trg_search_vector_issues()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A')
+    || setweight(to_tsvector('english', coalesce(NEW.description, '')), 'B');
+  RETURN NEW;
+END;
+$function$
+;
+
+CREATE OR REPLACE FUNCTION public.trg_search_vector_groups()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.name, '')), 'A')
+    || setweight(to_tsvector('english', coalesce(NEW.description, '')), 'B');
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Shared by comments and group_comments
+CREATE OR REPLACE FUNCTION public.trg_search_vector_comments()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  NEW.search_vector := to_tsvector('english', coalesce(NEW.content, ''));
+  RETURN NEW;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_users_search_vector ON public.users;
+CREATE TRIGGER trg_users_search_vector
+BEFORE INSERT OR UPDATE OF username, full_name, email ON public.users
+FOR EACH ROW EXECUTE FUNCTION trg_search_vector_users();
+
+DROP TRIGGER IF EXISTS trg_issues_search_vector ON public.issues;
+CREATE TRIGGER trg_issues_search_vector
+BEFORE INSERT OR UPDATE OF title, description ON public.issues
+FOR EACH ROW EXECUTE FUNCTION trg_search_vector_issues();
+
+DROP TRIGGER IF EXISTS trg_groups_search_vector ON public."groups";
+CREATE TRIGGER trg_groups_search_vector
+BEFORE INSERT OR UPDATE OF name, description ON public."groups"
+FOR EACH ROW EXECUTE FUNCTION trg_search_vector_groups();
+
+DROP TRIGGER IF EXISTS trg_comments_search_vector ON public."comments";
+CREATE TRIGGER trg_comments_search_vector
+BEFORE INSERT OR UPDATE OF content ON public."comments"
+FOR EACH ROW EXECUTE FUNCTION trg_search_vector_comments();
+
+DROP TRIGGER IF EXISTS trg_group_comments_search_vector ON public.group_comments;
+CREATE TRIGGER trg_group_comments_search_vector
+BEFORE INSERT OR UPDATE OF content ON public.group_comments
+FOR EACH ROW EXECUTE FUNCTION trg_search_vector_comments();
+
+-- Backfill existing rows: touching a searched column runs the trigger
+UPDATE public.users SET username = username;
+UPDATE public.issues SET title = title;
+UPDATE public."groups" SET name = name;
+UPDATE public."comments" SET content = content;
+UPDATE public.group_comments SET content = content;
+
+CREATE INDEX IF NOT EXISTS idx_users_search_vector ON public.users USING gin (search_vector);
+CREATE INDEX IF NOT EXISTS idx_issues_search_vector ON public.issues USING gin (search_vector);
+CREATE INDEX IF NOT EXISTS idx_groups_search_vector ON public."groups" USING gin (search_vector);
+CREATE INDEX IF NOT EXISTS idx_comments_search_vector ON public."comments" USING gin (search_vector);
+CREATE INDEX IF NOT EXISTS idx_group_comments_search_vector ON public.group_comments USING gin (search_vector);
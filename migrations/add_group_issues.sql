@@ -0,0 +1,394 @@
+-- Issues in several groups
+--
+-- issues.group_id allowed one group per issue. group_issues links issues and groups many to
+-- many; it replaces the column, which is dropped once its values are copied over.
+-- groups.issue_count is now maintained by triggers on group_issues.
+
+CREATE TABLE IF NOT EXISTS public.group_issues (
+    group_id uuid NOT NULL,
+    issue_id uuid NOT NULL,
+    added_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT group_issues_pkey PRIMARY KEY (group_id, issue_id),
+    CONSTRAINT group_issues_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE,
+    CONSTRAINT group_issues_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE
+);
+
+-- The groups of an issue
+CREATE INDEX IF NOT EXISTS idx_group_issues_issue_id ON public.group_issues(issue_id);
+
+-- Copy over existing memberships (before the count triggers exist, counts are rebuilt below)
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'issues' AND column_name = 'group_id'
+    ) THEN
+        INSERT INTO public.group_issues (group_id, issue_id, added_at)
+        SELECT group_id, issue_id, posted_at FROM public.issues
+        WHERE group_id IS NOT NULL
+        ON CONFLICT DO NOTHING;
+    END IF;
+END $$;
+
+-- Old issue_count triggers on issues.group_id
+DROP TRIGGER IF EXISTS trg_issue_insert_group_count ON public.issues;
+DROP TRIGGER IF EXISTS trg_issue_update_group_count ON public.issues;
+DROP TRIGGER IF EXISTS trg_issue_delete_group_count ON public.issues;
+DROP FUNCTION IF EXISTS public.trg_inc_group_issue_count_on_insert();
+DROP FUNCTION IF EXISTS public.trg_update_issue_group_count();
+DROP FUNCTION IF EXISTS public.trg_delete_issue_group_count();
+
+CREATE OR REPLACE FUNCTION public.trg_inc_group_issue_count()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  UPDATE groups SET issue_count = COALESCE(issue_count, 0) + 1
+  WHERE group_id = NEW.group_id;
+  RETURN NEW;
+END;
+$function$
+;
+
+CREATE OR REPLACE FUNCTION public.trg_dec_group_issue_count()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  UPDATE groups SET issue_count = GREATEST(COALESCE(issue_count, 0) - 1, 0)
+  WHERE group_id = OLD.group_id;
+  RETURN OLD;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_after_insert_group_issue ON public.group_issues;
+CREATE TRIGGER trg_after_insert_group_issue
+AFTER INSERT ON public.group_issues
+FOR EACH ROW EXECUTE FUNCTION trg_inc_group_issue_count();
+
+DROP TRIGGER IF EXISTS trg_after_delete_group_issue ON public.group_issues;
+CREATE TRIGGER trg_after_delete_group_issue
+AFTER DELETE ON public.group_issues
+FOR EACH ROW EXECUTE FUNCTION trg_dec_group_issue_count();
+
+UPDATE public."groups" g
+SET issue_count = (SELECT COUNT(*) FROM public.group_issues gi WHERE gi.group_id = g.group_id);
+
+-- Views that read issues.group_id are rebuilt without it
+DROP VIEW IF EXISTS v_recent_activity;
+DROP VIEW IF EXISTS v_popular_issues;
+DROP VIEW IF EXISTS v_issues_detailed;
+
+ALTER TABLE public.issues DROP COLUMN IF EXISTS group_id;
+
+CREATE VIEW v_issues_detailed AS
+SELECT
+    i.issue_id,
+    i.title,
+    i.description,
+    i.posted_at,
+    i.upvote_count,
+    i.comment_count,
+    i.display_picture_url,
+    i.user_id,
+    u.username,
+    u.full_name,
+    u.profile_picture_url AS user_profile_picture,
+    ARRAY(SELECT gi.group_id FROM group_issues gi
+          WHERE gi.issue_id = i.issue_id ORDER BY gi.added_at, gi.group_id) AS group_ids,
+    ARRAY(SELECT g.name FROM group_issues gi JOIN groups g ON gi.group_id = g.group_id
+          WHERE gi.issue_id = i.issue_id ORDER BY gi.added_at, gi.group_id) AS group_names,
+    (SELECT COUNT(*) FROM post_attachments pa WHERE pa.issue_id = i.issue_id) AS attachment_count,
+    i.status,
+    i.latitude,
+    i.longitude,
+    i.address,
+    i.category_id
+FROM issues i
+JOIN users u ON i.user_id = u.user_id;
+
+CREATE VIEW v_popular_issues AS
+SELECT
+    i.issue_id,
+    i.title,
+    i.description,
+    i.upvote_count,
+    i.comment_count,
+    i.posted_at,
+    i.display_picture_url,
+    u.username,
+    u.full_name,
+    ARRAY(SELECT g.name FROM group_issues gi JOIN groups g ON gi.group_id = g.group_id
+          WHERE gi.issue_id = i.issue_id ORDER BY gi.added_at, gi.group_id) AS group_names
+FROM issues i
+JOIN users u ON i.user_id = u.user_id
+WHERE i.upvote_count > 0
+ORDER BY i.upvote_count DESC, i.posted_at DESC;
+
+CREATE VIEW v_recent_activity AS
+SELECT
+    issue_id AS id,
+    title,
+    description,
+    posted_at AS activity_date,
+    'issue' AS activity_type,
+    user_id,
+    username,
+    full_name,
+    upvote_count,
+    comment_count,
+    display_picture_url
+FROM v_issues_detailed
+WHERE cardinality(group_ids) = 0
+UNION ALL
+SELECT
+    group_id AS id,
+    name AS title,
+    description,
+    created_at AS activity_date,
+    'group' AS activity_type,
+    owner_id AS user_id,
+    owner_username AS username,
+    owner_full_name AS full_name,
+    upvote_count,
+    comment_count,
+    display_picture_url
+FROM v_groups_detailed
+ORDER BY activity_date DESC;
+
+-- Functions that wrote issues.group_id now write group_issues
+CREATE OR REPLACE FUNCTION public.create_issue(p_user_id uuid, p_title text, p_description text, p_group_id uuid DEFAULT NULL::uuid)
+ RETURNS uuid
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+    new_issue_id UUID;
+BEGIN
+    INSERT INTO issues(user_id, title, description)
+    VALUES (p_user_id, p_title, p_description)
+    RETURNING issue_id INTO new_issue_id;
+
+    IF p_group_id IS NOT NULL THEN
+        INSERT INTO group_issues(group_id, issue_id)
+        VALUES (p_group_id, new_issue_id);
+    END IF;
+
+    RETURN new_issue_id;
+END;
+$function$
+;
+
+CREATE OR REPLACE FUNCTION public.create_issue_with_attachments(p_user_id uuid, p_title text, p_description text, p_group_id uuid DEFAULT NULL::uuid, p_display_picture_url text DEFAULT NULL::text, p_attachments jsonb DEFAULT '[]'::jsonb)
+ RETURNS TABLE(issue_id uuid, title text, description text, user_id uuid, group_id uuid, display_picture_url text, upvote_count integer, comment_count integer, posted_at timestamp with time zone, attachments jsonb)
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_issue_id uuid;
+  att jsonb;
+  v_attachments jsonb := '[]'::jsonb;
+  v_attachment record;
+BEGIN
+  -- Create the issue
+  INSERT INTO issues(user_id, title, description, display_picture_url, upvote_count, comment_count)
+  VALUES (p_user_id, p_title, p_description, p_display_picture_url, 0, 0)
+  RETURNING issues.issue_id INTO v_issue_id;
+
+  IF p_group_id IS NOT NULL THEN
+    INSERT INTO group_issues(group_id, issue_id)
+    VALUES (p_group_id, v_issue_id);
+  END IF;
+
+  -- Insert attachments if any
+  FOR att IN SELECT * FROM jsonb_array_elements(p_attachments)
+  LOOP
+    INSERT INTO post_attachments (issue_id, uploaded_by, file_path)
+    VALUES (
+      v_issue_id, 
+      (att->>'uploaded_by')::uuid, 
+      att->>'file_path'
+    )
+    RETURNING 
+      post_attachments.attachment_id,
+      post_attachments.file_path,
+      post_attachments.created_at
+    INTO v_attachment;
+    
+    -- Build attachments array
+    v_attachments := v_attachments || jsonb_build_object(
+      'attachment_id', v_attachment.attachment_id,
+      'file_path', v_attachment.file_path,
+      'created_at', v_attachment.created_at
+    );
+  END LOOP;
+
+  -- Return the created issue with attachments
+  RETURN QUERY 
+  SELECT 
+    v_issue_id,
+    p_title,
+    p_description,
+    p_user_id,
+    p_group_id,
+    p_display_picture_url,
+    0::int,
+    0::int,
+    NOW(),
+    v_attachments;
+END;
+$function$
+;
+
+CREATE OR REPLACE PROCEDURE public.process_group_join_request(p_req_id uuid, p_status character varying)
+ LANGUAGE plpgsql
+AS $procedure$
+DECLARE
+    v_issue_id UUID;
+    v_group_id UUID;
+BEGIN
+    -- Get issue_id and group_id for the request
+    SELECT issue_id, group_id
+    INTO v_issue_id, v_group_id
+    FROM group_join_request
+    WHERE req_id = p_req_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Request % not found', p_req_id;
+    END IF;
+
+    -- Update request status and processed timestamp
+    UPDATE group_join_request
+    SET status = p_status,
+        handled_at = NOW()
+    WHERE req_id = p_req_id;
+
+    -- If approved, add the issue to the group (alongside any groups it is already in)
+    IF p_status = 'approved' THEN
+        INSERT INTO group_issues(group_id, issue_id)
+        VALUES (v_group_id, v_issue_id)
+        ON CONFLICT DO NOTHING;
+    END IF;
+END;
+$procedure$
+;
+
+-- A merged issue's groups move to the issue it was merged into
+CREATE OR REPLACE FUNCTION public.merge_issues(p_source_issue_id uuid, p_target_issue_id uuid, p_merged_by uuid, p_merged_by_admin uuid)
+ RETURNS TABLE(source_issue_id uuid, target_issue_id uuid, upvotes_moved integer, upvotes_dropped integer, comments_moved integer, attachments_moved integer, join_requests_moved integer)
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_source issues%ROWTYPE;
+  v_target issues%ROWTYPE;
+  v_upvotes_moved int;
+  v_upvotes_dropped int;
+  v_comments_moved int;
+  v_attachments_moved int;
+  v_requests_moved int;
+BEGIN
+  IF p_source_issue_id = p_target_issue_id THEN
+    RAISE EXCEPTION 'Cannot merge issue % into itself', p_source_issue_id;
+  END IF;
+
+  -- Lock both issues (in a stable order to avoid deadlocks)
+  PERFORM 1 FROM issues i
+  WHERE i.issue_id IN (p_source_issue_id, p_target_issue_id)
+  ORDER BY i.issue_id
+  FOR UPDATE;
+
+  SELECT * INTO v_source FROM issues i WHERE i.issue_id = p_source_issue_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Issue % not found', p_source_issue_id;
+  END IF;
+
+  SELECT * INTO v_target FROM issues i WHERE i.issue_id = p_target_issue_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Issue % not found', p_target_issue_id;
+  END IF;
+
+  IF v_source.merged_into IS NOT NULL OR v_target.merged_into IS NOT NULL THEN
+    RAISE EXCEPTION 'Issues that were already merged cannot be merged again';
+  END IF;
+
+  -- Upvotes: drop the source upvote of users who upvoted both (trigger decrements source),
+  -- then re-point the rest keeping the weight the trigger stored when they were cast
+  DELETE FROM issue_upvotes su
+  WHERE su.issue_id = p_source_issue_id
+    AND EXISTS (SELECT 1 FROM issue_upvotes tu
+                WHERE tu.issue_id = p_target_issue_id AND tu.user_id = su.user_id);
+  GET DIAGNOSTICS v_upvotes_dropped = ROW_COUNT;
+
+  UPDATE issue_upvotes SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_upvotes_moved = ROW_COUNT;
+
+  -- Comments and attachments move over as-is
+  UPDATE comments SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_comments_moved = ROW_COUNT;
+
+  UPDATE post_attachments SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_attachments_moved = ROW_COUNT;
+
+  -- Tags are combined
+  INSERT INTO issue_tags (issue_id, tag_id)
+  SELECT p_target_issue_id, it.tag_id FROM issue_tags it WHERE it.issue_id = p_source_issue_id
+  ON CONFLICT DO NOTHING;
+
+  -- Group join requests: the target keeps its own request for a group, pending requests
+  -- for a group the target is already in are cancelled, everything else is re-pointed
+  DELETE FROM group_join_request sr
+  WHERE sr.issue_id = p_source_issue_id
+    AND EXISTS (SELECT 1 FROM group_join_request tr
+                WHERE tr.issue_id = p_target_issue_id AND tr.group_id = sr.group_id);
+
+  UPDATE group_join_request
+  SET status = 'cancelled', handled_at = NOW()
+  WHERE issue_id = p_source_issue_id
+    AND status = 'pending'
+    AND group_id IN (SELECT gi.group_id FROM group_issues gi WHERE gi.issue_id = p_target_issue_id);
+
+  UPDATE group_join_request SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_requests_moved = ROW_COUNT;
+
+  -- The target joins every group the source was in, and the source leaves them
+  -- (group count triggers fire)
+  INSERT INTO group_issues (group_id, issue_id, added_at)
+  SELECT gi.group_id, p_target_issue_id, gi.added_at
+  FROM group_issues gi
+  WHERE gi.issue_id = p_source_issue_id
+  ON CONFLICT DO NOTHING;
+
+  DELETE FROM group_issues gi WHERE gi.issue_id = p_source_issue_id;
+
+  -- Recalculate counters for rows moved by UPDATE (the count triggers only fire on INSERT/DELETE)
+  UPDATE issues SET
+    upvote_count = (SELECT COALESCE(SUM(COALESCE(iu.upvote_weight, 1)), 0) FROM issue_upvotes iu WHERE iu.issue_id = p_target_issue_id),
+    comment_count = (SELECT COUNT(*) FROM comments c WHERE c.issue_id = p_target_issue_id)
+  WHERE issues.issue_id = p_target_issue_id;
+
+  -- Leave the source as a tombstone pointing at the target
+  UPDATE issues SET
+    upvote_count = 0,
+    comment_count = 0,
+    merged_into = p_target_issue_id,
+    merged_at = NOW()
+  WHERE issues.issue_id = p_source_issue_id;
+
+  -- Issues previously merged into the source now point straight at the target
+  UPDATE issues SET merged_into = p_target_issue_id
+  WHERE issues.merged_into = p_source_issue_id;
+
+  IF v_source.status <> 'duplicate' THEN
+    -- A merged issue becomes a duplicate whatever its status (e.g. resolved)
+    PERFORM change_issue_status(p_source_issue_id, 'duplicate', p_merged_by, p_merged_by_admin,
+                                'Merged into ' || p_target_issue_id::text, false);
+  END IF;
+
+  RETURN QUERY SELECT p_source_issue_id, p_target_issue_id, v_upvotes_moved, v_upvotes_dropped,
+                      v_comments_moved, v_attachments_moved, v_requests_moved;
+END;
+$function$
+;
@@ -0,0 +1,103 @@
+-- Group membership with roles
+--
+-- owner:     the group's owner_id, added automatically when the group is created
+-- moderator: can accept join requests, remove members and delete group comments
+-- member:    joined the group
+-- groups.member_count is maintained by triggers, like comment_count and issue_count.
+
+CREATE TABLE IF NOT EXISTS public.group_members (
+    group_id uuid NOT NULL,
+    user_id uuid NOT NULL,
+    role text DEFAULT 'member' NOT NULL,
+    joined_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT group_members_pkey PRIMARY KEY (group_id, user_id),
+    CONSTRAINT group_members_role_check CHECK (role IN ('owner', 'moderator', 'member')),
+    CONSTRAINT group_members_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE,
+    CONSTRAINT group_members_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+
+-- Members list (oldest first) and a user's groups
+CREATE INDEX IF NOT EXISTS idx_group_members_joined_at ON public.group_members(group_id, joined_at, user_id);
+CREATE INDEX IF NOT EXISTS idx_group_members_user_id ON public.group_members(user_id);
+
+ALTER TABLE public."groups" ADD COLUMN IF NOT EXISTS member_count int4 DEFAULT 0 NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.trg_inc_group_member_count()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  UPDATE groups SET member_count = COALESCE(member_count, 0) + 1
+  WHERE group_id = NEW.group_id;
+  RETURN NEW;
+END;
+$function$
+;
+
+CREATE OR REPLACE FUNCTION public.trg_dec_group_member_count()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  UPDATE groups SET member_count = GREATEST(COALESCE(member_count, 0) - 1, 0)
+  WHERE group_id = OLD.group_id;
+  RETURN OLD;
+END;
+$function$
+;
+
+-- The owner of a new group is its first member
+CREATE OR REPLACE FUNCTION public.trg_add_group_owner_member()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  INSERT INTO group_members (group_id, user_id, role)
+  VALUES (NEW.group_id, NEW.owner_id, 'owner')
+  ON CONFLICT (group_id, user_id) DO UPDATE SET role = 'owner';
+  RETURN NEW;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_after_insert_group_member ON public.group_members;
+CREATE TRIGGER trg_after_insert_group_member
+AFTER INSERT ON public.group_members
+FOR EACH ROW EXECUTE FUNCTION trg_inc_group_member_count();
+
+DROP TRIGGER IF EXISTS trg_after_delete_group_member ON public.group_members;
+CREATE TRIGGER trg_after_delete_group_member
+AFTER DELETE ON public.group_members
+FOR EACH ROW EXECUTE FUNCTION trg_dec_group_member_count();
+
+DROP TRIGGER IF EXISTS trg_group_owner_member ON public."groups";
+CREATE TRIGGER trg_group_owner_member
+AFTER INSERT ON public."groups"
+FOR EACH ROW EXECUTE FUNCTION trg_add_group_owner_member();
+
+-- Existing owners become members of their groups
+INSERT INTO public.group_members (group_id, user_id, role, joined_at)
+SELECT group_id, owner_id, 'owner', created_at FROM public."groups"
+ON CONFLICT (group_id, user_id) DO UPDATE SET role = 'owner';
+
+UPDATE public."groups" g
+SET member_count = (SELECT COUNT(*) FROM public.group_members gm WHERE gm.group_id = g.group_id);
+
+CREATE OR REPLACE VIEW v_groups_detailed AS
+SELECT
+    g.group_id,
+    g.name,
+    g.description,
+    g.created_at,
+    g.upvote_count,
+    g.comment_count,
+    g.display_picture_url,
+    g.issue_count,
+    g.owner_id,
+    u.username AS owner_username,
+    u.full_name AS owner_full_name,
+    u.profile_picture_url AS owner_profile_picture,
+    g.member_count,
+    (SELECT COUNT(*) FROM group_members gm WHERE gm.group_id = g.group_id AND gm.role = 'moderator') AS moderator_count
+FROM groups g
+JOIN users u ON g.owner_id = u.user_id;
@@ -0,0 +1,177 @@
+-- Group ownership transfer, co-owners and orphaned groups
+--
+-- groups.owner_id is the primary owner. Co-owners are group_members with role 'owner' and
+-- share the owner's powers. Ownership is handed over through group_ownership_transfers,
+-- which the recipient accepts.
+-- Deleting the owner's account no longer deletes the group: the longest-standing co-owner
+-- takes over, or when there is none the group is left without an owner (orphaned) until
+-- an admin assigns one.
+
+ALTER TABLE public."groups" ALTER COLUMN owner_id DROP NOT NULL;
+
+ALTER TABLE public."groups" DROP CONSTRAINT IF EXISTS groups_owner_id_fkey;
+ALTER TABLE public."groups" ADD CONSTRAINT groups_owner_id_fkey
+    FOREIGN KEY (owner_id) REFERENCES public.users(user_id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS public.group_ownership_transfers (
+    transfer_id uuid DEFAULT gen_random_uuid() NOT NULL,
+    group_id uuid NOT NULL,
+    from_user_id uuid NOT NULL,
+    to_user_id uuid NOT NULL,
+    status text DEFAULT 'pending' NOT NULL,
+    requested_at timestamptz DEFAULT now() NOT NULL,
+    responded_at timestamptz NULL,
+    CONSTRAINT group_ownership_transfers_pkey PRIMARY KEY (transfer_id),
+    CONSTRAINT group_ownership_transfers_status_check CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+    CONSTRAINT group_ownership_transfers_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE,
+    CONSTRAINT group_ownership_transfers_from_user_id_fkey FOREIGN KEY (from_user_id) REFERENCES public.users(user_id) ON DELETE CASCADE,
+    CONSTRAINT group_ownership_transfers_to_user_id_fkey FOREIGN KEY (to_user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+
+-- At most one pending transfer per group
+CREATE UNIQUE INDEX IF NOT EXISTS idx_group_ownership_transfers_pending ON public.group_ownership_transfers(group_id)
+WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_group_ownership_transfers_from_user_id ON public.group_ownership_transfers(from_user_id, requested_at DESC);
+CREATE INDEX IF NOT EXISTS idx_group_ownership_transfers_to_user_id ON public.group_ownership_transfers(to_user_id, requested_at DESC);
+
+-- The owner is always an 'owner' member, also after ownership changes hands
+CREATE OR REPLACE FUNCTION public.trg_add_group_owner_member()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  IF NEW.owner_id IS NOT NULL THEN
+    INSERT INTO group_members (group_id, user_id, role)
+    VALUES (NEW.group_id, NEW.owner_id, 'owner')
+    ON CONFLICT (group_id, user_id) DO UPDATE SET role = 'owner';
+  END IF;
+  RETURN NEW;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_group_owner_member ON public."groups";
+CREATE TRIGGER trg_group_owner_member
+AFTER INSERT OR UPDATE OF owner_id ON public."groups"
+FOR EACH ROW EXECUTE FUNCTION trg_add_group_owner_member();
+
+-- When the owner's account is deleted, the longest-standing co-owner takes over
+CREATE OR REPLACE FUNCTION public.trg_promote_group_co_owner()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  IF NEW.owner_id IS NULL AND OLD.owner_id IS NOT NULL THEN
+    SELECT gm.user_id INTO NEW.owner_id
+    FROM group_members gm
+    WHERE gm.group_id = NEW.group_id AND gm.role = 'owner' AND gm.user_id <> OLD.owner_id
+    ORDER BY gm.joined_at, gm.user_id
+    LIMIT 1;
+  END IF;
+  RETURN NEW;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_groups_promote_co_owner ON public."groups";
+CREATE TRIGGER trg_groups_promote_co_owner
+BEFORE UPDATE OF owner_id ON public."groups"
+FOR EACH ROW EXECUTE FUNCTION trg_promote_group_co_owner();
+
+-- Make p_new_owner_id the owner of a group, accepting transfer p_transfer_id when given
+-- (it must still be pending and come from the current owner). Other pending transfers of
+-- the group are cancelled; the previous owner stays on as a co-owner.
+-- Returns the previous owner (null for an orphaned group). Raises SQLSTATE P0002 when the
+-- group is gone and GO409 when the transfer can no longer be accepted.
+CREATE OR REPLACE FUNCTION public.transfer_group_ownership(p_group_id uuid, p_new_owner_id uuid, p_transfer_id uuid)
+ RETURNS uuid
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_previous_owner_id uuid;
+  v_transfer group_ownership_transfers%ROWTYPE;
+BEGIN
+  SELECT g.owner_id INTO v_previous_owner_id
+  FROM groups g
+  WHERE g.group_id = p_group_id
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Group % not found', p_group_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF p_transfer_id IS NOT NULL THEN
+    SELECT * INTO v_transfer
+    FROM group_ownership_transfers t
+    WHERE t.transfer_id = p_transfer_id
+    FOR UPDATE;
+
+    IF NOT FOUND
+       OR v_transfer.status <> 'pending'
+       OR v_transfer.group_id <> p_group_id
+       OR v_transfer.to_user_id <> p_new_owner_id
+       OR v_transfer.from_user_id IS DISTINCT FROM v_previous_owner_id THEN
+      RAISE EXCEPTION 'Ownership transfer % can no longer be accepted', p_transfer_id
+        USING ERRCODE = 'GO409';
+    END IF;
+
+    UPDATE group_ownership_transfers t
+    SET status = 'accepted', responded_at = now()
+    WHERE t.transfer_id = p_transfer_id;
+  END IF;
+
+  UPDATE group_ownership_transfers t
+  SET status = 'cancelled', responded_at = now()
+  WHERE t.group_id = p_group_id AND t.status = 'pending';
+
+  -- trg_group_owner_member makes the new owner an 'owner' member
+  UPDATE groups g SET owner_id = p_new_owner_id
+  WHERE g.group_id = p_group_id;
+
+  RETURN v_previous_owner_id;
+END;
+$function$
+;
+
+-- Orphaned groups keep showing up with their owner left empty
+CREATE OR REPLACE VIEW v_groups_detailed AS
+SELECT
+    g.group_id,
+    g.name,
+    g.description,
+    g.created_at,
+    g.upvote_count,
+    g.comment_count,
+    g.display_picture_url,
+    g.issue_count,
+    g.owner_id,
+    u.username AS owner_username,
+    u.full_name AS owner_full_name,
+    u.profile_picture_url AS owner_profile_picture,
+    g.member_count,
+    (SELECT COUNT(*) FROM group_members gm WHERE gm.group_id = g.group_id AND gm.role = 'moderator') AS moderator_count
+FROM groups g
+LEFT JOIN users u ON g.owner_id = u.user_id;
+
+CREATE OR REPLACE VIEW v_pending_group_join_requests AS
+SELECT
+    gjr.req_id,
+    gjr.issue_id,
+    i.title AS issue_title,
+    i.user_id AS issue_author_id,
+    issue_author.username AS issue_author_username,
+    gjr.group_id,
+    g.name AS group_name,
+    g.owner_id AS group_owner_id,
+    group_owner.username AS group_owner_username,
+    gjr.requested_by_group,
+    gjr.status,
+    gjr.requested_at,
+    gjr.handled_at
+FROM group_join_request gjr
+JOIN issues i ON gjr.issue_id = i.issue_id
+JOIN users issue_author ON i.user_id = issue_author.user_id
+JOIN groups g ON gjr.group_id = g.group_id
+LEFT JOIN users group_owner ON g.owner_id = group_owner.user_id
+WHERE gjr.status = 'pending'
+ORDER BY gjr.requested_at DESC;
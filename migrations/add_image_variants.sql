@@ -0,0 +1,12 @@
+-- Processed image variants: { "thumb": url, "medium": url, "full": url }
+-- display_picture_url / profile_picture_url keep pointing at the full variant for older clients.
+-- Run `npm run process-images` afterwards to process pictures uploaded before this migration.
+
+ALTER TABLE public.issues
+ADD COLUMN IF NOT EXISTS display_picture_variants jsonb NULL;
+
+ALTER TABLE public."groups"
+ADD COLUMN IF NOT EXISTS display_picture_variants jsonb NULL;
+
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS profile_picture_variants jsonb NULL;
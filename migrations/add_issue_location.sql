@@ -0,0 +1,67 @@
+-- Geolocated issues (plain Postgres math, no PostGIS required)
+
+-- Add location columns to issues table
+ALTER TABLE public.issues
+ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION NULL;
+
+ALTER TABLE public.issues
+ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION NULL;
+
+ALTER TABLE public.issues
+ADD COLUMN IF NOT EXISTS address TEXT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'issues_location_check'
+    ) THEN
+        -- Both coordinates or neither, and within valid ranges
+        ALTER TABLE public.issues ADD CONSTRAINT issues_location_check
+            CHECK ((latitude IS NULL AND longitude IS NULL)
+                OR (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180));
+    END IF;
+END $$;
+
+-- Create index on coordinates for bounding-box filtering
+CREATE INDEX IF NOT EXISTS idx_issues_location ON public.issues(latitude, longitude)
+WHERE latitude IS NOT NULL;
+
+-- Great-circle distance in meters (haversine)
+CREATE OR REPLACE FUNCTION public.distance_meters(lat1 double precision, lng1 double precision, lat2 double precision, lng2 double precision)
+ RETURNS double precision
+ LANGUAGE sql
+ IMMUTABLE
+AS $function$
+  SELECT 2 * 6371008.8 * asin(LEAST(1, sqrt(
+    power(sin(radians(lat2 - lat1) / 2), 2)
+    + cos(radians(lat1)) * cos(radians(lat2)) * power(sin(radians(lng2 - lng1) / 2), 2)
+  )));
+$function$
+;
+
+-- Expose location on the detailed issues view
+CREATE OR REPLACE VIEW v_issues_detailed AS
+SELECT 
+    i.issue_id,
+    i.title,
+    i.description,
+    i.posted_at,
+    i.upvote_count,
+    i.comment_count,
+    i.display_picture_url,
+    i.user_id,
+    u.username,
+    u.full_name,
+    u.profile_picture_url AS user_profile_picture,
+    i.group_id,
+    g.name AS group_name,
+    g.owner_id AS group_owner_id,
+    (SELECT COUNT(*) FROM post_attachments pa WHERE pa.issue_id = i.issue_id) AS attachment_count,
+    i.status,
+    i.latitude,
+    i.longitude,
+    i.address
+FROM issues i
+JOIN users u ON i.user_id = u.user_id
+LEFT JOIN groups g ON i.group_id = g.group_id;
@@ -0,0 +1,139 @@
+-- Merge duplicate issues into a canonical issue
+-- The merged issue is kept as a tombstone (merged_into) so old links redirect
+
+ALTER TABLE public.issues
+ADD COLUMN IF NOT EXISTS merged_into uuid NULL;
+
+ALTER TABLE public.issues
+ADD COLUMN IF NOT EXISTS merged_at timestamptz NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'issues_merged_into_fkey'
+    ) THEN
+        ALTER TABLE public.issues ADD CONSTRAINT issues_merged_into_fkey
+            FOREIGN KEY (merged_into) REFERENCES public.issues(issue_id) ON DELETE SET NULL;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_issues_merged_into ON public.issues(merged_into)
+WHERE merged_into IS NOT NULL;
+
+-- Move upvotes, comments, attachments, tags and join requests from one issue to another
+CREATE OR REPLACE FUNCTION public.merge_issues(p_source_issue_id uuid, p_target_issue_id uuid, p_merged_by uuid, p_merged_by_admin uuid)
+ RETURNS TABLE(source_issue_id uuid, target_issue_id uuid, upvotes_moved integer, upvotes_dropped integer, comments_moved integer, attachments_moved integer, join_requests_moved integer)
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_source issues%ROWTYPE;
+  v_target issues%ROWTYPE;
+  v_upvotes_moved int;
+  v_upvotes_dropped int;
+  v_comments_moved int;
+  v_attachments_moved int;
+  v_requests_moved int;
+BEGIN
+  IF p_source_issue_id = p_target_issue_id THEN
+    RAISE EXCEPTION 'Cannot merge issue % into itself', p_source_issue_id;
+  END IF;
+
+  -- Lock both issues (in a stable order to avoid deadlocks)
+  PERFORM 1 FROM issues i
+  WHERE i.issue_id IN (p_source_issue_id, p_target_issue_id)
+  ORDER BY i.issue_id
+  FOR UPDATE;
+
+  SELECT * INTO v_source FROM issues i WHERE i.issue_id = p_source_issue_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Issue % not found', p_source_issue_id;
+  END IF;
+
+  SELECT * INTO v_target FROM issues i WHERE i.issue_id = p_target_issue_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Issue % not found', p_target_issue_id;
+  END IF;
+
+  IF v_source.merged_into IS NOT NULL OR v_target.merged_into IS NOT NULL THEN
+    RAISE EXCEPTION 'Issues that were already merged cannot be merged again';
+  END IF;
+
+  -- Upvotes: drop the source upvote of users who upvoted both (trigger decrements source),
+  -- then re-point the rest keeping the weight the trigger stored when they were cast
+  DELETE FROM issue_upvotes su
+  WHERE su.issue_id = p_source_issue_id
+    AND EXISTS (SELECT 1 FROM issue_upvotes tu
+                WHERE tu.issue_id = p_target_issue_id AND tu.user_id = su.user_id);
+  GET DIAGNOSTICS v_upvotes_dropped = ROW_COUNT;
+
+  UPDATE issue_upvotes SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_upvotes_moved = ROW_COUNT;
+
+  -- Comments and attachments move over as-is
+  UPDATE comments SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_comments_moved = ROW_COUNT;
+
+  UPDATE post_attachments SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_attachments_moved = ROW_COUNT;
+
+  -- Tags are combined
+  INSERT INTO issue_tags (issue_id, tag_id)
+  SELECT p_target_issue_id, it.tag_id FROM issue_tags it WHERE it.issue_id = p_source_issue_id
+  ON CONFLICT DO NOTHING;
+
+  -- Group join requests: the target keeps its own request for a group, pending requests
+  -- for a group the target is already in are cancelled, everything else is re-pointed
+  DELETE FROM group_join_request sr
+  WHERE sr.issue_id = p_source_issue_id
+    AND EXISTS (SELECT 1 FROM group_join_request tr
+                WHERE tr.issue_id = p_target_issue_id AND tr.group_id = sr.group_id);
+
+  UPDATE group_join_request
+  SET status = 'cancelled', handled_at = NOW()
+  WHERE issue_id = p_source_issue_id
+    AND status = 'pending'
+    AND group_id = v_target.group_id;
+
+  UPDATE group_join_request SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_requests_moved = ROW_COUNT;
+
+  -- The target inherits the source's group if it has none (group count triggers fire)
+  IF v_target.group_id IS NULL AND v_source.group_id IS NOT NULL THEN
+    UPDATE issues SET group_id = v_source.group_id WHERE issues.issue_id = p_target_issue_id;
+  END IF;
+
+  -- Recalculate counters for rows moved by UPDATE (the count triggers only fire on INSERT/DELETE)
+  UPDATE issues SET
+    upvote_count = (SELECT COALESCE(SUM(COALESCE(iu.upvote_weight, 1)), 0) FROM issue_upvotes iu WHERE iu.issue_id = p_target_issue_id),
+    comment_count = (SELECT COUNT(*) FROM comments c WHERE c.issue_id = p_target_issue_id)
+  WHERE issues.issue_id = p_target_issue_id;
+
+  -- Leave the source as a tombstone pointing at the target
+  UPDATE issues SET
+    upvote_count = 0,
+    comment_count = 0,
+    group_id = NULL,
+    merged_into = p_target_issue_id,
+    merged_at = NOW()
+  WHERE issues.issue_id = p_source_issue_id;
+
+  -- Issues previously merged into the source now point straight at the target
+  UPDATE issues SET merged_into = p_target_issue_id
+  WHERE issues.merged_into = p_source_issue_id;
+
+  IF v_source.status <> 'duplicate' THEN
+    -- A merged issue becomes a duplicate whatever its status (e.g. resolved)
+    PERFORM change_issue_status(p_source_issue_id, 'duplicate', p_merged_by, p_merged_by_admin,
+                                'Merged into ' || p_target_issue_id::text, false);
+  END IF;
+
+  RETURN QUERY SELECT p_source_issue_id, p_target_issue_id, v_upvotes_moved, v_upvotes_dropped,
+                      v_comments_moved, v_attachments_moved, v_requests_moved;
+END;
+$function$
+;
@@ -0,0 +1,125 @@
+-- Issue lifecycle status workflow
+-- open -> acknowledged -> in_progress -> resolved -> closed, plus rejected/duplicate
+
+-- Flag roles whose holders may move any issue between states (e.g. municipal officials)
+ALTER TABLE public.roles
+ADD COLUMN IF NOT EXISTS is_official BOOLEAN DEFAULT false NOT NULL;
+
+-- Add status columns to issues table
+ALTER TABLE public.issues
+ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'open' NOT NULL;
+
+ALTER TABLE public.issues
+ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'issues_status_check'
+    ) THEN
+        ALTER TABLE public.issues ADD CONSTRAINT issues_status_check
+            CHECK (status IN ('open', 'acknowledged', 'in_progress', 'resolved', 'closed', 'rejected', 'duplicate'));
+    END IF;
+END $$;
+
+-- Create index on status for filtering
+CREATE INDEX IF NOT EXISTS idx_issues_status ON public.issues(status);
+
+-- Create issue_status_history table (one row per transition)
+CREATE TABLE IF NOT EXISTS public.issue_status_history (
+    history_id uuid DEFAULT gen_random_uuid() NOT NULL,
+    issue_id uuid NOT NULL,
+    old_status text NOT NULL,
+    new_status text NOT NULL,
+    changed_by uuid NULL,
+    changed_by_admin uuid NULL,
+    note text NULL,
+    changed_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT issue_status_history_pkey PRIMARY KEY (history_id),
+    CONSTRAINT issue_status_history_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE,
+    CONSTRAINT issue_status_history_changed_by_fkey FOREIGN KEY (changed_by) REFERENCES public.users(user_id) ON DELETE SET NULL,
+    CONSTRAINT issue_status_history_changed_by_admin_fkey FOREIGN KEY (changed_by_admin) REFERENCES public."admin"(admin_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_issue_status_history_issue_id ON public.issue_status_history(issue_id, changed_at DESC);
+
+-- Change an issue's status and record the transition in one transaction.
+-- Invalid transitions raise SQLSTATE IS409; merging skips the check (p_check_transition).
+DROP FUNCTION IF EXISTS public.change_issue_status(uuid, text, uuid, uuid, text);
+CREATE OR REPLACE FUNCTION public.change_issue_status(p_issue_id uuid, p_new_status text, p_changed_by uuid, p_changed_by_admin uuid, p_note text DEFAULT NULL::text, p_check_transition boolean DEFAULT true)
+ RETURNS TABLE(history_id uuid, issue_id uuid, old_status text, new_status text, changed_by uuid, changed_by_admin uuid, note text, changed_at timestamp with time zone)
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_old_status text;
+BEGIN
+  -- Lock the issue row so concurrent transitions are serialized
+  SELECT i.status INTO v_old_status
+  FROM issues i
+  WHERE i.issue_id = p_issue_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Issue % not found', p_issue_id;
+  END IF;
+
+  -- Checked again under the lock: the caller's check may have seen an older status.
+  -- Same transitions as utils/issueStatus.js
+  IF p_check_transition AND NOT p_new_status = ANY (CASE v_old_status
+      WHEN 'open' THEN ARRAY['acknowledged', 'in_progress', 'resolved', 'rejected', 'duplicate']
+      WHEN 'acknowledged' THEN ARRAY['open', 'in_progress', 'resolved', 'rejected', 'duplicate']
+      WHEN 'in_progress' THEN ARRAY['acknowledged', 'resolved', 'rejected', 'duplicate']
+      WHEN 'resolved' THEN ARRAY['in_progress', 'closed', 'open']
+      WHEN 'closed' THEN ARRAY['open']
+      WHEN 'rejected' THEN ARRAY['open']
+      WHEN 'duplicate' THEN ARRAY['open']
+      ELSE ARRAY[]::text[]
+    END) THEN
+    RAISE EXCEPTION 'Cannot change status of issue % from % to %', p_issue_id, v_old_status, p_new_status
+      USING ERRCODE = 'IS409';
+  END IF;
+
+  UPDATE issues
+  SET status = p_new_status,
+      status_updated_at = NOW()
+  WHERE issues.issue_id = p_issue_id;
+
+  RETURN QUERY
+  INSERT INTO issue_status_history (issue_id, old_status, new_status, changed_by, changed_by_admin, note)
+  VALUES (p_issue_id, v_old_status, p_new_status, p_changed_by, p_changed_by_admin, p_note)
+  RETURNING
+    issue_status_history.history_id,
+    issue_status_history.issue_id,
+    issue_status_history.old_status,
+    issue_status_history.new_status,
+    issue_status_history.changed_by,
+    issue_status_history.changed_by_admin,
+    issue_status_history.note,
+    issue_status_history.changed_at;
+END;
+$function$
+;
+
+-- Expose status on the detailed issues view
+CREATE OR REPLACE VIEW v_issues_detailed AS
+SELECT 
+    i.issue_id,
+    i.title,
+    i.description,
+    i.posted_at,
+    i.upvote_count,
+    i.comment_count,
+    i.display_picture_url,
+    i.user_id,
+    u.username,
+    u.full_name,
+    u.profile_picture_url AS user_profile_picture,
+    i.group_id,
+    g.name AS group_name,
+    g.owner_id AS group_owner_id,
+    (SELECT COUNT(*) FROM post_attachments pa WHERE pa.issue_id = i.issue_id) AS attachment_count,
+    i.status
+FROM issues i
+JOIN users u ON i.user_id = u.user_id
+LEFT JOIN groups g ON i.group_id = g.group_id;
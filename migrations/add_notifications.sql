@@ -0,0 +1,35 @@
+-- In-app notifications with per-user, per-event-type preferences
+
+-- Create notifications table
+CREATE TABLE IF NOT EXISTS public.notifications (
+    notification_id uuid DEFAULT gen_random_uuid() NOT NULL,
+    user_id uuid NOT NULL,
+    type text NOT NULL,
+    title text NOT NULL,
+    body text NULL,
+    actor_id uuid NULL,
+    issue_id uuid NULL,
+    group_id uuid NULL,
+    data jsonb DEFAULT '{}'::jsonb NOT NULL,
+    is_read bool DEFAULT false NOT NULL,
+    read_at timestamptz NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT notifications_pkey PRIMARY KEY (notification_id),
+    CONSTRAINT notifications_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE,
+    CONSTRAINT notifications_actor_id_fkey FOREIGN KEY (actor_id) REFERENCES public.users(user_id) ON DELETE SET NULL,
+    CONSTRAINT notifications_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE,
+    CONSTRAINT notifications_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON public.notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON public.notifications(user_id) WHERE is_read = false;
+
+-- Create notification_preferences table (no row means the event type is enabled)
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+    user_id uuid NOT NULL,
+    event_type text NOT NULL,
+    in_app bool DEFAULT true NOT NULL,
+    updated_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT notification_preferences_pkey PRIMARY KEY (user_id, event_type),
+    CONSTRAINT notification_preferences_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,156 @@
+-- Realtime events: triggers publish changes with pg_notify on the 'idraak_events' channel.
+-- Every server process LISTENs on it and forwards events to its connected clients, so
+-- clients see the same events no matter which process handled the write.
+--
+-- Payload: {"channel": "issue:<id>" | "group:<id>" | "user:<id>", "event": "...", "data": {...}}
+-- NOTIFY payloads are limited to 8000 bytes, so long text is truncated.
+
+CREATE OR REPLACE FUNCTION public.publish_realtime_event(p_channel text, p_event text, p_data jsonb)
+ RETURNS void
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM pg_notify('idraak_events', json_build_object(
+    'channel', p_channel,
+    'event', p_event,
+    'data', p_data
+  )::text);
+END;
+$function$
+;
+
+-- Issue upvote counts (the upvote triggers update issues.upvote_count)
+CREATE OR REPLACE FUNCTION public.trg_realtime_issue_upvotes()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM publish_realtime_event('issue:' || NEW.issue_id, 'issue.upvotes',
+    jsonb_build_object('issue_id', NEW.issue_id, 'upvote_count', NEW.upvote_count));
+  RETURN NEW;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_realtime_issue_upvotes ON public.issues;
+CREATE TRIGGER trg_realtime_issue_upvotes AFTER UPDATE OF upvote_count ON public.issues
+  FOR EACH ROW WHEN (OLD.upvote_count IS DISTINCT FROM NEW.upvote_count)
+  EXECUTE FUNCTION trg_realtime_issue_upvotes();
+
+-- Group upvote counts
+CREATE OR REPLACE FUNCTION public.trg_realtime_group_upvotes()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM publish_realtime_event('group:' || NEW.group_id, 'group.upvotes',
+    jsonb_build_object('group_id', NEW.group_id, 'upvote_count', NEW.upvote_count));
+  RETURN NEW;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_realtime_group_upvotes ON public."groups";
+CREATE TRIGGER trg_realtime_group_upvotes AFTER UPDATE OF upvote_count ON public."groups"
+  FOR EACH ROW WHEN (OLD.upvote_count IS DISTINCT FROM NEW.upvote_count)
+  EXECUTE FUNCTION trg_realtime_group_upvotes();
+
+-- New issue comments
+CREATE OR REPLACE FUNCTION public.trg_realtime_comment()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM publish_realtime_event('issue:' || NEW.issue_id, 'comment.created',
+    jsonb_build_object(
+      'comment_id', NEW.comment_id,
+      'issue_id', NEW.issue_id,
+      'user_id', NEW.user_id,
+      'username', (SELECT username FROM users WHERE user_id = NEW.user_id),
+      'content', left(NEW.content, 1000),
+      'posted_at', NEW.posted_at
+    ));
+  RETURN NEW;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_realtime_comment ON public."comments";
+CREATE TRIGGER trg_realtime_comment AFTER INSERT ON public."comments"
+  FOR EACH ROW EXECUTE FUNCTION trg_realtime_comment();
+
+-- New group comments
+CREATE OR REPLACE FUNCTION public.trg_realtime_group_comment()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM publish_realtime_event('group:' || NEW.group_id, 'group_comment.created',
+    jsonb_build_object(
+      'comment_id', NEW.comment_id,
+      'group_id', NEW.group_id,
+      'user_id', NEW.user_id,
+      'username', (SELECT username FROM users WHERE user_id = NEW.user_id),
+      'content', left(NEW.content, 1000),
+      'posted_at', NEW.posted_at
+    ));
+  RETURN NEW;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_realtime_group_comment ON public.group_comments;
+CREATE TRIGGER trg_realtime_group_comment AFTER INSERT ON public.group_comments
+  FOR EACH ROW EXECUTE FUNCTION trg_realtime_group_comment();
+
+-- Join request decisions go to both the issue and the group
+CREATE OR REPLACE FUNCTION public.trg_realtime_join_request()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_data jsonb := jsonb_build_object(
+    'request_id', NEW.req_id,
+    'issue_id', NEW.issue_id,
+    'group_id', NEW.group_id,
+    'requested_by_group', NEW.requested_by_group,
+    'status', NEW.status
+  );
+BEGIN
+  PERFORM publish_realtime_event('issue:' || NEW.issue_id, 'join_request.decided', v_data);
+  PERFORM publish_realtime_event('group:' || NEW.group_id, 'join_request.decided', v_data);
+  RETURN NEW;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_realtime_join_request ON public.group_join_request;
+CREATE TRIGGER trg_realtime_join_request AFTER UPDATE OF status ON public.group_join_request
+  FOR EACH ROW WHEN (OLD.status IS DISTINCT FROM NEW.status)
+  EXECUTE FUNCTION trg_realtime_join_request();
+
+-- Personal notification stream
+CREATE OR REPLACE FUNCTION public.trg_realtime_notification()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM publish_realtime_event('user:' || NEW.user_id, 'notification.created',
+    jsonb_build_object(
+      'notification_id', NEW.notification_id,
+      'type', NEW.type,
+      'title', left(NEW.title, 500),
+      'body', left(NEW.body, 1000),
+      'actor_id', NEW.actor_id,
+      'issue_id', NEW.issue_id,
+      'group_id', NEW.group_id,
+      'created_at', NEW.created_at
+    ));
+  RETURN NEW;
+END;
+$function$
+;
+
+DROP TRIGGER IF EXISTS trg_realtime_notification ON public.notifications;
+CREATE TRIGGER trg_realtime_notification AFTER INSERT ON public.notifications
+  FOR EACH ROW EXECUTE FUNCTION trg_realtime_notification();
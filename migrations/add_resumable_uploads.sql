@@ -0,0 +1,24 @@
+-- Resumable uploads: large files sent in chunks, then attached to an issue
+
+CREATE TABLE IF NOT EXISTS public.resumable_uploads (
+    upload_id uuid DEFAULT gen_random_uuid() NOT NULL,
+    user_id uuid NOT NULL,
+    original_filename text NOT NULL,
+    size_bytes int8 NOT NULL,
+    received_bytes int8 DEFAULT 0 NOT NULL,
+    checksum_sha256 text NOT NULL,
+    mime_type text NULL,
+    status text DEFAULT 'uploading' NOT NULL,
+    attachment_id uuid NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    updated_at timestamptz DEFAULT now() NOT NULL,
+    expires_at timestamptz NOT NULL,
+    CONSTRAINT resumable_uploads_pkey PRIMARY KEY (upload_id),
+    CONSTRAINT resumable_uploads_status_check CHECK (status IN ('uploading', 'completed', 'attached')),
+    CONSTRAINT resumable_uploads_size_check CHECK (size_bytes > 0 AND received_bytes BETWEEN 0 AND size_bytes),
+    CONSTRAINT resumable_uploads_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE,
+    CONSTRAINT resumable_uploads_attachment_id_fkey FOREIGN KEY (attachment_id) REFERENCES public.post_attachments(attachment_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_resumable_uploads_user_id ON public.resumable_uploads(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_resumable_uploads_expires_at ON public.resumable_uploads(expires_at);
@@ -0,0 +1,30 @@
+-- Saved searches with alerts about new matching issues and groups (see utils/savedSearches.js)
+--
+-- last_checked_at: matches posted before it were already fetched through
+--                  GET /saved-searches/:id/new
+-- last_checked_key: when that call stopped early, the position ([posted_at, id]) of the
+--                   last match it returned; the next call resumes after it
+-- last_notified_at: matches posted before it were already announced by an alert
+
+CREATE TABLE IF NOT EXISTS public.saved_searches (
+    saved_search_id uuid DEFAULT gen_random_uuid() NOT NULL,
+    user_id uuid NOT NULL,
+    name text NOT NULL,
+    query text NOT NULL,
+    search_type text DEFAULT 'all' NOT NULL,
+    filters jsonb DEFAULT '{}'::jsonb NOT NULL,
+    notify_in_app bool DEFAULT true NOT NULL,
+    notify_email bool DEFAULT false NOT NULL,
+    last_checked_at timestamptz DEFAULT now() NOT NULL,
+    last_checked_key jsonb NULL,
+    last_notified_at timestamptz DEFAULT now() NOT NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT saved_searches_pkey PRIMARY KEY (saved_search_id),
+    CONSTRAINT saved_searches_search_type_check CHECK (search_type IN ('all', 'issues', 'groups')),
+    CONSTRAINT saved_searches_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON public.saved_searches(user_id);
+
+-- Searches the alert worker has to check
+CREATE INDEX IF NOT EXISTS idx_saved_searches_alerts ON public.saved_searches(saved_search_id) WHERE (notify_in_app OR notify_email);
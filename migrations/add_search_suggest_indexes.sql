@@ -0,0 +1,15 @@
+-- Indexes for GET /search/suggest (see utils/searchSuggest.js)
+--
+-- Prefix matches (`lower(name) LIKE 'stre%'`) use btree indexes with text_pattern_ops, which
+-- work whatever the database collation. Matches at the start of a later word
+-- (`name ILIKE '% stre%'`) use trigram indexes; issue titles already have one from
+-- add_duplicate_detection.sql. Categories are few enough to scan.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_users_username_prefix ON public.users (lower(username) text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_users_full_name_trgm ON public.users USING gin (full_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_groups_name_prefix ON public."groups" (lower(name) text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_groups_name_trgm ON public."groups" USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_issues_title_prefix ON public.issues (lower(title) text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_tags_name_prefix ON public.tags (name text_pattern_ops);
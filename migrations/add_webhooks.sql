@@ -0,0 +1,46 @@
+-- Outbound webhooks: admin-registered endpoints and a persistent delivery log
+
+-- Create webhooks table
+CREATE TABLE IF NOT EXISTS public.webhooks (
+    webhook_id uuid DEFAULT gen_random_uuid() NOT NULL,
+    url text NOT NULL,
+    description text NULL,
+    secret text NOT NULL,
+    event_types text[] DEFAULT '{}' NOT NULL,
+    is_active bool DEFAULT true NOT NULL,
+    consecutive_failures int4 DEFAULT 0 NOT NULL,
+    disabled_at timestamptz NULL,
+    disabled_reason text NULL,
+    created_by_admin uuid NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    updated_at timestamptz DEFAULT now() NOT NULL,
+    CONSTRAINT webhooks_pkey PRIMARY KEY (webhook_id),
+    CONSTRAINT webhooks_created_by_admin_fkey FOREIGN KEY (created_by_admin) REFERENCES public."admin"(admin_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_event_types ON public.webhooks USING gin (event_types);
+
+-- Create webhook_deliveries table (one row per event per webhook, retried in place)
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+    delivery_id uuid DEFAULT gen_random_uuid() NOT NULL,
+    webhook_id uuid NOT NULL,
+    event_type text NOT NULL,
+    payload jsonb NOT NULL,
+    status text DEFAULT 'pending' NOT NULL,
+    attempt_count int4 DEFAULT 0 NOT NULL,
+    next_attempt_at timestamptz DEFAULT now() NULL,
+    last_attempt_at timestamptz NULL,
+    response_status int4 NULL,
+    response_body text NULL,
+    error text NULL,
+    redelivery_of uuid NULL,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    delivered_at timestamptz NULL,
+    CONSTRAINT webhook_deliveries_pkey PRIMARY KEY (delivery_id),
+    CONSTRAINT webhook_deliveries_status_check CHECK (status IN ('pending', 'succeeded', 'failed')),
+    CONSTRAINT webhook_deliveries_webhook_id_fkey FOREIGN KEY (webhook_id) REFERENCES public.webhooks(webhook_id) ON DELETE CASCADE,
+    CONSTRAINT webhook_deliveries_redelivery_of_fkey FOREIGN KEY (redelivery_of) REFERENCES public.webhook_deliveries(delivery_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON public.webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON public.webhook_deliveries(next_attempt_at) WHERE status = 'pending';
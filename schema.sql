@@ -5,6 +5,32 @@ CREATE SCHEMA public AUTHORIZATION pg_database_owner;
 -- Begin transaction for schema creation
 BEGIN;
 
+-- Extensions
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA public;
+
+-- Functions used by generated columns
+
+-- DROP FUNCTION public.feed_hot_score(int4, int4, timestamptz);
+
+-- Declared IMMUTABLE for the generated columns: the epoch of a timestamptz does not
+-- depend on the session time zone
+CREATE OR REPLACE FUNCTION public.feed_hot_score(p_upvotes integer, p_comments integer, p_posted_at timestamp with time zone)
+ RETURNS double precision
+ LANGUAGE sql
+ IMMUTABLE
+AS $function$
+  SELECT log(GREATEST(COALESCE(p_upvotes, 0) + COALESCE(p_comments, 0) / 2.0, 1))::float8
+    + extract(epoch FROM p_posted_at)::float8 / 45000
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.feed_hot_score(int4, int4, timestamptz) OWNER TO postgres;
+GRANT ALL ON FUNCTION public.feed_hot_score(int4, int4, timestamptz) TO postgres;
+
+
 -- public."admin" definition
 
 -- Drop table
@@ -39,6 +65,7 @@ CREATE TABLE public.roles (
 	title text NOT NULL,
 	description text NULL,
 	upvote_weight int4 DEFAULT 1 NOT NULL,
+	is_official bool DEFAULT false NOT NULL,
 	CONSTRAINT roles_pkey PRIMARY KEY (role_id)
 );
 
@@ -63,11 +90,27 @@ CREATE TABLE public.users (
 	username text NOT NULL,
 	password_hash text DEFAULT ''::text NOT NULL,
 	profile_picture_url varchar NULL,
+	profile_picture_variants jsonb NULL,
+	search_vector tsvector NULL,
 	CONSTRAINT users_email_key UNIQUE (email),
 	CONSTRAINT users_pkey PRIMARY KEY (user_id),
 	CONSTRAINT users_username_key UNIQUE (username),
 	CONSTRAINT users_role_id_fkey FOREIGN KEY (role_id) REFERENCES public.roles(role_id)
 );
+CREATE INDEX idx_users_full_name_trgm ON public.users USING gin (full_name gin_trgm_ops);
+CREATE INDEX idx_users_search_vector ON public.users USING gin (search_vector);
+CREATE INDEX idx_users_username_prefix ON public.users USING btree (lower(username) text_pattern_ops);
+
+-- Table Triggers
+
+create trigger trg_users_search_vector before
+insert
+    or
+update
+    of username,
+    full_name,
+    email on
+    public.users for each row execute function trg_search_vector_users();
 
 -- Permissions
 
@@ -85,15 +128,54 @@ CREATE TABLE public."groups" (
 	group_id uuid DEFAULT gen_random_uuid() NOT NULL,
 	"name" text NOT NULL,
 	description text NULL,
-	owner_id uuid NOT NULL,
+	owner_id uuid NULL,
 	created_at timestamptz DEFAULT now() NOT NULL,
 	upvote_count int4 DEFAULT 0 NOT NULL,
 	comment_count int4 DEFAULT 0 NOT NULL,
 	display_picture_url text NULL,
 	issue_count int4 DEFAULT 0 NULL,
+	display_picture_variants jsonb NULL,
+	hot_score float8 GENERATED ALWAYS AS (feed_hot_score(upvote_count, comment_count, created_at)) STORED NULL,
+	rising_score float8 DEFAULT 0 NOT NULL,
+	search_vector tsvector NULL,
+	member_count int4 DEFAULT 0 NOT NULL,
 	CONSTRAINT groups_pkey PRIMARY KEY (group_id),
-	CONSTRAINT groups_owner_id_fkey FOREIGN KEY (owner_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+	CONSTRAINT groups_owner_id_fkey FOREIGN KEY (owner_id) REFERENCES public.users(user_id) ON DELETE SET NULL
 );
+CREATE INDEX idx_groups_created_at ON public."groups" USING btree (created_at DESC, group_id DESC);
+CREATE INDEX idx_groups_hot_score ON public."groups" USING btree (hot_score DESC, group_id DESC);
+CREATE INDEX idx_groups_name_prefix ON public."groups" USING btree (lower(name) text_pattern_ops);
+CREATE INDEX idx_groups_name_trgm ON public."groups" USING gin (name gin_trgm_ops);
+CREATE INDEX idx_groups_rising_score ON public."groups" USING btree (rising_score DESC, created_at DESC, group_id DESC);
+CREATE INDEX idx_groups_search_vector ON public."groups" USING gin (search_vector);
+CREATE INDEX idx_groups_top ON public."groups" USING btree (upvote_count DESC, created_at DESC, group_id DESC);
+
+-- Table Triggers
+
+create trigger trg_group_owner_member after
+insert
+    or
+update
+    of owner_id on
+    public."groups" for each row execute function trg_add_group_owner_member();
+create trigger trg_groups_promote_co_owner before
+update
+    of owner_id on
+    public."groups" for each row execute function trg_promote_group_co_owner();
+create trigger trg_groups_search_vector before
+insert
+    or
+update
+    of name,
+    description on
+    public."groups" for each row execute function trg_search_vector_groups();
+create trigger trg_realtime_group_upvotes after
+update
+    of upvote_count on
+    public."groups" for each row
+    when ((old.upvote_count is distinct
+from
+    new.upvote_count)) execute function trg_realtime_group_upvotes();
 
 -- Permissions
 
@@ -101,6 +183,53 @@ ALTER TABLE public."groups" OWNER TO postgres;
 GRANT ALL ON TABLE public."groups" TO postgres;
 
 
+-- public.categories definition
+
+-- Drop table
+
+-- DROP TABLE public.categories;
+
+CREATE TABLE public.categories (
+	category_id uuid DEFAULT gen_random_uuid() NOT NULL,
+	"name" text NOT NULL,
+	slug text NOT NULL,
+	description text NULL,
+	parent_id uuid NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT categories_pkey PRIMARY KEY (category_id),
+	CONSTRAINT categories_slug_key UNIQUE (slug),
+	CONSTRAINT categories_parent_id_fkey FOREIGN KEY (parent_id) REFERENCES public.categories(category_id) ON DELETE SET NULL,
+	CONSTRAINT categories_parent_check CHECK (((parent_id IS NULL) OR (parent_id <> category_id)))
+);
+CREATE INDEX idx_categories_parent_id ON public.categories USING btree (parent_id);
+
+-- Permissions
+
+ALTER TABLE public.categories OWNER TO postgres;
+GRANT ALL ON TABLE public.categories TO postgres;
+
+
+-- public.tags definition
+
+-- Drop table
+
+-- DROP TABLE public.tags;
+
+CREATE TABLE public.tags (
+	tag_id uuid DEFAULT gen_random_uuid() NOT NULL,
+	"name" text NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT tags_pkey PRIMARY KEY (tag_id),
+	CONSTRAINT tags_name_key UNIQUE (name)
+);
+CREATE INDEX idx_tags_name_prefix ON public.tags USING btree (name text_pattern_ops);
+
+-- Permissions
+
+ALTER TABLE public.tags OWNER TO postgres;
+GRANT ALL ON TABLE public.tags TO postgres;
+
+
 -- public.issues definition
 
 -- Drop table
@@ -113,35 +242,58 @@ CREATE TABLE public.issues (
 	description text NOT NULL,
 	posted_at timestamptz DEFAULT now() NOT NULL,
 	user_id uuid NOT NULL,
-	group_id uuid NULL,
 	upvote_count int4 DEFAULT 0 NOT NULL,
 	display_picture_url text NULL,
 	comment_count int4 DEFAULT 0 NULL,
+	status text DEFAULT 'open'::text NOT NULL,
+	status_updated_at timestamptz NULL,
+	latitude float8 NULL,
+	longitude float8 NULL,
+	address text NULL,
+	category_id uuid NULL,
+	merged_into uuid NULL,
+	merged_at timestamptz NULL,
+	display_picture_variants jsonb NULL,
+	hot_score float8 GENERATED ALWAYS AS (feed_hot_score(upvote_count, comment_count, posted_at)) STORED NULL,
+	rising_score float8 DEFAULT 0 NOT NULL,
+	search_vector tsvector NULL,
 	CONSTRAINT issues_pkey PRIMARY KEY (issue_id),
-	CONSTRAINT issues_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE SET NULL,
+	CONSTRAINT issues_location_check CHECK ((((latitude IS NULL) AND (longitude IS NULL)) OR (((latitude >= ('-90'::integer)::double precision) AND (latitude <= (90)::double precision)) AND ((longitude >= ('-180'::integer)::double precision) AND (longitude <= (180)::double precision))))),
+	CONSTRAINT issues_status_check CHECK ((status = ANY (ARRAY['open'::text, 'acknowledged'::text, 'in_progress'::text, 'resolved'::text, 'closed'::text, 'rejected'::text, 'duplicate'::text]))),
+	CONSTRAINT issues_category_id_fkey FOREIGN KEY (category_id) REFERENCES public.categories(category_id) ON DELETE SET NULL,
+	CONSTRAINT issues_merged_into_fkey FOREIGN KEY (merged_into) REFERENCES public.issues(issue_id) ON DELETE SET NULL,
 	CONSTRAINT issues_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
 );
-CREATE INDEX idx_issues_group_id ON public.issues USING btree (group_id);
-CREATE INDEX idx_issues_posted_at ON public.issues USING btree (posted_at DESC);
+CREATE INDEX idx_issues_category_id ON public.issues USING btree (category_id);
+CREATE INDEX idx_issues_description_trgm ON public.issues USING gin (description gin_trgm_ops);
+CREATE INDEX idx_issues_hot_score ON public.issues USING btree (hot_score DESC, issue_id DESC);
+CREATE INDEX idx_issues_location ON public.issues USING btree (latitude, longitude) WHERE (latitude IS NOT NULL);
+CREATE INDEX idx_issues_merged_into ON public.issues USING btree (merged_into) WHERE (merged_into IS NOT NULL);
+CREATE INDEX idx_issues_posted_at ON public.issues USING btree (posted_at DESC, issue_id DESC);
+CREATE INDEX idx_issues_rising_score ON public.issues USING btree (rising_score DESC, posted_at DESC, issue_id DESC);
+CREATE INDEX idx_issues_search_vector ON public.issues USING gin (search_vector);
+CREATE INDEX idx_issues_status ON public.issues USING btree (status);
+CREATE INDEX idx_issues_title_prefix ON public.issues USING btree (lower(title) text_pattern_ops);
+CREATE INDEX idx_issues_title_trgm ON public.issues USING gin (title gin_trgm_ops);
+CREATE INDEX idx_issues_top ON public.issues USING btree (upvote_count DESC, posted_at DESC, issue_id DESC);
 CREATE INDEX idx_issues_user_id ON public.issues USING btree (user_id);
 
 -- Table Triggers
 
-create trigger trg_issue_delete_group_count after
-delete
-    on
-    public.issues for each row execute function trg_delete_issue_group_count();
-create trigger trg_issue_insert_group_count after
+create trigger trg_issues_search_vector before
 insert
-    on
-    public.issues for each row execute function trg_inc_group_issue_count_on_insert();
-create trigger trg_issue_update_group_count after
+    or
 update
-    of group_id on
+    of title,
+    description on
+    public.issues for each row execute function trg_search_vector_issues();
+create trigger trg_realtime_issue_upvotes after
+update
+    of upvote_count on
     public.issues for each row
-    when ((old.group_id is distinct
+    when ((old.upvote_count is distinct
 from
-    new.group_id)) execute function trg_update_issue_group_count();
+    new.upvote_count)) execute function trg_realtime_issue_upvotes();
 
 -- Permissions
 
@@ -149,6 +301,55 @@ ALTER TABLE public.issues OWNER TO postgres;
 GRANT ALL ON TABLE public.issues TO postgres;
 
 
+-- public.issue_status_history definition
+
+-- Drop table
+
+-- DROP TABLE public.issue_status_history;
+
+CREATE TABLE public.issue_status_history (
+	history_id uuid DEFAULT gen_random_uuid() NOT NULL,
+	issue_id uuid NOT NULL,
+	old_status text NOT NULL,
+	new_status text NOT NULL,
+	changed_by uuid NULL,
+	changed_by_admin uuid NULL,
+	note text NULL,
+	changed_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT issue_status_history_pkey PRIMARY KEY (history_id),
+	CONSTRAINT issue_status_history_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE,
+	CONSTRAINT issue_status_history_changed_by_fkey FOREIGN KEY (changed_by) REFERENCES public.users(user_id) ON DELETE SET NULL,
+	CONSTRAINT issue_status_history_changed_by_admin_fkey FOREIGN KEY (changed_by_admin) REFERENCES public."admin"(admin_id) ON DELETE SET NULL
+);
+CREATE INDEX idx_issue_status_history_issue_id ON public.issue_status_history USING btree (issue_id, changed_at DESC);
+
+-- Permissions
+
+ALTER TABLE public.issue_status_history OWNER TO postgres;
+GRANT ALL ON TABLE public.issue_status_history TO postgres;
+
+
+-- public.issue_tags definition
+
+-- Drop table
+
+-- DROP TABLE public.issue_tags;
+
+CREATE TABLE public.issue_tags (
+	issue_id uuid NOT NULL,
+	tag_id uuid NOT NULL,
+	CONSTRAINT issue_tags_pkey PRIMARY KEY (issue_id, tag_id),
+	CONSTRAINT issue_tags_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE,
+	CONSTRAINT issue_tags_tag_id_fkey FOREIGN KEY (tag_id) REFERENCES public.tags(tag_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_issue_tags_tag_id ON public.issue_tags USING btree (tag_id);
+
+-- Permissions
+
+ALTER TABLE public.issue_tags OWNER TO postgres;
+GRANT ALL ON TABLE public.issue_tags TO postgres;
+
+
 -- public.post_attachments definition
 
 -- Drop table
@@ -161,10 +362,16 @@ CREATE TABLE public.post_attachments (
 	uploaded_by uuid NOT NULL,
 	file_path text NOT NULL,
 	created_at timestamptz DEFAULT now() NOT NULL,
+	original_filename text NULL,
+	mime_type text NULL,
+	size_bytes int8 NULL,
+	caption text NULL,
+	sort_order int4 DEFAULT 0 NOT NULL,
 	CONSTRAINT post_attachments_pkey PRIMARY KEY (attachment_id),
 	CONSTRAINT post_attachments_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE,
 	CONSTRAINT post_attachments_uploaded_by_fkey FOREIGN KEY (uploaded_by) REFERENCES public.users(user_id) ON DELETE CASCADE
 );
+CREATE INDEX idx_post_attachments_issue_id ON public.post_attachments USING btree (issue_id, sort_order);
 
 -- Permissions
 
@@ -172,6 +379,40 @@ ALTER TABLE public.post_attachments OWNER TO postgres;
 GRANT ALL ON TABLE public.post_attachments TO postgres;
 
 
+-- public.resumable_uploads definition
+
+-- Drop table
+
+-- DROP TABLE public.resumable_uploads;
+
+CREATE TABLE public.resumable_uploads (
+	upload_id uuid DEFAULT gen_random_uuid() NOT NULL,
+	user_id uuid NOT NULL,
+	original_filename text NOT NULL,
+	size_bytes int8 NOT NULL,
+	received_bytes int8 DEFAULT 0 NOT NULL,
+	checksum_sha256 text NOT NULL,
+	mime_type text NULL,
+	status text DEFAULT 'uploading'::text NOT NULL,
+	attachment_id uuid NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	updated_at timestamptz DEFAULT now() NOT NULL,
+	expires_at timestamptz NOT NULL,
+	CONSTRAINT resumable_uploads_pkey PRIMARY KEY (upload_id),
+	CONSTRAINT resumable_uploads_size_check CHECK (((size_bytes > 0) AND ((received_bytes >= 0) AND (received_bytes <= size_bytes)))),
+	CONSTRAINT resumable_uploads_status_check CHECK ((status = ANY (ARRAY['uploading'::text, 'completed'::text, 'attached'::text]))),
+	CONSTRAINT resumable_uploads_attachment_id_fkey FOREIGN KEY (attachment_id) REFERENCES public.post_attachments(attachment_id) ON DELETE SET NULL,
+	CONSTRAINT resumable_uploads_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_resumable_uploads_expires_at ON public.resumable_uploads USING btree (expires_at);
+CREATE INDEX idx_resumable_uploads_user_id ON public.resumable_uploads USING btree (user_id, created_at DESC);
+
+-- Permissions
+
+ALTER TABLE public.resumable_uploads OWNER TO postgres;
+GRANT ALL ON TABLE public.resumable_uploads TO postgres;
+
+
 -- public.role_change_request definition
 
 -- Drop table
@@ -210,10 +451,13 @@ CREATE TABLE public."comments" (
 	user_id uuid NOT NULL,
 	"content" text NOT NULL,
 	posted_at timestamptz DEFAULT now() NOT NULL,
+	search_vector tsvector NULL,
 	CONSTRAINT comments_pkey PRIMARY KEY (comment_id),
 	CONSTRAINT comments_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE,
 	CONSTRAINT comments_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
 );
+CREATE INDEX idx_comments_issue_id ON public."comments" USING btree (issue_id, posted_at, comment_id);
+CREATE INDEX idx_comments_search_vector ON public."comments" USING gin (search_vector);
 
 -- Table Triggers
 
@@ -225,6 +469,16 @@ create trigger trg_after_insert_comment after
 insert
     on
     public.comments for each row execute function trg_inc_issue_comment_count();
+create trigger trg_comments_search_vector before
+insert
+    or
+update
+    of content on
+    public.comments for each row execute function trg_search_vector_comments();
+create trigger trg_realtime_comment after
+insert
+    on
+    public.comments for each row execute function trg_realtime_comment();
 
 -- Permissions
 
@@ -244,10 +498,13 @@ CREATE TABLE public.group_comments (
 	user_id uuid NOT NULL,
 	"content" text NOT NULL,
 	posted_at timestamptz DEFAULT now() NOT NULL,
+	search_vector tsvector NULL,
 	CONSTRAINT group_comments_pkey PRIMARY KEY (comment_id),
 	CONSTRAINT group_comments_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE,
 	CONSTRAINT group_comments_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
 );
+CREATE INDEX idx_group_comments_group_id ON public.group_comments USING btree (group_id, posted_at, comment_id);
+CREATE INDEX idx_group_comments_search_vector ON public.group_comments USING gin (search_vector);
 
 -- Table Triggers
 
@@ -259,6 +516,16 @@ create trigger trg_after_insert_group_comment after
 insert
     on
     public.group_comments for each row execute function trg_inc_group_comment_count();
+create trigger trg_group_comments_search_vector before
+insert
+    or
+update
+    of content on
+    public.group_comments for each row execute function trg_search_vector_comments();
+create trigger trg_realtime_group_comment after
+insert
+    on
+    public.group_comments for each row execute function trg_realtime_group_comment();
 
 -- Permissions
 
@@ -266,6 +533,105 @@ ALTER TABLE public.group_comments OWNER TO postgres;
 GRANT ALL ON TABLE public.group_comments TO postgres;
 
 
+-- public.group_issues definition
+
+-- Drop table
+
+-- DROP TABLE public.group_issues;
+
+CREATE TABLE public.group_issues (
+	group_id uuid NOT NULL,
+	issue_id uuid NOT NULL,
+	added_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT group_issues_pkey PRIMARY KEY (group_id, issue_id),
+	CONSTRAINT group_issues_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE,
+	CONSTRAINT group_issues_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_group_issues_issue_id ON public.group_issues USING btree (issue_id);
+
+-- Table Triggers
+
+create trigger trg_after_delete_group_issue after
+delete
+    on
+    public.group_issues for each row execute function trg_dec_group_issue_count();
+create trigger trg_after_insert_group_issue after
+insert
+    on
+    public.group_issues for each row execute function trg_inc_group_issue_count();
+
+-- Permissions
+
+ALTER TABLE public.group_issues OWNER TO postgres;
+GRANT ALL ON TABLE public.group_issues TO postgres;
+
+
+-- public.group_members definition
+
+-- Drop table
+
+-- DROP TABLE public.group_members;
+
+CREATE TABLE public.group_members (
+	group_id uuid NOT NULL,
+	user_id uuid NOT NULL,
+	"role" text DEFAULT 'member'::text NOT NULL,
+	joined_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT group_members_pkey PRIMARY KEY (group_id, user_id),
+	CONSTRAINT group_members_role_check CHECK ((role = ANY (ARRAY['owner'::text, 'moderator'::text, 'member'::text]))),
+	CONSTRAINT group_members_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE,
+	CONSTRAINT group_members_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_group_members_joined_at ON public.group_members USING btree (group_id, joined_at, user_id);
+CREATE INDEX idx_group_members_user_id ON public.group_members USING btree (user_id);
+
+-- Table Triggers
+
+create trigger trg_after_delete_group_member after
+delete
+    on
+    public.group_members for each row execute function trg_dec_group_member_count();
+create trigger trg_after_insert_group_member after
+insert
+    on
+    public.group_members for each row execute function trg_inc_group_member_count();
+
+-- Permissions
+
+ALTER TABLE public.group_members OWNER TO postgres;
+GRANT ALL ON TABLE public.group_members TO postgres;
+
+
+-- public.group_ownership_transfers definition
+
+-- Drop table
+
+-- DROP TABLE public.group_ownership_transfers;
+
+CREATE TABLE public.group_ownership_transfers (
+	transfer_id uuid DEFAULT gen_random_uuid() NOT NULL,
+	group_id uuid NOT NULL,
+	from_user_id uuid NOT NULL,
+	to_user_id uuid NOT NULL,
+	status text DEFAULT 'pending'::text NOT NULL,
+	requested_at timestamptz DEFAULT now() NOT NULL,
+	responded_at timestamptz NULL,
+	CONSTRAINT group_ownership_transfers_pkey PRIMARY KEY (transfer_id),
+	CONSTRAINT group_ownership_transfers_status_check CHECK ((status = ANY (ARRAY['pending'::text, 'accepted'::text, 'declined'::text, 'cancelled'::text]))),
+	CONSTRAINT group_ownership_transfers_from_user_id_fkey FOREIGN KEY (from_user_id) REFERENCES public.users(user_id) ON DELETE CASCADE,
+	CONSTRAINT group_ownership_transfers_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE,
+	CONSTRAINT group_ownership_transfers_to_user_id_fkey FOREIGN KEY (to_user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_group_ownership_transfers_from_user_id ON public.group_ownership_transfers USING btree (from_user_id, requested_at DESC);
+CREATE UNIQUE INDEX idx_group_ownership_transfers_pending ON public.group_ownership_transfers USING btree (group_id) WHERE (status = 'pending'::text);
+CREATE INDEX idx_group_ownership_transfers_to_user_id ON public.group_ownership_transfers USING btree (to_user_id, requested_at DESC);
+
+-- Permissions
+
+ALTER TABLE public.group_ownership_transfers OWNER TO postgres;
+GRANT ALL ON TABLE public.group_ownership_transfers TO postgres;
+
+
 -- public.group_join_request definition
 
 -- Drop table
@@ -286,6 +652,16 @@ CREATE TABLE public.group_join_request (
 	CONSTRAINT group_join_request_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE
 );
 
+-- Table Triggers
+
+create trigger trg_realtime_join_request after
+update
+    of status on
+    public.group_join_request for each row
+    when ((old.status is distinct
+from
+    new.status)) execute function trg_realtime_join_request();
+
 -- Permissions
 
 ALTER TABLE public.group_join_request OWNER TO postgres;
@@ -362,6 +738,262 @@ ALTER TABLE public.issue_upvotes OWNER TO postgres;
 GRANT ALL ON TABLE public.issue_upvotes TO postgres;
 
 
+-- public.user_follows definition
+
+-- Drop table
+
+-- DROP TABLE public.user_follows;
+
+CREATE TABLE public.user_follows (
+	follower_id uuid NOT NULL,
+	followed_id uuid NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT user_follows_not_self CHECK ((follower_id <> followed_id)),
+	CONSTRAINT user_follows_pkey PRIMARY KEY (follower_id, followed_id),
+	CONSTRAINT user_follows_followed_id_fkey FOREIGN KEY (followed_id) REFERENCES public.users(user_id) ON DELETE CASCADE,
+	CONSTRAINT user_follows_follower_id_fkey FOREIGN KEY (follower_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_user_follows_followed_id ON public.user_follows USING btree (followed_id);
+
+-- Permissions
+
+ALTER TABLE public.user_follows OWNER TO postgres;
+GRANT ALL ON TABLE public.user_follows TO postgres;
+
+
+-- public.group_follows definition
+
+-- Drop table
+
+-- DROP TABLE public.group_follows;
+
+CREATE TABLE public.group_follows (
+	user_id uuid NOT NULL,
+	group_id uuid NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT group_follows_pkey PRIMARY KEY (user_id, group_id),
+	CONSTRAINT group_follows_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE,
+	CONSTRAINT group_follows_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_group_follows_group_id ON public.group_follows USING btree (group_id);
+
+-- Permissions
+
+ALTER TABLE public.group_follows OWNER TO postgres;
+GRANT ALL ON TABLE public.group_follows TO postgres;
+
+
+-- public.saved_locations definition
+
+-- Drop table
+
+-- DROP TABLE public.saved_locations;
+
+CREATE TABLE public.saved_locations (
+	location_id uuid DEFAULT gen_random_uuid() NOT NULL,
+	user_id uuid NOT NULL,
+	"label" text NOT NULL,
+	latitude float8 NOT NULL,
+	longitude float8 NOT NULL,
+	radius_m int4 DEFAULT 1000 NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT saved_locations_coordinates_check CHECK ((((latitude >= ('-90'::integer)::double precision) AND (latitude <= (90)::double precision)) AND ((longitude >= ('-180'::integer)::double precision) AND (longitude <= (180)::double precision)))),
+	CONSTRAINT saved_locations_pkey PRIMARY KEY (location_id),
+	CONSTRAINT saved_locations_radius_check CHECK (((radius_m > 0) AND (radius_m <= 50000))),
+	CONSTRAINT saved_locations_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_saved_locations_user_id ON public.saved_locations USING btree (user_id);
+
+-- Permissions
+
+ALTER TABLE public.saved_locations OWNER TO postgres;
+GRANT ALL ON TABLE public.saved_locations TO postgres;
+
+
+-- public.saved_searches definition
+
+-- Drop table
+
+-- DROP TABLE public.saved_searches;
+
+CREATE TABLE public.saved_searches (
+	saved_search_id uuid DEFAULT gen_random_uuid() NOT NULL,
+	user_id uuid NOT NULL,
+	"name" text NOT NULL,
+	query text NOT NULL,
+	search_type text DEFAULT 'all'::text NOT NULL,
+	filters jsonb DEFAULT '{}'::jsonb NOT NULL,
+	notify_in_app bool DEFAULT true NOT NULL,
+	notify_email bool DEFAULT false NOT NULL,
+	last_checked_at timestamptz DEFAULT now() NOT NULL,
+	last_checked_key jsonb NULL,
+	last_notified_at timestamptz DEFAULT now() NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT saved_searches_pkey PRIMARY KEY (saved_search_id),
+	CONSTRAINT saved_searches_search_type_check CHECK ((search_type = ANY (ARRAY['all'::text, 'issues'::text, 'groups'::text]))),
+	CONSTRAINT saved_searches_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_saved_searches_alerts ON public.saved_searches USING btree (saved_search_id) WHERE (notify_in_app OR notify_email);
+CREATE INDEX idx_saved_searches_user_id ON public.saved_searches USING btree (user_id);
+
+-- Permissions
+
+ALTER TABLE public.saved_searches OWNER TO postgres;
+GRANT ALL ON TABLE public.saved_searches TO postgres;
+
+
+-- public.notifications definition
+
+-- Drop table
+
+-- DROP TABLE public.notifications;
+
+CREATE TABLE public.notifications (
+	notification_id uuid DEFAULT gen_random_uuid() NOT NULL,
+	user_id uuid NOT NULL,
+	"type" text NOT NULL,
+	title text NOT NULL,
+	body text NULL,
+	actor_id uuid NULL,
+	issue_id uuid NULL,
+	group_id uuid NULL,
+	"data" jsonb DEFAULT '{}'::jsonb NOT NULL,
+	is_read bool DEFAULT false NOT NULL,
+	read_at timestamptz NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT notifications_pkey PRIMARY KEY (notification_id),
+	CONSTRAINT notifications_actor_id_fkey FOREIGN KEY (actor_id) REFERENCES public.users(user_id) ON DELETE SET NULL,
+	CONSTRAINT notifications_group_id_fkey FOREIGN KEY (group_id) REFERENCES public."groups"(group_id) ON DELETE CASCADE,
+	CONSTRAINT notifications_issue_id_fkey FOREIGN KEY (issue_id) REFERENCES public.issues(issue_id) ON DELETE CASCADE,
+	CONSTRAINT notifications_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_notifications_unread ON public.notifications USING btree (user_id) WHERE (is_read = false);
+CREATE INDEX idx_notifications_user_id ON public.notifications USING btree (user_id, created_at DESC);
+
+-- Table Triggers
+
+create trigger trg_realtime_notification after
+insert
+    on
+    public.notifications for each row execute function trg_realtime_notification();
+
+-- Permissions
+
+ALTER TABLE public.notifications OWNER TO postgres;
+GRANT ALL ON TABLE public.notifications TO postgres;
+
+
+-- public.notification_preferences definition
+
+-- Drop table
+
+-- DROP TABLE public.notification_preferences;
+
+CREATE TABLE public.notification_preferences (
+	user_id uuid NOT NULL,
+	event_type text NOT NULL,
+	in_app bool DEFAULT true NOT NULL,
+	updated_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT notification_preferences_pkey PRIMARY KEY (user_id, event_type),
+	CONSTRAINT notification_preferences_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+
+-- Permissions
+
+ALTER TABLE public.notification_preferences OWNER TO postgres;
+GRANT ALL ON TABLE public.notification_preferences TO postgres;
+
+
+-- public.email_preferences definition
+
+-- Drop table
+
+-- DROP TABLE public.email_preferences;
+
+CREATE TABLE public.email_preferences (
+	user_id uuid NOT NULL,
+	unsubscribe_token uuid DEFAULT gen_random_uuid() NOT NULL,
+	immediate_enabled bool DEFAULT true NOT NULL,
+	digest_frequency text DEFAULT 'weekly'::text NOT NULL,
+	last_digest_sent_at timestamptz NULL,
+	updated_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT email_preferences_digest_frequency_check CHECK ((digest_frequency = ANY (ARRAY['daily'::text, 'weekly'::text, 'never'::text]))),
+	CONSTRAINT email_preferences_pkey PRIMARY KEY (user_id),
+	CONSTRAINT email_preferences_unsubscribe_token_key UNIQUE (unsubscribe_token),
+	CONSTRAINT email_preferences_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(user_id) ON DELETE CASCADE
+);
+
+-- Permissions
+
+ALTER TABLE public.email_preferences OWNER TO postgres;
+GRANT ALL ON TABLE public.email_preferences TO postgres;
+
+
+-- public.webhooks definition
+
+-- Drop table
+
+-- DROP TABLE public.webhooks;
+
+CREATE TABLE public.webhooks (
+	webhook_id uuid DEFAULT gen_random_uuid() NOT NULL,
+	url text NOT NULL,
+	description text NULL,
+	secret text NOT NULL,
+	event_types _text DEFAULT '{}'::text[] NOT NULL,
+	is_active bool DEFAULT true NOT NULL,
+	consecutive_failures int4 DEFAULT 0 NOT NULL,
+	disabled_at timestamptz NULL,
+	disabled_reason text NULL,
+	created_by_admin uuid NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	updated_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT webhooks_pkey PRIMARY KEY (webhook_id),
+	CONSTRAINT webhooks_created_by_admin_fkey FOREIGN KEY (created_by_admin) REFERENCES public."admin"(admin_id) ON DELETE SET NULL
+);
+CREATE INDEX idx_webhooks_event_types ON public.webhooks USING gin (event_types);
+
+-- Permissions
+
+ALTER TABLE public.webhooks OWNER TO postgres;
+GRANT ALL ON TABLE public.webhooks TO postgres;
+
+
+-- public.webhook_deliveries definition
+
+-- Drop table
+
+-- DROP TABLE public.webhook_deliveries;
+
+CREATE TABLE public.webhook_deliveries (
+	delivery_id uuid DEFAULT gen_random_uuid() NOT NULL,
+	webhook_id uuid NOT NULL,
+	event_type text NOT NULL,
+	payload jsonb NOT NULL,
+	status text DEFAULT 'pending'::text NOT NULL,
+	attempt_count int4 DEFAULT 0 NOT NULL,
+	next_attempt_at timestamptz DEFAULT now() NULL,
+	last_attempt_at timestamptz NULL,
+	response_status int4 NULL,
+	response_body text NULL,
+	error text NULL,
+	redelivery_of uuid NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	delivered_at timestamptz NULL,
+	CONSTRAINT webhook_deliveries_pkey PRIMARY KEY (delivery_id),
+	CONSTRAINT webhook_deliveries_status_check CHECK ((status = ANY (ARRAY['pending'::text, 'succeeded'::text, 'failed'::text]))),
+	CONSTRAINT webhook_deliveries_redelivery_of_fkey FOREIGN KEY (redelivery_of) REFERENCES public.webhook_deliveries(delivery_id) ON DELETE SET NULL,
+	CONSTRAINT webhook_deliveries_webhook_id_fkey FOREIGN KEY (webhook_id) REFERENCES public.webhooks(webhook_id) ON DELETE CASCADE
+);
+CREATE INDEX idx_webhook_deliveries_due ON public.webhook_deliveries USING btree (next_attempt_at) WHERE (status = 'pending'::text);
+CREATE INDEX idx_webhook_deliveries_webhook_id ON public.webhook_deliveries USING btree (webhook_id, created_at DESC);
+
+-- Permissions
+
+ALTER TABLE public.webhook_deliveries OWNER TO postgres;
+GRANT ALL ON TABLE public.webhook_deliveries TO postgres;
+
+
 -- ============================================================================
 -- VIEWS
 -- ============================================================================
@@ -380,13 +1012,18 @@ SELECT
     u.username,
     u.full_name,
     u.profile_picture_url AS user_profile_picture,
-    i.group_id,
-    g.name AS group_name,
-    g.owner_id AS group_owner_id,
-    (SELECT COUNT(*) FROM post_attachments pa WHERE pa.issue_id = i.issue_id) AS attachment_count
+    ARRAY(SELECT gi.group_id FROM group_issues gi
+          WHERE gi.issue_id = i.issue_id ORDER BY gi.added_at, gi.group_id) AS group_ids,
+    ARRAY(SELECT g.name FROM group_issues gi JOIN groups g ON gi.group_id = g.group_id
+          WHERE gi.issue_id = i.issue_id ORDER BY gi.added_at, gi.group_id) AS group_names,
+    (SELECT COUNT(*) FROM post_attachments pa WHERE pa.issue_id = i.issue_id) AS attachment_count,
+    i.status,
+    i.latitude,
+    i.longitude,
+    i.address,
+    i.category_id
 FROM issues i
-JOIN users u ON i.user_id = u.user_id
-LEFT JOIN groups g ON i.group_id = g.group_id;
+JOIN users u ON i.user_id = u.user_id;
 
 -- View: Groups with owner and statistics
 CREATE OR REPLACE VIEW v_groups_detailed AS
@@ -402,9 +1039,11 @@ SELECT
     g.owner_id,
     u.username AS owner_username,
     u.full_name AS owner_full_name,
-    u.profile_picture_url AS owner_profile_picture
+    u.profile_picture_url AS owner_profile_picture,
+    g.member_count,
+    (SELECT COUNT(*) FROM group_members gm WHERE gm.group_id = g.group_id AND gm.role = 'moderator') AS moderator_count
 FROM groups g
-JOIN users u ON g.owner_id = u.user_id;
+LEFT JOIN users u ON g.owner_id = u.user_id;
 
 -- View: Users with role information
 CREATE OR REPLACE VIEW v_users_with_roles AS
@@ -499,7 +1138,7 @@ FROM group_join_request gjr
 JOIN issues i ON gjr.issue_id = i.issue_id
 JOIN users issue_author ON i.user_id = issue_author.user_id
 JOIN groups g ON gjr.group_id = g.group_id
-JOIN users group_owner ON g.owner_id = group_owner.user_id
+LEFT JOIN users group_owner ON g.owner_id = group_owner.user_id
 WHERE gjr.status = 'pending'
 ORDER BY gjr.requested_at DESC;
 
@@ -515,10 +1154,10 @@ SELECT
     i.display_picture_url,
     u.username,
     u.full_name,
-    g.name AS group_name
+    ARRAY(SELECT g.name FROM group_issues gi JOIN groups g ON gi.group_id = g.group_id
+          WHERE gi.issue_id = i.issue_id ORDER BY gi.added_at, gi.group_id) AS group_names
 FROM issues i
 JOIN users u ON i.user_id = u.user_id
-LEFT JOIN groups g ON i.group_id = g.group_id
 WHERE i.upvote_count > 0
 ORDER BY i.upvote_count DESC, i.posted_at DESC;
 
@@ -537,7 +1176,7 @@ SELECT
     comment_count,
     display_picture_url
 FROM v_issues_detailed
-WHERE group_id IS NULL
+WHERE cardinality(group_ids) = 0
 UNION ALL
 SELECT 
     group_id AS id,
@@ -704,6 +1343,88 @@ $procedure$
 ALTER PROCEDURE public.cancel_group_join_request(uuid, uuid) OWNER TO postgres;
 GRANT ALL ON PROCEDURE public.cancel_group_join_request(uuid, uuid) TO postgres;
 
+-- DROP FUNCTION public.category_descendants(uuid);
+
+CREATE OR REPLACE FUNCTION public.category_descendants(p_category_id uuid)
+ RETURNS SETOF uuid
+ LANGUAGE sql
+ STABLE
+AS $function$
+  WITH RECURSIVE tree AS (
+    SELECT category_id FROM categories WHERE category_id = p_category_id
+    UNION
+    SELECT c.category_id FROM categories c JOIN tree t ON c.parent_id = t.category_id
+  )
+  SELECT category_id FROM tree;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.category_descendants(uuid) OWNER TO postgres;
+GRANT ALL ON FUNCTION public.category_descendants(uuid) TO postgres;
+
+-- DROP FUNCTION public.change_issue_status(uuid, text, uuid, uuid, text, bool);
+
+CREATE OR REPLACE FUNCTION public.change_issue_status(p_issue_id uuid, p_new_status text, p_changed_by uuid, p_changed_by_admin uuid, p_note text DEFAULT NULL::text, p_check_transition boolean DEFAULT true)
+ RETURNS TABLE(history_id uuid, issue_id uuid, old_status text, new_status text, changed_by uuid, changed_by_admin uuid, note text, changed_at timestamp with time zone)
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_old_status text;
+BEGIN
+  -- Lock the issue row so concurrent transitions are serialized
+  SELECT i.status INTO v_old_status
+  FROM issues i
+  WHERE i.issue_id = p_issue_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Issue % not found', p_issue_id;
+  END IF;
+
+  -- Checked again under the lock: the caller's check may have seen an older status.
+  -- Same transitions as utils/issueStatus.js
+  IF p_check_transition AND NOT p_new_status = ANY (CASE v_old_status
+      WHEN 'open' THEN ARRAY['acknowledged', 'in_progress', 'resolved', 'rejected', 'duplicate']
+      WHEN 'acknowledged' THEN ARRAY['open', 'in_progress', 'resolved', 'rejected', 'duplicate']
+      WHEN 'in_progress' THEN ARRAY['acknowledged', 'resolved', 'rejected', 'duplicate']
+      WHEN 'resolved' THEN ARRAY['in_progress', 'closed', 'open']
+      WHEN 'closed' THEN ARRAY['open']
+      WHEN 'rejected' THEN ARRAY['open']
+      WHEN 'duplicate' THEN ARRAY['open']
+      ELSE ARRAY[]::text[]
+    END) THEN
+    RAISE EXCEPTION 'Cannot change status of issue % from % to %', p_issue_id, v_old_status, p_new_status
+      USING ERRCODE = 'IS409';
+  END IF;
+
+  UPDATE issues
+  SET status = p_new_status,
+      status_updated_at = NOW()
+  WHERE issues.issue_id = p_issue_id;
+
+  RETURN QUERY
+  INSERT INTO issue_status_history (issue_id, old_status, new_status, changed_by, changed_by_admin, note)
+  VALUES (p_issue_id, v_old_status, p_new_status, p_changed_by, p_changed_by_admin, p_note)
+  RETURNING
+    issue_status_history.history_id,
+    issue_status_history.issue_id,
+    issue_status_history.old_status,
+    issue_status_history.new_status,
+    issue_status_history.changed_by,
+    issue_status_history.changed_by_admin,
+    issue_status_history.note,
+    issue_status_history.changed_at;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.change_issue_status(uuid, text, uuid, uuid, text, bool) OWNER TO postgres;
+GRANT ALL ON FUNCTION public.change_issue_status(uuid, text, uuid, uuid, text, bool) TO postgres;
+
 -- DROP FUNCTION public.create_group(uuid, text, text);
 
 CREATE OR REPLACE FUNCTION public.create_group(p_owner_id uuid, p_name text, p_description text)
@@ -736,10 +1457,15 @@ AS $function$
 DECLARE
     new_issue_id UUID;
 BEGIN
-    INSERT INTO issues(user_id, title, description, group_id)
-    VALUES (p_user_id, p_title, p_description, p_group_id)
+    INSERT INTO issues(user_id, title, description)
+    VALUES (p_user_id, p_title, p_description)
     RETURNING issue_id INTO new_issue_id;
 
+    IF p_group_id IS NOT NULL THEN
+        INSERT INTO group_issues(group_id, issue_id)
+        VALUES (p_group_id, new_issue_id);
+    END IF;
+
     RETURN new_issue_id;
 END;
 $function$
@@ -763,10 +1489,15 @@ DECLARE
   v_attachment record;
 BEGIN
   -- Create the issue
-  INSERT INTO issues(user_id, title, description, group_id, display_picture_url, upvote_count, comment_count)
-  VALUES (p_user_id, p_title, p_description, p_group_id, p_display_picture_url, 0, 0)
+  INSERT INTO issues(user_id, title, description, display_picture_url, upvote_count, comment_count)
+  VALUES (p_user_id, p_title, p_description, p_display_picture_url, 0, 0)
   RETURNING issues.issue_id INTO v_issue_id;
 
+  IF p_group_id IS NOT NULL THEN
+    INSERT INTO group_issues(group_id, issue_id)
+    VALUES (p_group_id, v_issue_id);
+  END IF;
+
   -- Insert attachments if any
   FOR att IN SELECT * FROM jsonb_array_elements(p_attachments)
   LOOP
@@ -879,17 +1610,37 @@ $function$
 ALTER FUNCTION public.delete_attachment(uuid) OWNER TO postgres;
 GRANT ALL ON FUNCTION public.delete_attachment(uuid) TO postgres;
 
+-- DROP FUNCTION public.distance_meters(float8, float8, float8, float8);
+
+CREATE OR REPLACE FUNCTION public.distance_meters(lat1 double precision, lng1 double precision, lat2 double precision, lng2 double precision)
+ RETURNS double precision
+ LANGUAGE sql
+ IMMUTABLE
+AS $function$
+  SELECT 2 * 6371008.8 * asin(LEAST(1, sqrt(
+    power(sin(radians(lat2 - lat1) / 2), 2)
+    + cos(radians(lat1)) * cos(radians(lat2)) * power(sin(radians(lng2 - lng1) / 2), 2)
+  )));
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.distance_meters(float8, float8, float8, float8) OWNER TO postgres;
+GRANT ALL ON FUNCTION public.distance_meters(float8, float8, float8, float8) TO postgres;
+
 -- DROP FUNCTION public.get_attachment(uuid);
 
 CREATE OR REPLACE FUNCTION public.get_attachment(p_attachment_id uuid)
- RETURNS TABLE(attachment_id uuid, issue_id uuid, uploaded_by uuid, file_path text, created_at timestamp with time zone)
+ RETURNS TABLE(attachment_id uuid, issue_id uuid, uploaded_by uuid, file_path text, created_at timestamp with time zone, original_filename text, mime_type text, size_bytes bigint, caption text, sort_order integer)
  LANGUAGE plpgsql
 AS $function$
 BEGIN
   RETURN QUERY
-    SELECT attachment_id, issue_id, uploaded_by, file_path, created_at
-    FROM post_attachments
-    WHERE attachment_id = p_attachment_id;
+    SELECT pa.attachment_id, pa.issue_id, pa.uploaded_by, pa.file_path, pa.created_at,
+           pa.original_filename, pa.mime_type, pa.size_bytes, pa.caption, pa.sort_order
+    FROM post_attachments pa
+    WHERE pa.attachment_id = p_attachment_id;
 END;
 $function$
 ;
@@ -912,15 +1663,142 @@ BEGIN
         SELECT 1 FROM users WHERE username = p_username
     ) INTO exists_bool;
 
-    RETURN exists_bool;
+    RETURN exists_bool;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.is_username_taken(text) OWNER TO postgres;
+GRANT ALL ON FUNCTION public.is_username_taken(text) TO postgres;
+
+-- DROP FUNCTION public.merge_issues(uuid, uuid, uuid, uuid);
+
+CREATE OR REPLACE FUNCTION public.merge_issues(p_source_issue_id uuid, p_target_issue_id uuid, p_merged_by uuid, p_merged_by_admin uuid)
+ RETURNS TABLE(source_issue_id uuid, target_issue_id uuid, upvotes_moved integer, upvotes_dropped integer, comments_moved integer, attachments_moved integer, join_requests_moved integer)
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_source issues%ROWTYPE;
+  v_target issues%ROWTYPE;
+  v_upvotes_moved int;
+  v_upvotes_dropped int;
+  v_comments_moved int;
+  v_attachments_moved int;
+  v_requests_moved int;
+BEGIN
+  IF p_source_issue_id = p_target_issue_id THEN
+    RAISE EXCEPTION 'Cannot merge issue % into itself', p_source_issue_id;
+  END IF;
+
+  -- Lock both issues (in a stable order to avoid deadlocks)
+  PERFORM 1 FROM issues i
+  WHERE i.issue_id IN (p_source_issue_id, p_target_issue_id)
+  ORDER BY i.issue_id
+  FOR UPDATE;
+
+  SELECT * INTO v_source FROM issues i WHERE i.issue_id = p_source_issue_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Issue % not found', p_source_issue_id;
+  END IF;
+
+  SELECT * INTO v_target FROM issues i WHERE i.issue_id = p_target_issue_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Issue % not found', p_target_issue_id;
+  END IF;
+
+  IF v_source.merged_into IS NOT NULL OR v_target.merged_into IS NOT NULL THEN
+    RAISE EXCEPTION 'Issues that were already merged cannot be merged again';
+  END IF;
+
+  -- Upvotes: drop the source upvote of users who upvoted both (trigger decrements source),
+  -- then re-point the rest keeping the weight the trigger stored when they were cast
+  DELETE FROM issue_upvotes su
+  WHERE su.issue_id = p_source_issue_id
+    AND EXISTS (SELECT 1 FROM issue_upvotes tu
+                WHERE tu.issue_id = p_target_issue_id AND tu.user_id = su.user_id);
+  GET DIAGNOSTICS v_upvotes_dropped = ROW_COUNT;
+
+  UPDATE issue_upvotes SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_upvotes_moved = ROW_COUNT;
+
+  -- Comments and attachments move over as-is
+  UPDATE comments SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_comments_moved = ROW_COUNT;
+
+  UPDATE post_attachments SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_attachments_moved = ROW_COUNT;
+
+  -- Tags are combined
+  INSERT INTO issue_tags (issue_id, tag_id)
+  SELECT p_target_issue_id, it.tag_id FROM issue_tags it WHERE it.issue_id = p_source_issue_id
+  ON CONFLICT DO NOTHING;
+
+  -- Group join requests: the target keeps its own request for a group, pending requests
+  -- for a group the target is already in are cancelled, everything else is re-pointed
+  DELETE FROM group_join_request sr
+  WHERE sr.issue_id = p_source_issue_id
+    AND EXISTS (SELECT 1 FROM group_join_request tr
+                WHERE tr.issue_id = p_target_issue_id AND tr.group_id = sr.group_id);
+
+  UPDATE group_join_request
+  SET status = 'cancelled', handled_at = NOW()
+  WHERE issue_id = p_source_issue_id
+    AND status = 'pending'
+    AND group_id IN (SELECT gi.group_id FROM group_issues gi WHERE gi.issue_id = p_target_issue_id);
+
+  UPDATE group_join_request SET issue_id = p_target_issue_id
+  WHERE issue_id = p_source_issue_id;
+  GET DIAGNOSTICS v_requests_moved = ROW_COUNT;
+
+  -- The target joins every group the source was in, and the source leaves them
+  -- (group count triggers fire)
+  INSERT INTO group_issues (group_id, issue_id, added_at)
+  SELECT gi.group_id, p_target_issue_id, gi.added_at
+  FROM group_issues gi
+  WHERE gi.issue_id = p_source_issue_id
+  ON CONFLICT DO NOTHING;
+
+  DELETE FROM group_issues gi WHERE gi.issue_id = p_source_issue_id;
+
+  -- Recalculate counters for rows moved by UPDATE (the count triggers only fire on INSERT/DELETE)
+  UPDATE issues SET
+    upvote_count = (SELECT COALESCE(SUM(COALESCE(iu.upvote_weight, 1)), 0) FROM issue_upvotes iu WHERE iu.issue_id = p_target_issue_id),
+    comment_count = (SELECT COUNT(*) FROM comments c WHERE c.issue_id = p_target_issue_id)
+  WHERE issues.issue_id = p_target_issue_id;
+
+  -- Leave the source as a tombstone pointing at the target
+  UPDATE issues SET
+    upvote_count = 0,
+    comment_count = 0,
+    merged_into = p_target_issue_id,
+    merged_at = NOW()
+  WHERE issues.issue_id = p_source_issue_id;
+
+  -- Issues previously merged into the source now point straight at the target
+  UPDATE issues SET merged_into = p_target_issue_id
+  WHERE issues.merged_into = p_source_issue_id;
+
+  IF v_source.status <> 'duplicate' THEN
+    -- A merged issue becomes a duplicate whatever its status (e.g. resolved)
+    PERFORM change_issue_status(p_source_issue_id, 'duplicate', p_merged_by, p_merged_by_admin,
+                                'Merged into ' || p_target_issue_id::text, false);
+  END IF;
+
+  RETURN QUERY SELECT p_source_issue_id, p_target_issue_id, v_upvotes_moved, v_upvotes_dropped,
+                      v_comments_moved, v_attachments_moved, v_requests_moved;
 END;
 $function$
 ;
 
 -- Permissions
 
-ALTER FUNCTION public.is_username_taken(text) OWNER TO postgres;
-GRANT ALL ON FUNCTION public.is_username_taken(text) TO postgres;
+ALTER FUNCTION public.merge_issues(uuid, uuid, uuid, uuid) OWNER TO postgres;
+GRANT ALL ON FUNCTION public.merge_issues(uuid, uuid, uuid, uuid) TO postgres;
 
 -- DROP FUNCTION public.owner_requests_issue_to_add(uuid, uuid, uuid);
 
@@ -970,11 +1848,11 @@ BEGIN
         handled_at = NOW()
     WHERE req_id = p_req_id;
 
-    -- If approved, update the issue's group_id
+    -- If approved, add the issue to the group (alongside any groups it is already in)
     IF p_status = 'approved' THEN
-        UPDATE issues
-        SET group_id = v_group_id
-        WHERE issue_id = v_issue_id;
+        INSERT INTO group_issues(group_id, issue_id)
+        VALUES (v_group_id, v_issue_id)
+        ON CONFLICT DO NOTHING;
     END IF;
 END;
 $procedure$
@@ -1023,6 +1901,82 @@ $procedure$
 ALTER PROCEDURE public.process_role_change_request(uuid, text) OWNER TO postgres;
 GRANT ALL ON PROCEDURE public.process_role_change_request(uuid, text) TO postgres;
 
+-- DROP FUNCTION public.publish_realtime_event(text, text, jsonb);
+
+CREATE OR REPLACE FUNCTION public.publish_realtime_event(p_channel text, p_event text, p_data jsonb)
+ RETURNS void
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM pg_notify('idraak_events', json_build_object(
+    'channel', p_channel,
+    'event', p_event,
+    'data', p_data
+  )::text);
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.publish_realtime_event(text, text, jsonb) OWNER TO postgres;
+GRANT ALL ON FUNCTION public.publish_realtime_event(text, text, jsonb) TO postgres;
+
+-- DROP FUNCTION public.refresh_rising_scores();
+
+-- Recompute rising scores; posts that aged out are reset to 0. Returns the rows changed.
+CREATE OR REPLACE FUNCTION public.refresh_rising_scores()
+ RETURNS integer
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  issues_updated integer;
+  groups_updated integer;
+BEGIN
+  UPDATE issues i
+  SET rising_score = scores.score
+  FROM (
+    SELECT ri.issue_id,
+      CASE WHEN ri.posted_at > now() - interval '48 hours' THEN (
+        (SELECT COALESCE(SUM(COALESCE(iu.upvote_weight, 1)), 0) FROM issue_upvotes iu
+         WHERE iu.issue_id = ri.issue_id AND iu.made_at > now() - interval '6 hours')
+        + (SELECT COUNT(*) FROM "comments" c
+           WHERE c.issue_id = ri.issue_id AND c.posted_at > now() - interval '6 hours')
+      )::float8 / power(extract(epoch FROM now() - ri.posted_at)::float8 / 3600 + 2, 1.5)
+      ELSE 0 END as score
+    FROM issues ri
+    WHERE ri.posted_at > now() - interval '48 hours' OR ri.rising_score <> 0
+  ) scores
+  WHERE i.issue_id = scores.issue_id AND i.rising_score <> scores.score;
+  GET DIAGNOSTICS issues_updated = ROW_COUNT;
+
+  UPDATE "groups" g
+  SET rising_score = scores.score
+  FROM (
+    SELECT rg.group_id,
+      CASE WHEN rg.created_at > now() - interval '48 hours' THEN (
+        (SELECT COALESCE(SUM(COALESCE(gu.upvote_weight, 1)), 0) FROM group_upvotes gu
+         WHERE gu.group_id = rg.group_id AND gu.made_at > now() - interval '6 hours')
+        + (SELECT COUNT(*) FROM group_comments gc
+           WHERE gc.group_id = rg.group_id AND gc.posted_at > now() - interval '6 hours')
+      )::float8 / power(extract(epoch FROM now() - rg.created_at)::float8 / 3600 + 2, 1.5)
+      ELSE 0 END as score
+    FROM "groups" rg
+    WHERE rg.created_at > now() - interval '48 hours' OR rg.rising_score <> 0
+  ) scores
+  WHERE g.group_id = scores.group_id AND g.rising_score <> scores.score;
+  GET DIAGNOSTICS groups_updated = ROW_COUNT;
+
+  RETURN issues_updated + groups_updated;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.refresh_rising_scores() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.refresh_rising_scores() TO postgres;
+
 -- DROP PROCEDURE public.remove_group_upvote(uuid, uuid);
 
 CREATE OR REPLACE PROCEDURE public.remove_group_upvote(p_group_id uuid, p_user_id uuid)
@@ -1062,6 +2016,41 @@ $procedure$
 ALTER PROCEDURE public.remove_post_upvote(uuid, uuid) OWNER TO postgres;
 GRANT ALL ON PROCEDURE public.remove_post_upvote(uuid, uuid) TO postgres;
 
+-- DROP FUNCTION public.set_issue_tags(uuid, _text);
+
+CREATE OR REPLACE FUNCTION public.set_issue_tags(p_issue_id uuid, p_tags text[])
+ RETURNS text[]
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_tags text[];
+BEGIN
+  INSERT INTO tags ("name")
+  SELECT DISTINCT unnest(p_tags)
+  ON CONFLICT ("name") DO NOTHING;
+
+  DELETE FROM issue_tags WHERE issue_id = p_issue_id;
+
+  INSERT INTO issue_tags (issue_id, tag_id)
+  SELECT p_issue_id, t.tag_id
+  FROM tags t
+  WHERE t."name" = ANY(p_tags);
+
+  SELECT COALESCE(array_agg(t."name" ORDER BY t."name"), '{}') INTO v_tags
+  FROM issue_tags it
+  JOIN tags t ON it.tag_id = t.tag_id
+  WHERE it.issue_id = p_issue_id;
+
+  RETURN v_tags;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.set_issue_tags(uuid, _text) OWNER TO postgres;
+GRANT ALL ON FUNCTION public.set_issue_tags(uuid, _text) TO postgres;
+
 -- DROP FUNCTION public.submit_group_join_request(uuid, uuid, uuid);
 
 CREATE OR REPLACE FUNCTION public.submit_group_join_request(p_issue_id uuid, p_group_id uuid, p_requester_id uuid)
@@ -1196,6 +2185,91 @@ $function$
 ALTER FUNCTION public.toggle_issue_upvote(uuid, uuid) OWNER TO postgres;
 GRANT ALL ON FUNCTION public.toggle_issue_upvote(uuid, uuid) TO postgres;
 
+-- DROP FUNCTION public.transfer_group_ownership(uuid, uuid, uuid);
+
+-- Make p_new_owner_id the owner of a group, accepting transfer p_transfer_id when given
+-- (it must still be pending and come from the current owner). Other pending transfers of
+-- the group are cancelled; the previous owner stays on as a co-owner.
+-- Returns the previous owner (null for an orphaned group). Raises SQLSTATE P0002 when the
+-- group is gone and GO409 when the transfer can no longer be accepted.
+CREATE OR REPLACE FUNCTION public.transfer_group_ownership(p_group_id uuid, p_new_owner_id uuid, p_transfer_id uuid)
+ RETURNS uuid
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_previous_owner_id uuid;
+  v_transfer group_ownership_transfers%ROWTYPE;
+BEGIN
+  SELECT g.owner_id INTO v_previous_owner_id
+  FROM groups g
+  WHERE g.group_id = p_group_id
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Group % not found', p_group_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF p_transfer_id IS NOT NULL THEN
+    SELECT * INTO v_transfer
+    FROM group_ownership_transfers t
+    WHERE t.transfer_id = p_transfer_id
+    FOR UPDATE;
+
+    IF NOT FOUND
+       OR v_transfer.status <> 'pending'
+       OR v_transfer.group_id <> p_group_id
+       OR v_transfer.to_user_id <> p_new_owner_id
+       OR v_transfer.from_user_id IS DISTINCT FROM v_previous_owner_id THEN
+      RAISE EXCEPTION 'Ownership transfer % can no longer be accepted', p_transfer_id
+        USING ERRCODE = 'GO409';
+    END IF;
+
+    UPDATE group_ownership_transfers t
+    SET status = 'accepted', responded_at = now()
+    WHERE t.transfer_id = p_transfer_id;
+  END IF;
+
+  UPDATE group_ownership_transfers t
+  SET status = 'cancelled', responded_at = now()
+  WHERE t.group_id = p_group_id AND t.status = 'pending';
+
+  -- trg_group_owner_member makes the new owner an 'owner' member
+  UPDATE groups g SET owner_id = p_new_owner_id
+  WHERE g.group_id = p_group_id;
+
+  RETURN v_previous_owner_id;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.transfer_group_ownership(uuid, uuid, uuid) OWNER TO postgres;
+GRANT ALL ON FUNCTION public.transfer_group_ownership(uuid, uuid, uuid) TO postgres;
+
+-- DROP FUNCTION public.trg_add_group_owner_member();
+
+-- The owner is always an 'owner' member, also after ownership changes hands
+CREATE OR REPLACE FUNCTION public.trg_add_group_owner_member()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  IF NEW.owner_id IS NOT NULL THEN
+    INSERT INTO group_members (group_id, user_id, role)
+    VALUES (NEW.group_id, NEW.owner_id, 'owner')
+    ON CONFLICT (group_id, user_id) DO UPDATE SET role = 'owner';
+  END IF;
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_add_group_owner_member() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_add_group_owner_member() TO postgres;
+
 -- DROP FUNCTION public.trg_dec_group_comment_count();
 
 CREATE OR REPLACE FUNCTION public.trg_dec_group_comment_count()
@@ -1215,15 +2289,15 @@ $function$
 ALTER FUNCTION public.trg_dec_group_comment_count() OWNER TO postgres;
 GRANT ALL ON FUNCTION public.trg_dec_group_comment_count() TO postgres;
 
--- DROP FUNCTION public.trg_dec_issue_comment_count();
+-- DROP FUNCTION public.trg_dec_group_issue_count();
 
-CREATE OR REPLACE FUNCTION public.trg_dec_issue_comment_count()
+CREATE OR REPLACE FUNCTION public.trg_dec_group_issue_count()
  RETURNS trigger
  LANGUAGE plpgsql
 AS $function$
 BEGIN
-  UPDATE issues SET comment_count = GREATEST(COALESCE(comment_count, 0) - 1, 0)
-  WHERE issue_id = OLD.issue_id;
+  UPDATE groups SET issue_count = GREATEST(COALESCE(issue_count, 0) - 1, 0)
+  WHERE group_id = OLD.group_id;
   RETURN OLD;
 END;
 $function$
@@ -1231,21 +2305,37 @@ $function$
 
 -- Permissions
 
-ALTER FUNCTION public.trg_dec_issue_comment_count() OWNER TO postgres;
-GRANT ALL ON FUNCTION public.trg_dec_issue_comment_count() TO postgres;
+ALTER FUNCTION public.trg_dec_group_issue_count() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_dec_group_issue_count() TO postgres;
 
--- DROP FUNCTION public.trg_delete_issue_group_count();
+-- DROP FUNCTION public.trg_dec_group_member_count();
 
-CREATE OR REPLACE FUNCTION public.trg_delete_issue_group_count()
+CREATE OR REPLACE FUNCTION public.trg_dec_group_member_count()
  RETURNS trigger
  LANGUAGE plpgsql
 AS $function$
 BEGIN
-  IF OLD.group_id IS NOT NULL THEN
-    UPDATE groups 
-    SET issue_count = GREATEST(issue_count - 1, 0) 
-    WHERE group_id = OLD.group_id;
-  END IF;
+  UPDATE groups SET member_count = GREATEST(COALESCE(member_count, 0) - 1, 0)
+  WHERE group_id = OLD.group_id;
+  RETURN OLD;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_dec_group_member_count() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_dec_group_member_count() TO postgres;
+
+-- DROP FUNCTION public.trg_dec_issue_comment_count();
+
+CREATE OR REPLACE FUNCTION public.trg_dec_issue_comment_count()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  UPDATE issues SET comment_count = GREATEST(COALESCE(comment_count, 0) - 1, 0)
+  WHERE issue_id = OLD.issue_id;
   RETURN OLD;
 END;
 $function$
@@ -1253,8 +2343,8 @@ $function$
 
 -- Permissions
 
-ALTER FUNCTION public.trg_delete_issue_group_count() OWNER TO postgres;
-GRANT ALL ON FUNCTION public.trg_delete_issue_group_count() TO postgres;
+ALTER FUNCTION public.trg_dec_issue_comment_count() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_dec_issue_comment_count() TO postgres;
 
 -- DROP FUNCTION public.trg_group_upvote_after_delete();
 
@@ -1337,18 +2427,34 @@ $function$
 ALTER FUNCTION public.trg_inc_group_comment_count() OWNER TO postgres;
 GRANT ALL ON FUNCTION public.trg_inc_group_comment_count() TO postgres;
 
--- DROP FUNCTION public.trg_inc_group_issue_count_on_insert();
+-- DROP FUNCTION public.trg_inc_group_issue_count();
 
-CREATE OR REPLACE FUNCTION public.trg_inc_group_issue_count_on_insert()
+CREATE OR REPLACE FUNCTION public.trg_inc_group_issue_count()
  RETURNS trigger
  LANGUAGE plpgsql
 AS $function$
 BEGIN
-  IF NEW.group_id IS NOT NULL THEN
-    UPDATE groups 
-    SET issue_count = issue_count + 1 
-    WHERE group_id = NEW.group_id;
-  END IF;
+  UPDATE groups SET issue_count = COALESCE(issue_count, 0) + 1
+  WHERE group_id = NEW.group_id;
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_inc_group_issue_count() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_inc_group_issue_count() TO postgres;
+
+-- DROP FUNCTION public.trg_inc_group_member_count();
+
+CREATE OR REPLACE FUNCTION public.trg_inc_group_member_count()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  UPDATE groups SET member_count = COALESCE(member_count, 0) + 1
+  WHERE group_id = NEW.group_id;
   RETURN NEW;
 END;
 $function$
@@ -1356,8 +2462,8 @@ $function$
 
 -- Permissions
 
-ALTER FUNCTION public.trg_inc_group_issue_count_on_insert() OWNER TO postgres;
-GRANT ALL ON FUNCTION public.trg_inc_group_issue_count_on_insert() TO postgres;
+ALTER FUNCTION public.trg_inc_group_member_count() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_inc_group_member_count() TO postgres;
 
 -- DROP FUNCTION public.trg_inc_issue_comment_count();
 
@@ -1440,27 +2546,21 @@ $function$
 ALTER FUNCTION public.trg_issue_upvote_after_insert() OWNER TO postgres;
 GRANT ALL ON FUNCTION public.trg_issue_upvote_after_insert() TO postgres;
 
--- DROP FUNCTION public.trg_update_issue_group_count();
+-- DROP FUNCTION public.trg_promote_group_co_owner();
 
-CREATE OR REPLACE FUNCTION public.trg_update_issue_group_count()
+-- When the owner's account is deleted, the longest-standing co-owner takes over
+CREATE OR REPLACE FUNCTION public.trg_promote_group_co_owner()
  RETURNS trigger
  LANGUAGE plpgsql
 AS $function$
 BEGIN
-  -- Decrement old group if it exists
-  IF OLD.group_id IS NOT NULL THEN
-    UPDATE groups 
-    SET issue_count = GREATEST(issue_count - 1, 0) 
-    WHERE group_id = OLD.group_id;
-  END IF;
-  
-  -- Increment new group if it exists
-  IF NEW.group_id IS NOT NULL THEN
-    UPDATE groups 
-    SET issue_count = issue_count + 1 
-    WHERE group_id = NEW.group_id;
+  IF NEW.owner_id IS NULL AND OLD.owner_id IS NOT NULL THEN
+    SELECT gm.user_id INTO NEW.owner_id
+    FROM group_members gm
+    WHERE gm.group_id = NEW.group_id AND gm.role = 'owner' AND gm.user_id <> OLD.owner_id
+    ORDER BY gm.joined_at, gm.user_id
+    LIMIT 1;
   END IF;
-  
   RETURN NEW;
 END;
 $function$
@@ -1468,8 +2568,233 @@ $function$
 
 -- Permissions
 
-ALTER FUNCTION public.trg_update_issue_group_count() OWNER TO postgres;
-GRANT ALL ON FUNCTION public.trg_update_issue_group_count() TO postgres;
+ALTER FUNCTION public.trg_promote_group_co_owner() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_promote_group_co_owner() TO postgres;
+
+-- DROP FUNCTION public.trg_realtime_comment();
+
+CREATE OR REPLACE FUNCTION public.trg_realtime_comment()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM publish_realtime_event('issue:' || NEW.issue_id, 'comment.created',
+    jsonb_build_object(
+      'comment_id', NEW.comment_id,
+      'issue_id', NEW.issue_id,
+      'user_id', NEW.user_id,
+      'username', (SELECT username FROM users WHERE user_id = NEW.user_id),
+      'content', left(NEW.content, 1000),
+      'posted_at', NEW.posted_at
+    ));
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_realtime_comment() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_realtime_comment() TO postgres;
+
+-- DROP FUNCTION public.trg_realtime_group_comment();
+
+CREATE OR REPLACE FUNCTION public.trg_realtime_group_comment()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM publish_realtime_event('group:' || NEW.group_id, 'group_comment.created',
+    jsonb_build_object(
+      'comment_id', NEW.comment_id,
+      'group_id', NEW.group_id,
+      'user_id', NEW.user_id,
+      'username', (SELECT username FROM users WHERE user_id = NEW.user_id),
+      'content', left(NEW.content, 1000),
+      'posted_at', NEW.posted_at
+    ));
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_realtime_group_comment() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_realtime_group_comment() TO postgres;
+
+-- DROP FUNCTION public.trg_realtime_group_upvotes();
+
+CREATE OR REPLACE FUNCTION public.trg_realtime_group_upvotes()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM publish_realtime_event('group:' || NEW.group_id, 'group.upvotes',
+    jsonb_build_object('group_id', NEW.group_id, 'upvote_count', NEW.upvote_count));
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_realtime_group_upvotes() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_realtime_group_upvotes() TO postgres;
+
+-- DROP FUNCTION public.trg_realtime_issue_upvotes();
+
+CREATE OR REPLACE FUNCTION public.trg_realtime_issue_upvotes()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM publish_realtime_event('issue:' || NEW.issue_id, 'issue.upvotes',
+    jsonb_build_object('issue_id', NEW.issue_id, 'upvote_count', NEW.upvote_count));
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_realtime_issue_upvotes() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_realtime_issue_upvotes() TO postgres;
+
+-- DROP FUNCTION public.trg_realtime_join_request();
+
+CREATE OR REPLACE FUNCTION public.trg_realtime_join_request()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+DECLARE
+  v_data jsonb := jsonb_build_object(
+    'request_id', NEW.req_id,
+    'issue_id', NEW.issue_id,
+    'group_id', NEW.group_id,
+    'requested_by_group', NEW.requested_by_group,
+    'status', NEW.status
+  );
+BEGIN
+  PERFORM publish_realtime_event('issue:' || NEW.issue_id, 'join_request.decided', v_data);
+  PERFORM publish_realtime_event('group:' || NEW.group_id, 'join_request.decided', v_data);
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_realtime_join_request() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_realtime_join_request() TO postgres;
+
+-- DROP FUNCTION public.trg_realtime_notification();
+
+CREATE OR REPLACE FUNCTION public.trg_realtime_notification()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  PERFORM publish_realtime_event('user:' || NEW.user_id, 'notification.created',
+    jsonb_build_object(
+      'notification_id', NEW.notification_id,
+      'type', NEW.type,
+      'title', left(NEW.title, 500),
+      'body', left(NEW.body, 1000),
+      'actor_id', NEW.actor_id,
+      'issue_id', NEW.issue_id,
+      'group_id', NEW.group_id,
+      'created_at', NEW.created_at
+    ));
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_realtime_notification() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_realtime_notification() TO postgres;
+
+-- DROP FUNCTION public.trg_search_vector_comments();
+
+-- Shared by comments and group_comments
+CREATE OR REPLACE FUNCTION public.trg_search_vector_comments()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  NEW.search_vector := to_tsvector('english', coalesce(NEW.content, ''));
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_search_vector_comments() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_search_vector_comments() TO postgres;
+
+-- DROP FUNCTION public.trg_search_vector_groups();
+
+CREATE OR REPLACE FUNCTION public.trg_search_vector_groups()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.name, '')), 'A')
+    || setweight(to_tsvector('english', coalesce(NEW.description, '')), 'B');
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_search_vector_groups() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_search_vector_groups() TO postgres;
+
+-- DROP FUNCTION public.trg_search_vector_issues();
+
+CREATE OR REPLACE FUNCTION public.trg_search_vector_issues()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A')
+    || setweight(to_tsvector('english', coalesce(NEW.description, '')), 'B');
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_search_vector_issues() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_search_vector_issues() TO postgres;
+
+-- DROP FUNCTION public.trg_search_vector_users();
+
+CREATE OR REPLACE FUNCTION public.trg_search_vector_users()
+ RETURNS trigger
+ LANGUAGE plpgsql
+AS $function$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('simple', coalesce(NEW.username, '')), 'A')
+    || setweight(to_tsvector('simple', coalesce(NEW.full_name, '')), 'A')
+    || setweight(to_tsvector('simple', coalesce(NEW.email, '')), 'B');
+  RETURN NEW;
+END;
+$function$
+;
+
+-- Permissions
+
+ALTER FUNCTION public.trg_search_vector_users() OWNER TO postgres;
+GRANT ALL ON FUNCTION public.trg_search_vector_users() TO postgres;
 
 -- DROP PROCEDURE public.upvote_group(uuid, uuid);
 
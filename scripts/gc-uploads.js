@@ -0,0 +1,44 @@
+// Report or delete uploaded files nothing refers to any more. Run from cron, e.g.:
+//   0 3 * * *  npm run gc-uploads -- --delete
+// Without --delete only a report is printed. --grace-hours=N overrides UPLOAD_GC_GRACE_HOURS.
+import dotenv from "dotenv";
+import pkg from "pg";
+import { collectGarbage, gcGraceHours } from "../utils/uploadGc.js";
+
+dotenv.config();
+const { Pool } = pkg;
+
+const dryRun = !process.argv.includes('--delete');
+const graceArg = process.argv.find(arg => arg.startsWith('--grace-hours='));
+const graceHours = graceArg ? Number(graceArg.split('=')[1]) : gcGraceHours();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+});
+
+try {
+  if (!Number.isFinite(graceHours) || graceHours < 0) {
+    throw new Error("--grace-hours must be a non-negative number");
+  }
+
+  const summary = await collectGarbage(pool, { dryRun, graceHours });
+
+  for (const orphan of summary.orphans) {
+    console.log(`${dryRun ? 'orphan' : 'deleted'}  ${orphan.url}  ${orphan.size_bytes} bytes`);
+  }
+  console.log(
+    `${dryRun ? '[dry run] ' : ''}Uploads GC (${summary.storage}, ${graceHours}h grace): ` +
+    `${summary.scanned} scanned, ${summary.orphaned} orphaned (${summary.orphaned_bytes} bytes), ` +
+    `${summary.deleted} deleted, ${summary.in_grace_period} in grace period, ` +
+    `${summary.staged_files} stale staged uploads, ${summary.failed} failed`
+  );
+} catch (err) {
+  console.error("Error collecting orphaned uploads:", err);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
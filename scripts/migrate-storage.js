@@ -0,0 +1,136 @@
+// Copy files stored on local disk (/uploads/...) to the configured storage backend
+// and rewrite the stored URLs. Safe to re-run: only rows still pointing at /uploads are touched.
+//   STORAGE_DRIVER=s3 npm run migrate-storage -- [--dry-run] [--delete-local]
+import dotenv from "dotenv";
+import pkg from "pg";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { getStorage, createLocalStorage } from "../utils/storage.js";
+
+dotenv.config();
+const { Pool } = pkg;
+
+const dryRun = process.argv.includes('--dry-run');
+const deleteLocal = process.argv.includes('--delete-local');
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+});
+
+// table, id column, url column, variants column (or null)
+const TARGETS = [
+  ['issues', 'issue_id', 'display_picture_url', 'display_picture_variants'],
+  ['groups', 'group_id', 'display_picture_url', 'display_picture_variants'],
+  ['users', 'user_id', 'profile_picture_url', 'profile_picture_variants'],
+  ['post_attachments', 'attachment_id', 'file_path', null]
+];
+
+const source = createLocalStorage();
+const summary = { rows: 0, files: 0, missing: 0, failed: 0 };
+
+/**
+ * Copy one local file to the target backend and return its new URL.
+ * Returns null when the local file is gone.
+ */
+async function copyToTarget(target, url) {
+  const key = source.keyFromUrl(url);
+  if (!key || !(await source.exists(key))) {
+    return null;
+  }
+
+  if (dryRun) {
+    return target.urlFor(key);
+  }
+
+  // put() consumes the file it is given, so hand it a copy
+  const tmpPath = path.join(os.tmpdir(), `migrate-${Date.now()}-${path.posix.basename(key)}`);
+  await pipeline(await source.read(key), fs.createWriteStream(tmpPath));
+  try {
+    return await target.put(tmpPath, key);
+  } finally {
+    await fs.promises.unlink(tmpPath).catch(() => { });
+  }
+}
+
+try {
+  const target = getStorage();
+  if (target.name === 'local') {
+    throw new Error("Set STORAGE_DRIVER to the backend to migrate to (e.g. s3)");
+  }
+
+  for (const [table, idColumn, urlColumn, variantsColumn] of TARGETS) {
+    const result = await pool.query(
+      `SELECT ${idColumn} as id, ${urlColumn} as url${variantsColumn ? `, ${variantsColumn} as variants` : ''}
+       FROM ${table}
+       WHERE ${urlColumn} LIKE '/uploads/%'
+          ${variantsColumn ? `OR ${variantsColumn}::text LIKE '%"/uploads/%'` : ''}`
+    );
+
+    for (const row of result.rows) {
+      try {
+        // Every local URL of the row, old -> new
+        const urls = new Map();
+        for (const url of [row.url, ...Object.values(row.variants || {})]) {
+          if (url && url.startsWith('/uploads/') && !urls.has(url)) {
+            urls.set(url, await copyToTarget(target, url));
+          }
+        }
+
+        const missing = [...urls.values()].filter(url => url === null).length;
+        if (missing > 0) {
+          // Leave the row alone so it can be retried once the files are found
+          console.warn(`${table} ${row.id}: ${missing} file(s) missing on disk, skipped`);
+          summary.missing += missing;
+          continue;
+        }
+
+        const newUrl = urls.get(row.url) ?? row.url;
+        const newVariants = row.variants
+          ? Object.fromEntries(Object.entries(row.variants).map(([name, url]) => [name, urls.get(url) ?? url]))
+          : null;
+
+        if (!dryRun) {
+          if (variantsColumn) {
+            await pool.query(
+              `UPDATE ${table} SET ${urlColumn} = $1, ${variantsColumn} = $2 WHERE ${idColumn} = $3`,
+              [newUrl, newVariants, row.id]
+            );
+          } else {
+            await pool.query(
+              `UPDATE ${table} SET ${urlColumn} = $1 WHERE ${idColumn} = $2`,
+              [newUrl, row.id]
+            );
+          }
+
+          if (deleteLocal) {
+            for (const url of urls.keys()) {
+              await source.remove(source.keyFromUrl(url));
+            }
+          }
+        }
+
+        summary.rows++;
+        summary.files += urls.size;
+      } catch (err) {
+        console.error(`Error migrating ${table} ${row.id}:`, err.message);
+        summary.failed++;
+      }
+    }
+  }
+
+  console.log(
+    `${dryRun ? '[dry run] ' : ''}Storage migration to ${target.name}: ${summary.rows} rows, ` +
+    `${summary.files} files copied, ${summary.missing} missing, ${summary.failed} failed`
+  );
+} catch (err) {
+  console.error("Error migrating storage:", err);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,77 @@
+// Process pictures uploaded before image variants existed: fix orientation,
+// strip EXIF (including GPS) and generate thumb/medium/full variants.
+//   npm run process-images
+import dotenv from "dotenv";
+import pkg from "pg";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { processImage } from "../utils/images.js";
+import { storageForUrl, removeStoredFile } from "../utils/storage.js";
+
+dotenv.config();
+const { Pool } = pkg;
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+});
+
+// table, id column, url column, variants column
+const TARGETS = [
+  ['issues', 'issue_id', 'display_picture_url', 'display_picture_variants'],
+  ['groups', 'group_id', 'display_picture_url', 'display_picture_variants'],
+  ['users', 'user_id', 'profile_picture_url', 'profile_picture_variants']
+];
+
+const summary = { processed: 0, missing: 0, failed: 0 };
+
+try {
+  for (const [table, idColumn, urlColumn, variantsColumn] of TARGETS) {
+    const result = await pool.query(
+      `SELECT ${idColumn} as id, ${urlColumn} as url FROM ${table}
+       WHERE ${urlColumn} IS NOT NULL AND ${variantsColumn} IS NULL`
+    );
+
+    for (const row of result.rows) {
+      const target = storageForUrl(row.url);
+      if (!target || !(await target.storage.exists(target.key))) {
+        summary.missing++;
+        continue;
+      }
+
+      try {
+        // Work on a local copy; the original is removed once the variants are stored
+        const filename = path.posix.basename(target.key);
+        const tmpPath = path.join(os.tmpdir(), `original-${Date.now()}-${filename}`);
+        await pipeline(await target.storage.read(target.key), fs.createWriteStream(tmpPath));
+
+        const variants = await processImage(
+          { path: tmpPath, filename },
+          path.posix.dirname(target.key)
+        );
+
+        await pool.query(
+          `UPDATE ${table} SET ${urlColumn} = $1, ${variantsColumn} = $2 WHERE ${idColumn} = $3`,
+          [variants.full, variants, row.id]
+        );
+        await removeStoredFile(row.url);
+        summary.processed++;
+      } catch (err) {
+        console.error(`Error processing ${row.url}:`, err.message);
+        summary.failed++;
+      }
+    }
+  }
+
+  console.log(`Images: ${summary.processed} processed, ${summary.missing} missing, ${summary.failed} failed`);
+} catch (err) {
+  console.error("Error processing images:", err);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
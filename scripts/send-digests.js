@@ -0,0 +1,29 @@
+// Send activity digests. Run from cron, e.g.:
+//   0 8 * * *  npm run digest -- daily
+//   0 8 * * 1  npm run digest -- weekly
+import dotenv from "dotenv";
+import pkg from "pg";
+import { sendDigests } from "../utils/digest.js";
+
+dotenv.config();
+const { Pool } = pkg;
+
+const frequency = process.argv[2] || 'daily';
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+});
+
+try {
+  const summary = await sendDigests(pool, frequency);
+  console.log(`${frequency} digest: ${summary.sent} sent, ${summary.failed} failed, ${summary.considered} users considered`);
+} catch (err) {
+  console.error("Error sending digests:", err);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,56 @@
+export const MAX_CAPTION_LENGTH = 500;
+
+/**
+ * Get the original filename of an uploaded file.
+ * Multipart filenames arrive as latin1, so UTF-8 names (e.g. Urdu) need re-decoding.
+ */
+export function originalFilename(file) {
+  const decoded = Buffer.from(file.originalname, 'latin1').toString('utf8');
+  return decoded.includes('�') ? file.originalname : decoded;
+}
+
+/**
+ * Parse captions for newly uploaded attachments, in the same order as the files.
+ * Accepts a JSON array string, an array (repeated form fields) or a single string.
+ */
+export function parseCaptions(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  let captions = value;
+  if (typeof captions === 'string') {
+    const trimmed = captions.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        captions = JSON.parse(trimmed);
+      } catch (err) {
+        throw new Error("attachment_captions must be a JSON array of strings");
+      }
+    } else {
+      captions = [captions];
+    }
+  }
+
+  if (!Array.isArray(captions)) {
+    throw new Error("attachment_captions must be a JSON array of strings");
+  }
+
+  return captions.map(caption => normalizeCaption(caption));
+}
+
+/**
+ * Trim a caption; empty means no caption. Throws when it is too long.
+ */
+export function normalizeCaption(caption) {
+  if (caption === undefined || caption === null) {
+    return null;
+  }
+
+  const trimmed = String(caption).trim();
+  if (trimmed.length > MAX_CAPTION_LENGTH) {
+    throw new Error(`Captions can be at most ${MAX_CAPTION_LENGTH} characters`);
+  }
+
+  return trimmed || null;
+}
@@ -0,0 +1,130 @@
+import { appBaseUrl, sendMail, unsubscribeHeaders, unsubscribeUrl } from './email.js';
+import { renderDigestEmail } from './emailTemplates.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DIGEST_PERIODS_MS = {
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS
+};
+
+/**
+ * Collect activity since `since` on the issues and groups a user owns.
+ * Only issues/groups that actually had activity are returned.
+ */
+export async function collectDigestActivity(db, userId, since) {
+  const issuesResult = await db.query(
+    `SELECT * FROM (
+       SELECT i.issue_id, i.title, i.status,
+         (SELECT COUNT(*)::int FROM comments c
+          WHERE c.issue_id = i.issue_id AND c.posted_at > $2 AND c.user_id <> $1) as new_comments,
+         (SELECT COUNT(*)::int FROM issue_upvotes iu
+          WHERE iu.issue_id = i.issue_id AND iu.made_at > $2 AND iu.user_id <> $1) as new_upvotes,
+         (SELECT COUNT(*)::int FROM issue_status_history h
+          WHERE h.issue_id = i.issue_id AND h.changed_at > $2) as status_changes
+       FROM issues i
+       WHERE i.user_id = $1 AND i.merged_into IS NULL
+     ) activity
+     WHERE new_comments > 0 OR new_upvotes > 0 OR status_changes > 0
+     ORDER BY new_comments + new_upvotes DESC`,
+    [userId, since]
+  );
+
+  const groupsResult = await db.query(
+    `SELECT * FROM (
+       SELECT g.group_id, g.name,
+         (SELECT COUNT(*)::int FROM group_comments gc
+          WHERE gc.group_id = g.group_id AND gc.posted_at > $2 AND gc.user_id <> $1) as new_comments,
+         (SELECT COUNT(*)::int FROM group_upvotes gu
+          WHERE gu.group_id = g.group_id AND gu.made_at > $2 AND gu.user_id <> $1) as new_upvotes,
+         (SELECT COUNT(*)::int FROM group_join_request gjr
+          WHERE gjr.group_id = g.group_id AND gjr.status = 'pending'
+            AND gjr.requested_by_group = false AND gjr.requested_at > $2) as pending_requests
+       FROM groups g
+       WHERE g.owner_id = $1
+     ) activity
+     WHERE new_comments > 0 OR new_upvotes > 0 OR pending_requests > 0
+     ORDER BY new_comments + new_upvotes DESC`,
+    [userId, since]
+  );
+
+  return { issues: issuesResult.rows, groups: groupsResult.rows };
+}
+
+/**
+ * Send the daily or weekly digest to every user who is due one.
+ * Users with no activity since their last digest are skipped (but still marked as sent).
+ * Returns counts of users considered, emails sent and failures.
+ */
+export async function sendDigests(db, frequency) {
+  const periodMs = DIGEST_PERIODS_MS[frequency];
+  if (!periodMs) {
+    throw new Error("frequency must be 'daily' or 'weekly'");
+  }
+
+  // Users without a preferences row get the default weekly digest.
+  // An hour of slack keeps a cron job that runs slightly early from skipping a period.
+  const dueBefore = new Date(Date.now() - periodMs + HOUR_MS);
+  const dueResult = await db.query(
+    `SELECT u.user_id, u.email, u.full_name, u.username, ep.last_digest_sent_at
+     FROM users u
+     LEFT JOIN email_preferences ep ON ep.user_id = u.user_id
+     WHERE COALESCE(ep.digest_frequency, 'weekly') = $1
+       AND (ep.last_digest_sent_at IS NULL OR ep.last_digest_sent_at <= $2)`,
+    [frequency, dueBefore]
+  );
+
+  const summary = { considered: dueResult.rows.length, sent: 0, failed: 0 };
+
+  for (const user of dueResult.rows) {
+    try {
+      const startedAt = new Date();
+
+      // First digest covers one period; after that, everything since the last one
+      const since = user.last_digest_sent_at || new Date(startedAt.getTime() - periodMs);
+
+      const { issues, groups } = await collectDigestActivity(db, user.user_id, since);
+
+      // Make sure the user has a preferences row (and unsubscribe token) before emailing
+      const prefsResult = await db.query(
+        `INSERT INTO email_preferences (user_id) VALUES ($1)
+         ON CONFLICT (user_id) DO UPDATE SET user_id = EXCLUDED.user_id
+         RETURNING unsubscribe_token`,
+        [user.user_id]
+      );
+
+      if (issues.length > 0 || groups.length > 0) {
+        const unsubscribe = unsubscribeUrl(prefsResult.rows[0].unsubscribe_token, 'digest');
+        const { subject, html, text } = renderDigestEmail({
+          recipient: user,
+          frequency,
+          issues,
+          groups,
+          baseUrl: appBaseUrl(),
+          unsubscribeUrl: unsubscribe
+        });
+
+        const sent = await sendMail({
+          to: user.email,
+          subject,
+          html,
+          text,
+          headers: unsubscribeHeaders(unsubscribe)
+        });
+        if (sent) {
+          summary.sent++;
+        }
+      }
+
+      await db.query(
+        "UPDATE email_preferences SET last_digest_sent_at = $2 WHERE user_id = $1",
+        [user.user_id, startedAt]
+      );
+    } catch (err) {
+      summary.failed++;
+      console.error(`Error sending ${frequency} digest to user ${user.user_id}:`, err);
+    }
+  }
+
+  return summary;
+}
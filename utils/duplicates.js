@@ -0,0 +1,67 @@
+import { boundingBoxAround, boundingBoxCondition } from './geo.js';
+
+// Minimum combined score for an issue to be reported as a likely duplicate
+export const DUPLICATE_SCORE_THRESHOLD = 0.4;
+
+// Issues within this distance of the new issue get a proximity boost
+export const DUPLICATE_RADIUS_M = 500;
+
+/**
+ * Find existing issues that look like duplicates of a new one.
+ *
+ * Candidates come from trigram similarity on title/description (pg_trgm) and,
+ * when coordinates are given, from issues nearby. Each candidate gets a score:
+ * text similarity, plus a boost for being close by and for sharing the category.
+ * Closed, rejected and duplicate issues are ignored.
+ */
+export async function findSimilarIssues(db, {
+  title,
+  description = null,
+  latitude = null,
+  longitude = null,
+  categoryId = null,
+  minScore = DUPLICATE_SCORE_THRESHOLD,
+  limit = 5
+}) {
+  const hasLocation = latitude !== null && longitude !== null;
+
+  const params = [title, description || null, hasLocation ? latitude : null, hasLocation ? longitude : null,
+    categoryId || null, DUPLICATE_RADIUS_M];
+
+  const candidateConditions = ['i.title % $1', '($2::text IS NOT NULL AND i.description % $2)'];
+  if (hasLocation) {
+    const bbox = boundingBoxAround(latitude, longitude, DUPLICATE_RADIUS_M);
+    candidateConditions.push(`(${boundingBoxCondition('i', bbox, params)})`);
+  }
+
+  params.push(minScore, limit);
+
+  const result = await db.query(
+    `SELECT * FROM (
+       SELECT c.*,
+         GREATEST(c.title_similarity, 0.7 * c.title_similarity + 0.3 * c.description_similarity)
+         + CASE WHEN c.distance_m IS NOT NULL AND c.distance_m <= $6 THEN 0.2 * (1 - c.distance_m / $6) ELSE 0 END
+         + CASE WHEN c.same_category THEN 0.1 ELSE 0 END as score
+       FROM (
+         SELECT
+           i.issue_id, i.title, i.description, i.user_id, i.status, i.category_id,
+           i.display_picture_url, i.upvote_count, i.comment_count, i.posted_at,
+           i.latitude, i.longitude, i.address,
+           similarity(i.title, $1) as title_similarity,
+           CASE WHEN $2::text IS NULL THEN 0 ELSE similarity(i.description, $2) END as description_similarity,
+           CASE WHEN $3::float8 IS NULL OR i.latitude IS NULL THEN NULL
+                ELSE distance_meters($3, $4, i.latitude, i.longitude) END as distance_m,
+           COALESCE(i.category_id = $5::uuid, false) as same_category
+         FROM issues i
+         WHERE i.status NOT IN ('closed', 'rejected', 'duplicate')
+           AND (${candidateConditions.join(' OR ')})
+       ) c
+     ) scored
+     WHERE score >= $${params.length - 1}
+     ORDER BY score DESC, upvote_count DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return result.rows;
+}
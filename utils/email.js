@@ -0,0 +1,158 @@
+import nodemailer from 'nodemailer';
+import { renderNotificationEmail } from './emailTemplates.js';
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly', 'never'];
+
+// Notification types that also go out as an immediate email
+// (saved search alerts are only emailed when the search asks for it, see utils/savedSearches.js)
+export const EMAIL_NOTIFICATION_TYPES = [
+  'join_request_decided',
+  'role_request_decided',
+  'saved_search_match',
+  'ownership_transfer_requested',
+  'ownership_transfer_decided',
+  'group_ownership_assigned'
+];
+
+let transporter;
+
+/**
+ * Build the mail transport from env.
+ *
+ * EMAIL_TRANSPORT=smtp (default when SMTP_HOST is set) sends through SMTP_HOST/SMTP_PORT,
+ * e.g. a local catch-all server such as MailHog on localhost:1025.
+ * EMAIL_TRANSPORT=log prints messages to the console instead, and
+ * EMAIL_TRANSPORT=none (default without SMTP_HOST) turns email off.
+ */
+export function createTransport() {
+  const kind = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'none');
+
+  if (kind === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  if (kind === 'log') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return null;
+}
+
+function getTransporter() {
+  if (transporter === undefined) {
+    transporter = createTransport();
+  }
+  return transporter;
+}
+
+/**
+ * Base URL used for links in emails (unsubscribe, issue and group pages)
+ */
+export function appBaseUrl() {
+  return (process.env.APP_BASE_URL || "http://localhost:3000").replace(/\/+$/, '');
+}
+
+/**
+ * Build the no-login unsubscribe link for a token.
+ * `scope` is 'all' (immediate emails and digests) or 'digest'.
+ */
+export function unsubscribeUrl(token, scope = 'all') {
+  return `${appBaseUrl()}/email/unsubscribe?token=${encodeURIComponent(token)}&scope=${scope}`;
+}
+
+/**
+ * List-Unsubscribe headers for an unsubscribe link. List-Unsubscribe-Post tells mail
+ * clients to POST to it (RFC 8058) instead of opening it.
+ */
+export function unsubscribeHeaders(url) {
+  return {
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+/**
+ * Send an email. Returns false when email is turned off.
+ */
+export async function sendMail({ to, subject, html, text, headers = {} }) {
+  const transport = getTransporter();
+  if (!transport) {
+    return false;
+  }
+
+  const info = await transport.sendMail({
+    from: process.env.EMAIL_FROM || 'Idraak <no-reply@idraak.local>',
+    to,
+    subject,
+    html,
+    text,
+    headers
+  });
+
+  if (process.env.EMAIL_TRANSPORT === 'log') {
+    console.log('[email]', info.message);
+  }
+
+  return true;
+}
+
+/**
+ * Get a user's email address and preferences, creating the preferences row
+ * (and with it the unsubscribe token) on first use.
+ */
+export async function getEmailRecipient(db, userId) {
+  await db.query(
+    `INSERT INTO email_preferences (user_id) VALUES ($1)
+     ON CONFLICT (user_id) DO NOTHING`,
+    [userId]
+  );
+
+  const result = await db.query(
+    `SELECT u.user_id, u.email, u.full_name, u.username,
+            ep.unsubscribe_token, ep.immediate_enabled, ep.digest_frequency, ep.last_digest_sent_at
+     FROM users u
+     JOIN email_preferences ep ON ep.user_id = u.user_id
+     WHERE u.user_id = $1`,
+    [userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Email a notification to its recipient when the type is one we email
+ * and the user has not turned immediate emails off.
+ */
+export async function sendNotificationEmail(db, notification) {
+  if (!EMAIL_NOTIFICATION_TYPES.includes(notification.type) || !getTransporter()) {
+    return false;
+  }
+
+  const recipient = await getEmailRecipient(db, notification.userId);
+  if (!recipient || !recipient.immediate_enabled) {
+    return false;
+  }
+
+  const unsubscribe = unsubscribeUrl(recipient.unsubscribe_token);
+  const { subject, html, text } = renderNotificationEmail({
+    recipient,
+    notification,
+    baseUrl: appBaseUrl(),
+    unsubscribeUrl: unsubscribe
+  });
+
+  return await sendMail({
+    to: recipient.email,
+    subject,
+    html,
+    text,
+    headers: unsubscribeHeaders(unsubscribe)
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * Escape text for use inside HTML
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Wrap email content in the shared HTML and plain text layout (greeting + unsubscribe footer)
+ */
+function layout({ recipient, heading, htmlBody, textBody, unsubscribeUrl, unsubscribeLabel }) {
+  const name = recipient.full_name || recipient.username;
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+      <h2 style="margin-top:0;">${escapeHtml(heading)}</h2>
+      <p>Hi ${escapeHtml(name)},</p>
+      ${htmlBody}
+      <hr style="border:none;border-top:1px solid #e4e4e7;margin:24px 0;">
+      <p style="font-size:12px;color:#71717a;">
+        You are receiving this email because you have an Idraak account.
+        <a href="${escapeHtml(unsubscribeUrl)}" style="color:#71717a;">${escapeHtml(unsubscribeLabel)}</a>
+      </p>
+    </div>
+  </body>
+</html>`;
+
+  const text = `${heading}
+
+Hi ${name},
+
+${textBody}
+
+--
+You are receiving this email because you have an Idraak account.
+${unsubscribeLabel}: ${unsubscribeUrl}
+`;
+
+  return { html, text };
+}
+
+/**
+ * Render the immediate email for a notification
+ */
+export function renderNotificationEmail({ recipient, notification, baseUrl, unsubscribeUrl }) {
+  const links = [];
+  if (notification.issueId) {
+    links.push({ label: 'View issue', url: `${baseUrl}/issues/${notification.issueId}` });
+  }
+  if (notification.groupId) {
+    links.push({ label: 'View group', url: `${baseUrl}/groups/${notification.groupId}` });
+  }
+  if (notification.data?.saved_search_id) {
+    links.push({ label: 'View new matches', url: `${baseUrl}/saved-searches/${notification.data.saved_search_id}/new` });
+  }
+
+  const htmlBody = [
+    notification.body ? `<p>${escapeHtml(notification.body)}</p>` : '',
+    ...links.map(link => `<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>`)
+  ].filter(Boolean).join('\n      ');
+
+  const textBody = [
+    notification.body || '',
+    ...links.map(link => `${link.label}: ${link.url}`)
+  ].filter(Boolean).join('\n');
+
+  const { html, text } = layout({
+    recipient,
+    heading: notification.title,
+    htmlBody: `<p>${escapeHtml(notification.title)}.</p>\n      ${htmlBody}`,
+    textBody: `${notification.title}.\n\n${textBody}`.trim(),
+    unsubscribeUrl,
+    unsubscribeLabel: 'Unsubscribe from all emails'
+  });
+
+  return { subject: notification.title, html, text };
+}
+
+function describeIssueActivity(issue) {
+  const parts = [];
+  if (issue.new_comments > 0) parts.push(plural(issue.new_comments, 'new comment'));
+  if (issue.new_upvotes > 0) parts.push(plural(issue.new_upvotes, 'new upvote'));
+  if (issue.status_changes > 0) parts.push(`status now ${issue.status.replace('_', ' ')}`);
+  return parts.join(', ');
+}
+
+function describeGroupActivity(group) {
+  const parts = [];
+  if (group.new_comments > 0) parts.push(plural(group.new_comments, 'new comment'));
+  if (group.new_upvotes > 0) parts.push(plural(group.new_upvotes, 'new upvote'));
+  if (group.pending_requests > 0) parts.push(plural(group.pending_requests, 'pending join request'));
+  return parts.join(', ');
+}
+
+/**
+ * Render the activity digest for the issues and groups a user owns
+ */
+export function renderDigestEmail({ recipient, frequency, issues, groups, baseUrl, unsubscribeUrl }) {
+  const period = frequency === 'daily' ? 'today' : 'this week';
+  const heading = `Your ${frequency} Idraak digest`;
+
+  const sections = [];
+  if (issues.length > 0) {
+    sections.push({
+      title: 'Your issues',
+      items: issues.map(issue => ({
+        name: issue.title,
+        url: `${baseUrl}/issues/${issue.issue_id}`,
+        summary: describeIssueActivity(issue)
+      }))
+    });
+  }
+  if (groups.length > 0) {
+    sections.push({
+      title: 'Your groups',
+      items: groups.map(group => ({
+        name: group.name,
+        url: `${baseUrl}/groups/${group.group_id}`,
+        summary: describeGroupActivity(group)
+      }))
+    });
+  }
+
+  const htmlBody = `<p>Here is what happened on your issues and groups ${period}.</p>
+      ${sections.map(section => `<h3>${escapeHtml(section.title)}</h3>
+      <ul>
+        ${section.items.map(item => `<li><a href="${escapeHtml(item.url)}">${escapeHtml(item.name)}</a>: ${escapeHtml(item.summary)}</li>`).join('\n        ')}
+      </ul>`).join('\n      ')}`;
+
+  const textBody = `Here is what happened on your issues and groups ${period}.
+
+${sections.map(section => `${section.title}
+${section.items.map(item => `- ${item.name}: ${item.summary}\n  ${item.url}`).join('\n')}`).join('\n\n')}`;
+
+  const { html, text } = layout({
+    recipient,
+    heading,
+    htmlBody,
+    textBody,
+    unsubscribeUrl,
+    unsubscribeLabel: 'Unsubscribe from digests'
+  });
+
+  return { subject: heading, html, text };
+}
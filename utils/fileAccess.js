@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+
+const DEFAULT_SIGNED_URL_TTL_SECONDS = 15 * 60;
+
+// Issue statuses whose attachments only the owner, the uploader and admins may fetch
+export const RESTRICTED_ATTACHMENT_STATUSES = ['rejected'];
+
+function signingSecret() {
+  return process.env.FILE_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-this';
+}
+
+/**
+ * Lifetime of signed URLs in seconds (SIGNED_URL_TTL_SECONDS, default 15 minutes)
+ */
+export function signedUrlTtlSeconds() {
+  const ttl = Number(process.env.SIGNED_URL_TTL_SECONDS ?? DEFAULT_SIGNED_URL_TTL_SECONDS);
+  return Number.isFinite(ttl) && ttl > 0 ? Math.floor(ttl) : DEFAULT_SIGNED_URL_TTL_SECONDS;
+}
+
+/**
+ * Identify who a URL is signed for: "user:<id>" or "admin:<id>"
+ */
+export function viewerFromToken(user) {
+  if (!user) return null;
+  if (user.type === 'admin' && user.adminId) return `admin:${user.adminId}`;
+  if (user.userId) return `user:${user.userId}`;
+  return null;
+}
+
+function signature(issueId, attachmentId, viewer, expires) {
+  return crypto
+    .createHmac('sha256', signingSecret())
+    .update(`${issueId}:${attachmentId}:${viewer}:${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Build a signed download URL for an attachment, valid for `ttlSeconds`
+ */
+export function signAttachmentUrl(issueId, attachmentId, viewer, ttlSeconds = signedUrlTtlSeconds()) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const params = new URLSearchParams({
+    viewer,
+    expires: String(expires),
+    signature: signature(issueId, attachmentId, viewer, expires)
+  });
+
+  return {
+    url: `/issues/${issueId}/attachments/${attachmentId}/download?${params}`,
+    expires_at: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Check a download URL's signature and expiry. Returns the viewer it was signed for, or null.
+ */
+export function verifyAttachmentSignature(issueId, attachmentId, { viewer, expires, signature: given }) {
+  if (!viewer || !expires || !given) {
+    return null;
+  }
+
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(issueId, attachmentId, viewer, expiresAt));
+  const actual = Buffer.from(String(given));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return viewer;
+}
+
+/**
+ * Whether a viewer may fetch an attachment. `attachment` needs uploaded_by, issue_owner_id
+ * and issue_status. Attachments of rejected issues are private to the issue owner,
+ * the uploader and admins; otherwise any signed-in user may fetch them.
+ */
+export function canViewAttachment(viewer, attachment) {
+  if (!viewer) return false;
+  if (viewer.startsWith('admin:')) return true;
+
+  if (!RESTRICTED_ATTACHMENT_STATUSES.includes(attachment.issue_status)) {
+    return true;
+  }
+
+  const userId = viewer.slice('user:'.length);
+  return userId === attachment.issue_owner_id || userId === attachment.uploaded_by;
+}
+
+/**
+ * Add a signed `download_url` (and its expiry) to attachments the viewer may fetch;
+ * the others get null. `issue` needs issue_id, user_id and status.
+ * The storage location (`file_path`) is never part of a response.
+ */
+export function withDownloadUrls(attachments, issue, viewer) {
+  return attachments.map(({ file_path: filePath, ...attachment }) => {
+    const visible = canViewAttachment(viewer, {
+      uploaded_by: attachment.uploaded_by,
+      issue_owner_id: issue.user_id,
+      issue_status: issue.status
+    });
+    const signed = visible ? signAttachmentUrl(issue.issue_id, attachment.attachment_id, viewer) : null;
+
+    return {
+      ...attachment,
+      download_url: signed?.url ?? null,
+      download_url_expires_at: signed?.expires_at ?? null
+    };
+  });
+}
+
+/**
+ * Content-Disposition value with a filename that survives non-ASCII names (RFC 6266)
+ */
+export function contentDisposition(type, filename) {
+  if (!filename) {
+    return type;
+  }
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
@@ -0,0 +1,102 @@
+const METERS_PER_DEGREE_LAT = 111320;
+
+export const DEFAULT_NEARBY_RADIUS_M = 1000;
+export const MAX_NEARBY_RADIUS_M = 50000;
+
+// Most saved locations a user may have (each adds a source to the home feed)
+export const MAX_SAVED_LOCATIONS = 10;
+
+/**
+ * Parse optional latitude/longitude input (strings from multipart forms or numbers).
+ * Returns null when neither is given and throws when only one is given or a value is out of range.
+ */
+export function parseCoordinates(latitude, longitude) {
+  const hasLat = latitude !== undefined && latitude !== null && latitude !== '';
+  const hasLng = longitude !== undefined && longitude !== null && longitude !== '';
+
+  if (!hasLat && !hasLng) {
+    return null;
+  }
+
+  if (!hasLat || !hasLng) {
+    throw new Error("Both latitude and longitude are required");
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw new Error("Latitude must be a number between -90 and 90");
+  }
+
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw new Error("Longitude must be a number between -180 and 180");
+  }
+
+  return { latitude: lat, longitude: lng };
+}
+
+/**
+ * Parse a `bbox` query param in GeoJSON order: "minLng,minLat,maxLng,maxLat".
+ * Returns null when not given and throws when malformed.
+ */
+export function parseBoundingBox(value) {
+  if (!value) {
+    return null;
+  }
+
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+    throw new Error("bbox must be minLng,minLat,maxLng,maxLat");
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+
+  if (minLat < -90 || maxLat > 90 || minLat > maxLat) {
+    throw new Error("bbox latitudes must be between -90 and 90 with minLat <= maxLat");
+  }
+
+  if (minLng < -180 || maxLng > 180) {
+    throw new Error("bbox longitudes must be between -180 and 180");
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+/**
+ * Get the bounding box that encloses a circle, used to pre-filter rows
+ * before computing exact distances.
+ */
+export function boundingBoxAround(latitude, longitude, radiusM) {
+  const latDelta = radiusM / METERS_PER_DEGREE_LAT;
+  const cosLat = Math.cos(latitude * Math.PI / 180);
+  const lngDelta = cosLat > 0.000001 ? radiusM / (METERS_PER_DEGREE_LAT * cosLat) : 360;
+
+  const minLat = Math.max(latitude - latDelta, -90);
+  const maxLat = Math.min(latitude + latDelta, 90);
+
+  // Near the poles or for huge radii every longitude is in range
+  if (lngDelta >= 180 || minLat === -90 || maxLat === 90) {
+    return { minLng: -180, minLat, maxLng: 180, maxLat };
+  }
+
+  // Wrap across the antimeridian; minLng > maxLng means the box crosses it
+  const wrap = (lng) => ((lng + 540) % 360) - 180;
+  return { minLng: wrap(longitude - lngDelta), minLat, maxLng: wrap(longitude + lngDelta), maxLat };
+}
+
+/**
+ * Build a SQL condition restricting `alias`.latitude/longitude to a bounding box.
+ * Pushes its values onto `params` and returns the condition string.
+ */
+export function boundingBoxCondition(alias, bbox, params) {
+  params.push(bbox.minLat, bbox.maxLat);
+  const latCondition = `${alias}.latitude BETWEEN $${params.length - 1} AND $${params.length}`;
+
+  params.push(bbox.minLng, bbox.maxLng);
+  const lngCondition = bbox.minLng <= bbox.maxLng
+    ? `${alias}.longitude BETWEEN $${params.length - 1} AND $${params.length}`
+    : `(${alias}.longitude >= $${params.length - 1} OR ${alias}.longitude <= $${params.length})`;
+
+  return `${latCondition} AND ${lngCondition}`;
+}
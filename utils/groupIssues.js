@@ -0,0 +1,25 @@
+// An issue can be in any number of groups (group_issues). These build the SQL to read that
+// for an issues alias, e.g. groupIdsSelect('i').
+
+/**
+ * Select list entry: ids of the groups an issue is in, in the order it joined them
+ */
+export function groupIdsSelect(alias) {
+  return `ARRAY(SELECT gi.group_id FROM group_issues gi
+                WHERE gi.issue_id = ${alias}.issue_id ORDER BY gi.added_at, gi.group_id) as group_ids`;
+}
+
+/**
+ * Condition: the issue is in the group given by `placeholder` (e.g. '$2')
+ */
+export function inGroupCondition(alias, placeholder) {
+  return `EXISTS (SELECT 1 FROM group_issues gi
+                  WHERE gi.issue_id = ${alias}.issue_id AND gi.group_id = ${placeholder})`;
+}
+
+/**
+ * Condition: the issue is not in any group
+ */
+export function notInGroupCondition(alias) {
+  return `NOT EXISTS (SELECT 1 FROM group_issues gi WHERE gi.issue_id = ${alias}.issue_id)`;
+}
@@ -0,0 +1,61 @@
+// Member roles, most powerful first. A group can have several owners: the primary owner
+// (groups.owner_id) and co-owners, who share the owner's powers.
+export const GROUP_ROLES = ['owner', 'moderator', 'member'];
+
+// Roles an owner can give; 'owner' makes a co-owner. The primary owner only changes by transfer.
+export const ASSIGNABLE_GROUP_ROLES = ['owner', 'moderator', 'member'];
+
+/**
+ * A user's membership of a group ({ role, joined_at, is_primary_owner }), or null when
+ * they are not a member
+ */
+export async function getMembership(db, groupId, userId) {
+  if (!userId) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT gm.role, gm.joined_at, (g.owner_id IS NOT DISTINCT FROM gm.user_id) as is_primary_owner
+     FROM group_members gm
+     JOIN groups g ON gm.group_id = g.group_id
+     WHERE gm.group_id = $1 AND gm.user_id = $2`,
+    [groupId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Owners (primary or co-owner) can edit and delete the group and set member roles
+ */
+export function isOwner(membership) {
+  return membership?.role === 'owner';
+}
+
+/**
+ * Owners and moderators can accept join requests, remove members and delete comments
+ */
+export function canModerate(membership) {
+  return membership?.role === 'owner' || membership?.role === 'moderator';
+}
+
+/**
+ * Whether `actor` can set the role of `target`: nobody can change the primary owner, only the
+ * primary owner can change co-owners, and any owner everyone else
+ */
+export function canChangeRole(actor, target) {
+  if (!actor || !target || target.is_primary_owner) {
+    return false;
+  }
+  if (target.role === 'owner') {
+    return Boolean(actor.is_primary_owner);
+  }
+  return isOwner(actor);
+}
+
+/**
+ * Whether `actor` can remove `target` from a group: whoever can change their role, and
+ * moderators can also remove plain members
+ */
+export function canRemoveMember(actor, target) {
+  return canChangeRole(actor, target) || (actor?.role === 'moderator' && target?.role === 'member');
+}
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { storeFile, removeStoredFile } from './storage.js';
+import { UploadError } from './uploadPolicy.js';
+
+// Variant name -> longest side in pixels (images are never enlarged)
+export const IMAGE_VARIANTS = {
+  thumb: 200,
+  medium: 800,
+  full: 1920
+};
+
+const IMAGE_QUALITY = 80;
+
+/**
+ * Output format for processed images: IMAGE_FORMAT=jpeg, otherwise WebP
+ */
+function outputFormat() {
+  return process.env.IMAGE_FORMAT === 'jpeg'
+    ? { format: 'jpeg', ext: 'jpg' }
+    : { format: 'webp', ext: 'webp' };
+}
+
+/**
+ * Normalise an uploaded image and store its size variants under `folder` (e.g. "issues").
+ *
+ * Orientation is fixed from EXIF, all metadata (including GPS) is dropped and the
+ * image is re-encoded. The staged upload is deleted.
+ * Returns a map of variant name -> public URL, e.g. { thumb, medium, full }.
+ * Throws an INVALID_IMAGE UploadError when the file is not a readable image.
+ */
+export async function processImage(file, folder) {
+  const { format, ext } = outputFormat();
+  const baseName = path.parse(file.filename).name;
+
+  const variants = {};
+  try {
+    // Decode once; rotate() applies the EXIF orientation, and sharp drops metadata unless asked to keep it
+    const image = sharp(file.path, { failOn: 'error' }).rotate();
+
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+      const filename = `${baseName}-${name}.${ext}`;
+      const variantPath = path.join(path.dirname(file.path), filename);
+
+      try {
+        await image
+          .clone()
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+          .toFormat(format, { quality: IMAGE_QUALITY })
+          .toFile(variantPath);
+      } catch (err) {
+        throw new UploadError('INVALID_IMAGE', "Uploaded file is not a valid image");
+      }
+
+      try {
+        variants[name] = await storeFile(variantPath, `${folder}/${filename}`);
+      } finally {
+        await fs.promises.unlink(variantPath).catch(() => { });
+      }
+    }
+
+    return variants;
+  } catch (err) {
+    await removeImageVariants(variants);
+    throw err;
+  } finally {
+    await fs.promises.unlink(file.path).catch(() => { });
+  }
+}
+
+/**
+ * Delete every file of a variants map
+ */
+export async function removeImageVariants(variants) {
+  if (!variants) {
+    return;
+  }
+  await Promise.all(Object.values(variants).map(url => removeStoredFile(url)));
+}
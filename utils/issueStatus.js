@@ -0,0 +1,59 @@
+export const ISSUE_STATUSES = [
+  'open',
+  'acknowledged',
+  'in_progress',
+  'resolved',
+  'closed',
+  'rejected',
+  'duplicate'
+];
+
+// Allowed transitions: current status -> statuses it may move to
+const TRANSITIONS = {
+  open: ['acknowledged', 'in_progress', 'resolved', 'rejected', 'duplicate'],
+  acknowledged: ['open', 'in_progress', 'resolved', 'rejected', 'duplicate'],
+  in_progress: ['acknowledged', 'resolved', 'rejected', 'duplicate'],
+  resolved: ['in_progress', 'closed', 'open'],
+  closed: ['open'],
+  rejected: ['open'],
+  duplicate: ['open']
+};
+
+/**
+ * Check whether a status value is known
+ */
+export function isValidStatus(status) {
+  return ISSUE_STATUSES.includes(status);
+}
+
+/**
+ * Check whether an issue may move from one status to another
+ */
+export function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Get the statuses an issue may move to from its current status
+ */
+export function allowedTransitions(fromStatus) {
+  return TRANSITIONS[fromStatus] || [];
+}
+
+/**
+ * Parse a `status` query param ("open" or "open,in_progress") into a list.
+ * Returns null when no filter was given and throws on unknown statuses.
+ */
+export function parseStatusFilter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const statuses = String(value).split(',').map(s => s.trim()).filter(Boolean);
+  const invalid = statuses.filter(s => !isValidStatus(s));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid status: ${invalid.join(', ')}`);
+  }
+
+  return statuses.length > 0 ? statuses : null;
+}
@@ -0,0 +1,136 @@
+import { sendNotificationEmail } from './email.js';
+
+export const NOTIFICATION_TYPES = [
+  'issue_comment',
+  'group_comment',
+  'issue_upvote_milestone',
+  'group_upvote_milestone',
+  'join_request_decided',
+  'role_request_decided',
+  'saved_search_match',
+  'ownership_transfer_requested',
+  'ownership_transfer_decided',
+  'group_ownership_assigned'
+];
+
+// Weighted upvote counts that trigger a milestone notification
+export const UPVOTE_MILESTONES = [10, 25, 50, 100, 250, 500, 1000, 5000, 10000];
+
+/**
+ * Check whether a notification type is known
+ */
+export function isValidNotificationType(type) {
+  return NOTIFICATION_TYPES.includes(type);
+}
+
+/**
+ * Get the highest milestone reached by an upvote count, or null
+ */
+export function reachedMilestone(upvoteCount) {
+  const reached = UPVOTE_MILESTONES.filter(m => upvoteCount >= m);
+  return reached.length > 0 ? reached[reached.length - 1] : null;
+}
+
+/**
+ * Create an in-app notification for a user, honouring their preferences.
+ * Users are never notified about their own actions.
+ * Returns the created notification, or null when it was skipped.
+ */
+export async function createNotification(db, {
+  userId,
+  type,
+  title,
+  body = null,
+  actorId = null,
+  issueId = null,
+  groupId = null,
+  data = {}
+}) {
+  if (!userId || (actorId && actorId === userId)) {
+    return null;
+  }
+
+  // Only insert when the user has not turned this type off (no row means enabled)
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, type, title, body, actor_id, issue_id, group_id, data)
+     SELECT $1, $2, $3, $4, $5, $6, $7, $8
+     WHERE NOT EXISTS (
+       SELECT 1 FROM notification_preferences
+       WHERE user_id = $1 AND event_type = $2 AND in_app = false
+     )
+     RETURNING notification_id, user_id, type, title, body, actor_id, issue_id, group_id, data, is_read, created_at`,
+    [userId, type, title, body, actorId, issueId, groupId, data]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Fire-and-forget wrapper around createNotification.
+ * A failed notification is logged and never fails the request that caused it.
+ * Important events are also emailed (in the background, see utils/email.js).
+ */
+export async function notify(db, notification) {
+  if (notification.userId && notification.actorId !== notification.userId) {
+    sendNotificationEmail(db, notification).catch(err => {
+      console.error(`Error emailing ${notification.type} notification:`, err);
+    });
+  }
+
+  try {
+    return await createNotification(db, notification);
+  } catch (err) {
+    console.error(`Error creating ${notification.type} notification:`, err);
+    return null;
+  }
+}
+
+/**
+ * Notify the owner of an issue or group when its weighted upvote count reaches a milestone.
+ * Each milestone is only announced once per issue/group.
+ */
+export async function notifyUpvoteMilestone(db, { targetType, targetId, upvoteCount }) {
+  const milestone = reachedMilestone(upvoteCount);
+  if (!milestone) {
+    return null;
+  }
+
+  try {
+    const isIssue = targetType === 'issue';
+    const type = isIssue ? 'issue_upvote_milestone' : 'group_upvote_milestone';
+
+    const targetResult = await db.query(
+      isIssue
+        ? "SELECT user_id as owner_id, title as name FROM issues WHERE issue_id = $1"
+        : "SELECT owner_id, name FROM groups WHERE group_id = $1",
+      [targetId]
+    );
+    if (targetResult.rows.length === 0) {
+      return null;
+    }
+
+    const alreadySent = await db.query(
+      `SELECT 1 FROM notifications
+       WHERE type = $1 AND ${isIssue ? 'issue_id' : 'group_id'} = $2 AND (data->>'milestone')::int = $3`,
+      [type, targetId, milestone]
+    );
+    if (alreadySent.rows.length > 0) {
+      return null;
+    }
+
+    const { owner_id: ownerId, name } = targetResult.rows[0];
+
+    return await createNotification(db, {
+      userId: ownerId,
+      type,
+      title: `Your ${isIssue ? 'issue' : 'group'} reached ${milestone} upvotes`,
+      body: name,
+      issueId: isIssue ? targetId : null,
+      groupId: isIssue ? null : targetId,
+      data: { milestone, upvote_count: upvoteCount }
+    });
+  } catch (err) {
+    console.error("Error creating upvote milestone notification:", err);
+    return null;
+  }
+}
@@ -0,0 +1,122 @@
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How each key type is written into a cursor and checked when it comes back
+const KEY_TYPES = {
+  // Fixed-width UTC text keeps the microseconds JS dates would drop, and sorts as text
+  timestamptz: {
+    select: column => `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')`,
+    valid: value => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+  },
+  uuid: {
+    select: column => `${column}::text`,
+    valid: value => typeof value === 'string' && UUID_PATTERN.test(value)
+  },
+  int4: {
+    select: column => column,
+    valid: value => Number.isSafeInteger(value)
+  },
+  float8: {
+    select: column => `${column}::float8`,
+    valid: value => Number.isFinite(value)
+  }
+};
+
+/**
+ * Describe a sort order for cursor pagination: [column, type] pairs, the last one unique
+ * (usually the primary key), all sorted in `direction`.
+ *   keyset([['i.posted_at', 'timestamptz'], ['i.issue_id', 'uuid']])
+ */
+export function keyset(keys, direction = 'DESC') {
+  return { keys, direction };
+}
+
+/**
+ * ORDER BY clause for a keyset
+ */
+export function keysetOrderBy({ keys, direction }) {
+  return keys.map(([column]) => `${column} ${direction}`).join(', ');
+}
+
+/**
+ * Select expression for a row's position, read back by pageOf() as `page_key`
+ */
+export function keysetSelect({ keys }) {
+  return `json_build_array(${keys.map(([column, type]) => KEY_TYPES[type].select(column)).join(', ')}) as page_key`;
+}
+
+/**
+ * WHERE condition for rows after the cursor position `after`
+ */
+export function keysetCondition({ keys, direction }, after, params) {
+  const placeholders = keys.map(([, type], index) => {
+    params.push(after[index]);
+    return `$${params.length}::${type}`;
+  });
+  const operator = direction === 'DESC' ? '<' : '>';
+  return `(${keys.map(([column]) => column).join(', ')}) ${operator} (${placeholders.join(', ')})`;
+}
+
+/**
+ * Compare two `page_key`s in keyset order, for merging pages from several queries
+ */
+export function compareKeys({ direction }, a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      const ascending = a[i] < b[i] ? -1 : 1;
+      return direction === 'DESC' ? -ascending : ascending;
+    }
+  }
+  return 0;
+}
+
+export function encodeCursor(pageKey) {
+  return Buffer.from(JSON.stringify(pageKey)).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor for a keyset. Throws when it is malformed or from another list.
+ */
+export function decodeCursor(cursor, { keys }) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+
+  if (!Array.isArray(values) || values.length !== keys.length
+    || !keys.every(([, type], index) => KEY_TYPES[type].valid(values[index]))) {
+    throw new Error("Invalid cursor");
+  }
+
+  return values;
+}
+
+/**
+ * Parse `limit` and `cursor` query params. `limit` is capped at `maxLimit`.
+ * Returns { limit, after } where `after` is null for the first page; throws on a bad cursor.
+ */
+export function parsePageQuery(query, set, { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) {
+  const requested = parseInt(query.limit);
+  const limit = Math.min(requested > 0 ? requested : defaultLimit, maxLimit);
+  const after = query.cursor ? decodeCursor(query.cursor, set) : null;
+
+  return { limit, after };
+}
+
+/**
+ * Turn up to `limit + 1` rows into a page: the extra row only tells whether there is a
+ * next page. `page_key` is removed from the returned items.
+ */
+export function pageOf(rows, limit) {
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    items: items.map(({ page_key, ...item }) => item),
+    next_cursor: rows.length > limit && last ? encodeCursor(last.page_key) : null
+  };
+}
@@ -0,0 +1,102 @@
+import { keyset } from './pagination.js';
+
+// ?sort= values accepted by the feeds and GET /issues
+export const FEED_SORTS = ['hot', 'top', 'new', 'rising'];
+
+// ?window= values for sort=top
+export const TOP_WINDOWS = {
+  day: '1 day',
+  week: '7 days',
+  month: '30 days',
+  all: null
+};
+
+// Rising scores depend on the clock, so they are recomputed this often
+export const RISING_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * Parse a `sort` query param. Returns `defaultSort` when not given and throws when unknown.
+ */
+export function parseSort(value, defaultSort = 'new') {
+  if (value === undefined || value === '') {
+    return defaultSort;
+  }
+  if (!FEED_SORTS.includes(value)) {
+    throw new Error(`sort must be one of: ${FEED_SORTS.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Parse a `window` query param for sort=top (default "all")
+ */
+export function parseTopWindow(value) {
+  if (value === undefined || value === '') {
+    return 'all';
+  }
+  if (!Object.hasOwn(TOP_WINDOWS, value)) {
+    throw new Error(`window must be one of: ${Object.keys(TOP_WINDOWS).join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Cursor keyset for a sort. `columns` names the table alias, its id column and the
+ * column it is dated by, e.g. { alias: 'i', id: 'issue_id', time: 'posted_at' }.
+ * The scores are precomputed columns (see migrations/add_feed_ranking.sql).
+ */
+export function sortKeys(sort, { alias, id, time }) {
+  const idKey = [`${alias}.${id}`, 'uuid'];
+  const timeKey = [`${alias}.${time}`, 'timestamptz'];
+
+  switch (sort) {
+    case 'hot':
+      return keyset([[`${alias}.hot_score`, 'float8'], idKey]);
+    case 'top':
+      return keyset([[`${alias}.upvote_count`, 'int4'], timeKey, idKey]);
+    case 'rising':
+      return keyset([[`${alias}.rising_score`, 'float8'], timeKey, idKey]);
+    default:
+      return keyset([timeKey, idKey]);
+  }
+}
+
+/**
+ * SQL condition limiting sort=top to its window, or null when nothing is excluded
+ */
+export function topWindowCondition(sort, window, timeColumn) {
+  const interval = sort === 'top' ? TOP_WINDOWS[window] : null;
+  return interval ? `${timeColumn} >= NOW() - interval '${interval}'` : null;
+}
+
+/**
+ * Recompute rising scores of recent issues and groups. Returns how many rows changed.
+ */
+export async function refreshRisingScores(db) {
+  const result = await db.query("SELECT refresh_rising_scores() as updated");
+  return result.rows[0].updated;
+}
+
+/**
+ * Refresh rising scores now and every `intervalMs`
+ */
+export function startRankingWorker(db, intervalMs = RISING_REFRESH_MS) {
+  let running = false;
+
+  const refresh = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await refreshRisingScores(db);
+    } catch (err) {
+      console.error("Error refreshing rising scores:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  refresh();
+  const timer = setInterval(refresh, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,121 @@
+import pkg from 'pg';
+
+const { Client } = pkg;
+
+// Postgres channel the realtime triggers publish on (see migrations/add_realtime_events.sql)
+export const REALTIME_PG_CHANNEL = 'idraak_events';
+
+// Most issues/groups a single stream may follow
+export const MAX_STREAM_SUBSCRIPTIONS = 50;
+
+const HEARTBEAT_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// channel ("issue:<id>", "group:<id>", "user:<id>") -> Set of SSE responses
+const subscribers = new Map();
+
+let eventCounter = 0;
+
+/**
+ * Write one SSE event to a response
+ */
+export function writeEvent(res, event, data) {
+  eventCounter++;
+  res.write(`id: ${eventCounter}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Forward an event to every stream subscribed to its channel
+ */
+export function dispatch({ channel, event, data }) {
+  const streams = subscribers.get(channel);
+  if (!streams) {
+    return;
+  }
+
+  for (const res of streams) {
+    writeEvent(res, event, { channel, ...data });
+  }
+}
+
+/**
+ * Subscribe an SSE response to some channels until the client disconnects
+ */
+export function subscribe(res, channels) {
+  for (const channel of channels) {
+    if (!subscribers.has(channel)) {
+      subscribers.set(channel, new Set());
+    }
+    subscribers.get(channel).add(res);
+  }
+
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    for (const channel of channels) {
+      const streams = subscribers.get(channel);
+      if (streams) {
+        streams.delete(res);
+        if (streams.size === 0) {
+          subscribers.delete(channel);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Parse a comma separated list of ids (`?issues=a,b`). Returns [] when not given.
+ */
+export function parseIdList(value) {
+  if (!value) {
+    return [];
+  }
+  return [...new Set(String(value).split(',').map(id => id.trim()).filter(Boolean))];
+}
+
+/**
+ * LISTEN for realtime events on a dedicated connection (a pooled client would be
+ * handed to other queries) and dispatch them to local subscribers.
+ * Reconnects after the connection drops.
+ */
+export function startRealtimeListener(config) {
+  const connect = async () => {
+    const client = new Client(config);
+    let reconnecting = false;
+
+    const reconnect = () => {
+      if (reconnecting) return;
+      reconnecting = true;
+      client.removeAllListeners();
+      client.end().catch(() => { });
+      setTimeout(connect, RECONNECT_DELAY_MS);
+    };
+
+    client.on('notification', (msg) => {
+      if (msg.channel !== REALTIME_PG_CHANNEL) return;
+      try {
+        dispatch(JSON.parse(msg.payload));
+      } catch (err) {
+        console.error("Error dispatching realtime event:", err);
+      }
+    });
+
+    client.on('error', (err) => {
+      console.error("Realtime listener connection error:", err);
+      reconnect();
+    });
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${REALTIME_PG_CHANNEL}`);
+    } catch (err) {
+      console.error("Error starting realtime listener:", err);
+      reconnect();
+    }
+  };
+
+  connect();
+}
@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { UPLOAD_STAGING_DIR } from './storage.js';
+import { UploadError, checkFileType, checkStorageQuota } from './uploadPolicy.js';
+
+// Partial files live here until they are attached to an issue
+export const RESUMABLE_DIR = path.join(UPLOAD_STAGING_DIR, 'resumable');
+
+// Largest chunk accepted by one PATCH request
+export const MAX_CHUNK_BYTES = 10 * 1024 * 1024;
+
+// Uploads not attached within this time are discarded by the uploads GC
+export const RESUMABLE_UPLOAD_TTL_HOURS = 24;
+
+// Matches the default storage quota (UPLOAD_QUOTA_MB), which the declared size is reserved
+// against; raise both for larger files
+const DEFAULT_MAX_SIZE_MB = 200;
+
+// Columns returned for an upload
+export const RESUMABLE_UPLOAD_COLUMNS = `upload_id, original_filename, size_bytes, received_bytes,
+  checksum_sha256, mime_type, status, attachment_id, created_at, updated_at, expires_at`;
+
+/**
+ * Largest file a resumable upload may declare, from RESUMABLE_UPLOAD_MAX_MB (default 200)
+ */
+export function maxResumableSizeBytes() {
+  const mb = Number(process.env.RESUMABLE_UPLOAD_MAX_MB ?? DEFAULT_MAX_SIZE_MB);
+  return Math.floor((Number.isFinite(mb) && mb > 0 ? mb : DEFAULT_MAX_SIZE_MB) * 1024 * 1024);
+}
+
+/**
+ * Path of an upload's partial file
+ */
+export function resumablePath(uploadId) {
+  return path.join(RESUMABLE_DIR, `${uploadId}.part`);
+}
+
+/**
+ * Validate a create request: { filename, size_bytes, checksum_sha256 }
+ */
+export function parseUploadRequest({ filename, size_bytes, checksum_sha256 } = {}) {
+  const name = typeof filename === 'string' ? path.basename(filename.trim()) : '';
+  if (!name) {
+    throw new UploadError('INVALID_UPLOAD', "filename is required");
+  }
+
+  const size = Number(size_bytes);
+  if (!Number.isSafeInteger(size) || size <= 0) {
+    throw new UploadError('INVALID_UPLOAD', "size_bytes must be a positive integer");
+  }
+
+  const maxSize = maxResumableSizeBytes();
+  if (size > maxSize) {
+    throw new UploadError('FILE_TOO_LARGE', `Files can be at most ${maxSize} bytes`, 413, { max_bytes: maxSize });
+  }
+
+  const checksum = typeof checksum_sha256 === 'string' ? checksum_sha256.trim().toLowerCase() : '';
+  if (!/^[0-9a-f]{64}$/.test(checksum)) {
+    throw new UploadError('INVALID_UPLOAD', "checksum_sha256 must be a hex encoded SHA-256 digest");
+  }
+
+  return { filename: name, size, checksum };
+}
+
+/**
+ * Start an upload: reserve quota, record it and create its empty partial file
+ */
+export async function createResumableUpload(db, userId, body) {
+  const { filename, size, checksum } = parseUploadRequest(body);
+
+  await checkStorageQuota(db, userId, size);
+
+  const result = await db.query(
+    `INSERT INTO resumable_uploads (user_id, original_filename, size_bytes, checksum_sha256, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))
+     RETURNING ${RESUMABLE_UPLOAD_COLUMNS}`,
+    [userId, filename, size, checksum, RESUMABLE_UPLOAD_TTL_HOURS]
+  );
+  const upload = result.rows[0];
+
+  await fs.promises.mkdir(RESUMABLE_DIR, { recursive: true });
+  await fs.promises.writeFile(resumablePath(upload.upload_id), '');
+
+  return upload;
+}
+
+/**
+ * Write a chunk at `offset`, which must equal the bytes received so far.
+ * The upload row stays locked (SELECT ... FOR UPDATE) from the offset check until the
+ * offset is advanced, so a retried, duplicated or concurrent chunk for the same offset
+ * waits and is then rejected with OFFSET_MISMATCH instead of overwriting the first one.
+ * `db` is a pool; the lock needs a client of its own.
+ */
+export async function appendChunk(db, upload, offset, chunk) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const lockResult = await client.query(
+      `SELECT status, received_bytes, size_bytes FROM resumable_uploads
+       WHERE upload_id = $1
+       FOR UPDATE`,
+      [upload.upload_id]
+    );
+    const current = lockResult.rows[0];
+    if (!current) {
+      throw new UploadError('UPLOAD_NOT_FOUND', "Upload not found", 404);
+    }
+
+    if (current.status !== 'uploading') {
+      throw new UploadError('UPLOAD_NOT_IN_PROGRESS', `Upload is already ${current.status}`, 409);
+    }
+
+    const received = Number(current.received_bytes);
+    if (offset !== received) {
+      throw new UploadError('OFFSET_MISMATCH', "Upload-Offset does not match the bytes received", 409, {
+        received_bytes: received
+      });
+    }
+
+    if (received + chunk.length > Number(current.size_bytes)) {
+      throw new UploadError('CHUNK_TOO_LARGE', "Chunk goes past the declared size_bytes", 400, {
+        received_bytes: received
+      });
+    }
+
+    const handle = await fs.promises.open(resumablePath(upload.upload_id), 'r+');
+    try {
+      await handle.write(chunk, 0, chunk.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    const result = await client.query(
+      `UPDATE resumable_uploads
+       SET received_bytes = received_bytes + $2, updated_at = NOW()
+       WHERE upload_id = $1
+       RETURNING ${RESUMABLE_UPLOAD_COLUMNS}`,
+      [upload.upload_id, chunk.length]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => { });
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * SHA-256 of a file as hex
+ */
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Finish an upload once every byte has arrived: verify the checksum and check the
+ * content against the attachment allowlist. A checksum mismatch restarts the upload
+ * from zero, since there is no way to tell which chunk was damaged.
+ */
+export async function completeResumableUpload(db, upload) {
+  if (upload.status !== 'uploading') {
+    throw new UploadError('UPLOAD_NOT_IN_PROGRESS', `Upload is already ${upload.status}`, 409);
+  }
+
+  if (Number(upload.received_bytes) !== Number(upload.size_bytes)) {
+    throw new UploadError('UPLOAD_INCOMPLETE', "Not all bytes have been received", 409, {
+      received_bytes: Number(upload.received_bytes),
+      size_bytes: Number(upload.size_bytes)
+    });
+  }
+
+  const filePath = resumablePath(upload.upload_id);
+  const checksum = await sha256File(filePath);
+  if (checksum !== upload.checksum_sha256) {
+    await fs.promises.truncate(filePath, 0);
+    await db.query(
+      "UPDATE resumable_uploads SET received_bytes = 0, updated_at = NOW() WHERE upload_id = $1",
+      [upload.upload_id]
+    );
+    throw new UploadError('CHECKSUM_MISMATCH', "Checksum does not match; upload the file again from offset 0", 422, {
+      expected_sha256: upload.checksum_sha256,
+      actual_sha256: checksum
+    });
+  }
+
+  let mimeType;
+  try {
+    mimeType = await checkFileType(filePath, upload.original_filename, 'attachment');
+  } catch (err) {
+    // Nothing the client can resume; drop the upload and its reserved quota
+    await discardResumableUpload(db, upload.upload_id);
+    throw err;
+  }
+
+  const result = await db.query(
+    `UPDATE resumable_uploads SET status = 'completed', mime_type = $2, updated_at = NOW()
+     WHERE upload_id = $1 AND status = 'uploading'
+     RETURNING ${RESUMABLE_UPLOAD_COLUMNS}`,
+    [upload.upload_id, mimeType]
+  );
+
+  if (result.rows.length === 0) {
+    throw new UploadError('UPLOAD_NOT_IN_PROGRESS', "Upload was completed by another request", 409);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Delete an upload's row and partial file
+ */
+export async function discardResumableUpload(db, uploadId) {
+  await db.query("DELETE FROM resumable_uploads WHERE upload_id = $1", [uploadId]);
+  await fs.promises.unlink(resumablePath(uploadId)).catch(() => { });
+}
+
+/**
+ * Remove expired uploads: unfinished ones with their partial file, attached ones
+ * (whose file now belongs to the attachment) just their row. Returns how many expired.
+ */
+export async function expireResumableUploads(db, { dryRun = false } = {}) {
+  const result = await db.query(
+    "SELECT upload_id FROM resumable_uploads WHERE expires_at <= NOW()"
+  );
+
+  if (!dryRun) {
+    for (const row of result.rows) {
+      await discardResumableUpload(db, row.upload_id);
+    }
+  }
+
+  return result.rows.length;
+}
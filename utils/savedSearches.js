@@ -0,0 +1,208 @@
+import { compareKeys } from './pagination.js';
+import { parseStatusFilter } from './issueStatus.js';
+import { parseTagFilter } from './taxonomy.js';
+import { NEW_MATCH_KEYS, countMatches, searchNewMatches } from './search.js';
+import { createNotification } from './notifications.js';
+import { sendNotificationEmail } from './email.js';
+
+export const MAX_SAVED_SEARCHES = 25;
+
+// What a saved search watches; 'all' is issues and groups
+export const SAVED_SEARCH_TYPES = ['all', 'issues', 'groups'];
+
+// How often saved searches are checked for new matches to alert about
+export const SAVED_SEARCH_CHECK_MS = 15 * 60 * 1000;
+
+export const DEFAULT_NEW_MATCHES_LIMIT = 50;
+export const MAX_NEW_MATCHES_LIMIT = 100;
+
+// Columns returned for a saved search
+export const SAVED_SEARCH_COLUMNS = `saved_search_id, name, query, search_type, filters,
+  notify_in_app, notify_email, last_checked_at, last_notified_at, created_at`;
+
+/**
+ * Validate a create request:
+ * { name, q, type, status, category_id, tag, group_id, notify_in_app, notify_email }.
+ * Filters are stored as given to GET /search.
+ */
+export function parseSavedSearch(body = {}) {
+  const query = String(body.q ?? '').trim();
+  if (!query) {
+    throw new Error("q is required");
+  }
+
+  const name = String(body.name ?? '').trim() || query;
+
+  const searchType = body.type === undefined || body.type === '' ? 'all' : body.type;
+  if (!SAVED_SEARCH_TYPES.includes(searchType)) {
+    throw new Error(`type must be one of: ${SAVED_SEARCH_TYPES.join(', ')}`);
+  }
+
+  for (const field of ['notify_in_app', 'notify_email']) {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      throw new Error(`${field} must be a boolean`);
+    }
+  }
+
+  return {
+    name,
+    query,
+    searchType,
+    filters: {
+      status: parseStatusFilter(body.status),
+      category_id: body.category_id || null,
+      tags: parseTagFilter(body.tag),
+      group_id: body.group_id || null
+    },
+    notifyInApp: body.notify_in_app ?? true,
+    notifyEmail: body.notify_email ?? false
+  };
+}
+
+/**
+ * Search filters (see utils/search.js) of a saved search row
+ */
+function searchFilters(savedSearch) {
+  const { status, category_id, tags, group_id } = savedSearch.filters || {};
+  return { status, categoryId: category_id, tags, groupId: group_id };
+}
+
+function watchedTypes(savedSearch) {
+  return savedSearch.search_type === 'all' ? ['issues', 'groups'] : [savedSearch.search_type];
+}
+
+/**
+ * Issues and groups that matched a saved search since it was last checked, oldest first,
+ * and mark them as seen. When there are more than `limit`, only the returned ones are
+ * marked and `has_more` is true.
+ */
+export async function fetchNewMatches(db, savedSearch, limit) {
+  const checkedAt = new Date();
+  const filters = { ...searchFilters(savedSearch), to: checkedAt };
+  const types = watchedTypes(savedSearch);
+
+  const pages = await Promise.all(types.map(type =>
+    searchNewMatches(db, type, savedSearch.query, filters, {
+      since: savedSearch.last_checked_at,
+      after: savedSearch.last_checked_key
+    }, limit + 1)
+      .then(rows => rows.map(row => ({ ...row, item_type: type === 'issues' ? 'issue' : 'group' })))));
+
+  const combined = pages.flat().sort((a, b) => compareKeys(NEW_MATCH_KEYS.issues, a.page_key, b.page_key));
+  const items = combined.slice(0, limit);
+  const hasMore = combined.length > limit;
+
+  // When stopping early, the full position of the last returned match, so matches posted
+  // at the same microsecond are not skipped; issue and group ids sort together as uuids
+  const lastKey = hasMore ? items[items.length - 1].page_key : null;
+  await db.query(
+    `UPDATE saved_searches SET last_checked_at = $2, last_checked_key = $3
+     WHERE saved_search_id = $1`,
+    [savedSearch.saved_search_id, lastKey ? lastKey[0] : checkedAt, lastKey && JSON.stringify(lastKey)]
+  );
+
+  const result = { issues: [], groups: [] };
+  for (const { page_key, item_type, ...item } of items) {
+    result[item_type === 'issue' ? 'issues' : 'groups'].push(item);
+  }
+
+  return {
+    since: savedSearch.last_checked_at,
+    ...result,
+    count: items.length,
+    has_more: hasMore
+  };
+}
+
+/**
+ * Alert the owner of a saved search about matches that are new since the last alert
+ * (and the last time they checked). Returns whether an alert was sent.
+ */
+async function alertSavedSearch(db, savedSearch) {
+  const checkedAt = new Date();
+  const since = [savedSearch.last_notified_at, savedSearch.last_checked_at]
+    .reduce((latest, date) => (date > latest ? date : latest));
+  const filters = { ...searchFilters(savedSearch), since, to: checkedAt };
+
+  const counts = {};
+  for (const type of watchedTypes(savedSearch)) {
+    counts[type] = await countMatches(db, type, savedSearch.query, filters);
+  }
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  if (total > 0) {
+    const notification = {
+      userId: savedSearch.user_id,
+      type: 'saved_search_match',
+      title: `${total} new ${total === 1 ? 'match' : 'matches'} for "${savedSearch.name}"`,
+      body: `Saved search: ${savedSearch.query}`,
+      data: { saved_search_id: savedSearch.saved_search_id, ...counts }
+    };
+
+    if (savedSearch.notify_in_app) {
+      await createNotification(db, notification);
+    }
+    if (savedSearch.notify_email) {
+      sendNotificationEmail(db, notification).catch(err => {
+        console.error(`Error emailing saved search ${savedSearch.saved_search_id} alert:`, err);
+      });
+    }
+  }
+
+  await db.query(
+    "UPDATE saved_searches SET last_notified_at = $2 WHERE saved_search_id = $1",
+    [savedSearch.saved_search_id, checkedAt]
+  );
+
+  return total > 0;
+}
+
+/**
+ * Check every saved search with alerts turned on. Returns counts of searches checked,
+ * alerts sent and failures.
+ */
+export async function checkSavedSearches(db) {
+  const result = await db.query(
+    `SELECT saved_search_id, user_id, name, query, search_type, filters,
+            notify_in_app, notify_email, last_checked_at, last_notified_at
+     FROM saved_searches
+     WHERE notify_in_app OR notify_email`
+  );
+
+  const summary = { checked: result.rows.length, alerted: 0, failed: 0 };
+
+  for (const savedSearch of result.rows) {
+    try {
+      if (await alertSavedSearch(db, savedSearch)) {
+        summary.alerted++;
+      }
+    } catch (err) {
+      summary.failed++;
+      console.error(`Error checking saved search ${savedSearch.saved_search_id}:`, err);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Check saved searches for new matches every `intervalMs`
+ */
+export function startSavedSearchWorker(db, intervalMs = SAVED_SEARCH_CHECK_MS) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await checkSavedSearches(db);
+    } catch (err) {
+      console.error("Error checking saved searches:", err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
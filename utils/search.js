@@ -0,0 +1,329 @@
+import { keyset, keysetOrderBy, keysetSelect, keysetCondition } from './pagination.js';
+import { escapeHtml } from './emailTemplates.js';
+import { groupIdsSelect, inGroupCondition } from './groupIssues.js';
+
+// ?type= values of GET /search; 'all' searches every type
+export const SEARCH_TYPES = ['users', 'issues', 'groups', 'comments'];
+
+// Text search configurations, matching the triggers in migrations/add_full_text_search.sql
+const CONTENT_CONFIG = 'english';
+const NAME_CONFIG = 'simple';
+
+// Cumulative ranges of the date facet
+export const DATE_FACETS = {
+  day: '1 day',
+  week: '7 days',
+  month: '30 days',
+  year: '365 days'
+};
+
+// Groups listed in the group facet
+const MAX_GROUP_FACETS = 10;
+
+// ts_headline marks matches with these (private use) characters; highlightHtml() escapes
+// the text and only then turns them into <mark> tags, so user content cannot inject HTML
+const MATCH_START = '\uE000';
+const MATCH_STOP = '\uE001';
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+// Results are ordered by relevance, then newest first
+export const SEARCH_KEYS = {
+  users: keyset([['s.rank', 'float8'], ['s.created_at', 'timestamptz'], ['s.user_id', 'uuid']]),
+  issues: keyset([['s.rank', 'float8'], ['s.posted_at', 'timestamptz'], ['s.issue_id', 'uuid']]),
+  groups: keyset([['s.rank', 'float8'], ['s.posted_at', 'timestamptz'], ['s.group_id', 'uuid']]),
+  comments: keyset([['s.rank', 'float8'], ['s.posted_at', 'timestamptz'], ['s.comment_id', 'uuid']])
+};
+
+/**
+ * Parse a `type` query param (default "all")
+ */
+export function parseSearchType(value) {
+  if (value === undefined || value === '' || value === 'all') {
+    return 'all';
+  }
+  if (!SEARCH_TYPES.includes(value)) {
+    throw new Error(`type must be one of: all, ${SEARCH_TYPES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Parse `from`/`to` query params (ISO dates) into Dates, null when not given
+ */
+export function parseDateRange(from, to) {
+  const parse = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`${name} must be a date`);
+    }
+    return date;
+  };
+
+  const range = { from: parse(from, 'from'), to: parse(to, 'to') };
+  if (range.from && range.to && range.from > range.to) {
+    throw new Error("from must be before to");
+  }
+  return range;
+}
+
+/**
+ * Turn ts_headline output into HTML: escaped text with matches wrapped in <mark>
+ */
+export function highlightHtml(text) {
+  if (text === null || text === undefined) return null;
+  return escapeHtml(text)
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_STOP, '</mark>');
+}
+
+/**
+ * Conditions on a date column for the `from`/`to` filters, and `since` (exclusive) for
+ * saved search alerts
+ */
+function dateConditions(column, { from, to, since }, params) {
+  const conditions = [];
+  if (since) {
+    params.push(since);
+    conditions.push(`${column} > $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`${column} >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`${column} <= $${params.length}`);
+  }
+  return conditions;
+}
+
+/**
+ * Conditions on issues `i` for the search filters. `except` leaves one filter out, so a
+ * facet can count the values of the filter it belongs to.
+ */
+function issueConditions(filters, params, except = null) {
+  const conditions = ['i.merged_into IS NULL'];
+
+  if (filters.status && except !== 'status') {
+    params.push(filters.status);
+    conditions.push(`i.status = ANY($${params.length}::text[])`);
+  }
+  if (filters.categoryId) {
+    params.push(filters.categoryId);
+    conditions.push(`i.category_id IN (SELECT category_descendants($${params.length}::uuid))`);
+  }
+  if (filters.tags) {
+    params.push(filters.tags);
+    conditions.push(`EXISTS (
+      SELECT 1 FROM issue_tags it JOIN tags t ON it.tag_id = t.tag_id
+      WHERE it.issue_id = i.issue_id AND t.name = ANY($${params.length}::text[])
+    )`);
+  }
+  if (filters.groupId && except !== 'group') {
+    params.push(filters.groupId);
+    conditions.push(inGroupCondition('i', `$${params.length}::uuid`));
+  }
+  if (except !== 'date') {
+    conditions.push(...dateConditions('i.posted_at', filters, params));
+  }
+
+  return conditions;
+}
+
+/**
+ * Matching rows of one type as a subquery `s` with its `rank`. $1 must be the query text.
+ */
+function matchesQuery(type, filters, params) {
+  switch (type) {
+    case 'users':
+      return `
+        SELECT u.user_id, u.username, u.full_name, u.email, u.profile_picture_url, u.profile_picture_variants,
+          u.created_at, ts_rank(u.search_vector, q)::float8 as rank
+        FROM users u
+        CROSS JOIN websearch_to_tsquery('${NAME_CONFIG}', $1) q
+        WHERE ${['u.search_vector @@ q', ...dateConditions('u.created_at', filters, params)].join(' AND ')}`;
+
+    case 'issues':
+      return `
+        SELECT
+          i.issue_id, i.title, i.description, i.user_id, ${groupIdsSelect('i')},
+          i.display_picture_url, i.display_picture_variants, i.upvote_count, i.comment_count, i.posted_at, i.status, i.category_id,
+          u.username, u.full_name, ts_rank(i.search_vector, q)::float8 as rank
+        FROM issues i
+        JOIN users u ON i.user_id = u.user_id
+        CROSS JOIN websearch_to_tsquery('${CONTENT_CONFIG}', $1) q
+        WHERE ${['i.search_vector @@ q', ...issueConditions(filters, params)].join(' AND ')}`;
+
+    case 'groups':
+      return `
+        SELECT
+          g.group_id, g.name as title, g.description, g.owner_id as user_id,
+          g.display_picture_url, g.display_picture_variants, g.upvote_count, g.comment_count, g.created_at as posted_at,
+          u.username, u.full_name, g.issue_count, ts_rank(g.search_vector, q)::float8 as rank
+        FROM groups g
+        LEFT JOIN users u ON g.owner_id = u.user_id
+        CROSS JOIN websearch_to_tsquery('${CONTENT_CONFIG}', $1) q
+        WHERE ${['g.search_vector @@ q', ...dateConditions('g.created_at', filters, params)].join(' AND ')}`;
+
+    case 'comments': {
+      const issueCommentConditions = ['c.search_vector @@ q', ...dateConditions('c.posted_at', filters, params)];
+      const groupCommentConditions = ['gc.search_vector @@ q', ...dateConditions('gc.posted_at', filters, params)];
+      if (filters.groupId) {
+        params.push(filters.groupId);
+        issueCommentConditions.push(inGroupCondition('i', `$${params.length}::uuid`));
+        groupCommentConditions.push(`gc.group_id = $${params.length}::uuid`);
+      }
+
+      return `
+        SELECT c.comment_id, 'issue' as parent_type, c.issue_id as parent_id, i.title as parent_title,
+          c.content, c.user_id, u.username, u.full_name, c.posted_at, ts_rank(c.search_vector, q)::float8 as rank
+        FROM comments c
+        JOIN issues i ON c.issue_id = i.issue_id
+        JOIN users u ON c.user_id = u.user_id
+        CROSS JOIN websearch_to_tsquery('${CONTENT_CONFIG}', $1) q
+        WHERE ${issueCommentConditions.join(' AND ')}
+        UNION ALL
+        SELECT gc.comment_id, 'group' as parent_type, gc.group_id as parent_id, g.name as parent_title,
+          gc.content, gc.user_id, u.username, u.full_name, gc.posted_at, ts_rank(gc.search_vector, q)::float8 as rank
+        FROM group_comments gc
+        JOIN groups g ON gc.group_id = g.group_id
+        JOIN users u ON gc.user_id = u.user_id
+        CROSS JOIN websearch_to_tsquery('${CONTENT_CONFIG}', $1) q
+        WHERE ${groupCommentConditions.join(' AND ')}`;
+    }
+
+    default:
+      throw new Error(`Unknown search type: ${type}`);
+  }
+}
+
+// Highlighted fields per type: [result field, column of the page]
+const HIGHLIGHTS = {
+  users: [],
+  issues: [['title_html', 's.title'], ['snippet_html', 's.description']],
+  groups: [['title_html', 's.title'], ['snippet_html', 's.description']],
+  comments: [['snippet_html', 's.content']]
+};
+
+/**
+ * One page of results of a type, best match first. ts_headline is slow, so it only
+ * runs on the rows of the page.
+ * Filters: { status, categoryId, tags, groupId, from, to }; status, category and tags
+ * only narrow issues, groupId narrows issues and comments.
+ */
+export async function searchPage(db, type, query, filters, { limit, after }) {
+  const set = SEARCH_KEYS[type];
+  const params = [query];
+  const matches = matchesQuery(type, filters, params);
+
+  const pageConditions = after ? [keysetCondition(set, after, params)] : [];
+  params.push(limit + 1);
+  const limitParam = params.length;
+
+  // Every bound parameter must be used, so the options are only sent when there is a headline
+  let headlines = [];
+  if (HIGHLIGHTS[type].length > 0) {
+    params.push(HEADLINE_OPTIONS);
+    const optionsParam = params.length;
+    headlines = HIGHLIGHTS[type].map(([field, column]) =>
+      `ts_headline('${CONTENT_CONFIG}', ${column}, websearch_to_tsquery('${CONTENT_CONFIG}', $1), $${optionsParam}) as ${field}`);
+  }
+
+  const result = await db.query(
+    `SELECT ${['s.*', ...headlines].join(', ')}
+     FROM (
+       SELECT s.*, ${keysetSelect(set)}
+       FROM (${matches}) s
+       ${pageConditions.length ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+       ORDER BY ${keysetOrderBy(set)}
+       LIMIT $${limitParam}
+     ) s
+     ORDER BY ${keysetOrderBy(set)}`,
+    params
+  );
+
+  return result.rows.map(row => {
+    for (const [field] of HIGHLIGHTS[type]) {
+      row[field] = highlightHtml(row[field]);
+    }
+    return row;
+  });
+}
+
+/**
+ * Number of matches of a type
+ */
+export async function countMatches(db, type, query, filters) {
+  const params = [query];
+  const result = await db.query(`SELECT COUNT(*)::int as count FROM (${matchesQuery(type, filters, params)}) s`, params);
+  return result.rows[0].count;
+}
+
+// Order of new matches of saved searches: oldest first, so they can be read in batches
+export const NEW_MATCH_KEYS = {
+  issues: keyset([['s.posted_at', 'timestamptz'], ['s.issue_id', 'uuid']], 'ASC'),
+  groups: keyset([['s.posted_at', 'timestamptz'], ['s.group_id', 'uuid']], 'ASC')
+};
+
+/**
+ * Up to `limit` issues or groups matching a query that come after the position `after`
+ * (a `page_key` of NEW_MATCH_KEYS) or, without one, were posted after `since`. Oldest
+ * first, each with its `page_key`.
+ */
+export async function searchNewMatches(db, type, query, filters, { since, after }, limit) {
+  const set = NEW_MATCH_KEYS[type];
+  const params = [query];
+  const matches = matchesQuery(type, after ? filters : { ...filters, since }, params);
+  const conditions = after ? `WHERE ${keysetCondition(set, after, params)}` : '';
+  params.push(limit);
+
+  const result = await db.query(
+    `SELECT s.*, ${keysetSelect(set)}
+     FROM (${matches}) s
+     ${conditions}
+     ORDER BY ${keysetOrderBy(set)}
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Facet counts for a query: matches per type, and matching issues per status, group and
+ * date range. Each issue facet ignores its own filter, so every value can be picked.
+ */
+export async function searchFacets(db, query, filters) {
+  const issueFacet = (except, select, tail = '', join = '') => {
+    const params = [query];
+    const conditions = ['i.search_vector @@ q', ...issueConditions(filters, params, except)];
+    return db.query(
+      `SELECT ${select}
+       FROM issues i ${join}
+       CROSS JOIN websearch_to_tsquery('${CONTENT_CONFIG}', $1) q
+       WHERE ${conditions.join(' AND ')}
+       ${tail}`,
+      params
+    );
+  };
+
+  const dateCounts = Object.entries(DATE_FACETS)
+    .map(([name, interval]) => `COUNT(*) FILTER (WHERE i.posted_at >= NOW() - interval '${interval}')::int as ${name}`);
+
+  const [typeCounts, statusResult, groupResult, dateResult] = await Promise.all([
+    Promise.all(SEARCH_TYPES.map(type => countMatches(db, type, query, filters))),
+    issueFacet('status', 'i.status, COUNT(*)::int as count', 'GROUP BY i.status ORDER BY count DESC, i.status'),
+    // An issue in several groups counts towards each of them
+    issueFacet('group', 'gi.group_id, (SELECT g.name FROM groups g WHERE g.group_id = gi.group_id) as name, COUNT(*)::int as count',
+      `GROUP BY gi.group_id ORDER BY count DESC, gi.group_id LIMIT ${MAX_GROUP_FACETS}`,
+      'JOIN group_issues gi ON gi.issue_id = i.issue_id'),
+    issueFacet('date', [...dateCounts, 'COUNT(*)::int as all_time'].join(', '))
+  ]);
+
+  return {
+    types: Object.fromEntries(SEARCH_TYPES.map((type, index) => [type, typeCounts[index]])),
+    status: statusResult.rows,
+    groups: groupResult.rows,
+    date: dateResult.rows[0]
+  };
+}
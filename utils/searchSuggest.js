@@ -0,0 +1,150 @@
+// ?types= values of GET /search/suggest, in the order suggestions are listed
+export const SUGGEST_TYPES = ['users', 'groups', 'issues', 'categories', 'tags'];
+
+export const DEFAULT_SUGGEST_LIMIT = 5;
+export const MAX_SUGGEST_LIMIT = 10;
+
+// Longer input is cut off; nobody types a 100 character prefix
+const MAX_QUERY_LENGTH = 100;
+
+// Matching a word inside a title is only tried from this many characters, since shorter
+// patterns get no help from the trigram indexes
+const MIN_WORD_PREFIX_LENGTH = 2;
+
+// Suggestions are cached per process; new items show up once their prefix expires
+export const SUGGEST_CACHE_TTL_MS = 60 * 1000;
+const SUGGEST_CACHE_MAX_ENTRIES = 1000;
+
+// One query per type. $1 matches from the start ('stre%'), $2 from the start of a later
+// word ('% stre%', null for short input), $3 is the limit. Prefix matches come first.
+const SUGGEST_QUERIES = {
+  users: {
+    type: 'user',
+    sql: `SELECT user_id as id, username as label, full_name as detail
+          FROM users
+          WHERE lower(username) LIKE $1 OR full_name ILIKE $1 OR full_name ILIKE $2
+          ORDER BY lower(username) LIKE $1 DESC, length(username), username
+          LIMIT $3`
+  },
+  groups: {
+    type: 'group',
+    sql: `SELECT group_id as id, name as label
+          FROM groups
+          WHERE lower(name) LIKE $1 OR name ILIKE $2
+          ORDER BY lower(name) LIKE $1 DESC, issue_count DESC NULLS LAST, name
+          LIMIT $3`
+  },
+  issues: {
+    type: 'issue',
+    sql: `SELECT issue_id as id, title as label
+          FROM issues
+          WHERE merged_into IS NULL AND (lower(title) LIKE $1 OR title ILIKE $2)
+          ORDER BY lower(title) LIKE $1 DESC, upvote_count DESC, posted_at DESC
+          LIMIT $3`
+  },
+  categories: {
+    type: 'category',
+    sql: `SELECT category_id as id, name as label, slug as detail
+          FROM categories
+          WHERE lower(name) LIKE $1 OR slug LIKE $1 OR name ILIKE $2
+          ORDER BY lower(name) LIKE $1 DESC, name
+          LIMIT $3`
+  },
+  tags: {
+    type: 'tag',
+    sql: `SELECT t.tag_id as id, t.name as label
+          FROM tags t
+          WHERE t.name LIKE $1 OR t.name LIKE $2
+          ORDER BY (SELECT COUNT(*) FROM issue_tags it WHERE it.tag_id = t.tag_id) DESC, t.name
+          LIMIT $3`
+  }
+};
+
+const cache = new Map();
+
+/**
+ * Normalize typed input: trimmed, lowercase, single spaces, a leading '#' dropped
+ */
+export function normalizeSuggestQuery(value) {
+  return String(value ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * Parse a `types` query param: comma separated SUGGEST_TYPES, all of them when not given
+ */
+export function parseSuggestTypes(value) {
+  if (value === undefined || value === '') {
+    return SUGGEST_TYPES;
+  }
+
+  const requested = String(value).split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = requested.filter(type => !SUGGEST_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`types must be a comma separated list of: ${SUGGEST_TYPES.join(', ')}`);
+  }
+  return SUGGEST_TYPES.filter(type => requested.includes(type));
+}
+
+/**
+ * Escape LIKE wildcards so typed text is matched literally
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Read a cached entry, moving it to the back so the least recently used is evicted first
+ */
+function cached(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+
+  cache.delete(key);
+  if (entry.expiresAt <= Date.now()) return null;
+
+  cache.set(key, entry);
+  return entry.suggestions;
+}
+
+function remember(key, suggestions) {
+  cache.set(key, { suggestions, expiresAt: Date.now() + SUGGEST_CACHE_TTL_MS });
+  if (cache.size > SUGGEST_CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * Up to `limit` suggestions per type for a normalized query, as { type, id, label, detail? }
+ */
+export async function suggest(db, query, types, limit) {
+  const key = `${types.join(',')}:${limit}:${query}`;
+  const hit = cached(key);
+  if (hit) {
+    return hit;
+  }
+
+  const escaped = escapeLike(query);
+  const params = [
+    `${escaped}%`,
+    query.length >= MIN_WORD_PREFIX_LENGTH ? `% ${escaped}%` : null,
+    limit
+  ];
+
+  const results = await Promise.all(types.map(type => db.query(SUGGEST_QUERIES[type].sql, params)));
+
+  const suggestions = results.flatMap((result, index) =>
+    result.rows.map(({ id, label, detail }) => ({
+      type: SUGGEST_QUERIES[types[index]].type,
+      id,
+      label,
+      ...(detail ? { detail } : {})
+    })));
+
+  remember(key, suggestions);
+  return suggestions;
+}
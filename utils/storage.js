@@ -0,0 +1,352 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand, ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { uploadHeaders } from './uploadPolicy.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STORAGE_DRIVERS = ['local', 's3'];
+
+// Multer stages uploads here before they are checked and moved into storage
+export const UPLOAD_STAGING_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'idraak-uploads');
+
+const LOCAL_URL_PREFIX = '/uploads/';
+
+// Folders whose files are only served through the API (signed attachment downloads)
+export const PRIVATE_FOLDERS = ['attachments'];
+
+function isPrivateKey(key) {
+  return PRIVATE_FOLDERS.some(folder => key.startsWith(`${folder}/`));
+}
+
+/**
+ * Normalise a storage key ("attachments/x.pdf"). Returns null for keys that would
+ * escape their folder.
+ */
+function normalizeKey(key) {
+  if (!key) {
+    return null;
+  }
+  const normalized = path.posix.normalize(key).replace(/^\/+/, '');
+  if (!normalized || normalized.startsWith('..') || normalized === '.') {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Move a file, falling back to copy + delete when it is on another device
+ */
+async function moveFile(from, to) {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+}
+
+/**
+ * Files on this server's disk under `rootDir`, served by express.static at /uploads
+ */
+export function createLocalStorage(rootDir = path.join(__dirname, '../uploads')) {
+  const resolveKey = (key) => {
+    const normalized = normalizeKey(key);
+    if (!normalized) return null;
+    const filePath = path.resolve(rootDir, normalized);
+    return filePath.startsWith(rootDir + path.sep) ? filePath : null;
+  };
+
+  return {
+    name: 'local',
+
+    urlFor(key) {
+      return LOCAL_URL_PREFIX + normalizeKey(key);
+    },
+
+    keyFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(LOCAL_URL_PREFIX)) {
+        return null;
+      }
+      return normalizeKey(url.slice(LOCAL_URL_PREFIX.length));
+    },
+
+    async put(localPath, key) {
+      const filePath = resolveKey(key);
+      if (!filePath) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await moveFile(localPath, filePath);
+      return this.urlFor(key);
+    },
+
+    async read(key) {
+      const filePath = resolveKey(key);
+      if (!filePath) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async exists(key) {
+      const filePath = resolveKey(key);
+      return Boolean(filePath) && fs.existsSync(filePath);
+    },
+
+    // Yields { key, size, lastModified } for every file under `prefix`
+    async *list(prefix = '') {
+      const walk = async function* (dir) {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+        for (const entry of entries) {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            yield* walk(entryPath);
+          } else if (entry.isFile()) {
+            const stat = await fs.promises.stat(entryPath);
+            yield {
+              key: path.relative(rootDir, entryPath).split(path.sep).join('/'),
+              size: stat.size,
+              lastModified: stat.mtime
+            };
+          }
+        }
+      };
+      yield* walk(path.join(rootDir, prefix));
+    },
+
+    async remove(key) {
+      const filePath = resolveKey(key);
+      if (!filePath) {
+        return false;
+      }
+      try {
+        await fs.promises.unlink(filePath);
+        return true;
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        return false;
+      }
+    }
+  };
+}
+
+/**
+ * Objects in an S3-compatible bucket (AWS S3, MinIO, ...).
+ * Objects get the same Content-Type/Content-Disposition rules as /uploads, so
+ * non-image files are downloaded rather than rendered.
+ * Files in PRIVATE_FOLDERS are located by an s3://bucket/key URL rather than a public one,
+ * so a stored path never leads to them without going through the API.
+ */
+export function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT),
+  publicUrl = process.env.S3_PUBLIC_URL
+} = {}) {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // Public base URL objects are served from, without trailing slash
+  const baseUrl = (publicUrl
+    || (endpoint ? `${endpoint.replace(/\/+$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/+$/, '');
+  const privatePrefix = `s3://${bucket}/`;
+
+  return {
+    name: 's3',
+
+    urlFor(key) {
+      const normalized = normalizeKey(key);
+      return isPrivateKey(normalized) ? privatePrefix + normalized : `${baseUrl}/${normalized}`;
+    },
+
+    // Public URLs of private files (stored before they were made private) still resolve
+    keyFromUrl(url) {
+      if (typeof url !== 'string') {
+        return null;
+      }
+      if (url.startsWith(privatePrefix)) {
+        return normalizeKey(url.slice(privatePrefix.length));
+      }
+      if (!url.startsWith(baseUrl + '/')) {
+        return null;
+      }
+      return normalizeKey(decodeURIComponent(url.slice(baseUrl.length + 1)));
+    },
+
+    async put(localPath, key) {
+      const normalized = normalizeKey(key);
+      if (!normalized) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+
+      const { size } = await fs.promises.stat(localPath);
+      const { contentType, contentDisposition } = uploadHeaders(normalized);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: normalized,
+        Body: fs.createReadStream(localPath),
+        ContentLength: size,
+        ContentType: contentType,
+        ContentDisposition: contentDisposition || undefined
+      }));
+
+      await fs.promises.unlink(localPath).catch(() => { });
+      return this.urlFor(normalized);
+    },
+
+    async read(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: normalizeKey(key) }));
+      return result.Body;
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: normalizeKey(key) }));
+        return true;
+      } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+      }
+    },
+
+    async *list(prefix = '') {
+      let continuationToken;
+      do {
+        const result = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+        for (const object of result.Contents || []) {
+          yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+        }
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (continuationToken);
+    },
+
+    async remove(key) {
+      const normalized = normalizeKey(key);
+      if (!normalized) {
+        return false;
+      }
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: normalized }));
+      return true;
+    }
+  };
+}
+
+/**
+ * Create a storage driver by name
+ */
+export function createStorage(driver) {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage();
+    case 's3':
+      return createS3Storage();
+    default:
+      throw new Error(`Unknown storage driver "${driver}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+}
+
+let storage = null;
+let localStorage = null;
+
+/**
+ * The configured storage driver (STORAGE_DRIVER=local|s3, default local)
+ */
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage(process.env.STORAGE_DRIVER || 'local');
+  }
+  return storage;
+}
+
+/**
+ * Find the driver a stored URL belongs to. Local /uploads URLs keep working after
+ * switching to another driver, until they are migrated.
+ * Returns { storage, key } or null for URLs that are not ours.
+ */
+export function storageForUrl(url) {
+  const current = getStorage();
+  const key = current.keyFromUrl(url);
+  if (key) {
+    return { storage: current, key };
+  }
+
+  if (current.name !== 'local') {
+    localStorage = localStorage || createLocalStorage();
+    const localKey = localStorage.keyFromUrl(url);
+    if (localKey) {
+      return { storage: localStorage, key: localKey };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Move a local file into storage under `key` and return its public URL
+ */
+export async function storeFile(localPath, key) {
+  return getStorage().put(localPath, key);
+}
+
+/**
+ * Store a file multer staged on disk in `folder` (e.g. "attachments") and return its public URL
+ */
+export async function storeUpload(file, folder) {
+  return storeFile(file.path, `${folder}/${file.filename}`);
+}
+
+/**
+ * Delete a stored file by its public URL. Unknown URLs and missing files are not an error.
+ */
+export async function removeStoredFile(url) {
+  const target = storageForUrl(url);
+  if (!target) {
+    return false;
+  }
+
+  try {
+    return await target.storage.remove(target.key);
+  } catch (err) {
+    console.error(`Error deleting stored file ${url}:`, err);
+    return false;
+  }
+}
+
+/**
+ * Delete several stored files, e.g. a picture and its variants
+ */
+export async function removeStoredFiles(urls) {
+  await Promise.all([...new Set(urls.filter(Boolean))].map(url => removeStoredFile(url)));
+}
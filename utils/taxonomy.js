@@ -0,0 +1,77 @@
+export const MAX_TAGS_PER_ISSUE = 10;
+export const MAX_TAG_LENGTH = 30;
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Turn a category name into a URL-friendly slug
+ */
+export function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Normalize a single tag: lowercase, trimmed, leading '#' removed, spaces to dashes
+ */
+export function normalizeTag(value) {
+  return String(value)
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Parse tags from a request body or query.
+ * Accepts an array, a JSON array string, or a comma separated string.
+ * Returns undefined when not given and throws on invalid tags.
+ */
+export function parseTags(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  let raw = value;
+  if (typeof raw === 'string') {
+    const trimmed = raw.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        raw = JSON.parse(trimmed);
+      } catch (err) {
+        throw new Error("tags must be a JSON array or a comma separated list");
+      }
+    } else {
+      raw = trimmed ? trimmed.split(',') : [];
+    }
+  }
+
+  if (!Array.isArray(raw)) {
+    throw new Error("tags must be a JSON array or a comma separated list");
+  }
+
+  const tags = [...new Set(raw.map(normalizeTag).filter(Boolean))];
+
+  if (tags.length > MAX_TAGS_PER_ISSUE) {
+    throw new Error(`A maximum of ${MAX_TAGS_PER_ISSUE} tags is allowed`);
+  }
+
+  const invalid = tags.filter(tag => tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid tag: ${invalid.join(', ')}`);
+  }
+
+  return tags;
+}
+
+/**
+ * Parse a `tag` query param ("water" or "water,leak") into a list.
+ * Returns null when no filter was given.
+ */
+export function parseTagFilter(value) {
+  const tags = parseTags(value);
+  return tags && tags.length > 0 ? tags : null;
+}
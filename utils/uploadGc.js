@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import { getStorage, UPLOAD_STAGING_DIR } from './storage.js';
+import { expireResumableUploads } from './resumableUploads.js';
+
+// Storage folders uploads are written to; anything else in the backend is left alone
+export const UPLOAD_FOLDERS = ['issues', 'groups', 'attachments', 'profile_pictures'];
+
+export const DEFAULT_GC_GRACE_HOURS = 24;
+
+// Most orphans listed in a GC report
+const MAX_REPORTED_ORPHANS = 500;
+
+/**
+ * Every URL of a picture and its variants (legacy rows only have the URL)
+ */
+export function pictureUrls(url, variants) {
+  return [...new Set([url, ...Object.values(variants || {})].filter(Boolean))];
+}
+
+/**
+ * Grace period from UPLOAD_GC_GRACE_HOURS (default 24)
+ */
+export function gcGraceHours() {
+  const hours = Number(process.env.UPLOAD_GC_GRACE_HOURS ?? DEFAULT_GC_GRACE_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GC_GRACE_HOURS;
+}
+
+/**
+ * Every stored file URL the database still points at
+ */
+export async function referencedUrls(db) {
+  const result = await db.query(
+    `SELECT DISTINCT url FROM (
+       SELECT display_picture_url as url FROM issues
+       UNION ALL SELECT v.value FROM issues, jsonb_each_text(display_picture_variants) v
+       UNION ALL SELECT display_picture_url FROM groups
+       UNION ALL SELECT v.value FROM groups, jsonb_each_text(display_picture_variants) v
+       UNION ALL SELECT profile_picture_url FROM users
+       UNION ALL SELECT v.value FROM users, jsonb_each_text(profile_picture_variants) v
+       UNION ALL SELECT file_path FROM post_attachments
+     ) urls
+     WHERE url IS NOT NULL`
+  );
+  return new Set(result.rows.map(row => row.url));
+}
+
+/**
+ * Delete staged uploads older than `cutoff` (requests that failed or were aborted midway)
+ */
+async function collectStagedFiles(cutoff, dryRun) {
+  const summary = { count: 0, bytes: 0 };
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(UPLOAD_STAGING_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return summary;
+    throw err;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const filePath = path.join(UPLOAD_STAGING_DIR, entry.name);
+    const stat = await fs.promises.stat(filePath);
+    if (stat.mtime >= cutoff) continue;
+
+    if (!dryRun) {
+      await fs.promises.unlink(filePath).catch(() => { });
+    }
+    summary.count++;
+    summary.bytes += stat.size;
+  }
+
+  return summary;
+}
+
+/**
+ * Find stored files no issue, group, user or attachment refers to and, unless `dryRun`,
+ * delete the ones older than the grace period. The grace period keeps files that were
+ * stored moments ago by a request that has not written its row yet.
+ */
+export async function collectGarbage(db, { dryRun = true, graceHours = gcGraceHours() } = {}) {
+  const storage = getStorage();
+  const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+
+  // Read references before listing, so a file stored during the scan is never seen
+  // without its row (and is younger than the grace period anyway)
+  const referenced = new Set();
+  for (const url of await referencedUrls(db)) {
+    const key = storage.keyFromUrl(url);
+    if (key) referenced.add(key);
+  }
+
+  const summary = {
+    dry_run: dryRun,
+    grace_hours: graceHours,
+    storage: storage.name,
+    scanned: 0,
+    orphaned: 0,
+    orphaned_bytes: 0,
+    in_grace_period: 0,
+    deleted: 0,
+    failed: 0,
+    orphans: []
+  };
+
+  for (const folder of UPLOAD_FOLDERS) {
+    for await (const file of storage.list(`${folder}/`)) {
+      summary.scanned++;
+      if (referenced.has(file.key)) continue;
+
+      if (file.lastModified >= cutoff) {
+        summary.in_grace_period++;
+        continue;
+      }
+
+      summary.orphaned++;
+      summary.orphaned_bytes += file.size;
+      if (summary.orphans.length < MAX_REPORTED_ORPHANS) {
+        summary.orphans.push({ url: storage.urlFor(file.key), size_bytes: file.size, last_modified: file.lastModified });
+      }
+
+      if (!dryRun) {
+        try {
+          await storage.remove(file.key);
+          summary.deleted++;
+        } catch (err) {
+          console.error(`Error deleting orphaned upload ${file.key}:`, err);
+          summary.failed++;
+        }
+      }
+    }
+  }
+
+  const staged = await collectStagedFiles(cutoff, dryRun);
+  summary.staged_files = staged.count;
+  summary.staged_bytes = staged.bytes;
+  summary.expired_resumable_uploads = await expireResumableUploads(db, { dryRun });
+
+  return summary;
+}
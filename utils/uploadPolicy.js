@@ -0,0 +1,346 @@
+import fs from 'fs';
+import path from 'path';
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Phone cameras record MP4/3GP (Android) and QuickTime (iOS)
+const VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/webm', 'video/3gpp'];
+
+const DOCUMENT_TYPES = [
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/msword',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet'
+];
+
+// Upload kind -> MIME types accepted by default.
+// Override with e.g. UPLOAD_ALLOWED_TYPES_ATTACHMENT="application/pdf,image/png"
+export const DEFAULT_ALLOWED_TYPES = {
+  display_picture: IMAGE_TYPES,
+  profile_picture: IMAGE_TYPES,
+  attachment: [...IMAGE_TYPES, ...VIDEO_TYPES, ...DOCUMENT_TYPES]
+};
+
+// Detected MIME type -> extension the file is stored under
+export const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'video/3gpp': '.3gp',
+  'video/x-matroska': '.mkv',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'text/html': '.html',
+  'application/msword': '.doc',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.ms-powerpoint': '.ppt',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  'application/vnd.oasis.opendocument.text': '.odt',
+  'application/vnd.oasis.opendocument.spreadsheet': '.ods',
+  'application/zip': '.zip',
+  'application/octet-stream': '.bin'
+};
+
+// Zip and OLE containers look the same from their first bytes; the extension picks the document type
+const ZIP_DOCUMENT_TYPES = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet'
+};
+
+const OLE_DOCUMENT_TYPES = {
+  '.doc': 'application/msword',
+  '.xls': 'application/vnd.ms-excel',
+  '.ppt': 'application/vnd.ms-powerpoint'
+};
+
+// Images and video are served inline; everything else is forced to download
+const INLINE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.3gp': 'video/3gpp'
+};
+
+// Content types for downloads; unknown extensions are sent as application/octet-stream
+const DOWNLOAD_TYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.doc': 'application/msword',
+  '.xls': 'application/vnd.ms-excel',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet'
+};
+
+const SNIFF_BYTES = 4100;
+const DEFAULT_QUOTA_MB = 200;
+
+/**
+ * Upload rejection with a machine readable code and HTTP status
+ */
+export class UploadError extends Error {
+  constructor(code, message, status = 400, details = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * JSON body for an upload rejection: { error, code, ...details }
+ */
+export function uploadErrorBody(err) {
+  return { error: err.message, code: err.code || 'UPLOAD_FAILED', ...(err.details || {}) };
+}
+
+/**
+ * Turn a multer error into an UploadError
+ */
+export function fromMulterError(err) {
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new UploadError('FILE_TOO_LARGE', `File "${err.field}" is too large`, 413);
+    case 'LIMIT_FILE_COUNT':
+      return new UploadError('TOO_MANY_FILES', "Too many files uploaded");
+    case 'LIMIT_UNEXPECTED_FILE':
+      return new UploadError('UNEXPECTED_FILE_FIELD', `Unexpected file field "${err.field}" or too many files for it`);
+    default:
+      return new UploadError('UPLOAD_FAILED', err.message);
+  }
+}
+
+/**
+ * MIME types allowed for an upload kind, from UPLOAD_ALLOWED_TYPES_<KIND> or the defaults
+ */
+export function allowedTypes(kind) {
+  const configured = process.env[`UPLOAD_ALLOWED_TYPES_${kind.toUpperCase()}`];
+  if (configured) {
+    return configured.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+  }
+  return DEFAULT_ALLOWED_TYPES[kind] || [];
+}
+
+/**
+ * Per-user storage quota in bytes (UPLOAD_QUOTA_MB, default 200). 0 means unlimited.
+ */
+export function storageQuotaBytes() {
+  const configured = Number(process.env.UPLOAD_QUOTA_MB ?? DEFAULT_QUOTA_MB);
+  const mb = Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_QUOTA_MB;
+  return Math.floor(mb * 1024 * 1024);
+}
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+/**
+ * Detect a file's MIME type from its first bytes. The original filename is only
+ * consulted to tell apart documents that share a container format (zip, OLE).
+ * Returns null for an empty file.
+ */
+export async function detectFileType(filePath, originalName = '') {
+  const handle = await fs.promises.open(filePath, 'r');
+  let buffer;
+  try {
+    const chunk = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(chunk, 0, SNIFF_BYTES, 0);
+    buffer = chunk.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  if (buffer.length === 0) {
+    return null;
+  }
+
+  const ext = path.extname(originalName).toLowerCase();
+
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+  if (startsWith(buffer, ascii('ftyp'), 4)) return detectIsoMedia(buffer);
+  if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return buffer.includes(Buffer.from('webm')) ? 'video/webm' : 'video/x-matroska';
+  }
+  if (startsWith(buffer, ascii('%PDF-'))) return 'application/pdf';
+  if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04])) return ZIP_DOCUMENT_TYPES[ext] || 'application/zip';
+  if (startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+    return OLE_DOCUMENT_TYPES[ext] || 'application/octet-stream';
+  }
+
+  return detectText(buffer, ext);
+}
+
+/**
+ * ISO base media files (MP4, QuickTime, 3GP, HEIC) are told apart by the brand after "ftyp"
+ */
+function detectIsoMedia(buffer) {
+  const brand = buffer.subarray(8, 12).toString('latin1');
+  if (brand === 'qt  ') return 'video/quicktime';
+  if (brand.startsWith('3g')) return 'video/3gpp';
+  if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+  return 'video/mp4';
+}
+
+/**
+ * Plain text is valid UTF-8 without NUL bytes. Markup is reported as text/html so
+ * it can never be accepted as a harmless .txt file.
+ */
+function detectText(buffer, ext) {
+  if (buffer.includes(0)) {
+    return 'application/octet-stream';
+  }
+
+  let text;
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+  } catch (err) {
+    return 'application/octet-stream';
+  }
+
+  const lower = text.toLowerCase();
+  if (lower.replace(/^\uFEFF/, '').trimStart().startsWith('<') || /<(script|html|svg|iframe|body)\b/.test(lower)) {
+    return 'text/html';
+  }
+
+  return ext === '.csv' ? 'text/csv' : 'text/plain';
+}
+
+/**
+ * Detect a file's type and check it against the allowlist for an upload kind.
+ * Returns the detected MIME type; throws an UploadError when the file is rejected.
+ */
+export async function checkFileType(filePath, originalName, kind) {
+  const detectedType = await detectFileType(filePath, originalName);
+
+  if (!detectedType) {
+    throw new UploadError('EMPTY_FILE', `File "${originalName}" is empty`);
+  }
+
+  const allowed = allowedTypes(kind);
+  if (!allowed.includes(detectedType)) {
+    throw new UploadError(
+      'FILE_TYPE_NOT_ALLOWED',
+      `File "${originalName}" is not an allowed type for ${kind.replace('_', ' ')}`,
+      415,
+      { detected_type: detectedType, allowed_types: allowed }
+    );
+  }
+
+  return detectedType;
+}
+
+/**
+ * Check an uploaded file against the allowlist for its kind and store it under the
+ * extension that matches its real content. Updates file.mimetype, file.filename and
+ * file.path in place. Throws an UploadError when the file is rejected.
+ */
+export async function applyUploadPolicy(file, kind) {
+  const detectedType = await checkFileType(file.path, file.originalname, kind);
+
+  const ext = FILE_EXTENSIONS[detectedType];
+  if (ext && path.extname(file.filename).toLowerCase() !== ext) {
+    const filename = path.parse(file.filename).name + ext;
+    const filePath = path.join(file.destination, filename);
+    await fs.promises.rename(file.path, filePath);
+    file.filename = filename;
+    file.path = filePath;
+  }
+
+  file.mimetype = detectedType;
+  return file;
+}
+
+/**
+ * Bytes a user currently has stored: attachments plus the declared size of resumable
+ * uploads that are still in progress (their space is reserved when they start)
+ */
+export async function getStorageUsage(db, userId) {
+  const result = await db.query(
+    `SELECT
+       (SELECT COALESCE(SUM(size_bytes), 0) FROM post_attachments WHERE uploaded_by = $1) +
+       (SELECT COALESCE(SUM(size_bytes), 0) FROM resumable_uploads
+        WHERE user_id = $1 AND status <> 'attached' AND expires_at > NOW()) as used`,
+    [userId]
+  );
+  return Number(result.rows[0].used);
+}
+
+/**
+ * Throw QUOTA_EXCEEDED when storing `incomingBytes` more would put the user over their quota
+ */
+export async function checkStorageQuota(db, userId, incomingBytes) {
+  const quota = storageQuotaBytes();
+  if (quota === 0 || incomingBytes === 0) {
+    return;
+  }
+
+  const used = await getStorageUsage(db, userId);
+  if (used + incomingBytes > quota) {
+    throw new UploadError('QUOTA_EXCEEDED', "Storage quota exceeded", 413, {
+      quota_bytes: quota,
+      used_bytes: used,
+      requested_bytes: incomingBytes
+    });
+  }
+}
+
+/**
+ * Content-Type and Content-Disposition a stored file is served with, from its extension.
+ * Images are shown inline; anything else is downloaded with a safe Content-Type so
+ * uploaded HTML or scripts never render.
+ */
+export function uploadHeaders(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (INLINE_TYPES[ext]) {
+    return { contentType: INLINE_TYPES[ext], contentDisposition: null };
+  }
+
+  return { contentType: DOWNLOAD_TYPES[ext] || 'application/octet-stream', contentDisposition: 'attachment' };
+}
+
+/**
+ * express.static setHeaders hook for /uploads
+ */
+export function setUploadHeaders(res, filePath) {
+  const { contentType, contentDisposition } = uploadHeaders(filePath);
+
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+  res.setHeader('Content-Type', contentType);
+  if (contentDisposition) {
+    res.setHeader('Content-Disposition', contentDisposition);
+  }
+}
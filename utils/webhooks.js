@@ -0,0 +1,338 @@
+import crypto from 'crypto';
+
+export const WEBHOOK_EVENT_TYPES = [
+  'issue.created',
+  'issue.updated',
+  'issue.deleted',
+  'issue.status_changed',
+  'issue.merged',
+  'comment.created',
+  'group.created',
+  'group.updated',
+  'group.deleted',
+  'join_request.created',
+  'join_request.decided'
+];
+
+// Attempts per delivery before it is marked failed
+export const MAX_DELIVERY_ATTEMPTS = 8;
+
+// Consecutive failed attempts before a webhook is disabled
+export const DISABLE_AFTER_FAILURES = 20;
+
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+// How far ahead a delivery that is being sent is pushed, so the worker leaves it alone
+const CLAIM_INTERVAL = "INTERVAL '5 minutes'";
+
+/**
+ * Check whether an event type is known
+ */
+export function isValidEventType(type) {
+  return WEBHOOK_EVENT_TYPES.includes(type);
+}
+
+/**
+ * Generate a new signing secret
+ */
+export function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Validate a webhook URL. Throws when it is not an http(s) URL.
+ */
+export function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    throw new Error("url must be a valid URL");
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error("url must use http or https");
+  }
+
+  return url.toString();
+}
+
+/**
+ * Parse event types from a request body: a non-empty array of known types.
+ */
+export function parseEventTypes(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error("event_types must be a non-empty array");
+  }
+
+  const types = [...new Set(value)];
+  const invalid = types.filter(type => !isValidEventType(type));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid event type: ${invalid.join(', ')}`);
+  }
+
+  return types;
+}
+
+/**
+ * Sign a payload. Receivers recompute HMAC-SHA256 over `${timestamp}.${body}`
+ * with their secret and compare it to the X-Idraak-Signature header.
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m, ... capped at 6 hours
+ */
+export function retryDelayMs(attemptCount) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attemptCount - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Record one delivery per subscribed, active webhook and send them in the background.
+ * The deliveries are inserted already claimed, so the worker only retries them once the
+ * inline attempt has had its chance.
+ * Never throws; a failure to queue is logged and does not fail the request that caused it.
+ */
+export async function emitEvent(db, eventType, data) {
+  try {
+    const result = await db.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event_type, payload, next_attempt_at)
+       SELECT w.webhook_id, $1, jsonb_build_object(
+         'event', $1::text,
+         'created_at', NOW(),
+         'data', $2::jsonb
+       ), NOW() + ${CLAIM_INTERVAL}
+       FROM webhooks w
+       WHERE w.is_active = true AND $1 = ANY(w.event_types)
+       RETURNING delivery_id`,
+      [eventType, JSON.stringify(data)]
+    );
+
+    for (const row of result.rows) {
+      attemptDelivery(db, row.delivery_id).catch(err => {
+        console.error(`Error delivering webhook ${row.delivery_id}:`, err);
+      });
+    }
+
+    return result.rows.length;
+  } catch (err) {
+    console.error(`Error queueing ${eventType} webhooks:`, err);
+    return 0;
+  }
+}
+
+/**
+ * Make one attempt at a delivery and record the outcome.
+ * Failed attempts are rescheduled with exponential backoff until MAX_DELIVERY_ATTEMPTS,
+ * and a webhook that keeps failing is disabled.
+ */
+export async function attemptDelivery(db, deliveryId) {
+  const deliveryResult = await db.query(
+    `SELECT d.delivery_id, d.event_type, d.payload, d.attempt_count, d.status,
+            w.webhook_id, w.url, w.secret, w.is_active
+     FROM webhook_deliveries d
+     JOIN webhooks w ON d.webhook_id = w.webhook_id
+     WHERE d.delivery_id = $1`,
+    [deliveryId]
+  );
+
+  const delivery = deliveryResult.rows[0];
+  if (!delivery || delivery.status !== 'pending' || !delivery.is_active) {
+    return null;
+  }
+
+  const body = JSON.stringify({ delivery_id: delivery.delivery_id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Idraak-Webhooks/1.0',
+        'X-Idraak-Event': delivery.event_type,
+        'X-Idraak-Delivery': delivery.delivery_id,
+        'X-Idraak-Timestamp': String(timestamp),
+        'X-Idraak-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+    if (!response.ok) {
+      error = `Receiver responded with ${response.status}`;
+    }
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? 'Request timed out' : err.message;
+  }
+
+  const attemptCount = delivery.attempt_count + 1;
+
+  if (!error) {
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = 'succeeded', attempt_count = $2, last_attempt_at = NOW(), delivered_at = NOW(),
+           next_attempt_at = NULL, response_status = $3, response_body = $4, error = NULL
+       WHERE delivery_id = $1`,
+      [deliveryId, attemptCount, responseStatus, responseBody]
+    );
+    await db.query(
+      "UPDATE webhooks SET consecutive_failures = 0 WHERE webhook_id = $1",
+      [delivery.webhook_id]
+    );
+    return 'succeeded';
+  }
+
+  const giveUp = attemptCount >= MAX_DELIVERY_ATTEMPTS;
+  await db.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, attempt_count = $3, last_attempt_at = NOW(),
+         next_attempt_at = $4, response_status = $5, response_body = $6, error = $7
+     WHERE delivery_id = $1`,
+    [deliveryId, giveUp ? 'failed' : 'pending', attemptCount,
+      giveUp ? null : new Date(Date.now() + retryDelayMs(attemptCount)),
+      responseStatus, responseBody, error]
+  );
+
+  // Disable the webhook once it has failed too many times in a row
+  const webhookResult = await db.query(
+    `UPDATE webhooks
+     SET consecutive_failures = consecutive_failures + 1,
+         is_active = CASE WHEN consecutive_failures + 1 >= $2 THEN false ELSE is_active END,
+         disabled_at = CASE WHEN consecutive_failures + 1 >= $2 AND is_active THEN NOW() ELSE disabled_at END,
+         disabled_reason = CASE WHEN consecutive_failures + 1 >= $2 AND is_active
+                                THEN 'Too many consecutive failed deliveries' ELSE disabled_reason END
+     WHERE webhook_id = $1
+     RETURNING is_active`,
+    [delivery.webhook_id, DISABLE_AFTER_FAILURES]
+  );
+  if (webhookResult.rows[0] && !webhookResult.rows[0].is_active) {
+    console.warn(`Webhook ${delivery.webhook_id} disabled after ${DISABLE_AFTER_FAILURES} consecutive failures`);
+  }
+
+  return giveUp ? 'failed' : 'pending';
+}
+
+/**
+ * Retry deliveries whose next attempt is due.
+ * Claimed rows are pushed a few minutes ahead first so an overlapping run does not pick them up again.
+ */
+export async function processDueDeliveries(db, limit = 20) {
+  const claimed = await db.query(
+    `UPDATE webhook_deliveries
+     SET next_attempt_at = NOW() + ${CLAIM_INTERVAL}
+     WHERE delivery_id IN (
+       SELECT d.delivery_id
+       FROM webhook_deliveries d
+       JOIN webhooks w ON d.webhook_id = w.webhook_id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.is_active = true
+       ORDER BY d.next_attempt_at
+       LIMIT $1
+       FOR UPDATE OF d SKIP LOCKED
+     )
+     RETURNING delivery_id`,
+    [limit]
+  );
+
+  for (const row of claimed.rows) {
+    try {
+      await attemptDelivery(db, row.delivery_id);
+    } catch (err) {
+      console.error(`Error delivering webhook ${row.delivery_id}:`, err);
+    }
+  }
+
+  return claimed.rows.length;
+}
+
+/**
+ * Poll for due retries every `intervalMs`
+ */
+export function startWebhookWorker(db, intervalMs = 30 * 1000) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries(db);
+    } catch (err) {
+      console.error("Error processing webhook retries:", err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Queue a fresh copy of an earlier delivery and send it right away
+ */
+export async function redeliver(db, deliveryId) {
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event_type, payload, redelivery_of, next_attempt_at)
+     SELECT webhook_id, event_type, payload, delivery_id, NOW() + ${CLAIM_INTERVAL}
+     FROM webhook_deliveries
+     WHERE delivery_id = $1
+     RETURNING delivery_id`,
+    [deliveryId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const newId = result.rows[0].delivery_id;
+  await attemptDelivery(db, newId);
+
+  const deliveryResult = await db.query(
+    "SELECT * FROM webhook_deliveries WHERE delivery_id = $1",
+    [newId]
+  );
+  return deliveryResult.rows[0];
+}
+
+/**
+ * Send a `ping` event to a single webhook so admins can check their receiver
+ */
+export async function pingWebhook(db, webhookId) {
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event_type, payload, next_attempt_at)
+     SELECT webhook_id, 'ping', jsonb_build_object(
+       'event', 'ping',
+       'created_at', NOW(),
+       'data', jsonb_build_object('webhook_id', webhook_id, 'event_types', event_types)
+     ), NOW() + ${CLAIM_INTERVAL}
+     FROM webhooks
+     WHERE webhook_id = $1
+     RETURNING delivery_id`,
+    [webhookId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const deliveryId = result.rows[0].delivery_id;
+  await attemptDelivery(db, deliveryId);
+
+  const deliveryResult = await db.query(
+    "SELECT * FROM webhook_deliveries WHERE delivery_id = $1",
+    [deliveryId]
+  );
+  return deliveryResult.rows[0];
+}